@@ -5,7 +5,75 @@ import { defineConfig } from "astro/config";
 import remarkCollapse from "remark-collapse";
 import remarkToc from "remark-toc";
 import sharp from "sharp";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 import config from "./src/config/config.json";
+import { IMAGE_ROUTE, parseImageRequest } from "./public/scripts/lib/images.js";
+
+// The Pages Function serves /img in production; `astro dev` redirects to the original image
+const devImageRoute = {
+  name: "dev-image-route",
+  hooks: {
+    "astro:server:setup": ({ server }) => {
+      server.middlewares.use(IMAGE_ROUTE, (req, res) => {
+        const image = parseImageRequest(new URL(req.url || "/", `http://${req.headers.host}`));
+        res.writeHead(image ? 302 : 400, image ? { Location: image.src } : {});
+        res.end();
+      });
+    },
+  },
+};
+
+// The service worker caches the app shell under a VERSION; stamp it with a hash of what it caches
+const SHELL_DIRS = ["_astro", "scripts", "images"];
+const serviceWorkerVersion = {
+  name: "service-worker-version",
+  hooks: {
+    "astro:build:done": ({ dir, logger }) => {
+      const root = fileURLToPath(dir);
+      const hash = createHash("sha256");
+      for (const shellDir of SHELL_DIRS) {
+        const files = fs.readdirSync(path.join(root, shellDir), { recursive: true, withFileTypes: true })
+          .filter((entry) => entry.isFile())
+          .map((entry) => path.join(entry.parentPath, entry.name))
+          .sort();
+        for (const file of files) hash.update(path.relative(root, file)).update(fs.readFileSync(file));
+      }
+      hash.update(fs.readFileSync(path.join(root, "manifest.webmanifest")));
+
+      const version = hash.digest("hex").slice(0, 12);
+      const sw = path.join(root, "sw.js");
+      fs.writeFileSync(sw, fs.readFileSync(sw, "utf8").replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`));
+      logger.info(`Service worker version ${version}`);
+    },
+  },
+};
+
+// The Pages Function renders live copies of these pages and links the stylesheets the build emitted for them,
+// whose names carry a content hash; its other pages only need the site-wide ones, which 404.html links.
+// All tag pages link the same stylesheets, so any one of them (`*`) will do.
+const STYLESHEET_PAGES = { default: "404.html", home: "index.html", tags: "tags/index.html", tag: "tag/*/index.html" };
+const pageStylesheets = {
+  name: "page-stylesheets",
+  hooks: {
+    "astro:build:done": ({ dir, logger }) => {
+      const root = fileURLToPath(dir);
+      const stylesheets = {};
+      for (const [kind, page] of Object.entries(STYLESHEET_PAGES)) {
+        const [parent, rest] = page.split("/*/");
+        const file = rest
+          ? (fs.existsSync(path.join(root, parent)) ? fs.readdirSync(path.join(root, parent)) : []).sort().map((entry) => path.join(root, parent, entry, rest)).find((candidate) => fs.existsSync(candidate))
+          : path.join(root, page);
+        if (!file || !fs.existsSync(file)) continue;
+        stylesheets[kind] = [...fs.readFileSync(file, "utf8").matchAll(/<link rel="stylesheet" href="([^"]+)"/g)].map(([, href]) => href);
+      }
+      fs.writeFileSync(path.join(root, "stylesheets.json"), JSON.stringify(stylesheets));
+      logger.info(`Stylesheets recorded for ${Object.keys(stylesheets).join(", ")} pages`);
+    },
+  },
+};
 
 // https://astro.build/config
 export default defineConfig({
@@ -40,6 +108,9 @@ export default defineConfig({
       ],
     }),
     mdx(),
+    devImageRoute,
+    serviceWorkerVersion,
+    pageStylesheets,
   ],
   markdown: {
     remarkPlugins: [remarkToc, [remarkCollapse, { test: "Table of contents" }]],
@@ -1,112 +1,345 @@
 /**
  * Cloudflare Pages Function for on-demand SSR of news routes
- * Returns 200 status with full HTML for SEO indexing
+ * Returns 200 status with full HTML for SEO indexing; pages that can't be shown
+ * get a real 404, 410 or 503 (see public/scripts/lib/errors.js), never a soft 404.
+ * Rendered pages carry a strong ETag and Last-Modified, so crawlers and repeat
+ * visitors revalidate with a 304 instead of downloading the page again.
  */
 
-const API_BASE_URL = 'https://api.newshelp.org';
+import { createDataClient, createCacheApiCache, isLatestFile } from '../public/scripts/lib/data-client.js';
+import { escapeHtml, cleanTitle } from '../public/scripts/lib/text.js';
+import {
+  articleTemplate,
+  clusterTemplate,
+  archiveTemplate,
+  relatedTemplate,
+  trendingTemplate,
+  homeTemplate,
+  tagsTemplate,
+  tagTemplate,
+  errorTemplate,
+} from '../public/scripts/lib/templates.js';
+import {
+  fetchArchivePage,
+  fetchArchiveDay,
+  describeArchivePage,
+  describeArchiveDay,
+  parseArchiveDay,
+  archivePagePath,
+  archiveDayPath,
+} from '../public/scripts/lib/archive.js';
+import { findSourceByParam, sourcePath } from '../public/scripts/lib/sources.js';
+import { resolveTagSlug, tagPath } from '../public/scripts/lib/tag-slugs.js';
+import { buildTaxonomy } from '../public/scripts/lib/taxonomy.js';
+import {
+  fetchHomePage,
+  fetchTagPage,
+  homeStructuredData,
+  tagsStructuredData,
+  tagStructuredData,
+} from '../public/scripts/lib/listings.js';
+import { fetchRecommendations, articleTarget, clusterTarget } from '../public/scripts/lib/recommend.js';
+import { fetchTrending } from '../public/scripts/lib/trending.js';
+import { importMapTag } from '../public/scripts/lib/vendor.js';
+import { fetchCitedItems } from '../public/scripts/lib/citations.js';
+import {
+  IMAGE_ROUTE,
+  imageHeight,
+  parseImageRequest,
+  negotiateImageFormat,
+  isPublicImageUrl,
+  setImageResizing,
+  isImageResizing,
+} from '../public/scripts/lib/images.js';
+import { usesImage } from '../public/scripts/lib/rich-text.js';
+import {
+  DEFAULT_LOCALE,
+  t,
+  getDirection,
+  parseLocalePath,
+  isLocalizedPath,
+  localePath,
+  localeAlternates,
+} from '../public/scripts/lib/i18n.js';
+import { PageError, RETRY_AFTER, itemError, toPageError, errorMessageKey } from '../public/scripts/lib/errors.js';
+
 const CACHE_TTL = 600; // 10 minutes - aggressive caching as recommended
+// API files and pages past their TTL: served while refetched in the background, and when the API is down
+const STALE_WHILE_REVALIDATE = 60;
+const STALE_IF_ERROR = 24 * 60 * 60;
+// Home, tags and tag pages change with every data update, so they and the files they list are kept briefly
+const LISTING_TTL = 60;
+
+// Browsers keep pages briefly and then revalidate with the ETag; shared caches (s-maxage) keep them longer
+const PAGE_CACHE = { maxAge: 60, sMaxAge: CACHE_TTL };
+const LISTING_CACHE = { maxAge: 0, sMaxAge: LISTING_TTL };
+
+const SITE_ORIGIN = 'https://newshelp.org';
+
+// Resized images (/img); a placeholder replaces one that can't be fetched, until the next try
+const IMAGE_CACHE = { maxAge: 7 * 24 * 60 * 60, sMaxAge: 7 * 24 * 60 * 60 };
+const IMAGE_ERROR_CACHE = { maxAge: 5 * 60, sMaxAge: 5 * 60 };
+const IMAGE_TIMEOUT = 10000;
+const IMAGE_REDIRECTS = 3;
+
+// Import map, web app manifest, service worker, follow buttons, reading history and citation previews, as in src/layouts/Base.astro
+const PWA_HEAD = `${importMapTag()}
+  <link rel="manifest" href="/manifest.webmanifest">
+  <link rel="apple-touch-icon" href="/images/icon-192.png">
+  <meta name="theme-color" content="#5479f7">`;
+const PWA_SCRIPT = `<script type="module">
+    import { initOffline } from '/scripts/offline.js';
+    import { initPreferences } from '/scripts/preferences.js';
+    import { initHistory } from '/scripts/history.js';
+    import { initRelativeTimes } from '/scripts/i18n.js';
+    import { initCitationPreviews } from '/scripts/citations.js';
+    initOffline();
+    initPreferences();
+    initHistory();
+    initRelativeTimes();
+    initCitationPreviews();
+  </script>`;
 
 /**
- * Get batch ID from item ID (batch size = 100)
+ * Opening `<html>` tag with the page's language and text direction
  */
-function getBatchId(id) {
-  return Math.floor(id / 100) * 100;
+function htmlTag(locale) {
+  return `<html lang="${locale}" dir="${getDirection(locale)}">`;
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Canonical URL of a page in a locale, and links to its versions in the other locales
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function localeHead(path, locale) {
+  return [
+    `<link rel="canonical" href="${SITE_ORIGIN}${localePath(path, locale)}">`,
+    ...localeAlternates(path, SITE_ORIGIN).map(({ hreflang, href }) => `<link rel="alternate" hreflang="${hreflang}" href="${href}">`),
+  ].join('\n  ');
 }
 
 /**
- * Format date for display
+ * JSON-LD script; `<` is escaped so text in the data can't close the tag
  */
-function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  });
+function structuredDataTag(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
 }
 
 /**
- * Fetch with Cloudflare edge cache
+ * Cache-Control for a page or image: separate browser and shared-cache lifetimes, both served stale while refreshed
  */
-async function fetchWithCache(url, cache) {
-  const cached = await cache.match(url);
-  if (cached) {
-    return cached.json();
+function cacheControl({ maxAge, sMaxAge }) {
+  return `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${STALE_WHILE_REVALIDATE}, stale-if-error=${STALE_IF_ERROR}`;
+}
+
+/**
+ * Strong ETag: a hash of the page's HTML or the image's bytes, so it changes exactly when the bytes do
+ * @param {string | ArrayBuffer} body
+ */
+async function contentETag(body) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest).slice(0, 16)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex}"`;
+}
+
+/**
+ * Newest created_at of some records, in milliseconds
+ */
+function latestDate(records) {
+  return Math.max(...records.map((record) => Date.parse(record.created_at)).filter((time) => !isNaN(time)));
+}
+
+/**
+ * 200 response for a rendered page
+ * `lastModified` is the newest date the page shows (an item's created_at, or meta.generated_at for
+ * listings), as a date string or milliseconds.
+ */
+async function pageResponse(html, { lastModified, cache = PAGE_CACHE } = {}) {
+  const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': cacheControl(cache),
+    'ETag': await contentETag(html),
+    'Vary': 'Accept-Encoding',
+    'X-Robots-Tag': 'index, follow',
+  };
+  const modified = new Date(lastModified);
+  if (!isNaN(modified.getTime())) headers['Last-Modified'] = modified.toUTCString();
+
+  return new Response(html, { status: 200, headers });
+}
+
+/**
+ * Whether the client's cached copy matches a response (RFC 9110 section 13.2.2)
+ * If-None-Match takes precedence; If-Modified-Since is only checked without it.
+ */
+function isNotModified(request, response) {
+  const etag = response.headers.get('ETag');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    // Weak comparison: W/"x" matches "x"
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
   }
 
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(response.headers.get('Last-Modified') || '');
+  return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Answer conditional and HEAD requests from a full response
+ * A current client copy gets a 304 with the validators and cache headers only;
+ * HEAD gets the headers without the body.
+ */
+function conditionalResponse(request, response) {
+  const { method } = request;
+  if (method !== 'GET' && method !== 'HEAD') return response;
+
+  if (response.status === 200 && isNotModified(request, response)) {
+    const headers = new Headers();
+    for (const name of ['Cache-Control', 'ETag', 'Last-Modified', 'Vary']) {
+      if (response.headers.has(name)) headers.set(name, response.headers.get(name));
+    }
+    return new Response(null, { status: 304, headers });
   }
 
-  const data = await response.json();
-  
-  // Cache the response
-  cache.put(url, new Response(JSON.stringify(data), {
-    headers: { 'Content-Type': 'application/json' }
-  }));
+  if (method === 'HEAD' && response.body) {
+    return new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+  return response;
+}
+
+let client;
+let waitUntil;
+
+/**
+ * Get the data client for this isolate, configured from the environment
+ * The client outlives requests (its in-flight fetches are shared between them),
+ * so background refetches are kept alive by whichever request is current.
+ */
+function getClient(context) {
+  const { env } = context;
+  waitUntil = context.waitUntil ? (promise) => context.waitUntil(promise) : undefined;
+
+  if (!client) {
+    client = createDataClient({
+      baseUrl: env.NEWS_API_BASE_URL || undefined,
+      timeout: parseInt(env.NEWS_API_TIMEOUT || '30000'),
+      retries: parseInt(env.NEWS_API_RETRIES || '2'),
+      // Meta and the newest batches feed the listings; older batches rarely change
+      maxAge: (file, meta) => (isLatestFile(file, meta) ? LISTING_TTL : CACHE_TTL) * 1000,
+      staleWhileRevalidate: STALE_WHILE_REVALIDATE * 1000,
+      staleIfError: STALE_IF_ERROR * 1000,
+      waitUntil: (promise) => waitUntil?.(promise),
+      cache: createCacheApiCache(caches.default, { ttl: CACHE_TTL + STALE_IF_ERROR }),
+    });
+  }
+  return client;
+}
+
+let tagSlugMap;
 
-  return data;
+/**
+ * Load the tag slug map published by the build (scripts/generateTagSlugs.js)
+ * It only changes with a deploy, so one copy per isolate is enough. A failed
+ * load isn't kept: the next request tries again.
+ */
+function getTagSlugMap(context) {
+  if (!tagSlugMap) {
+    const loading = context.env.ASSETS.fetch(new URL('/tag-slugs.json', context.request.url))
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((map) => {
+        if (!map && tagSlugMap === loading) tagSlugMap = undefined;
+        return map;
+      });
+    tagSlugMap = loading;
+  }
+  return tagSlugMap;
 }
 
+let stylesheets;
+let pageStylesheets = {};
+
 /**
- * Fetch a raw news item by ID
+ * Load the stylesheets the build emitted for the pages rendered here (stylesheets.json, see astro.config.mjs)
+ * Their names carry a content hash, so only the build knows them. Like the tag
+ * slug map, one copy per isolate is kept and a failed load isn't.
  */
-async function fetchNewsRawById(id, cache) {
-  const batchId = getBatchId(id);
-  const url = `${API_BASE_URL}/news_raw.${batchId}.json`;
-  const batch = await fetchWithCache(url, cache);
-  return batch.find(item => item.id === id);
+function getStylesheets(context) {
+  if (!stylesheets) {
+    const loading = context.env.ASSETS.fetch(new URL('/stylesheets.json', context.request.url))
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((map) => {
+        if (!map && stylesheets === loading) stylesheets = undefined;
+        return map;
+      });
+    stylesheets = loading;
+  }
+  return stylesheets;
 }
 
 /**
- * Fetch a cluster by ID
+ * Stylesheet links for a kind of page: `home`, `tags` or `tag`, or `default` for the others
  */
-async function fetchClusterById(id, cache) {
-  const batchId = getBatchId(id);
-  const url = `${API_BASE_URL}/news_articles.${batchId}.json`;
-  
+function stylesheetLinks(kind = 'default') {
+  return (pageStylesheets[kind] || pageStylesheets.default || [])
+    .map((href) => `<link rel="stylesheet" href="${escapeHtml(href)}">`)
+    .join('\n  ');
+}
+
+/**
+ * Related coverage for a page; a failure only leaves the section out
+ */
+async function fetchRelated(client, target, limits) {
+  try {
+    return await fetchRecommendations(client, target, limits);
+  } catch (error) {
+    console.error('Failed to fetch recommendations:', error);
+    return { story: [], articles: [], clusters: [] };
+  }
+}
+
+/**
+ * Items cited by a text; on failure citations are linked by ID instead
+ */
+async function fetchCitations(client, text) {
   try {
-    const batch = await fetchWithCache(url, cache);
-    return batch.find(item => item.id === id);
-  } catch {
-    // Try base file if batch doesn't exist
-    const baseUrl = `${API_BASE_URL}/news_articles.json`;
-    const base = await fetchWithCache(baseUrl, cache);
-    return base.find(item => item.id === id);
+    return await fetchCitedItems(client, text);
+  } catch (error) {
+    console.error('Failed to fetch cited items:', error);
+    return undefined;
   }
 }
 
 /**
  * Generate article HTML response
+ * Throws a PageError when the article can't be shown.
  */
-async function generateArticle(id, cache) {
-  const item = await fetchNewsRawById(id, cache);
-  
+async function generateArticle(id, client, locale = DEFAULT_LOCALE) {
+  let item;
+  try {
+    item = await client.fetchNewsRawById(id);
+  } catch (error) {
+    throw await itemError(client, 'news_raw', id, error);
+  }
+
   if (!item) {
-    return null;
+    throw await itemError(client, 'news_raw', id);
   }
 
-  // Fetch metadata for SEO
-  const [sources, tags] = await Promise.all([
-    fetchWithCache(`${API_BASE_URL}/news_sources.json`, cache),
-    fetchWithCache(`${API_BASE_URL}/tags.json`, cache)
+  // Fetch metadata for SEO, and related coverage
+  const [sources, tags, related, citedItems] = await Promise.all([
+    client.fetchSources(),
+    client.fetchTags(),
+    fetchRelated(client, articleTarget(item)),
+    fetchCitations(client, item.article),
   ]);
 
-  const source = sources.find(s => s.id === parseInt(item.source));
+  const sourcesMap = new Map(sources.map(s => [s.id, s]));
+  const source = sourcesMap.get(parseInt(item.source));
   const itemTags = tags.filter(tag => item.cats?.includes(tag.id));
 
   // Prepare data for client hydration
@@ -121,20 +354,22 @@ async function generateArticle(id, cache) {
   });
 
   const html = `<!DOCTYPE html>
-<html lang="en">
+${htmlTag(locale)}
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(item.title)} - News Help</title>
+  <title>${escapeHtml(cleanTitle(item.title))} - News Help</title>
   <meta name="description" content="${escapeHtml(item.article?.substring(0, 160) || '')}">
   <meta name="robots" content="index, follow">
+  <meta name="news-api-base-url" content="${escapeHtml(client.baseUrl)}">
+  <meta name="news-image-resizing" content="${isImageResizing() ? 'on' : 'off'}">
   
   <!-- Open Graph -->
   <meta property="og:type" content="article">
   <meta property="og:title" content="${escapeHtml(item.title)}">
   <meta property="og:description" content="${escapeHtml(item.article?.substring(0, 160) || '')}">
   ${item.imgUrl ? `<meta property="og:image" content="${escapeHtml(item.imgUrl)}">` : ''}
-  <meta property="og:url" content="https://newshelp.org/news/${id}">
+  <meta property="og:url" content="${SITE_ORIGIN}${localePath(`/news/${id}`, locale)}">
   
   <!-- Twitter Card -->
   <meta name="twitter:card" content="summary_large_image">
@@ -142,8 +377,8 @@ async function generateArticle(id, cache) {
   <meta name="twitter:description" content="${escapeHtml(item.article?.substring(0, 160) || '')}">
   ${item.imgUrl ? `<meta name="twitter:image" content="${escapeHtml(item.imgUrl)}">` : ''}
   
-  <!-- Canonical -->
-  <link rel="canonical" href="https://newshelp.org/news/${id}">
+  <!-- Canonical and language versions -->
+  ${localeHead(`/news/${id}`, locale)}
   
   <!-- JSON-LD Structured Data -->
   <script type="application/ld+json">${JSON.stringify({
@@ -153,90 +388,59 @@ async function generateArticle(id, cache) {
     image: item.imgUrl,
     datePublished: item.created_at,
     description: item.article?.substring(0, 160) || '',
-    url: `https://newshelp.org/news/${id}`,
+    url: `${SITE_ORIGIN}${localePath(`/news/${id}`, locale)}`,
     publisher: {
       '@type': 'Organization',
       name: source?.title || 'News Help'
     }
   })}</script>
   
-  <link rel="stylesheet" href="/_astro/index.css">
+  ${PWA_HEAD}
+  ${stylesheetLinks()}
   <script type="module" src="/scripts/main.js"></script>
 </head>
 <body>
   <main id="app">
-    <article class="article-full">
-      <header class="article-full__header">
-        <span class="article-full__source">${escapeHtml(source?.title || 'Unknown')}</span>
-        <h1 class="article-full__title">${escapeHtml(item.title)}</h1>
-        <time class="article-full__date" datetime="${item.created_at}">
-          ${formatDate(item.created_at)}
-        </time>
-        ${itemTags.length > 0 ? `
-          <div class="article-full__tags">
-            ${itemTags.map(tag => `<span class="tag">${escapeHtml(tag.tag)}</span>`).join('')}
-          </div>
-        ` : ''}
-      </header>
-      ${item.imgUrl ? `
-        <div class="article-full__image">
-          <img src="${escapeHtml(item.imgUrl)}" alt="${escapeHtml(item.title)}" loading="lazy">
-        </div>
-      ` : ''}
-      <div class="article-full__content">
-        ${escapeHtml(item.article)}
-      </div>
-      <footer class="article-full__footer">
-        <p>
-          Originally published by ${source?.link ? 
-            `<a href="${escapeHtml(source.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(source.title)}</a>` :
-            escapeHtml(source?.title || 'Unknown')
-          }
-        </p>
-      </footer>
-    </article>
+    ${articleTemplate({ item, sourcesMap, tags: itemTags, citedItems, locale })}
+    ${relatedTemplate({ ...related, sourcesMap, locale })}
   </main>
   <script>
     // Server-rendered data for client hydration
     window.__DATA__ = ${clientData};
     window.__SERVER_RENDERED__ = true;
   </script>
+  ${PWA_SCRIPT}
 </body>
 </html>`;
 
-  return new Response(html, {
-    status: 200,
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': `public, max-age=${CACHE_TTL}`,
-      'X-Robots-Tag': 'index, follow'
-    }
-  });
+  return pageResponse(html, { lastModified: item.created_at });
 }
 
 /**
  * Generate cluster HTML response
+ * Throws a PageError when the cluster can't be shown.
  */
-async function generateCluster(id, cache) {
-  const cluster = await fetchClusterById(id, cache);
-  
-  if (!cluster) {
-    return null;
+async function generateCluster(id, client, locale = DEFAULT_LOCALE) {
+  let cluster;
+  try {
+    cluster = await client.fetchClusterById(id);
+  } catch (error) {
+    throw await itemError(client, 'news_articles', id, error);
   }
 
-  // Fetch sources and tags
-  const [sources, tags] = await Promise.all([
-    fetchWithCache(`${API_BASE_URL}/news_sources.json`, cache),
-    fetchWithCache(`${API_BASE_URL}/tags.json`, cache)
-  ]);
-
-  // Fetch raw articles (limit to 10 for performance)
-  const rawItems = [];
-  for (const articleId of cluster.articles.slice(0, 10)) {
-    const item = await fetchNewsRawById(articleId, cache);
-    if (item) rawItems.push(item);
+  if (!cluster) {
+    throw await itemError(client, 'news_articles', id);
   }
 
+  // Fetch the cluster's items, sources, tags and related coverage
+  const [rawItems, sources, tags, related, citedItems] = await Promise.all([
+    client.fetchNewsRawByIds(cluster.articles),
+    client.fetchSources(),
+    client.fetchTags(),
+    fetchRelated(client, clusterTarget(cluster), { story: 0 }),
+    fetchCitations(client, cluster.short_desc),
+  ]);
+  const sourcesMap = new Map(sources.map(s => [s.id, s]));
   const clusterTags = tags.filter(tag => cluster.cats?.includes(tag.id));
 
   // Prepare data for client hydration
@@ -250,27 +454,29 @@ async function generateCluster(id, cache) {
   });
 
   const html = `<!DOCTYPE html>
-<html lang="en">
+${htmlTag(locale)}
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(cluster.title)} - News Cluster - News Help</title>
+  <title>${escapeHtml(cleanTitle(cluster.title))} - News Cluster - News Help</title>
   <meta name="description" content="${escapeHtml(cluster.short_desc?.substring(0, 160) || '')}">
   <meta name="robots" content="index, follow">
+  <meta name="news-api-base-url" content="${escapeHtml(client.baseUrl)}">
+  <meta name="news-image-resizing" content="${isImageResizing() ? 'on' : 'off'}">
   
   <!-- Open Graph -->
   <meta property="og:type" content="article">
   <meta property="og:title" content="${escapeHtml(cluster.title)}">
   <meta property="og:description" content="${escapeHtml(cluster.short_desc?.substring(0, 160) || '')}">
-  <meta property="og:url" content="https://newshelp.org/articles/${id}">
+  <meta property="og:url" content="${SITE_ORIGIN}${localePath(`/articles/${id}`, locale)}">
   
   <!-- Twitter Card -->
   <meta name="twitter:card" content="summary">
   <meta name="twitter:title" content="${escapeHtml(cluster.title)}">
   <meta name="twitter:description" content="${escapeHtml(cluster.short_desc?.substring(0, 160) || '')}">
   
-  <!-- Canonical -->
-  <link rel="canonical" href="https://newshelp.org/articles/${id}">
+  <!-- Canonical and language versions -->
+  ${localeHead(`/articles/${id}`, locale)}
   
   <!-- JSON-LD Structured Data -->
   <script type="application/ld+json">${JSON.stringify({
@@ -279,111 +485,494 @@ async function generateCluster(id, cache) {
     headline: cluster.title,
     description: cluster.short_desc?.substring(0, 160) || '',
     datePublished: cluster.created_at,
-    url: `https://newshelp.org/articles/${id}`,
+    url: `${SITE_ORIGIN}${localePath(`/articles/${id}`, locale)}`,
     publisher: {
       '@type': 'Organization',
       name: 'News Help'
     }
   })}</script>
   
-  <link rel="stylesheet" href="/_astro/index.css">
+  ${PWA_HEAD}
+  ${stylesheetLinks()}
   <script type="module" src="/scripts/main.js"></script>
 </head>
 <body>
   <main id="app">
-    <article class="cluster-full">
-      <header class="cluster-full__header">
-        <h1 class="cluster-full__title">${escapeHtml(cluster.title)}</h1>
-        ${cluster.short_desc ? `<p class="cluster-full__description">${escapeHtml(cluster.short_desc)}</p>` : ''}
-        <time class="cluster-full__date" datetime="${cluster.created_at}">
-          ${formatDate(cluster.created_at)}
-        </time>
-        <div class="cluster-full__meta">
-          <span class="cluster-full__count">${cluster.articles.length} articles in this cluster</span>
-        </div>
-        ${clusterTags.length > 0 ? `
-          <div class="cluster-full__tags">
-            ${clusterTags.map(tag => `<span class="tag">${escapeHtml(tag.tag)}</span>`).join('')}
-          </div>
-        ` : ''}
-      </header>
-      <div class="cluster-full__articles">
-        <h2 class="cluster-full__section-title">Articles in this Cluster</h2>
-        <div class="cluster-full__list">
-          ${rawItems.map(item => `
-            <a href="/news/${item.id}" class="cluster-article-card">
-              ${item.imgUrl ? `
-                <div class="cluster-article-card__image">
-                  <img src="${escapeHtml(item.imgUrl)}" alt="${escapeHtml(item.title)}" loading="lazy">
-                </div>
-              ` : ''}
-              <div class="cluster-article-card__content">
-                <span class="cluster-article-card__source">${escapeHtml(sources.find(s => s.id === parseInt(item.source))?.title || 'Unknown')}</span>
-                <h3 class="cluster-article-card__title">${escapeHtml(item.title)}</h3>
-                <time class="cluster-article-card__date" datetime="${item.created_at}">
-                  ${formatDate(item.created_at)}
-                </time>
-              </div>
-            </a>
-          `).join('')}
-        </div>
-      </div>
-      <footer class="cluster-full__footer">
-        <a href="/">← Back to Home</a>
-      </footer>
-    </article>
+    ${clusterTemplate({ cluster, items: rawItems, sourcesMap, tags: clusterTags, citedItems, locale })}
+    ${relatedTemplate({ ...related, sourcesMap, locale })}
   </main>
   <script>
     // Server-rendered data for client hydration
     window.__DATA__ = ${clientData};
     window.__SERVER_RENDERED__ = true;
   </script>
+  ${PWA_SCRIPT}
 </body>
 </html>`;
 
-  return new Response(html, {
-    status: 200,
+  return pageResponse(html, { lastModified: latestDate([cluster, ...rawItems]) });
+}
+
+/**
+ * Wrap a listing body in a full HTML document
+ * `styles` is the kind of page whose stylesheets it links (stylesheetLinks).
+ */
+function renderListingPage({ title, description, path, body, head = '', styles, locale = DEFAULT_LOCALE, robots = 'index, follow' }, client) {
+  return `<!DOCTYPE html>
+${htmlTag(locale)}
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - News Help</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="robots" content="${robots}">
+  <meta name="news-api-base-url" content="${escapeHtml(client.baseUrl)}">
+  <meta name="news-image-resizing" content="${isImageResizing() ? 'on' : 'off'}">
+  ${localeHead(path, locale)}
+  ${head}
+  ${PWA_HEAD}
+  ${stylesheetLinks(styles)}
+</head>
+<body>
+  <main id="app">
+    ${body}
+  </main>
+  ${PWA_SCRIPT}
+</body>
+</html>`;
+}
+
+/**
+ * Generate an archive page or day listing HTML response
+ * Only pages outside the pre-rendered range reach the function; pages past the
+ * end of the archive throw a 404 PageError.
+ */
+async function generateArchive({ page, day }, client, locale = DEFAULT_LOCALE) {
+  const [meta, sources] = await Promise.all([client.fetchMeta(), client.fetchSources()]);
+  const sourcesMap = new Map(sources.map(s => [s.id, s]));
+
+  let title, path, view, head = '';
+  if (day) {
+    const result = await fetchArchiveDay(client, meta, day);
+    if (!result) throw new PageError(404, `No archive for ${day}`);
+    view = describeArchiveDay(result, locale);
+    title = view.heading;
+    path = archiveDayPath(day);
+  } else {
+    const result = await fetchArchivePage(client, meta, page);
+    if (!result) throw new PageError(404, `No archive page ${page}`);
+    view = describeArchivePage(result, meta, locale);
+    title = view.heading;
+    path = archivePagePath(page);
+    head = [
+      view.newer && `<link rel="prev" href="${view.newer.href}">`,
+      view.older && `<link rel="next" href="${view.older.href}">`,
+    ].filter(Boolean).join('\n  ');
+  }
+
+  const html = renderListingPage({
+    title,
+    description: view.description,
+    path,
+    head,
+    locale,
+    body: archiveTemplate({ ...view, sourcesMap, locale }),
+  }, client);
+
+  return pageResponse(html, { lastModified: meta.generated_at });
+}
+
+/**
+ * Error page response for a PageError: 404, 410, or 503 with Retry-After
+ * Missing and removed pages may be cached like any page; failures are not.
+ */
+function generateError(error, path, locale, client) {
+  const key = errorMessageKey(error.status);
+  const html = renderListingPage({
+    title: t(locale, `${key}.title`),
+    description: t(locale, `${key}.message`),
+    path,
+    locale,
+    robots: 'noindex, follow',
+    body: errorTemplate({ status: error.status, locale }),
+  }, client);
+
+  const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'X-Robots-Tag': 'noindex, follow',
+  };
+  if (error.status === 503) {
+    headers['Cache-Control'] = 'no-store';
+    headers['Retry-After'] = String(RETRY_AFTER);
+  } else {
+    headers['Cache-Control'] = `public, max-age=${CACHE_TTL}`;
+  }
+
+  return new Response(html, { status: error.status, headers });
+}
+
+let trending;
+
+/**
+ * Trending data for the current meta.generated_at
+ * The files behind it come from the edge cache; the computed result is kept
+ * per isolate until a new build of the data is published.
+ */
+async function getTrending(client, env) {
+  const meta = await client.fetchMeta();
+  if (trending?.generatedAt !== meta.generated_at) {
+    trending = {
+      generatedAt: meta.generated_at,
+      promise: fetchTrending(client, { maxBatches: parseInt(env.NEWS_TRENDING_BATCHES || '20') }),
+    };
+    trending.promise.catch(() => {
+      trending = undefined;
+    });
+  }
+  return trending.promise;
+}
+
+/**
+ * Generate the trending page HTML response
+ */
+async function generateTrending(client, env, locale = DEFAULT_LOCALE) {
+  const trending = await getTrending(client, env);
+  const html = renderListingPage({
+    title: t(locale, 'trending.title'),
+    description: t(locale, 'trending.summary'),
+    path: '/trending',
+    locale,
+    body: trendingTemplate({ trending, locale }),
+  }, client);
+
+  return pageResponse(html, { lastModified: trending.generatedAt });
+}
+
+/**
+ * Generate the home page HTML response
+ * Without trending data the page lists categories instead, as in quiet periods.
+ */
+async function generateHome(client, env, locale = DEFAULT_LOCALE) {
+  const [page, trending] = await Promise.all([
+    fetchHomePage(client),
+    getTrending(client, env).catch((error) => {
+      console.error('Failed to compute trending:', error);
+      return undefined;
+    }),
+  ]);
+
+  const html = renderListingPage({
+    title: t(locale, 'home.title'),
+    description: t(locale, 'home.subtitle'),
+    path: '/',
+    locale,
+    head: `<meta name="lastmod" content="${escapeHtml(page.meta.generated_at)}">
+  ${structuredDataTag(homeStructuredData(page.meta, SITE_ORIGIN, locale))}`,
+    styles: 'home',
+    body: `${homeTemplate({ page, trending, locale })}
+    <script type="module" src="/scripts/main.js"></script>`,
+  }, client);
+
+  return pageResponse(html, { lastModified: page.meta.generated_at, cache: LISTING_CACHE });
+}
+
+/**
+ * Generate the tags page HTML response
+ */
+async function generateTags(client, locale = DEFAULT_LOCALE) {
+  const [tags, meta] = await Promise.all([client.fetchTags(), client.fetchMeta()]);
+
+  const html = renderListingPage({
+    title: t(locale, 'tags.title'),
+    description: t(locale, 'tags.description'),
+    path: '/tags',
+    locale,
+    head: `<meta name="lastmod" content="${escapeHtml(meta.generated_at)}">
+  ${structuredDataTag(tagsStructuredData(meta, SITE_ORIGIN, locale))}`,
+    styles: 'tags',
+    body: tagsTemplate({ tags, meta, locale }),
+  }, client);
+
+  return pageResponse(html, { lastModified: meta.generated_at, cache: LISTING_CACHE });
+}
+
+/**
+ * Generate a tag page HTML response
+ * Returns null for a slug no current tag has.
+ */
+async function generateTag(slug, client, locale = DEFAULT_LOCALE) {
+  const tags = await client.fetchTags();
+  const tag = tags.find((entry) => entry.slug === slug);
+  if (!tag) return null;
+
+  const page = await fetchTagPage(client, tag, buildTaxonomy(tags), locale);
+  const html = renderListingPage({
+    title: tag.tag,
+    description: page.summary,
+    path: tagPath(tag),
+    locale,
+    head: `<meta name="lastmod" content="${escapeHtml(page.meta.generated_at)}">
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(`News Help - ${tag.tag} (RSS)`)}" href="${tagPath(tag)}/rss.xml">
+  ${structuredDataTag(tagStructuredData(page, SITE_ORIGIN, locale))}`,
+    styles: 'tag',
+    body: tagTemplate({ page, locale }),
+  }, client);
+
+  return pageResponse(html, { lastModified: page.meta.generated_at, cache: LISTING_CACHE });
+}
+
+/**
+ * Grey 16:9 frame served when an image can't be fetched or isn't an image
+ */
+async function placeholderImage({ width, height = imageHeight(width) }) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="100%" height="100%" fill="#888" fill-opacity="0.15"/></svg>`;
+  return new Response(svg, {
+    headers: {
+      'Content-Type': 'image/svg+xml',
+      'Cache-Control': cacheControl(IMAGE_ERROR_CACHE),
+      'ETag': await contentETag(svg),
+    }
+  });
+}
+
+/**
+ * Fetch an image, following redirects only to hosts /img may fetch
+ * @param {string} src
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+async function fetchImage(src, init) {
+  let target = new URL(src);
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(target, { ...init, redirect: 'manual' });
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    target = new URL(location, target);
+    if (redirects === IMAGE_REDIRECTS || !isPublicImageUrl(target)) {
+      throw new Error(`Refused redirect to ${target.href}`);
+    }
+  }
+}
+
+/**
+ * Serve a publisher image resized, cropped and re-encoded (public/scripts/lib/images.js)
+ * Only images the named item or cluster uses are fetched, so the route can't
+ * be used to reach arbitrary URLs. Resizing uses Cloudflare Images
+ * (`cf.image`); where it isn't available, as in local development, the
+ * original image is passed through. Results are kept in the edge cache per
+ * format, since the Cache API ignores `Vary: Accept`.
+ */
+async function serveImage(context, url) {
+  const image = parseImageRequest(url);
+  if (!image) {
+    return new Response('Invalid image request', { status: 400, headers: { 'Content-Type': 'text/plain' } });
+  }
+
+  const format = negotiateImageFormat(context.request.headers.get('Accept'));
+  const ref = `${image.ref.kind}:${image.ref.id}`;
+  const cacheKey = new Request(`${url.origin}${IMAGE_ROUTE}?${new URLSearchParams({
+    url: image.src,
+    ref,
+    w: String(image.width),
+    fit: image.crop ? 'cover' : 'scale-down',
+    format: format || 'original',
+  })}`);
+  const cached = await caches.default.match(cacheKey);
+  if (cached) return cached;
+
+  let record;
+  try {
+    const client = getClient(context);
+    record = image.ref.kind === 'article' ? await client.fetchNewsRawById(image.ref.id) : await client.fetchClusterById(image.ref.id);
+  } catch (error) {
+    console.error(`Failed to load ${ref} for image ${image.src}:`, error);
+    return placeholderImage(image);
+  }
+  if (!record || !usesImage(record, image.src)) {
+    return new Response(`Image not used by ${ref}`, { status: 403, headers: { 'Content-Type': 'text/plain' } });
+  }
+
+  let upstream;
+  try {
+    // Only the image URL reaches the publisher: no cookies, referrer or reader IP
+    upstream = await fetchImage(image.src, {
+      headers: { Accept: 'image/avif,image/webp,image/*' },
+      signal: AbortSignal.timeout(IMAGE_TIMEOUT),
+      cf: {
+        image: {
+          width: image.width,
+          ...(image.crop && { height: image.height }),
+          fit: image.crop ? 'cover' : 'scale-down',
+          format,
+          quality: image.placeholder ? 30 : 80,
+          ...(image.placeholder && { blur: 10 }),
+          metadata: 'none',
+        },
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to fetch image ${image.src}:`, error);
+    return placeholderImage(image);
+  }
+
+  // SVG can carry scripts, and this is the site's origin
+  const type = upstream.headers.get('Content-Type') || '';
+  if (!upstream.ok || !type.startsWith('image/') || type.includes('svg')) {
+    console.error(`Failed to fetch image ${image.src}: ${upstream.status} ${type}`);
+    return placeholderImage(image);
+  }
+
+  // Read in full for the ETag, which the edge cache keeps with the image for revalidation
+  const body = await upstream.arrayBuffer();
+  const response = new Response(body, {
     headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': `public, max-age=${CACHE_TTL}`,
-      'X-Robots-Tag': 'index, follow'
+      'Content-Type': type,
+      'Cache-Control': cacheControl(IMAGE_CACHE),
+      'ETag': await contentETag(body),
+      'Vary': 'Accept',
+      'X-Content-Type-Options': 'nosniff',
     }
   });
+  context.waitUntil?.(caches.default.put(cacheKey, response.clone()));
+  return response;
 }
 
 /**
  * Main request handler
+ * Pages are always rendered in full; conditional and HEAD requests are then answered from the result.
  */
 export async function onRequest(context) {
+  setImageResizing(context.env.IMAGE_RESIZING !== 'false');
+  return conditionalResponse(context.request, await routeRequest(context));
+}
+
+/**
+ * Render the page or image a request is for, or pass it on to the static assets
+ */
+async function routeRequest(context) {
   const url = new URL(context.request.url);
-  const path = url.pathname;
+
+  if (url.pathname === IMAGE_ROUTE) return serveImage(context, url);
+
+  // Other locales are served under a prefix (/tr/news/{id}); only some pages have them
+  const { locale, path, prefixed } = parseLocalePath(url.pathname);
+
+  if (prefixed && !isLocalizedPath(path.replace(/(.)\/$/, '$1'))) {
+    const target = new URL(path, url);
+    target.search = url.search;
+    return Response.redirect(target.toString(), 302);
+  }
 
   // Match /news/{id} or /articles/{id}
   const newsMatch = path.match(/^\/news\/(\d+)$/);
   const articlesMatch = path.match(/^\/articles\/(\d+)$/);
 
-  const cache = caches.default;
+  const client = getClient(context);
+  pageStylesheets = (await getStylesheets(context)) || {};
 
   if (newsMatch) {
     const id = parseInt(newsMatch[1]);
     try {
-      const response = await generateArticle(id, cache);
-      if (response) return response;
+      return await generateArticle(id, client, locale);
     } catch (error) {
       console.error('Failed to generate article:', error);
+      return generateError(toPageError(error), path, locale, client);
     }
-    // Fall through to 404
   }
 
   if (articlesMatch) {
     const id = parseInt(articlesMatch[1]);
     try {
-      const response = await generateCluster(id, cache);
-      if (response) return response;
+      return await generateCluster(id, client, locale);
     } catch (error) {
       console.error('Failed to generate cluster:', error);
+      return generateError(toPageError(error), path, locale, client);
+    }
+  }
+
+  // Archive pages outside the pre-rendered range
+  const archivePageMatch = path.match(/^\/archive(?:\/page\/(\d+))?\/?$/);
+  const archiveDayMatch = path.match(/^\/archive\/(\d{4})\/(\d{2})\/(\d{2})\/?$/);
+
+  if (archivePageMatch || archiveDayMatch) {
+    const target = archiveDayMatch
+      ? { day: parseArchiveDay(archiveDayMatch[1], archiveDayMatch[2], archiveDayMatch[3]) }
+      : { page: parseInt(archivePageMatch[1] || '1') };
+    try {
+      if (!target.page && !target.day) throw new PageError(404, `Invalid archive path ${path}`);
+      return await generateArchive(target, client, locale);
+    } catch (error) {
+      console.error('Failed to generate archive page:', error);
+      return generateError(toPageError(error), path, locale, client);
+    }
+  }
+
+  // Trending moves faster than builds; the pre-rendered page is the fallback
+  if (/^\/trending\/?$/.test(path)) {
+    try {
+      return await generateTrending(client, context.env, locale);
+    } catch (error) {
+      console.error('Failed to generate trending page:', error);
+      // Only the English page is pre-rendered
+      if (prefixed) return generateError(toPageError(error), path, locale, client);
+    }
+  }
+
+  // The home and tags pages follow the data between builds; the pre-rendered English pages are the fallback
+  if (path === '/' || /^\/tags\/?$/.test(path)) {
+    try {
+      return path === '/' ? await generateHome(client, context.env, locale) : await generateTags(client, locale);
+    } catch (error) {
+      console.error('Failed to generate listing page:', error);
+      if (prefixed) return generateError(toPageError(error), path, locale, client);
+    }
+  }
+
+  // Source pages are pre-rendered at /source/{id}-{slug}; redirect bare IDs and slugs there
+  const sourceMatch = path.match(/^\/source\/([^/]+?)\/?$/);
+
+  if (sourceMatch) {
+    try {
+      const source = findSourceByParam(await client.fetchSources(), decodeURIComponent(sourceMatch[1]));
+      if (source && sourcePath(source) !== `/source/${sourceMatch[1]}`) {
+        return Response.redirect(new URL(sourcePath(source), url).toString(), 301);
+      }
+    } catch (error) {
+      console.error('Failed to resolve source:', error);
+    }
+  }
+
+  // Tag pages are pre-rendered under their current slug; redirect slugs retired by renames,
+  // and render the page itself (not its feeds) from live data, which also covers tags added since the build
+  const tagMatch = path.match(/^\/tag\/([^/]+)(\/.*)?$/);
+
+  if (tagMatch) {
+    let slug;
+    try {
+      const map = await getTagSlugMap(context);
+      slug = decodeURIComponent(tagMatch[1]);
+      const current = map && resolveTagSlug(map, slug);
+      if (current && current !== slug) {
+        const target = new URL(localePath(`/tag/${encodeURIComponent(current)}`, locale) + (tagMatch[2] || ''), url);
+        target.search = url.search;
+        return Response.redirect(target.toString(), 301);
+      }
+    } catch (error) {
+      console.error('Failed to resolve tag slug:', error);
+    }
+
+    if (slug && (!tagMatch[2] || tagMatch[2] === '/')) {
+      try {
+        const response = await generateTag(slug, client, locale);
+        if (response) return response;
+        // Only English tag pages are pre-rendered
+        if (prefixed) return generateError(new PageError(404, `Unknown tag ${slug}`), path, locale, client);
+      } catch (error) {
+        console.error('Failed to generate tag page:', error);
+        if (prefixed) return generateError(toPageError(error), path, locale, client);
+      }
     }
-    // Fall through to 404
   }
 
   // Not a news route, fall through to static
@@ -0,0 +1,139 @@
+/**
+ * Preview cards for references ([1], [1234]) to other articles
+ *
+ * Hovering or focusing a reference shows the cited article's source, date,
+ * title and opening lines. The data client and templates are only loaded the
+ * first time a preview is needed, so pages without references don't pay for them.
+ */
+
+import { t } from './lib/i18n.js';
+import { getPageLocale } from './i18n.js';
+
+const SHOW_DELAY = 250;
+const PREVIEW_ID = 'citation-preview';
+
+let initialized = false;
+let card = null;
+let activeRef = null;
+let showTimer;
+
+// Preview HTML by item ID; empty when the item can't be loaded
+const previews = new Map();
+
+/**
+ * @param {EventTarget | null} target
+ * @returns {HTMLAnchorElement | null}
+ */
+function findRef(target) {
+  return target instanceof Element ? target.closest('a.article-ref[data-ref]') : null;
+}
+
+/**
+ * Show previews for every reference on the page, including ones rendered later
+ */
+export function initCitationPreviews() {
+  if (initialized) return;
+  initialized = true;
+
+  document.addEventListener('mouseover', (event) => {
+    const ref = findRef(event.target);
+    if (ref && ref !== activeRef) schedule(ref, SHOW_DELAY);
+  });
+  document.addEventListener('mouseout', (event) => {
+    const ref = findRef(event.target);
+    if (ref && findRef(event.relatedTarget) !== ref) hide();
+  });
+  document.addEventListener('focusin', (event) => {
+    const ref = findRef(event.target);
+    if (ref) schedule(ref, 0);
+  });
+  document.addEventListener('focusout', (event) => {
+    if (findRef(event.target)) hide();
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') hide();
+  });
+}
+
+/**
+ * @param {HTMLAnchorElement} ref
+ * @param {number} delay
+ */
+function schedule(ref, delay) {
+  clearTimeout(showTimer);
+  showTimer = setTimeout(() => show(ref), delay);
+}
+
+/**
+ * Preview HTML for an item, loaded once
+ * @param {number} id
+ * @returns {Promise<string>}
+ */
+function loadPreview(id) {
+  if (!previews.has(id)) {
+    const preview = Promise.all([import('./client-api.js'), import('./lib/templates.js')])
+      .then(async ([{ fetchNewsRawById, fetchSources }, { citationPreviewTemplate }]) => {
+        const [item, sources] = await Promise.all([fetchNewsRawById(id), fetchSources()]);
+        if (!item) return '';
+        const source = sources.find((entry) => entry.id === parseInt(item.source));
+        return citationPreviewTemplate(item, source, getPageLocale());
+      })
+      .catch((error) => {
+        console.warn(`Failed to load preview for ${id}:`, error);
+        return '';
+      });
+    previews.set(id, preview);
+  }
+  return previews.get(id);
+}
+
+/**
+ * @param {HTMLAnchorElement} ref
+ */
+async function show(ref) {
+  const id = parseInt(ref.dataset.ref);
+  activeRef = ref;
+
+  if (!card) {
+    card = document.createElement('div');
+    card.id = PREVIEW_ID;
+    card.className = 'citation-preview';
+    card.setAttribute('role', 'tooltip');
+    document.body.append(card);
+  }
+
+  card.innerHTML = `<span class="citation-preview__meta">${t(getPageLocale(), 'citations.loading')}</span>`;
+  card.hidden = false;
+  ref.setAttribute('aria-describedby', PREVIEW_ID);
+  position(ref);
+
+  const html = await loadPreview(id);
+  if (activeRef !== ref) return;
+  if (!html) {
+    hide();
+    return;
+  }
+  card.innerHTML = html;
+  position(ref);
+}
+
+function hide() {
+  clearTimeout(showTimer);
+  activeRef?.removeAttribute('aria-describedby');
+  activeRef = null;
+  if (card) card.hidden = true;
+}
+
+/**
+ * Place the card below the reference, inside the viewport
+ * @param {HTMLElement} ref
+ */
+function position(ref) {
+  const rect = ref.getBoundingClientRect();
+  const margin = 8;
+  const left = Math.min(Math.max(rect.left, margin), window.innerWidth - card.offsetWidth - margin);
+  const below = rect.bottom + margin + card.offsetHeight <= window.innerHeight;
+
+  card.style.left = `${Math.max(left, margin) + window.scrollX}px`;
+  card.style.top = `${(below ? rect.bottom + margin : rect.top - card.offsetHeight - margin) + window.scrollY}px`;
+}
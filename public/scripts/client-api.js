@@ -1,17 +1,72 @@
-const API_BASE_URL = 'https://api.newshelp.org';
+import {
+  createDataClient,
+  createMemoryCache,
+  createIndexedDbCache,
+  isLatestFile,
+  DEFAULT_BASE_URL,
+} from './lib/data-client.js';
+import { setImageResizing } from './lib/images.js';
+import { fetchRecommendations } from './lib/recommend.js';
+import { fetchPersonalFeed as fetchSharedPersonalFeed } from './lib/preferences.js';
+import { fetchCitedItems as fetchSharedCitedItems } from './lib/citations.js';
+
+/**
+ * API base URL, published by the page in <meta name="news-api-base-url">
+ */
+function getBaseUrl() {
+  const meta = document.querySelector('meta[name="news-api-base-url"]');
+  return meta?.getAttribute('content') || DEFAULT_BASE_URL;
+}
+
+// Rendered here, images follow the page's setting (<meta name="news-image-resizing">, lib/images.js)
+setImageResizing(document.querySelector('meta[name="news-image-resizing"]')?.getAttribute('content') !== 'off');
+
+// Files are refetched after these ages; until then, and while the API can't be reached, the stored copy is used
+const LATEST_MAX_AGE = 60 * 1000;
+const MAX_AGE = 10 * 60 * 1000;
+const STALE_IF_ERROR = 7 * 24 * 60 * 60 * 1000;
+// Files kept, the least recently stored dropped first; past the stale window they're dropped anyway
+const MAX_ENTRIES = 200;
+const CACHE_TTL = (MAX_AGE + STALE_IF_ERROR) / 1000;
+
+/**
+ * API files kept in IndexedDB across visits, or in memory for this page when
+ * IndexedDB is missing or can't be opened (some private windows)
+ * @returns {import('./lib/data-client.js').CacheBackend}
+ */
+function createBrowserCache() {
+  const memory = createMemoryCache({ maxEntries: MAX_ENTRIES });
+  if (typeof indexedDB === 'undefined') return memory;
+
+  let backend = createIndexedDbCache({ maxEntries: MAX_ENTRIES, ttl: CACHE_TTL });
+  const withFallback = (operation) => async (...args) => {
+    try {
+      return await backend[operation](...args);
+    } catch (error) {
+      if (backend === memory) throw error;
+      console.warn('[API Cache] IndexedDB unavailable, caching in memory:', error);
+      backend = memory;
+      return backend[operation](...args);
+    }
+  };
+
+  return { get: withFallback('get'), set: withFallback('set'), delete: withFallback('delete') };
+}
+
+export const client = createDataClient({
+  baseUrl: getBaseUrl(),
+  timeout: 15000,
+  cache: createBrowserCache(),
+  maxAge: (file, meta) => (isLatestFile(file, meta) ? LATEST_MAX_AGE : MAX_AGE),
+  staleIfError: STALE_IF_ERROR,
+});
 
 /**
  * Fetch a single news raw item by ID
  */
 export async function fetchNewsRawById(id) {
-  const batchId = Math.floor(id / 100) * 100;
-
   try {
-    const response = await fetch(`${API_BASE_URL}/news_raw.${batchId}.json`);
-    if (!response.ok) return null;
-
-    const batch = await response.json();
-    return batch.find((item) => item.id === id) || null;
+    return (await client.fetchNewsRawById(id)) || null;
   } catch (error) {
     console.error(`Failed to fetch article ${id}:`, error);
     return null;
@@ -22,14 +77,8 @@ export async function fetchNewsRawById(id) {
  * Fetch a single cluster article by ID
  */
 export async function fetchClusterById(id) {
-  const batchId = Math.floor(id / 100) * 100;
-
   try {
-    const response = await fetch(`${API_BASE_URL}/news_articles.${batchId}.json`);
-    if (!response.ok) return null;
-
-    const batch = await response.json();
-    return batch.find((item) => item.id === id) || null;
+    return (await client.fetchClusterById(id)) || null;
   } catch (error) {
     console.error(`Failed to fetch cluster ${id}:`, error);
     return null;
@@ -40,36 +89,7 @@ export async function fetchClusterById(id) {
  * Fetch raw news items by IDs
  */
 export async function fetchNewsRawByIds(ids) {
-  if (ids.length === 0) return [];
-
-  // Group by batch
-  const batchGroups = new Map();
-  for (const id of ids) {
-    const batchId = Math.floor(id / 100) * 100;
-    if (!batchGroups.has(batchId)) {
-      batchGroups.set(batchId, []);
-    }
-    batchGroups.get(batchId).push(id);
-  }
-
-  // Fetch each batch
-  const results = [];
-  for (const [batchId, idsInBatch] of batchGroups) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/news_raw.${batchId}.json`);
-      if (!response.ok) continue;
-
-      const batch = await response.json();
-      const items = batch.filter((item) => idsInBatch.includes(item.id));
-      results.push(...items);
-    } catch (error) {
-      console.error(`Failed to fetch batch ${batchId}:`, error);
-    }
-  }
-
-  // Sort by original ID order
-  const idOrder = new Map(ids.map((id, index) => [id, index]));
-  return results.sort((a, b) => (idOrder.get(a.id) || 0) - (idOrder.get(b.id) || 0));
+  return client.fetchNewsRawByIds(ids);
 }
 
 /**
@@ -77,10 +97,7 @@ export async function fetchNewsRawByIds(ids) {
  */
 export async function fetchBatch(batchId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/news_raw.${batchId}.json`);
-    if (!response.ok) return [];
-
-    return await response.json();
+    return await client.fetchNewsRawBatch(batchId);
   } catch (error) {
     console.error(`Failed to fetch batch ${batchId}:`, error);
     return [];
@@ -92,22 +109,70 @@ export async function fetchBatch(batchId) {
  */
 export async function fetchNewsByTag(tagId, limit = 20) {
   try {
-    const response = await fetch(`${API_BASE_URL}/tag_articles.json`);
-    if (!response.ok) return [];
+    return await client.fetchNewsByTag(tagId, limit);
+  } catch (error) {
+    console.error(`Failed to fetch news for tag ${tagId}:`, error);
+    return [];
+  }
+}
 
-    const tagArticles = await response.json();
-    const tagMapping = tagArticles.find((t) => t.tag_id === tagId);
+/**
+ * Fetch all news sources
+ */
+export async function fetchSources() {
+  try {
+    return await client.fetchSources();
+  } catch (error) {
+    console.error('Failed to fetch sources:', error);
+    return [];
+  }
+}
 
-    if (!tagMapping) return [];
+/**
+ * Fetch all tags
+ */
+export async function fetchTags() {
+  try {
+    return await client.fetchTags();
+  } catch (error) {
+    console.error('Failed to fetch tags:', error);
+    return [];
+  }
+}
 
-    const articleIds = tagMapping.articles.slice(0, limit);
+/**
+ * Fetch related coverage for an article or cluster
+ */
+export async function fetchRelated(target, limits) {
+  try {
+    return await fetchRecommendations(client, target, limits);
+  } catch (error) {
+    console.error('Failed to fetch recommendations:', error);
+    return { story: [], articles: [], clusters: [] };
+  }
+}
 
-    // Fetch all items
-    const items = await Promise.all(articleIds.map((id) => fetchNewsRawById(id)));
+/**
+ * Fetch the items cited by an article body or cluster summary
+ * Undefined on failure, so citations are linked by ID instead.
+ */
+export async function fetchCitedItems(text) {
+  try {
+    return await fetchSharedCitedItems(client, text);
+  } catch (error) {
+    console.error('Failed to fetch cited items:', error);
+    return undefined;
+  }
+}
 
-    return items.filter(Boolean);
+/**
+ * Fetch the "My News" feed for the reader's preferences
+ */
+export async function fetchPersonalFeed(preferences) {
+  try {
+    return await fetchSharedPersonalFeed(client, preferences);
   } catch (error) {
-    console.error(`Failed to fetch news for tag ${tagId}:`, error);
-    return [];
+    console.error('Failed to fetch personal feed:', error);
+    return { items: [], clusters: [] };
   }
 }
@@ -0,0 +1,60 @@
+/**
+ * Enhancements for the cluster view rendered by clusterTemplate (lib/templates.js)
+ */
+
+const HIGHLIGHT_MS = 2000;
+
+/**
+ * Wire up the outlet picker and citation highlighting
+ * @param {ParentNode} root
+ */
+export function initClusterView(root = document) {
+  const cluster = root.querySelector('[data-cluster]');
+  if (!cluster) return;
+
+  initComparePicker(cluster);
+  cluster.addEventListener('click', handleCitationClick);
+}
+
+/**
+ * Let readers choose which outlets appear side by side; at least two stay selected
+ * @param {Element} cluster
+ */
+function initComparePicker(cluster) {
+  const picker = cluster.querySelector('[data-compare-picker]');
+  if (!picker) return;
+
+  const boxes = [...picker.querySelectorAll('input[type="checkbox"]')];
+  const update = () => {
+    const selected = new Set(boxes.filter((box) => box.checked).map((box) => box.value));
+    cluster.querySelectorAll('.cluster-compare__column').forEach((column) => {
+      column.hidden = !selected.has(column.dataset.sourceId);
+    });
+    boxes.forEach((box) => {
+      box.disabled = box.checked && selected.size <= 2;
+    });
+  };
+
+  picker.addEventListener('change', update);
+  picker.hidden = false;
+  update();
+}
+
+/**
+ * A citation of an item on the page switches to the article list and highlights the item
+ * @param {MouseEvent} event
+ */
+function handleCitationClick(event) {
+  const ref = event.target.closest('.article-ref--local');
+  if (!ref) return;
+
+  const cluster = ref.closest('[data-cluster]');
+  const articlesToggle = cluster.querySelector('.cluster-views__toggle--articles');
+  if (articlesToggle) articlesToggle.checked = true;
+
+  const card = cluster.querySelector(`#item-${ref.dataset.ref}`);
+  if (!card) return;
+
+  card.classList.add('is-cited');
+  setTimeout(() => card.classList.remove('is-cited'), HIGHLIGHT_MS);
+}
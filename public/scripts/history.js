@@ -0,0 +1,218 @@
+import {
+  emptyHistory,
+  normalizeHistory,
+  markRead,
+  isRead,
+  newSinceLastVisit,
+  normalizeBookmarks,
+  isBookmarked,
+  addBookmark,
+  removeBookmark,
+  historyPath,
+} from './lib/history.js';
+import { escapeHtml, formatDate } from './lib/text.js';
+import { t, localePath } from './lib/i18n.js';
+import { getPageLocale } from './i18n.js';
+
+// Stored in this browser only, with the limits and expiry in lib/history.js
+const HISTORY_KEY = 'newshelp-history';
+const BOOKMARKS_KEY = 'newshelp-bookmarks';
+
+let initialized = false;
+
+/**
+ * Whether localStorage can be used (it throws in some private browsing modes)
+ */
+function isSupported() {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage full or unavailable; history is best effort
+    console.warn(`Failed to store ${key}:`, error);
+  }
+}
+
+/**
+ * @returns {import('./lib/history.js').ReadingHistory}
+ */
+export function loadHistory() {
+  return isSupported() ? normalizeHistory(readJson(HISTORY_KEY)) : emptyHistory();
+}
+
+/**
+ * @returns {import('./lib/history.js').Bookmark[]}
+ */
+export function loadBookmarks() {
+  return isSupported() ? normalizeBookmarks(readJson(BOOKMARKS_KEY)) : [];
+}
+
+/**
+ * Parse a `kind:id` attribute value
+ * @param {string} value
+ * @returns {{ kind: 'article' | 'cluster', id: number }}
+ */
+function parseRef(value) {
+  const [kind, id] = value.split(':');
+  return { kind: kind === 'cluster' ? 'cluster' : 'article', id: parseInt(id) };
+}
+
+/**
+ * Record the page's visit, then mark cards and bookmark buttons
+ */
+export function initHistory() {
+  if (initialized || !isSupported()) return;
+  initialized = true;
+
+  document.addEventListener('click', handleClick);
+
+  // Changes made in another tab
+  window.addEventListener('storage', (event) => {
+    if (event.key === HISTORY_KEY) updateReadMarkers();
+    if (event.key === BOOKMARKS_KEY) updateBookmarkButtons();
+  });
+
+  trackPage(document);
+}
+
+/**
+ * Record the visit to the article or cluster rendered in `root`, and update its markers
+ * Called again by the renderer after client-side rendering.
+ * @param {ParentNode} root
+ */
+export function trackPage(root) {
+  if (!isSupported()) return;
+  recordVisit(root);
+  updateReadMarkers(root);
+  updateBookmarkButtons(root);
+}
+
+/**
+ * Mark the opened article or cluster as read
+ * A cluster that grew since the last visit shows how many articles are new first.
+ * @param {ParentNode} root
+ */
+function recordVisit(root) {
+  const view = root.querySelector('[data-visit]');
+  if (!view) return;
+
+  const { kind, id } = parseRef(view.dataset.visit);
+  const count = view.dataset.articleCount === undefined ? undefined : parseInt(view.dataset.articleCount);
+  const history = loadHistory();
+
+  if (kind === 'cluster') {
+    showNewBadge(view.querySelector('[data-new-badge]'), newSinceLastVisit(history, id, count));
+  }
+  writeJson(HISTORY_KEY, markRead(history, kind, id, { count }));
+}
+
+/**
+ * @param {Element | null} badge
+ * @param {number} count
+ */
+function showNewBadge(badge, count) {
+  if (!badge) return;
+  badge.textContent = count > 0 ? t(getPageLocale(), 'history.newSinceVisit', { count }) : '';
+  badge.hidden = count === 0;
+}
+
+/**
+ * Read/unread styling on cards, and "new since your last visit" badges on clusters
+ * @param {ParentNode} [root]
+ */
+export function updateReadMarkers(root = document) {
+  if (!isSupported()) return;
+
+  const history = loadHistory();
+  root.querySelectorAll('[data-read]').forEach((card) => {
+    const { kind, id } = parseRef(card.dataset.read);
+    const read = isRead(history, kind, id);
+    card.classList.toggle('is-read', read);
+    card.classList.toggle('is-unread', !read);
+
+    if (kind === 'cluster' && card.dataset.articleCount !== undefined) {
+      showNewBadge(card.querySelector('[data-new-badge]'), newSinceLastVisit(history, id, parseInt(card.dataset.articleCount)));
+    }
+  });
+}
+
+/**
+ * Reveal bookmark buttons and show whether their page is bookmarked
+ * @param {ParentNode} [root]
+ */
+export function updateBookmarkButtons(root = document) {
+  if (!isSupported()) return;
+
+  const bookmarks = loadBookmarks();
+  const locale = getPageLocale();
+  root.querySelectorAll('[data-bookmark]').forEach((button) => {
+    const { kind, id } = parseRef(button.dataset.bookmark);
+    const bookmarked = isBookmarked(bookmarks, kind, id);
+    button.textContent = t(locale, bookmarked ? 'bookmark.added' : 'bookmark.add');
+    button.setAttribute('aria-pressed', String(bookmarked));
+    button.hidden = false;
+  });
+}
+
+function handleClick(event) {
+  const button = event.target.closest('[data-bookmark], [data-bookmark-remove], [data-history-clear]');
+  if (!button) return;
+
+  if (button.hasAttribute('data-history-clear')) {
+    localStorage.removeItem(HISTORY_KEY);
+    updateReadMarkers();
+    button.textContent = t(getPageLocale(), 'history.cleared');
+    return;
+  }
+
+  if (button.hasAttribute('data-bookmark-remove')) {
+    const { kind, id } = parseRef(button.dataset.bookmarkRemove);
+    writeJson(BOOKMARKS_KEY, removeBookmark(loadBookmarks(), kind, id));
+    const list = button.closest('[data-bookmarks]');
+    if (list) renderBookmarks(list);
+    return;
+  }
+
+  const { kind, id } = parseRef(button.dataset.bookmark);
+  const bookmarks = loadBookmarks();
+  writeJson(
+    BOOKMARKS_KEY,
+    isBookmarked(bookmarks, kind, id)
+      ? removeBookmark(bookmarks, kind, id)
+      : addBookmark(bookmarks, { kind, id, title: button.dataset.bookmarkTitle || document.title })
+  );
+  updateBookmarkButtons();
+}
+
+/**
+ * Fill a list element with the reader's bookmarks
+ * @param {HTMLElement} container
+ */
+export function renderBookmarks(container) {
+  const bookmarks = loadBookmarks();
+  const history = loadHistory();
+  const locale = getPageLocale();
+
+  container.innerHTML = bookmarks.length > 0
+    ? bookmarks.map(({ kind, id, title, savedAt }) => `<li class="bookmarks__item${isRead(history, kind, id) ? ' is-read' : ''}">
+  <a href="${localePath(historyPath(kind, id), locale)}">${escapeHtml(title)}</a>
+  <span class="bookmarks__meta">${t(locale, kind === 'cluster' ? 'kind.story' : 'kind.article')} · ${t(locale, 'bookmark.savedOn', { date: formatDate(new Date(savedAt).toISOString(), locale) })}</span>
+  <button type="button" class="bookmarks__remove" data-bookmark-remove="${kind}:${id}">${t(locale, 'bookmark.remove')}</button>
+</li>`).join('\n')
+    : `<li class="bookmarks__empty">${t(locale, 'bookmark.none')}</li>`;
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_LOCALE, getLocale, formatRelativeTime } from './lib/i18n.js';
+
+// Older dates keep the absolute date, which reads better than "5 months ago"
+const RELATIVE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Language of the current page, from `<html lang>`
+ * @returns {string}
+ */
+export function getPageLocale() {
+  return getLocale(document.documentElement.lang || DEFAULT_LOCALE).code;
+}
+
+/**
+ * Show recent `<time data-relative>` dates as relative times ("3 hours ago")
+ * The rendered date moves to the title, so it is still one hover away.
+ * Called again by the renderer after client-side rendering.
+ * @param {ParentNode} [root]
+ */
+export function initRelativeTimes(root = document) {
+  const locale = getPageLocale();
+  const now = Date.now();
+
+  root.querySelectorAll('time[data-relative][datetime]').forEach((time) => {
+    const date = Date.parse(time.getAttribute('datetime'));
+    if (Number.isNaN(date) || Math.abs(now - date) > RELATIVE_MAX_AGE) return;
+
+    if (!time.title) time.title = time.textContent.trim();
+    time.textContent = formatRelativeTime(time.getAttribute('datetime'), { locale, now });
+  });
+}
@@ -0,0 +1,316 @@
+/**
+ * Archive listings: numbered pages and per-day listings of clusters and raw news
+ *
+ * Both walk the batched `news_articles.{batch}.json` / `news_raw.{batch}.json`
+ * files backwards from `meta.tables.*.latest_id`, so any page can be built from
+ * a handful of batch files. Used by the static build (src/pages/archive) and
+ * by the Pages Function for pages outside the pre-rendered range.
+ *
+ * @typedef {import('../../../src/types/db').Meta} Meta
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {Object} ArchivePage
+ * @property {number} page
+ * @property {number} totalPages
+ * @property {NewsArticle[]} clusters - Newest first
+ * @property {NewsRawItem[]} news - Newest first
+ *
+ * @typedef {Object} ArchiveDay
+ * @property {string} day - `YYYY-MM-DD` (UTC)
+ * @property {string | null} previousDay
+ * @property {string | null} nextDay - Null when `day` is the newest day in the archive
+ * @property {NewsArticle[]} clusters - Newest first
+ * @property {NewsRawItem[]} news - Newest first
+ */
+
+import { BATCH_SIZE, HttpError, getBatchId } from './data-client.js';
+import { formatDate } from './text.js';
+import { DEFAULT_LOCALE, t, localePath } from './i18n.js';
+
+export const CLUSTERS_PER_PAGE = 20;
+export const NEWS_PER_PAGE = 40;
+export const RECENT_DAYS_LINKED = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * URL of an archive page; page 1 lives at /archive
+ * @param {number} page
+ * @returns {string}
+ */
+export function archivePagePath(page) {
+  return page <= 1 ? '/archive' : `/archive/page/${page}`;
+}
+
+/**
+ * URL of a day listing
+ * @param {string} day - `YYYY-MM-DD`
+ * @returns {string}
+ */
+export function archiveDayPath(day) {
+  return `/archive/${day.replace(/-/g, '/')}`;
+}
+
+/**
+ * Number of archive pages, enough to reach the oldest cluster and raw item
+ * @param {Meta} meta
+ * @returns {number}
+ */
+export function getArchivePageCount(meta) {
+  return Math.max(
+    1,
+    Math.ceil(meta.tables.news_articles.latest_id / CLUSTERS_PER_PAGE),
+    Math.ceil(meta.tables.news_raw.latest_id / NEWS_PER_PAGE)
+  );
+}
+
+/**
+ * Validate URL date parts and return the `YYYY-MM-DD` day, or null
+ * @param {string} year
+ * @param {string} month
+ * @param {string} day
+ * @returns {string | null}
+ */
+export function parseArchiveDay(year, month, day) {
+  if (!/^\d{4}$/.test(year) || !/^\d{2}$/.test(month) || !/^\d{2}$/.test(day)) {
+    return null;
+  }
+  const iso = `${year}-${month}-${day}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  // Rejects overflowing dates such as 2025-02-30
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+}
+
+/**
+ * Day of a date, as `YYYY-MM-DD` in UTC
+ * @param {string | Date} date
+ * @returns {string}
+ */
+export function toArchiveDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a `YYYY-MM-DD` day by a number of days
+ * @param {string} day
+ * @param {number} offset
+ * @returns {string}
+ */
+function addDays(day, offset) {
+  return toArchiveDay(new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS));
+}
+
+/**
+ * The newest days in the archive, newest first, counting back from meta.generated_at
+ * @param {Meta} meta
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function recentArchiveDays(meta, count) {
+  const newest = toArchiveDay(meta.generated_at);
+  return Array.from({ length: count }, (_, i) => addDays(newest, -i));
+}
+
+/**
+ * Load a batch, treating a missing file as an empty batch
+ * @template T
+ * @param {(id: number) => Promise<T[]>} fetchBatch
+ * @param {number} batchId
+ * @returns {Promise<T[]>}
+ */
+async function loadBatch(fetchBatch, batchId) {
+  try {
+    return await fetchBatch(batchId);
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Items with IDs in [fromId, toId], newest first
+ * @template {{ id: number }} T
+ * @param {(id: number) => Promise<T[]>} fetchBatch
+ * @param {number} fromId
+ * @param {number} toId
+ * @returns {Promise<T[]>}
+ */
+async function fetchIdRange(fetchBatch, fromId, toId) {
+  if (toId < fromId) return [];
+
+  const batchIds = [];
+  for (let batchId = getBatchId(toId); batchId >= getBatchId(fromId); batchId -= BATCH_SIZE) {
+    batchIds.push(batchId);
+  }
+
+  const batches = await Promise.all(batchIds.map((batchId) => loadBatch(fetchBatch, batchId)));
+  return batches
+    .flat()
+    .filter((item) => item.id >= fromId && item.id <= toId)
+    .sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Fetch one archive page. Page n holds the n-th slice of IDs counting back from the latest.
+ * @param {DataClient} client
+ * @param {Meta} meta
+ * @param {number} page - 1-based
+ * @returns {Promise<ArchivePage | null>} Null when the page is out of range
+ */
+export async function fetchArchivePage(client, meta, page) {
+  const totalPages = getArchivePageCount(meta);
+  if (!Number.isInteger(page) || page < 1 || page > totalPages) {
+    return null;
+  }
+
+  const latestCluster = meta.tables.news_articles.latest_id;
+  const latestNews = meta.tables.news_raw.latest_id;
+
+  const [clusters, news] = await Promise.all([
+    fetchIdRange(
+      client.fetchNewsArticlesBatch,
+      Math.max(1, latestCluster - page * CLUSTERS_PER_PAGE + 1),
+      latestCluster - (page - 1) * CLUSTERS_PER_PAGE
+    ),
+    fetchIdRange(
+      client.fetchNewsRawBatch,
+      Math.max(1, latestNews - page * NEWS_PER_PAGE + 1),
+      latestNews - (page - 1) * NEWS_PER_PAGE
+    ),
+  ]);
+
+  return { page, totalPages, clusters, news };
+}
+
+/**
+ * Items created within [start, end), newest first
+ *
+ * IDs grow with created_at, so a binary search over batches finds the newest
+ * batch that can hold the range; batches are then walked backwards until they
+ * end before `start`.
+ *
+ * @template {{ id: number, created_at: string }} T
+ * @param {(id: number) => Promise<T[]>} fetchBatch
+ * @param {number} latestId
+ * @param {number} start - Epoch milliseconds
+ * @param {number} end - Epoch milliseconds
+ * @returns {Promise<T[]>}
+ */
+async function fetchCreatedBetween(fetchBatch, latestId, start, end) {
+  const time = (item) => Date.parse(item.created_at);
+
+  // Newest batch whose first item is older than `end`
+  let low = 0;
+  let high = getBatchId(latestId) / BATCH_SIZE;
+  let newest = -1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const batch = await loadBatch(fetchBatch, mid * BATCH_SIZE);
+    if (batch.length > 0 && Math.min(...batch.map(time)) < end) {
+      newest = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const results = [];
+  for (let index = newest; index >= 0; index--) {
+    const batch = await loadBatch(fetchBatch, index * BATCH_SIZE);
+    results.push(...batch.filter((item) => time(item) >= start && time(item) < end));
+    if (batch.length > 0 && Math.max(...batch.map(time)) < start) break;
+  }
+
+  return results.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Fetch the clusters and raw news created on one UTC day
+ * @param {DataClient} client
+ * @param {Meta} meta
+ * @param {string} day - `YYYY-MM-DD`
+ * @returns {Promise<ArchiveDay | null>} Null for days after meta.generated_at
+ */
+export async function fetchArchiveDay(client, meta, day) {
+  const newestDay = toArchiveDay(meta.generated_at);
+  if (day > newestDay) {
+    return null;
+  }
+
+  const start = Date.parse(`${day}T00:00:00Z`);
+  const end = start + DAY_MS;
+
+  const [clusters, news] = await Promise.all([
+    fetchCreatedBetween(client.fetchNewsArticlesBatch, meta.tables.news_articles.latest_id, start, end),
+    fetchCreatedBetween(client.fetchNewsRawBatch, meta.tables.news_raw.latest_id, start, end),
+  ]);
+
+  return {
+    day,
+    previousDay: addDays(day, -1),
+    nextDay: day < newestDay ? addDays(day, 1) : null,
+    clusters,
+    news,
+  };
+}
+
+/**
+ * Readable label for a `YYYY-MM-DD` day
+ * @param {string} day
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatArchiveDay(day, locale = DEFAULT_LOCALE) {
+  // Midday UTC keeps the label on the same day in any timezone
+  return formatDate(`${day}T12:00:00Z`, locale);
+}
+
+/**
+ * Template data for an archive page
+ * @param {ArchivePage} result
+ * @param {Meta} meta
+ * @param {string} [locale]
+ */
+export function describeArchivePage({ page, totalPages, clusters, news }, meta, locale = DEFAULT_LOCALE) {
+  return {
+    heading: page === 1 ? t(locale, 'archive.title') : t(locale, 'archive.titlePage', { page }),
+    description: t(locale, 'archive.description'),
+    clusters,
+    news,
+    newer: page > 1 ? { href: localePath(archivePagePath(page - 1), locale), label: t(locale, 'archive.newer') } : undefined,
+    older: page < totalPages ? { href: localePath(archivePagePath(page + 1), locale), label: t(locale, 'archive.older') } : undefined,
+    position: t(locale, 'archive.position', { page, total: totalPages }),
+    days: page === 1
+      ? recentArchiveDays(meta, RECENT_DAYS_LINKED).map((day) => ({
+          href: localePath(archiveDayPath(day), locale),
+          label: formatArchiveDay(day, locale),
+        }))
+      : [],
+  };
+}
+
+/**
+ * Template data for a day listing
+ * @param {ArchiveDay} result
+ * @param {string} [locale]
+ */
+export function describeArchiveDay({ day, previousDay, nextDay, clusters, news }, locale = DEFAULT_LOCALE) {
+  return {
+    heading: t(locale, 'archive.dayTitle', { day: formatArchiveDay(day, locale) }),
+    description: t(locale, 'archive.dayDescription', {
+      stories: t(locale, 'count.stories', { count: clusters.length }),
+      articles: t(locale, 'count.articles', { count: news.length }),
+    }),
+    clusters,
+    news,
+    newer: nextDay
+      ? { href: localePath(archiveDayPath(nextDay), locale), label: `← ${formatArchiveDay(nextDay, locale)}` }
+      : undefined,
+    older: previousDay
+      ? { href: localePath(archiveDayPath(previousDay), locale), label: `${formatArchiveDay(previousDay, locale)} →` }
+      : undefined,
+    position: '',
+  };
+}
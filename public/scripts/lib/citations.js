@@ -0,0 +1,126 @@
+/**
+ * Citations: the [123] and [123, 456] references in article bodies and cluster summaries
+ *
+ * Renderers fetch the cited items first (fetchCitedItems), so references can
+ * be numbered like footnotes in order of first citation, labelled with the
+ * cited item's source and title, and listed in a "Sources" section. A
+ * reference to an item that doesn't exist is rendered as plain text instead
+ * of a dead link; the build logs them (src/lib/api.ts).
+ *
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {Object} Citation
+ * @property {number} id
+ * @property {number} number - Footnote number, in order of first citation
+ * @property {NewsRawItem} item
+ * @property {Source | undefined} source
+ * @property {string} href
+ * @property {boolean} local - The item is shown on the same page
+ *
+ * @typedef {Object} CitationIndex
+ * @property {Citation[]} citations - In footnote order
+ * @property {Map<number, Citation>} byId
+ * @property {number[]} missing - Cited IDs with no item
+ */
+
+import { escapeHtml, cleanTitle } from './text.js';
+import { DEFAULT_LOCALE, t, localePath } from './i18n.js';
+
+// Same forms as processArticleContent (text.js): [3333], [3333,3334], [3333, 3334]
+const CITATION_PATTERN = /\[(\d+(?:,\s*\d+)*)\]/g;
+
+/**
+ * IDs cited in a text, in order of first citation
+ * @param {string | null | undefined} text
+ * @returns {number[]}
+ */
+export function citedIds(text) {
+  const ids = new Set();
+  for (const [, list] of (text || '').matchAll(CITATION_PATTERN)) {
+    list.split(',').forEach((id) => ids.add(parseInt(id)));
+  }
+  return [...ids];
+}
+
+/**
+ * Fetch the items a text cites
+ * IDs above meta's latest ID aren't fetched; they can't exist.
+ * @param {DataClient} client
+ * @param {string | null | undefined} text
+ * @returns {Promise<Map<number, NewsRawItem>>} Found items by ID; cited IDs missing from it don't exist
+ */
+export async function fetchCitedItems(client, text) {
+  const ids = citedIds(text);
+  if (ids.length === 0) return new Map();
+
+  const meta = await client.fetchMeta();
+  const items = await client.fetchNewsRawByIds(ids.filter((id) => id > 0 && id <= meta.tables.news_raw.latest_id));
+  return new Map(items.map((item) => [item.id, item]));
+}
+
+/**
+ * Number a text's citations and resolve them to items
+ * @param {string | null | undefined} text
+ * @param {{ citedItems: Map<number, NewsRawItem>, sourcesMap: Map<number, Source>, localIds?: Set<number>, locale?: string }} options
+ *   `localIds` are items shown on the same page, linked as `#item-{id}`
+ * @returns {CitationIndex}
+ */
+export function indexCitations(text, { citedItems, sourcesMap, localIds, locale = DEFAULT_LOCALE }) {
+  const citations = [];
+  const byId = new Map();
+  const missing = [];
+
+  for (const id of citedIds(text)) {
+    const item = citedItems.get(id);
+    if (!item) {
+      missing.push(id);
+      continue;
+    }
+    const local = Boolean(localIds?.has(id));
+    const citation = {
+      id,
+      number: citations.length + 1,
+      item,
+      source: sourcesMap.get(parseInt(item.source)),
+      href: local ? `#item-${id}` : localePath(`/news/${id}`, locale),
+      local,
+    };
+    citations.push(citation);
+    byId.set(id, citation);
+  }
+
+  return { citations, byId, missing };
+}
+
+/**
+ * "Source: Title" label of a citation
+ * @param {Citation} citation
+ * @returns {string}
+ */
+export function citationLabel({ item, source }) {
+  const title = cleanTitle(item.title);
+  return source ? `${source.title}: ${title}` : title;
+}
+
+/**
+ * Replace the citations in escaped text with numbered reference links
+ * @param {string} html - Text, already HTML-escaped
+ * @param {CitationIndex} index
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function linkCitations(html, index, locale = DEFAULT_LOCALE) {
+  return html.replace(CITATION_PATTERN, (_match, list) => {
+    const links = list.split(',').map((value) => {
+      const id = parseInt(value);
+      const citation = index.byId.get(id);
+      if (!citation) {
+        return `<span class="article-ref article-ref--missing" title="${escapeHtml(t(locale, 'citations.missing'))}">?</span>`;
+      }
+      return `<a href="${citation.href}" class="article-ref${citation.local ? ' article-ref--local' : ''}" data-ref="${id}" title="${escapeHtml(citationLabel(citation))}">${citation.number}</a>`;
+    });
+    return `<sup class="article-refs">[${links.join(', ')}]</sup>`;
+  });
+}
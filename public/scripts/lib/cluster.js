@@ -0,0 +1,153 @@
+/**
+ * Cluster coverage views: timeline, per-source comparison and breakdown by origin
+ *
+ * Pure data shaping for clusterTemplate (templates.js), so the static build,
+ * the Pages Function and the SPA renderer group a cluster's items the same way.
+ *
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ *
+ * @typedef {Object} TimelineEntry
+ * @property {NewsRawItem} item
+ * @property {number} offset - Milliseconds after the first report
+ *
+ * @typedef {Object} TimelineDay
+ * @property {string} day - `YYYY-MM-DD` (UTC)
+ * @property {TimelineEntry[]} entries - Oldest first
+ *
+ * @typedef {Object} SourceCoverage
+ * @property {number | string} sourceId
+ * @property {Source | undefined} source
+ * @property {NewsRawItem[]} items - Oldest first
+ *
+ * @typedef {Object} OriginCoverage
+ * @property {string} origin - Source origin code as stored, or '' when unknown
+ * @property {SourceCoverage[]} sources - Most items first
+ * @property {number} itemCount
+ */
+
+import { DEFAULT_LOCALE, getLocale, t } from './i18n.js';
+
+/**
+ * @param {NewsRawItem} a
+ * @param {NewsRawItem} b
+ * @returns {number}
+ */
+function byCreatedAt(a, b) {
+  return Date.parse(a.created_at) - Date.parse(b.created_at) || a.id - b.id;
+}
+
+/**
+ * Items in publication order, grouped by UTC day
+ * @param {NewsRawItem[]} items
+ * @returns {TimelineDay[]}
+ */
+export function buildClusterTimeline(items) {
+  const sorted = [...items].sort(byCreatedAt);
+  const first = sorted.length > 0 ? Date.parse(sorted[0].created_at) : 0;
+
+  /** @type {TimelineDay[]} */
+  const days = [];
+  for (const item of sorted) {
+    const day = new Date(item.created_at).toISOString().slice(0, 10);
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, entries: [] });
+    }
+    days[days.length - 1].entries.push({ item, offset: Date.parse(item.created_at) - first });
+  }
+  return days;
+}
+
+/**
+ * Items per source, the source with the earliest report first
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @returns {SourceCoverage[]}
+ */
+export function groupClusterBySource(items, sourcesMap) {
+  /** @type {Map<string, SourceCoverage>} */
+  const bySource = new Map();
+  for (const item of [...items].sort(byCreatedAt)) {
+    const key = String(item.source);
+    if (!bySource.has(key)) {
+      const id = parseInt(key);
+      bySource.set(key, { sourceId: isNaN(id) ? key : id, source: sourcesMap.get(id), items: [] });
+    }
+    bySource.get(key).items.push(item);
+  }
+  return [...bySource.values()];
+}
+
+/**
+ * Sources and item counts per origin, most items first
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @returns {OriginCoverage[]}
+ */
+export function groupClusterByOrigin(items, sourcesMap) {
+  /** @type {Map<string, OriginCoverage>} */
+  const byOrigin = new Map();
+  for (const coverage of groupClusterBySource(items, sourcesMap)) {
+    const origin = coverage.source?.origin?.trim() || '';
+    if (!byOrigin.has(origin)) {
+      byOrigin.set(origin, { origin, sources: [], itemCount: 0 });
+    }
+    const entry = byOrigin.get(origin);
+    entry.sources.push(coverage);
+    entry.itemCount += coverage.items.length;
+  }
+
+  const groups = [...byOrigin.values()];
+  for (const group of groups) {
+    group.sources.sort((a, b) => b.items.length - a.items.length);
+  }
+  // Unknown origin last
+  return groups.sort((a, b) => Number(!a.origin) - Number(!b.origin) || b.itemCount - a.itemCount || a.origin.localeCompare(b.origin));
+}
+
+const regionNames = new Map();
+
+/**
+ * Readable name for a source origin; two-letter codes are shown as country names
+ * @param {string} origin
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatOrigin(origin, locale = DEFAULT_LOCALE) {
+  if (!origin) return t(locale, 'cluster.unknownOrigin');
+  if (typeof Intl.DisplayNames === 'function' && /^[A-Za-z]{2}$/.test(origin)) {
+    try {
+      if (!regionNames.has(locale)) {
+        regionNames.set(locale, new Intl.DisplayNames([getLocale(locale).intl], { type: 'region' }));
+      }
+      return regionNames.get(locale).of(origin.toUpperCase()) || origin;
+    } catch (error) {
+      return origin;
+    }
+  }
+  return origin;
+}
+
+/**
+ * Time of day in UTC, e.g. `14:05 UTC`
+ * UTC keeps the statically built and client-rendered timelines identical.
+ * @param {string} dateString
+ * @returns {string}
+ */
+export function formatTimeUtc(dateString) {
+  return `${new Date(dateString).toISOString().slice(11, 16)} UTC`;
+}
+
+/**
+ * Delay after the first report, e.g. `+2h 15m`; empty for the first report
+ * @param {number} offset - Milliseconds
+ * @returns {string}
+ */
+export function formatOffset(offset) {
+  const minutes = Math.round(offset / 60000);
+  if (minutes <= 0) return '';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  return '+' + [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+}
@@ -0,0 +1,649 @@
+/**
+ * Isomorphic data client for the news API
+ *
+ * Shared by the Astro build (src/lib/api.ts), the Pages Function
+ * (functions/[[catchall]].js), the browser scripts (client-api.js) and the
+ * Node build scripts, so batching, caching and error handling stay in sync.
+ *
+ * @typedef {import('../../../src/types/db').Meta} Meta
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ * @typedef {import('../../../src/types/db').TagArticles} TagArticles
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ *
+ * @typedef {Object} CacheEntry
+ * @property {any} value
+ * @property {number} storedAt - Epoch milliseconds
+ *
+ * @typedef {Object} CacheBackend
+ * @property {(key: string) => Promise<CacheEntry | undefined>} get
+ * @property {(key: string, value: any) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ *
+ * @typedef {Object} DataClientOptions
+ * @property {string} [baseUrl] - API base URL, without trailing slash
+ * @property {number} [timeout] - Per-attempt timeout in milliseconds
+ * @property {number} [retries] - Extra attempts after a network error, timeout or 5xx
+ * @property {number} [retryDelay] - Base delay in milliseconds, doubled per attempt
+ * @property {number | ((file: string, meta: Meta | undefined) => number)} [maxAge] - Cached files older than
+ *   this are refetched (milliseconds); a function gets the file's name and the newest meta the client has
+ *   loaded, e.g. to refetch the files that change with every data update sooner (isLatestFile)
+ * @property {number} [staleWhileRevalidate] - For this long after `maxAge`, the cached file is returned
+ *   at once and refetched in the background (milliseconds)
+ * @property {number} [staleIfError] - For this long after `maxAge`, the cached file is returned when
+ *   refetching fails with a network error, timeout or 5xx, or returns a file that fails its schema (milliseconds)
+ * @property {(promise: Promise<any>) => void} [waitUntil] - Keeps background refetches alive,
+ *   e.g. a Pages Function's `context.waitUntil`
+ * @property {(file: string, issues: import('./schema.js').SchemaIssue[]) => void} [onInvalid] - Called with the
+ *   records dropped from a file for breaking its schema (lib/schema.js); logs a warning by default
+ * @property {CacheBackend} [cache]
+ * @property {typeof fetch} [fetch]
+ * @property {boolean} [debug] - Log fetches and cache hits
+ */
+
+import { assignTagSlugs } from './tag-slugs.js';
+import { validateFile, formatIssue } from './schema.js';
+
+export const DEFAULT_BASE_URL = 'https://api.newshelp.org';
+export const DEFAULT_TIMEOUT = 30000;
+export const BATCH_SIZE = 100;
+// Batch files loaded at once when a caller needs several
+export const BATCH_CONCURRENCY = 6;
+
+/**
+ * Calculate batch ID from item ID
+ * Batch size is 100 items per file
+ * @param {number} id
+ * @returns {number}
+ */
+export function getBatchId(id) {
+  return Math.floor(id / BATCH_SIZE) * BATCH_SIZE;
+}
+
+/**
+ * Batch IDs from the batch containing an ID backwards, at most `count` of them
+ * @param {number} id
+ * @param {number} count
+ * @returns {number[]}
+ */
+export function recentBatchIds(id, count) {
+  const batchIds = [];
+  for (let batchId = getBatchId(id); batchId >= 0 && batchIds.length < count; batchId -= BATCH_SIZE) {
+    batchIds.push(batchId);
+  }
+  return batchIds;
+}
+
+/**
+ * Run tasks with a concurrency limit, keeping their order in the results
+ * @template T
+ * @param {Array<() => Promise<T>>} tasks
+ * @param {number} [limit]
+ * @returns {Promise<T[]>}
+ */
+export async function runLimited(tasks, limit = BATCH_CONCURRENCY) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+/**
+ * Whether a file changes with every data update: meta and the other unbatched
+ * files, and the newest batch of each table
+ * Older batches are full and only change when a record is corrected. Without
+ * meta there is no telling which batch is the newest, so every batch counts.
+ * @param {string} file - File name without .json, e.g. `news_raw.1200`
+ * @param {Meta | undefined} meta
+ * @returns {boolean}
+ */
+export function isLatestFile(file, meta) {
+  const batch = file.match(/^(news_raw|news_articles)\.(\d+)$/);
+  if (!batch) return true;
+  const latestId = meta?.tables[batch[1]]?.latest_id;
+  return latestId === undefined || Number(batch[2]) >= getBatchId(latestId);
+}
+
+/**
+ * Error for non-2xx API responses
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} url
+   * @param {number} status
+   */
+  constructor(url, status) {
+    super(`Failed to fetch ${url}: ${status}`);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/**
+ * In-memory cache backend
+ * @param {{ maxEntries?: number }} [options]
+ * @returns {CacheBackend}
+ */
+export function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key);
+    },
+    async set(key, value) {
+      // Map keeps insertion order, so the first key is the oldest
+      entries.delete(key);
+      entries.set(key, { value, storedAt: Date.now() });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Cache API backend (Cloudflare `caches.default`, or a named browser cache)
+ * @param {Cache | Promise<Cache>} cache
+ * @param {{ ttl?: number }} [options] - `ttl`: seconds until the cache may evict an entry;
+ *   should cover the client's `maxAge` plus its stale windows
+ * @returns {CacheBackend}
+ */
+export function createCacheApiCache(cache, { ttl } = {}) {
+  const STORED_AT_HEADER = 'X-Stored-At';
+
+  return {
+    async get(key) {
+      const response = await (await cache).match(key);
+      if (!response) return undefined;
+      return {
+        value: await response.json(),
+        storedAt: parseInt(response.headers.get(STORED_AT_HEADER) || '0'),
+      };
+    },
+    async set(key, value) {
+      await (await cache).put(
+        key,
+        new Response(JSON.stringify(value), {
+          headers: {
+            'Content-Type': 'application/json',
+            [STORED_AT_HEADER]: String(Date.now()),
+            ...(ttl ? { 'Cache-Control': `public, max-age=${ttl}` } : {}),
+          },
+        })
+      );
+    },
+    async delete(key) {
+      await (await cache).delete(key);
+    },
+  };
+}
+
+/**
+ * IndexedDB backend for browsers, persists across sessions
+ * Bounded like the memory cache: each write drops entries older than `ttl`
+ * and then the oldest stored beyond `maxEntries`.
+ * @param {{ dbName?: string, storeName?: string, maxEntries?: number, ttl?: number }} [options] - `ttl`:
+ *   seconds an entry is kept; should cover the client's `maxAge` plus its stale windows
+ * @returns {CacheBackend}
+ */
+export function createIndexedDbCache({ dbName = 'newshelp', storeName = 'api-files', maxEntries = 500, ttl = Infinity } = {}) {
+  const STORED_AT_INDEX = 'storedAt';
+  let dbPromise;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        // Version 2 indexes entries by storedAt for pruning
+        const request = indexedDB.open(dbName, 2);
+        request.onupgradeneeded = () => {
+          const store = request.result.objectStoreNames.contains(storeName)
+            ? request.transaction.objectStore(storeName)
+            : request.result.createObjectStore(storeName);
+          if (!store.indexNames.contains(STORED_AT_INDEX)) store.createIndex(STORED_AT_INDEX, 'storedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs in the store's transaction, which completes once `operation` and any requests it queued are done
+  const run = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  /**
+   * Delete the entries past `ttl`, then the oldest beyond `maxEntries`, walking the storedAt index oldest first
+   * @param {IDBObjectStore} store
+   */
+  const prune = (store) => {
+    const expiredBefore = Date.now() - ttl * 1000;
+    const count = store.count();
+    count.onsuccess = () => {
+      let excess = count.result - maxEntries;
+      store.index(STORED_AT_INDEX).openCursor().onsuccess = (event) => {
+        const cursor = /** @type {IDBRequest<IDBCursorWithValue | null>} */ (event.target).result;
+        if (!cursor || (excess <= 0 && cursor.value.storedAt >= expiredBefore)) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+  };
+
+  return {
+    async get(key) {
+      const entry = await run('readonly', (store) => store.get(key));
+      return entry && Date.now() - entry.storedAt < ttl * 1000 ? entry : undefined;
+    },
+    async set(key, value) {
+      await run('readwrite', (store) => {
+        const request = store.put({ value, storedAt: Date.now() }, key);
+        prune(store);
+        return request;
+      });
+    },
+    async delete(key) {
+      await run('readwrite', (store) => store.delete(key));
+    },
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed fetch may succeed if tried again: network errors, timeouts and 5xx
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return !(error instanceof HttpError) || error.status >= 500;
+}
+
+/**
+ * Default `onInvalid`: one warning per file, with the first few problems
+ * @param {string} file
+ * @param {import('./schema.js').SchemaIssue[]} issues
+ */
+function warnInvalid(file, issues) {
+  const shown = issues.slice(0, 3).map(formatIssue).join('; ');
+  const more = issues.length > 3 ? `; ${issues.length - 3} more` : '';
+  console.warn(`[API] Dropped ${issues.length} invalid record(s) from ${file}.json: ${shown}${more}`);
+}
+
+/**
+ * Create a data client
+ * @param {DataClientOptions} [options]
+ */
+export function createDataClient(options = {}) {
+  const {
+    baseUrl = DEFAULT_BASE_URL,
+    timeout = DEFAULT_TIMEOUT,
+    retries = 2,
+    retryDelay = 250,
+    maxAge = Infinity,
+    staleWhileRevalidate = 0,
+    staleIfError = 0,
+    waitUntil = () => {},
+    onInvalid = warnInvalid,
+    cache = createMemoryCache(),
+    fetch: fetchImpl = (...args) => fetch(...args),
+    debug = false,
+  } = options;
+
+  const log = (...args) => debug && console.log(...args);
+
+  // Requests in progress by URL, so concurrent callers share one fetch
+  const inflight = new Map();
+  // The newest meta loaded, for a `maxAge` function
+  let latestMeta;
+  const fileMaxAge = typeof maxAge === 'function' ? (file) => maxAge(file, latestMeta) : () => maxAge;
+
+  /**
+   * Fetch a URL once, aborting after the timeout
+   */
+  async function fetchOnce(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new HttpError(url, response.status);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Fetch a URL, retrying network errors, timeouts and 5xx responses
+   */
+  async function fetchWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchOnce(url);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= retries) throw error;
+        log(`[API] Retrying ${url} (attempt ${attempt + 2})`);
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Fetch a file, drop its invalid records and cache the result, joining a fetch of the same URL already in progress
+   * A file that fails validation as a whole throws a SchemaError and is not cached.
+   */
+  function refresh(file, url) {
+    if (!inflight.has(url)) {
+      const request = fetchWithRetry(url)
+        .then(async (data) => {
+          const { value, issues } = validateFile(file, data);
+          if (issues.length > 0) onInvalid(file, issues);
+          await cache.set(url, value).catch(() => {});
+          return value;
+        })
+        .finally(() => inflight.delete(url));
+      inflight.set(url, request);
+    }
+    return inflight.get(url);
+  }
+
+  /**
+   * Fetch a JSON file by name (without extension), e.g. `news_raw.1200`
+   * Cached copies are used while fresh, then while stale within the
+   * `staleWhileRevalidate` and `staleIfError` windows.
+   * @param {string} file
+   * @returns {Promise<any>}
+   */
+  async function fetchFile(file) {
+    const url = `${baseUrl}/${file}.json`;
+
+    const cached = await cache.get(url).catch(() => undefined);
+    const age = cached ? Date.now() - cached.storedAt : Infinity;
+    const maxAge = fileMaxAge(file);
+
+    if (age < maxAge) {
+      log(`[API Cache] Hit for ${file}.json`);
+      return cached.value;
+    }
+
+    if (age < maxAge + staleWhileRevalidate) {
+      log(`[API Cache] Stale hit for ${file}.json, revalidating`);
+      waitUntil(refresh(file, url).catch((error) => console.warn(`[API] Failed to revalidate ${file}.json:`, error)));
+      return cached.value;
+    }
+
+    log(`[API] Fetching ${file}.json from ${baseUrl}`);
+    try {
+      return await refresh(file, url);
+    } catch (error) {
+      if (cached && isRetryable(error) && age < maxAge + staleIfError) {
+        console.warn(`[API] Serving stale ${file}.json after error:`, error);
+        return cached.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Meta>}
+   */
+  async function fetchMeta() {
+    latestMeta = await fetchFile('meta');
+    return latestMeta;
+  }
+
+  /**
+   * @returns {Promise<Source[]>}
+   */
+  function fetchSources() {
+    return fetchFile('news_sources');
+  }
+
+  /**
+   * Tags, each with its unique URL slug
+   * @returns {Promise<Tag[]>}
+   */
+  async function fetchTags() {
+    return assignTagSlugs(await fetchFile('tags')).tags;
+  }
+
+  /**
+   * @returns {Promise<TagArticles[]>}
+   */
+  function fetchTagArticles() {
+    return fetchFile('tag_articles');
+  }
+
+  /**
+   * Fetch the batch of raw news items containing an ID
+   * @param {number} id
+   * @returns {Promise<NewsRawItem[]>}
+   */
+  function fetchNewsRawBatch(id) {
+    return fetchFile(`news_raw.${getBatchId(id)}`);
+  }
+
+  /**
+   * Fetch the batch of clusters containing an ID
+   * @param {number} id
+   * @returns {Promise<NewsArticle[]>}
+   */
+  function fetchNewsArticlesBatch(id) {
+    return fetchFile(`news_articles.${getBatchId(id)}`);
+  }
+
+  /**
+   * Fetch batches of a table, BATCH_CONCURRENCY at a time
+   * Each batch settles on its own, in the order given, so callers decide which failures matter.
+   * @param {'news_raw' | 'news_articles'} table
+   * @param {number[]} batchIds
+   * @returns {Promise<PromiseSettledResult<any[]>[]>}
+   */
+  function fetchBatches(table, batchIds) {
+    return runLimited(batchIds.map((batchId) => () => fetchFile(`${table}.${batchId}`).then(
+      (value) => ({ status: /** @type {const} */ ('fulfilled'), value }),
+      (reason) => ({ status: /** @type {const} */ ('rejected'), reason })
+    )));
+  }
+
+  /**
+   * Fetch a single raw news item by ID
+   * @param {number} id
+   * @returns {Promise<NewsRawItem | undefined>}
+   */
+  async function fetchNewsRawById(id) {
+    const batch = await fetchNewsRawBatch(id);
+    return batch.find((item) => item.id === id);
+  }
+
+  /**
+   * Fetch multiple raw news items by IDs, in the order given
+   * Batches that fail to load are skipped.
+   * @param {number[]} ids
+   * @returns {Promise<NewsRawItem[]>}
+   */
+  async function fetchNewsRawByIds(ids) {
+    if (ids.length === 0) return [];
+
+    // Group by batch
+    const batchGroups = new Map();
+    for (const id of ids) {
+      const batchId = getBatchId(id);
+      if (!batchGroups.has(batchId)) {
+        batchGroups.set(batchId, []);
+      }
+      batchGroups.get(batchId).push(id);
+    }
+
+    // Fetch the batches in parallel
+    const results = (
+      await runLimited(
+        [...batchGroups].map(([batchId, idsInBatch]) => async () => {
+          try {
+            const batch = await fetchNewsRawBatch(batchId);
+            return batch.filter((item) => idsInBatch.includes(item.id));
+          } catch (error) {
+            console.warn(`[API] Failed to fetch news_raw batch ${batchId}:`, error);
+            return [];
+          }
+        })
+      )
+    ).flat();
+
+    // Sort by original ID order
+    const idOrder = new Map(ids.map((id, index) => [id, index]));
+    return results.sort((a, b) => (idOrder.get(a.id) || 0) - (idOrder.get(b.id) || 0));
+  }
+
+  /**
+   * Fetch a single cluster by ID, falling back to the base file when its batch is missing
+   * @param {number} id
+   * @returns {Promise<NewsArticle | undefined>}
+   */
+  async function fetchClusterById(id) {
+    try {
+      const batch = await fetchNewsArticlesBatch(id);
+      return batch.find((item) => item.id === id);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      const base = await fetchFile('news_articles');
+      return base.find((item) => item.id === id);
+    }
+  }
+
+  /**
+   * Fetch the newest records of a batched table, walking batches backwards from its latest ID
+   * IDs run consecutively, so the batches `limit` records span are loaded
+   * together; more follow, BATCH_CONCURRENCY at a time, while records are
+   * missing. The walk ends at the first batch that fails to load.
+   * @param {'news_raw' | 'news_articles'} table
+   * @param {number} latestId
+   * @param {number} limit
+   */
+  async function fetchRecent(table, latestId, limit) {
+    const results = [];
+    const spanned = (getBatchId(latestId) - getBatchId(Math.max(latestId - limit + 1, 0))) / BATCH_SIZE + 1;
+
+    for (
+      let batchIds = recentBatchIds(latestId, spanned);
+      batchIds.length > 0 && results.length < limit;
+      batchIds = recentBatchIds(batchIds[batchIds.length - 1] - BATCH_SIZE, BATCH_CONCURRENCY)
+    ) {
+      const batches = await fetchBatches(table, batchIds);
+      const failed = batches.findIndex((batch) => batch.status === 'rejected');
+      for (const batch of failed === -1 ? batches : batches.slice(0, failed)) {
+        results.push(...batch.value);
+      }
+      if (failed !== -1) {
+        console.warn(`[API] Failed to fetch ${table} batch ${batchIds[failed]}:`, batches[failed].reason);
+        break;
+      }
+    }
+
+    return results.sort((a, b) => b.id - a.id).slice(0, limit);
+  }
+
+  /**
+   * Fetch the newest raw news items
+   * @param {number} [limit]
+   * @returns {Promise<NewsRawItem[]>}
+   */
+  async function fetchRecentNews(limit = 20) {
+    const meta = await fetchMeta();
+    return fetchRecent('news_raw', meta.tables.news_raw.latest_id, limit);
+  }
+
+  /**
+   * Fetch the newest clusters
+   * @param {number} [limit]
+   * @returns {Promise<NewsArticle[]>}
+   */
+  async function fetchRecentClusters(limit = 20) {
+    const meta = await fetchMeta();
+    return fetchRecent('news_articles', meta.tables.news_articles.latest_id, limit);
+  }
+
+  /**
+   * Fetch raw news items for a tag
+   * @param {number} tagId
+   * @param {number} [limit]
+   * @returns {Promise<NewsRawItem[]>}
+   */
+  async function fetchNewsByTag(tagId, limit = 20) {
+    const tagArticles = await fetchTagArticles();
+    const tagMapping = tagArticles.find((t) => t.tag_id === tagId);
+
+    if (!tagMapping || tagMapping.articles.length === 0) {
+      return [];
+    }
+
+    return fetchNewsRawByIds(tagMapping.articles.slice(0, limit));
+  }
+
+  /**
+   * Fetch the newest raw news items tagged with any of several tags
+   * @param {number[]} tagIds
+   * @param {number} [limit]
+   * @returns {Promise<NewsRawItem[]>}
+   */
+  async function fetchNewsByTags(tagIds, limit = 20) {
+    if (tagIds.length === 1) {
+      return fetchNewsByTag(tagIds[0], limit);
+    }
+
+    const tagArticles = await fetchTagArticles();
+    const ids = new Set();
+    for (const mapping of tagArticles) {
+      if (tagIds.includes(mapping.tag_id)) {
+        mapping.articles.forEach((id) => ids.add(id));
+      }
+    }
+
+    return fetchNewsRawByIds([...ids].sort((a, b) => b - a).slice(0, limit));
+  }
+
+  return {
+    baseUrl,
+    fetchFile,
+    fetchMeta,
+    fetchSources,
+    fetchTags,
+    fetchTagArticles,
+    fetchNewsRawBatch,
+    fetchNewsArticlesBatch,
+    fetchBatches,
+    fetchNewsRawById,
+    fetchNewsRawByIds,
+    fetchClusterById,
+    fetchRecentNews,
+    fetchRecentClusters,
+    fetchNewsByTag,
+    fetchNewsByTags,
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Error pages: which status a missing or unloadable page gets
+ *
+ * Shared by the Pages Function (status codes) and the SPA renderer (error
+ * views), so both agree on when a page is missing, gone or only unavailable.
+ * IDs are sequential, so an ID at or below meta's latest ID whose batch the API
+ * no longer serves has aged out of its retention window: 410 Gone. Higher IDs,
+ * and IDs missing from a batch that still exists, are 404s. Anything else
+ * (network errors, timeouts, 5xx after retries) is a 503.
+ *
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ * @typedef {'news_raw' | 'news_articles'} ItemTable
+ */
+
+import { HttpError, getBatchId } from './data-client.js';
+
+// Seconds a client should wait before retrying after a 503
+export const RETRY_AFTER = 120;
+
+// Message keys (i18n.js) for each status: `error.{kind}.title` and `error.{kind}.message`
+const ERROR_KINDS = {
+  404: 'notFound',
+  410: 'gone',
+  503: 'unavailable',
+};
+
+/**
+ * A page that can't be shown, with the HTTP status it should be served with
+ */
+export class PageError extends Error {
+  /**
+   * @param {404 | 410 | 503} status
+   * @param {string} [message] - For logs; readers see the catalog message for the status
+   */
+  constructor(status, message = `Page error ${status}`) {
+    super(message);
+    this.name = 'PageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Message key prefix for a status, e.g. `error.gone`
+ * @param {number} status
+ * @returns {string}
+ */
+export function errorMessageKey(status) {
+  return `error.${ERROR_KINDS[status] || ERROR_KINDS[503]}`;
+}
+
+/**
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isMissingFile(error) {
+  return error instanceof HttpError && error.status === 404;
+}
+
+/**
+ * @param {string} what
+ * @param {unknown} error
+ * @returns {PageError}
+ */
+function unavailable(what, error) {
+  return new PageError(503, `Failed to load ${what}: ${error instanceof Error ? error.message : error}`);
+}
+
+/**
+ * Why an item could not be shown
+ * @param {DataClient} client
+ * @param {ItemTable} table
+ * @param {number} id
+ * @param {unknown} [error] - What loading the item threw, if anything; without one the item was simply not found
+ * @returns {Promise<PageError>}
+ */
+export async function itemError(client, table, id, error) {
+  if (error instanceof PageError) return error;
+  if (error && !isMissingFile(error)) return unavailable(`${table} ${id}`, error);
+
+  let meta;
+  try {
+    meta = await client.fetchMeta();
+  } catch (metaError) {
+    return unavailable('meta', metaError);
+  }
+  if (id > meta.tables[table].latest_id) {
+    return new PageError(404, `${table} ${id} does not exist yet`);
+  }
+
+  try {
+    await client.fetchFile(`${table}.${getBatchId(id)}`);
+    return new PageError(404, `${table} ${id} not found`);
+  } catch (batchError) {
+    return isMissingFile(batchError)
+      ? new PageError(410, `${table} ${id} is no longer available`)
+      : unavailable(`${table} ${id}`, batchError);
+  }
+}
+
+/**
+ * PageError for anything thrown while building a page
+ * @param {unknown} error
+ * @returns {PageError}
+ */
+export function toPageError(error) {
+  return error instanceof PageError ? error : unavailable('page', error);
+}
@@ -0,0 +1,196 @@
+/**
+ * Reading history and bookmarks
+ *
+ * Kept in the reader's browser by scripts/history.js; this module holds the
+ * pure parts: the stored format, size limits and expiry, and the "new since
+ * your last visit" count for clusters.
+ *
+ * @typedef {'article' | 'cluster'} HistoryKind
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {number} readAt - Epoch milliseconds of the last visit
+ * @property {number} [count] - Clusters only: number of articles at that visit
+ *
+ * @typedef {Object} ReadingHistory
+ * @property {number} version
+ * @property {Object<string, HistoryEntry>} article - By ID
+ * @property {Object<string, HistoryEntry>} cluster - By ID
+ *
+ * @typedef {Object} Bookmark
+ * @property {HistoryKind} kind
+ * @property {number} id
+ * @property {string} title
+ * @property {number} savedAt - Epoch milliseconds
+ */
+
+export const HISTORY_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_LIMITS = {
+  article: 1000,
+  cluster: 500,
+  maxAge: 90 * DAY_MS,
+};
+
+export const BOOKMARK_LIMITS = {
+  entries: 200,
+  maxAge: 365 * DAY_MS,
+};
+
+const KINDS = ['article', 'cluster'];
+
+/**
+ * @returns {ReadingHistory}
+ */
+export function emptyHistory() {
+  return { version: HISTORY_VERSION, article: {}, cluster: {} };
+}
+
+/**
+ * Drop expired visits, then the oldest ones beyond the size limits
+ * @param {ReadingHistory} history
+ * @param {number} [now]
+ * @returns {ReadingHistory}
+ */
+export function pruneHistory(history, now = Date.now()) {
+  const pruned = emptyHistory();
+  for (const kind of KINDS) {
+    const entries = Object.entries(history[kind] || {})
+      .filter(([, entry]) => now - entry.readAt < HISTORY_LIMITS.maxAge)
+      .sort(([, a], [, b]) => b.readAt - a.readAt)
+      .slice(0, HISTORY_LIMITS[kind]);
+    pruned[kind] = Object.fromEntries(entries);
+  }
+  return pruned;
+}
+
+/**
+ * Read stored history, discarding anything malformed
+ * @param {unknown} data
+ * @param {number} [now]
+ * @returns {ReadingHistory}
+ */
+export function normalizeHistory(data, now = Date.now()) {
+  if (!data || typeof data !== 'object' || data.version !== HISTORY_VERSION) {
+    return emptyHistory();
+  }
+
+  const history = emptyHistory();
+  for (const kind of KINDS) {
+    for (const [id, entry] of Object.entries(data[kind] || {})) {
+      if (!/^\d+$/.test(id) || !Number.isFinite(entry?.readAt)) continue;
+      history[kind][id] = Number.isInteger(entry.count) ? { readAt: entry.readAt, count: entry.count } : { readAt: entry.readAt };
+    }
+  }
+  return pruneHistory(history, now);
+}
+
+/**
+ * Record a visit
+ * @param {ReadingHistory} history
+ * @param {HistoryKind} kind
+ * @param {number} id
+ * @param {{ count?: number, now?: number }} [options] - `count`: the cluster's current number of articles
+ * @returns {ReadingHistory} A new history object
+ */
+export function markRead(history, kind, id, { count, now = Date.now() } = {}) {
+  const entry = count === undefined ? { readAt: now } : { readAt: now, count };
+  return pruneHistory({ ...history, [kind]: { ...history[kind], [id]: entry } }, now);
+}
+
+/**
+ * @param {ReadingHistory} history
+ * @param {HistoryKind} kind
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function isRead(history, kind, id) {
+  return Boolean(history[kind][id]);
+}
+
+/**
+ * Articles added to a cluster since the reader last opened it; 0 for unread clusters
+ * @param {ReadingHistory} history
+ * @param {number} id
+ * @param {number} count - The cluster's current number of articles
+ * @returns {number}
+ */
+export function newSinceLastVisit(history, id, count) {
+  const entry = history.cluster[id];
+  if (!entry || entry.count === undefined) return 0;
+  return Math.max(0, count - entry.count);
+}
+
+/**
+ * Drop expired bookmarks, then the oldest ones beyond the size limit
+ * @param {Bookmark[]} bookmarks
+ * @param {number} [now]
+ * @returns {Bookmark[]} Newest first
+ */
+export function pruneBookmarks(bookmarks, now = Date.now()) {
+  return bookmarks
+    .filter((bookmark) => now - bookmark.savedAt < BOOKMARK_LIMITS.maxAge)
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .slice(0, BOOKMARK_LIMITS.entries);
+}
+
+/**
+ * Read stored bookmarks, discarding anything malformed
+ * @param {unknown} data
+ * @param {number} [now]
+ * @returns {Bookmark[]}
+ */
+export function normalizeBookmarks(data, now = Date.now()) {
+  if (!Array.isArray(data)) return [];
+  return pruneBookmarks(
+    data.filter(
+      (bookmark) =>
+        KINDS.includes(bookmark?.kind) &&
+        Number.isInteger(bookmark.id) &&
+        typeof bookmark.title === 'string' &&
+        Number.isFinite(bookmark.savedAt)
+    ),
+    now
+  );
+}
+
+/**
+ * @param {Bookmark[]} bookmarks
+ * @param {HistoryKind} kind
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function isBookmarked(bookmarks, kind, id) {
+  return bookmarks.some((bookmark) => bookmark.kind === kind && bookmark.id === id);
+}
+
+/**
+ * @param {Bookmark[]} bookmarks
+ * @param {Omit<Bookmark, 'savedAt'>} bookmark
+ * @param {number} [now]
+ * @returns {Bookmark[]} A new list
+ */
+export function addBookmark(bookmarks, { kind, id, title }, now = Date.now()) {
+  return pruneBookmarks([{ kind, id, title, savedAt: now }, ...removeBookmark(bookmarks, kind, id)], now);
+}
+
+/**
+ * @param {Bookmark[]} bookmarks
+ * @param {HistoryKind} kind
+ * @param {number} id
+ * @returns {Bookmark[]} A new list
+ */
+export function removeBookmark(bookmarks, kind, id) {
+  return bookmarks.filter((bookmark) => !(bookmark.kind === kind && bookmark.id === id));
+}
+
+/**
+ * Page a bookmark or history entry points to
+ * @param {HistoryKind} kind
+ * @param {number} id
+ * @returns {string}
+ */
+export function historyPath(kind, id) {
+  return kind === 'cluster' ? `/articles/${id}` : `/news/${id}`;
+}
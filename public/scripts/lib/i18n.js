@@ -0,0 +1,173 @@
+/**
+ * Locales, message catalogs and locale-aware formatting
+ *
+ * English pages live at unprefixed URLs; other locales are served by the
+ * Pages Function under a prefix (/tr/news/123). Messages missing from a
+ * catalog fall back to English. Plural messages are objects keyed by
+ * Intl.PluralRules categories (`one`, `other`, …) and take a `count` param.
+ */
+
+import en from './locales/en.js';
+import tr from './locales/tr.js';
+import ar from './locales/ar.js';
+
+/**
+ * @typedef {Object} LocaleInfo
+ * @property {string} code - Language code used in URLs and `lang`
+ * @property {string} name - Name in the language itself
+ * @property {string} intl - Locale passed to Intl formatters
+ * @property {'ltr' | 'rtl'} dir
+ * @property {Object<string, string | Object<string, string>>} messages
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+/** @type {Object<string, LocaleInfo>} */
+export const LOCALES = {
+  en: { code: 'en', name: 'English', intl: 'en-US', dir: 'ltr', messages: en },
+  tr: { code: 'tr', name: 'Türkçe', intl: 'tr-TR', dir: 'ltr', messages: tr },
+  ar: { code: 'ar', name: 'العربية', intl: 'ar', dir: 'rtl', messages: ar },
+};
+
+// Pages that have a version in every locale; the rest are English only
+const LOCALIZED_PATHS = [
+  /^\/$/,
+  /^\/news\/\d+$/,
+  /^\/articles\/\d+$/,
+  /^\/trending$/,
+  /^\/archive(\/.*)?$/,
+  /^\/tags$/,
+  /^\/tag\/[^/]+$/,
+];
+
+/**
+ * Supported locale for a code such as `tr` or `tr-TR`, or the default
+ * @param {string | null | undefined} code
+ * @returns {LocaleInfo}
+ */
+export function getLocale(code) {
+  const base = (code || '').toLowerCase().split('-')[0];
+  return LOCALES[base] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * @param {string} locale
+ * @returns {'ltr' | 'rtl'}
+ */
+export function getDirection(locale) {
+  return getLocale(locale).dir;
+}
+
+const pluralRules = new Map();
+
+/**
+ * Translate a message key
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object<string, string | number>} [params] - `{name}` placeholders; `count` also picks the plural form
+ * @returns {string}
+ */
+export function t(locale, key, params = {}) {
+  const info = getLocale(locale);
+  let message = info.messages[key] ?? en[key] ?? key;
+
+  if (typeof message === 'object') {
+    if (!pluralRules.has(info.code)) {
+      pluralRules.set(info.code, new Intl.PluralRules(info.intl));
+    }
+    const category = pluralRules.get(info.code).select(Number(params.count ?? 0));
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Format a date string, e.g. "March 5, 2026"
+ * @param {string} dateString
+ * @param {string} [locale]
+ * @param {Intl.DateTimeFormatOptions} [options] - Overrides, e.g. `{ month: 'short' }`
+ * @returns {string}
+ */
+export function formatDate(dateString, locale = DEFAULT_LOCALE, options = {}) {
+  return new Date(dateString).toLocaleDateString(getLocale(locale).intl, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...options,
+  });
+}
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 3600],
+  ['month', 30 * 24 * 3600],
+  ['week', 7 * 24 * 3600],
+  ['day', 24 * 3600],
+  ['hour', 3600],
+  ['minute', 60],
+];
+
+/**
+ * Relative time such as "3 hours ago" or "yesterday"
+ * @param {string} dateString
+ * @param {{ locale?: string, now?: number }} [options]
+ * @returns {string}
+ */
+export function formatRelativeTime(dateString, { locale = DEFAULT_LOCALE, now = Date.now() } = {}) {
+  const seconds = Math.round((Date.parse(dateString) - now) / 1000);
+  const formatter = new Intl.RelativeTimeFormat(getLocale(locale).intl, { numeric: 'auto' });
+
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.round(seconds / size), /** @type {Intl.RelativeTimeFormatUnit} */ (unit));
+    }
+  }
+  return formatter.format(0, 'minute');
+}
+
+/**
+ * Split a locale prefix off a path: `/tr/news/1` gives `{ locale: 'tr', path: '/news/1' }`
+ * @param {string} pathname
+ * @returns {{ locale: string, path: string, prefixed: boolean }}
+ */
+export function parseLocalePath(pathname) {
+  const match = pathname.match(/^\/([a-z]{2})(\/.*)?$/);
+  if (match && match[1] !== DEFAULT_LOCALE && LOCALES[match[1]]) {
+    return { locale: match[1], path: match[2] || '/', prefixed: true };
+  }
+  return { locale: DEFAULT_LOCALE, path: pathname, prefixed: false };
+}
+
+/**
+ * Whether a page has versions in every locale
+ * @param {string} path - Without locale prefix
+ * @returns {boolean}
+ */
+export function isLocalizedPath(path) {
+  return LOCALIZED_PATHS.some((pattern) => pattern.test(path));
+}
+
+/**
+ * URL of a page in a locale; English-only pages keep their unprefixed URL
+ * @param {string} path - Without locale prefix
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function localePath(path, locale = DEFAULT_LOCALE) {
+  if (locale === DEFAULT_LOCALE || !LOCALES[locale] || !isLocalizedPath(path)) return path;
+  return `/${locale}${path}`;
+}
+
+/**
+ * `hreflang` alternates for a page, including `x-default`; empty for English-only pages
+ * @param {string} path - Without locale prefix
+ * @param {string} origin - Site origin, e.g. https://newshelp.org
+ * @returns {{ hreflang: string, href: string }[]}
+ */
+export function localeAlternates(path, origin) {
+  if (!isLocalizedPath(path)) return [];
+  return [
+    ...Object.keys(LOCALES).map((code) => ({ hreflang: code, href: `${origin}${localePath(path, code)}` })),
+    { hreflang: 'x-default', href: `${origin}${path}` },
+  ];
+}
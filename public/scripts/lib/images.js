@@ -0,0 +1,181 @@
+/**
+ * Responsive images for items' imgUrl and the images in their text
+ *
+ * Publisher images aren't linked directly: readers would download them at
+ * full size, from servers that see their IP and that rotate URLs. Pages
+ * load them through the Pages Function's /img route instead, which resizes
+ * them to one of IMAGE_WIDTHS, crops them to 16:9, re-encodes them as AVIF
+ * or WebP and caches the result at the edge (functions/[[catchall]].js).
+ * Every card and article layout is a 16:9 frame, so width and height are
+ * known before the image loads. A tiny blurred copy is the image's
+ * background until it does. Images inside article bodies and cluster
+ * summaries keep their own proportions.
+ *
+ * Each /img URL names the item or cluster the image belongs to (`ref`, e.g.
+ * `article:123`). The route only fetches an image that record actually uses
+ * (usesImage in rich-text.js), so it can't be pointed at arbitrary URLs, and
+ * never fetches IP addresses, local host names or non-default ports.
+ *
+ * Resizing needs Cloudflare Images. Where it isn't enabled (IMAGE_RESIZING=false,
+ * as in local development) /img passes the original through at any width, so
+ * images get a single URL, with no srcset or placeholder.
+ */
+
+export const IMAGE_ROUTE = '/img';
+export const IMAGE_ASPECT_RATIO = 16 / 9;
+
+// Blurred placeholder, stretched over the frame
+export const PLACEHOLDER_WIDTH = 32;
+
+/**
+ * Widths each layout is offered in, and the `sizes` telling the browser which it needs
+ * `crop: false` layouts are only scaled down, keeping the image's proportions.
+ * @type {Record<string, { widths: number[], sizes: string, crop?: boolean }>}
+ */
+export const IMAGE_LAYOUTS = {
+  // News and cluster grids: one column on phones, two on tablets, up to three in the 1200px page
+  card: { widths: [320, 480, 640, 960], sizes: '(max-width: 640px) 100vw, (max-width: 1024px) 50vw, 400px' },
+  // Article page: the 42rem column
+  article: { widths: [480, 640, 960, 1280], sizes: '(max-width: 42rem) 100vw, 42rem' },
+  // Citation preview card
+  preview: { widths: [320, 640], sizes: '20rem' },
+  // Images in article bodies and cluster summaries (rich-text.js), in the same column
+  body: { widths: [480, 960], sizes: '(max-width: 42rem) 100vw, 42rem', crop: false },
+};
+
+let imageResizing = true;
+
+/**
+ * Whether /img resizes images
+ * @returns {boolean}
+ */
+export function isImageResizing() {
+  return imageResizing;
+}
+
+/**
+ * Set whether /img resizes images, once per runtime from its IMAGE_RESIZING setting
+ * (src/lib/api.ts, functions/[[catchall]].js, and the page's `news-image-resizing` meta in the browser)
+ * @param {boolean} enabled
+ */
+export function setImageResizing(enabled) {
+  imageResizing = enabled;
+}
+
+// Records an image can belong to, as `kind:id` (the same form as `data-visit` attributes)
+const IMAGE_REF_PATTERN = /^(article|cluster):([1-9]\d*)$/;
+
+// The only widths /img renders, so the edge cache can't be filled with arbitrary sizes
+export const IMAGE_WIDTHS = [...new Set([PLACEHOLDER_WIDTH, ...Object.values(IMAGE_LAYOUTS).flatMap(({ widths }) => widths)])]
+  .sort((a, b) => a - b);
+
+/**
+ * @param {number} width
+ * @returns {number}
+ */
+export function imageHeight(width) {
+  return Math.round(width / IMAGE_ASPECT_RATIO);
+}
+
+/**
+ * URL of an image resized by the /img route
+ * @param {string} src - The publisher's image URL, as it appears in the data
+ * @param {string} ref - The item or cluster using it, e.g. `article:123`
+ * @param {number} width - One of IMAGE_WIDTHS
+ * @param {{ crop?: boolean }} [options] - `crop: false` keeps the image's proportions
+ * @returns {string}
+ */
+export function imageUrl(src, ref, width, { crop = true } = {}) {
+  const params = new URLSearchParams({ url: src, ref, w: String(width) });
+  if (!crop) params.set('fit', 'scale-down');
+  return `${IMAGE_ROUTE}?${params}`;
+}
+
+/**
+ * Attributes of an `<img>` showing an image in a layout
+ * Add `alt` and `loading`. Cropped layouts also get `width`, `height` and a
+ * `style` setting the blurred placeholder. Without resizing there is only `src`.
+ * @param {string} src - The publisher's image URL
+ * @param {string} ref - The item or cluster using it, e.g. `article:123`
+ * @param {keyof typeof IMAGE_LAYOUTS} layout
+ * @returns {{ src: string, srcset?: string, sizes?: string, width?: number, height?: number, style?: string }}
+ */
+export function responsiveImage(src, ref, layout) {
+  const { widths, sizes, crop = true } = IMAGE_LAYOUTS[layout];
+  const [width] = widths;
+  const url = (w) => imageUrl(src, ref, w, { crop });
+  if (!imageResizing) return { src: url(width) };
+  const attributes = { src: url(width), srcset: widths.map((w) => `${url(w)} ${w}w`).join(', '), sizes };
+
+  if (!crop) return attributes;
+  return {
+    ...attributes,
+    width,
+    height: imageHeight(width),
+    style: `background: center / cover no-repeat url('${url(PLACEHOLDER_WIDTH)}')`,
+  };
+}
+
+/**
+ * Whether /img may fetch a URL: http(s) to a public host name on the scheme's default port
+ * IP addresses (such as cloud metadata at 169.254.169.254) and local names never are.
+ * @param {URL} url
+ * @returns {boolean}
+ */
+export function isPublicImageUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) return false;
+  const host = url.hostname.toLowerCase();
+  if (url.port || !host.includes('.') || host.startsWith('[')) return false;
+  if (/^[\d.]+$/.test(host) || /^0x/.test(host)) return false;
+  return !/\.(localhost|local|internal|home|lan|corp|intranet)$/.test(host);
+}
+
+/**
+ * Read an /img request
+ * @param {URL} url
+ * @returns {{ src: string, ref: { kind: 'article' | 'cluster', id: number }, width: number, height?: number,
+ *   crop: boolean, placeholder: boolean } | null}
+ *   null unless `url` is an absolute http(s) URL on a public host other than this one, `ref` names an
+ *   article or cluster and `w` is one of IMAGE_WIDTHS. `src` is as given, to be matched against the record.
+ */
+export function parseImageRequest(url) {
+  const width = Number(url.searchParams.get('w'));
+  if (!IMAGE_WIDTHS.includes(width)) return null;
+
+  const ref = (url.searchParams.get('ref') || '').match(IMAGE_REF_PATTERN);
+  if (!ref) return null;
+
+  const fit = url.searchParams.get('fit');
+  if (fit !== null && fit !== 'scale-down') return null;
+  const crop = fit === null;
+
+  const src = url.searchParams.get('url') || '';
+  let parsed;
+  try {
+    parsed = new URL(src);
+  } catch {
+    return null;
+  }
+  // Never fetch this site through itself
+  if (parsed.hostname === url.hostname || !isPublicImageUrl(parsed)) return null;
+
+  return {
+    src,
+    ref: { kind: /** @type {'article' | 'cluster'} */ (ref[1]), id: Number(ref[2]) },
+    width,
+    ...(crop && { height: imageHeight(width) }),
+    crop,
+    placeholder: width === PLACEHOLDER_WIDTH,
+  };
+}
+
+/**
+ * Best format the browser accepts, from its Accept header
+ * @param {string | null} accept
+ * @returns {'avif' | 'webp' | undefined} undefined keeps the original format
+ */
+export function negotiateImageFormat(accept) {
+  if (/image\/avif/.test(accept || '')) return 'avif';
+  if (/image\/webp/.test(accept || '')) return 'webp';
+  return undefined;
+}
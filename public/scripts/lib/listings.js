@@ -0,0 +1,193 @@
+/**
+ * Data behind the home, tags and tag pages
+ *
+ * The build renders these pages once per deploy and the Pages Function
+ * renders them again from live data between deploys, so both load them here
+ * and show the same articles. The build renders them with its Astro
+ * components, the Function with homeTemplate, tagsTemplate and tagTemplate
+ * (templates.js).
+ *
+ * @typedef {import('../../../src/types/db').Meta} Meta
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {import('./taxonomy.js').Taxonomy} Taxonomy
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {Object} HomePage
+ * @property {Meta} meta
+ * @property {Tag[]} tags
+ * @property {NewsArticle[]} clusters - Newest first
+ * @property {NewsRawItem[]} clusterItems - The first articles of each cluster
+ * @property {NewsRawItem[]} news - Newest first
+ * @property {Map<number, Source>} sourcesMap
+ *
+ * @typedef {Object} TagPage
+ * @property {Meta} meta
+ * @property {Tag} tag
+ * @property {Taxonomy} taxonomy
+ * @property {string} description - From tag_articles.json or the tag; may be empty
+ * @property {string} summary - The description, or a generic one, for meta tags
+ * @property {NewsRawItem[]} news - Tagged with the tag or one of its descendants, newest first
+ * @property {Map<number, Source>} sourcesMap
+ */
+
+import { getAncestors, getDescendants } from './taxonomy.js';
+import { tagPath } from './tag-slugs.js';
+import { DEFAULT_LOCALE, t, localePath } from './i18n.js';
+
+export const HOME_CLUSTERS = 10;
+export const HOME_CLUSTER_ITEMS = 3;
+export const HOME_NEWS = 20;
+export const TAG_NEWS = 50;
+
+/**
+ * @param {Source[]} sources
+ * @returns {Map<number, Source>}
+ */
+function toSourcesMap(sources) {
+  return new Map(sources.map((source) => [source.id, source]));
+}
+
+/**
+ * Newest clusters, with the first few articles of each, and the newest articles
+ * @param {DataClient} client
+ * @returns {Promise<HomePage>}
+ */
+export async function fetchHomePage(client) {
+  const meta = await client.fetchMeta();
+  const [tags, news, sources, batch] = await Promise.all([
+    client.fetchTags(),
+    client.fetchRecentNews(HOME_NEWS),
+    client.fetchSources(),
+    client.fetchNewsArticlesBatch(meta.tables.news_articles.latest_id),
+  ]);
+
+  // Copy before sorting: the batch array is shared through the data client's cache
+  const clusters = [...batch].sort((a, b) => b.id - a.id).slice(0, HOME_CLUSTERS);
+  const clusterItems = await client.fetchNewsRawByIds(clusters.flatMap((cluster) => cluster.articles.slice(0, HOME_CLUSTER_ITEMS)));
+
+  return { meta, tags, clusters, clusterItems, news, sourcesMap: toSourcesMap(sources) };
+}
+
+/**
+ * A tag's description and newest articles, including those of its descendants
+ * @param {DataClient} client
+ * @param {Tag} tag
+ * @param {Taxonomy} taxonomy - Built from the same tags.json as `tag`
+ * @param {string} [locale] - For the generic summary
+ * @returns {Promise<TagPage>}
+ */
+export async function fetchTagPage(client, tag, taxonomy, locale = DEFAULT_LOCALE) {
+  const tagIds = [tag.id, ...getDescendants(taxonomy, tag.id).map((descendant) => descendant.id)];
+  const [meta, news, sources, tagArticles] = await Promise.all([
+    client.fetchMeta(),
+    client.fetchNewsByTags(tagIds, TAG_NEWS),
+    client.fetchSources(),
+    client.fetchTagArticles(),
+  ]);
+
+  const mapping = tagArticles.find((entry) => entry.tag_id === tag.id);
+  const description = mapping?.description || tag.desc || '';
+
+  return {
+    meta,
+    tag,
+    taxonomy,
+    description,
+    summary: description || t(locale, 'tag.summary', { tag: tag.tag }),
+    news,
+    sourcesMap: toSourcesMap(sources),
+  };
+}
+
+/**
+ * Breadcrumb trail of a tag page, through the tag's first-parent ancestors
+ * @param {TagPage} page
+ * @param {string} [locale]
+ * @returns {{ label: string, href?: string }[]}
+ */
+export function tagBreadcrumbs({ tag, taxonomy }, locale = DEFAULT_LOCALE) {
+  return [
+    { label: t(locale, 'nav.home'), href: localePath('/', locale) },
+    { label: t(locale, 'nav.tags'), href: localePath('/tags', locale) },
+    ...getAncestors(taxonomy, tag.id).map((ancestor) => ({ label: ancestor.tag, href: localePath(tagPath(ancestor), locale) })),
+    { label: tag.tag },
+  ];
+}
+
+/**
+ * schema.org data for the home page
+ * @param {Meta} meta
+ * @param {string} origin - Site origin, e.g. https://newshelp.org
+ * @param {string} [locale]
+ * @returns {object}
+ */
+export function homeStructuredData(meta, origin, locale = DEFAULT_LOCALE) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    name: 'News Site',
+    url: `${origin}${localePath('/', locale)}`,
+    inLanguage: locale,
+    dateModified: meta.generated_at,
+    potentialAction: {
+      '@type': 'SearchAction',
+      target: { '@type': 'EntryPoint', urlTemplate: `${origin}/search?q={search_term_string}` },
+      'query-input': 'required name=search_term_string',
+    },
+  };
+}
+
+/**
+ * schema.org data for /tags
+ * @param {Meta} meta
+ * @param {string} origin
+ * @param {string} [locale]
+ * @returns {object}
+ */
+export function tagsStructuredData(meta, origin, locale = DEFAULT_LOCALE) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: t(locale, 'tags.title'),
+    description: t(locale, 'tags.description'),
+    inLanguage: locale,
+    dateModified: meta.generated_at,
+    url: `${origin}${localePath('/tags', locale)}`,
+  };
+}
+
+/**
+ * schema.org data for a tag page: the collection and its breadcrumb trail
+ * @param {TagPage} page
+ * @param {string} origin
+ * @param {string} [locale]
+ * @returns {object}
+ */
+export function tagStructuredData(page, origin, locale = DEFAULT_LOCALE) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'CollectionPage',
+        name: page.tag.tag,
+        description: page.summary,
+        inLanguage: locale,
+        dateModified: page.meta.generated_at,
+        url: `${origin}${localePath(tagPath(page.tag), locale)}`,
+        numberOfItems: page.news.length,
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: tagBreadcrumbs(page, locale).map(({ label, href }, index) => ({
+          '@type': 'ListItem',
+          position: index + 1,
+          name: label,
+          ...(href && { item: `${origin}${href}` }),
+        })),
+      },
+    ],
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Arabic messages (right-to-left)
+ */
+export default {
+  'nav.backHome': 'العودة إلى الصفحة الرئيسية →',
+  'nav.backHomepage': 'العودة إلى الصفحة الرئيسية →',
+  'nav.search': 'بحث',
+
+  'article.originallyPublished': 'نُشر في الأصل على {source}',
+
+  'cluster.articlesInCluster': 'المقالات في هذه المجموعة',
+  'cluster.count': {
+    zero: 'لا مقالات في هذه المجموعة',
+    one: 'مقال واحد في هذه المجموعة',
+    two: 'مقالان في هذه المجموعة',
+    few: '{count} مقالات في هذه المجموعة',
+    other: '{count} مقالًا في هذه المجموعة',
+  },
+  'cluster.view.articles': 'المقالات',
+  'cluster.view.timeline': 'التسلسل الزمني',
+  'cluster.view.compare': 'مقارنة المصادر',
+  'cluster.view.origins': 'حسب البلد',
+  'cluster.firstReport': 'أول خبر',
+  'cluster.compareLegend': 'المصادر المراد مقارنتها',
+  'cluster.singleOutlet': 'لم يغطِّ هذا الخبر حتى الآن سوى مصدر واحد.',
+  'cluster.unknownOrigin': 'بلد غير معروف',
+
+  'count.articles': { zero: 'لا مقالات', one: 'مقال واحد', two: 'مقالان', few: '{count} مقالات', other: '{count} مقالًا' },
+  'count.stories': { zero: 'لا أخبار', one: 'خبر واحد', two: 'خبران', few: '{count} أخبار', other: '{count} خبرًا' },
+
+  'related.label': 'تغطية ذات صلة',
+  'related.story': 'المزيد عن هذا الخبر',
+  'related.stories': 'أخبار ذات صلة',
+  'related.articles': 'مقالات ذات صلة',
+
+  'citations.title': 'المصادر',
+  'citations.missing': 'المقال المشار إليه غير موجود',
+  'citations.loading': 'جارٍ التحميل…',
+
+  'error.title': 'خطأ',
+  'error.notFound.title': 'الصفحة غير موجودة',
+  'error.notFound.message': 'الصفحة التي تبحث عنها غير موجودة. ربما كُتب العنوان بشكل خاطئ أو أن الرابط غير صحيح.',
+  'error.gone.title': 'لم تعد متاحة',
+  'error.gone.message': 'أُزيلت هذه الصفحة من الأرشيف ولم تعد متاحة.',
+  'error.unavailable.title': 'غير متاحة مؤقتًا',
+  'error.unavailable.message': 'تعذّر تحميل هذه الصفحة الآن. يُرجى المحاولة مرة أخرى بعد بضع دقائق.',
+  'error.searchPrompt': 'جرّب البحث عنها، أو تصفّح آخر الأخبار.',
+
+  'archive.title': 'الأرشيف',
+  'archive.titlePage': 'الأرشيف - الصفحة {page}',
+  'archive.description': 'تصفح كل التغطية، الأحدث أولًا.',
+  'archive.position': 'الصفحة {page} من {total}',
+  'archive.newer': 'الأحدث →',
+  'archive.older': '← الأقدم',
+  'archive.dayTitle': 'أخبار {day}',
+  'archive.dayDescription': 'نُشر في هذا اليوم {stories} و{articles}.',
+  'archive.navigation': 'التنقل في الأرشيف',
+  'archive.byDay': 'تصفح حسب اليوم',
+  'archive.empty': 'لا توجد تغطية لهذه الفترة.',
+  'archive.topStories': 'أبرز الأخبار',
+  'archive.articles': 'المقالات',
+
+  'trending.title': 'الأكثر تداولًا',
+  'trending.description': 'مواضيع وأخبار تحظى بتغطية أكبر من المعتاد، حتى {date}',
+  'trending.summary': 'مواضيع وأخبار تحظى بتغطية أكبر من المعتاد',
+  'trending.window.hour': 'آخر ساعة',
+  'trending.window.day': 'آخر 24 ساعة',
+  'trending.window.week': 'آخر 7 أيام',
+  'trending.empty': 'لا شيء يتصاعد أسرع من المعتاد في هذه الفترة.',
+  'trending.risingTopics': 'مواضيع صاعدة',
+  'trending.fastGrowing': 'أخبار سريعة النمو',
+  'trending.new': 'جديد',
+  'trending.newStories': { one: 'خبر جديد', two: 'خبران جديدان', few: '{count} أخبار جديدة', other: '{count} خبرًا جديدًا' },
+  'trending.newArticles': { one: 'مقال جديد', two: 'مقالان جديدان', few: '{count} مقالات جديدة', other: '{count} مقالًا جديدًا' },
+  'trending.inTotal': { one: 'مقال واحد إجمالًا', two: 'مقالان إجمالًا', few: '{count} مقالات إجمالًا', other: '{count} مقالًا إجمالًا' },
+  'trending.rail': 'الأكثر تداولًا',
+  'trending.seeAll': 'عرض كل الأكثر تداولًا ←',
+
+  'nav.home': 'الرئيسية',
+  'nav.tags': 'الوسوم',
+  'nav.breadcrumb': 'مسار التنقل',
+  'listing.lastUpdated': 'آخر تحديث: {date}',
+
+  'home.title': 'آخر الأخبار',
+  'home.subtitle': 'تابع آخر الأخبار والمقالات',
+  'home.categories': 'الفئات',
+  'home.topStories': 'أبرز الأخبار',
+  'home.latestArticles': 'أحدث المقالات',
+  'home.archiveLink': 'تصفح الأخبار الأقدم في الأرشيف ←',
+
+  'tags.title': 'جميع الفئات',
+  'tags.subtitle': 'تصفح الأخبار حسب الموضوع',
+  'tags.description': 'تصفح جميع فئات الأخبار وموضوعاتها',
+
+  'tag.summary': 'آخر الأخبار عن {tag}',
+  'tag.rss': 'موجز RSS',
+  'tag.topicsIn': 'موضوعات ضمن {tag}',
+  'tag.latestNews': 'آخر الأخبار',
+  'tag.empty': 'لم يُعثر على أخبار لهذا الوسم.',
+
+  'kind.story': 'خبر',
+  'kind.article': 'مقال',
+
+  'search.noResults': 'لا نتائج لـ «{query}».',
+  'search.results': { one: 'نتيجة واحدة لـ «{query}»', two: 'نتيجتان لـ «{query}»', few: '{count} نتائج لـ «{query}»', other: '{count} نتيجة لـ «{query}»' },
+  'search.unavailable': 'البحث غير متاح حاليًا.',
+
+  'offline.save': 'حفظ للقراءة دون اتصال',
+  'offline.saved': 'محفوظ للقراءة دون اتصال ✓',
+  'offline.failed': 'تعذر الحفظ، حاول مرة أخرى',
+  'offline.savedOn': 'حُفظت في {date}',
+  'offline.none': 'لا توجد صفحات محفوظة بعد. استخدم «حفظ للقراءة دون اتصال» في مقال لقراءته دون اتصال.',
+
+  'follow.follow': 'متابعة',
+  'follow.following': 'تتابعه',
+  'follow.mute': 'كتم',
+  'follow.muted': 'مكتوم',
+
+  'myFeed.title': 'أخباري',
+  'myFeed.description': 'أخبار من الموضوعات والمنافذ التي تتابعها. تُحفظ اختياراتك في هذا المتصفح فقط.',
+  'myFeed.notFollowing': 'أنت لا تتابع أي شيء بعد. استخدم أزرار المتابعة في صفحات <a href="{tagsUrl}">الموضوعات</a> و<a href="{sourcesUrl}">المصادر</a> وفي الأخبار لبناء موجزك.',
+  'myFeed.nothingNew': 'لا جديد مما تتابعه.',
+  'myFeed.stories': 'الأخبار',
+  'myFeed.articles': 'المقالات',
+  'myFeed.preferences': 'تفضيلاتك',
+  'myFeed.followedTopics': 'الموضوعات التي تتابعها',
+  'myFeed.followedSources': 'المصادر التي تتابعها',
+  'myFeed.muted': 'المكتومة',
+  'myFeed.none': 'لا شيء بعد.',
+  'myFeed.noMutedTopics': 'لا موضوعات مكتومة.',
+  'myFeed.noMutedSources': 'لا مصادر مكتومة.',
+  'myFeed.export': 'تصدير التفضيلات',
+  'myFeed.import': 'استيراد التفضيلات',
+  'myFeed.imported': 'تم استيراد التفضيلات.',
+  'myFeed.importFailed': 'تعذر استيراد التفضيلات: {error}',
+
+  'bookmark.add': 'إضافة إشارة مرجعية',
+  'bookmark.added': 'في الإشارات المرجعية ✓',
+  'bookmark.savedOn': 'أضيفت إلى الإشارات المرجعية في {date}',
+  'bookmark.remove': 'إزالة',
+  'bookmark.none': 'لا توجد إشارات مرجعية بعد. استخدم «إضافة إشارة مرجعية» في مقال أو خبر للاحتفاظ به هنا.',
+  'history.cleared': 'تم مسح سجل القراءة',
+  'history.newSinceVisit': {
+    one: 'مقال جديد منذ زيارتك الأخيرة',
+    two: 'مقالان جديدان منذ زيارتك الأخيرة',
+    few: '{count} مقالات جديدة منذ زيارتك الأخيرة',
+    other: '{count} مقالًا جديدًا منذ زيارتك الأخيرة',
+  },
+};
@@ -0,0 +1,138 @@
+/**
+ * English messages, the fallback for every other catalog
+ */
+export default {
+  'nav.backHome': '← Back to Home',
+  'nav.backHomepage': '← Back to homepage',
+  'nav.search': 'Search',
+
+  'article.originallyPublished': 'Originally published by {source}',
+
+  'cluster.articlesInCluster': 'Articles in this Cluster',
+  'cluster.count': { one: '{count} article in this cluster', other: '{count} articles in this cluster' },
+  'cluster.view.articles': 'Articles',
+  'cluster.view.timeline': 'Timeline',
+  'cluster.view.compare': 'Compare outlets',
+  'cluster.view.origins': 'By origin',
+  'cluster.firstReport': 'First report',
+  'cluster.compareLegend': 'Outlets to compare',
+  'cluster.singleOutlet': 'Only one outlet has covered this story so far.',
+  'cluster.unknownOrigin': 'Unknown origin',
+
+  'count.articles': { one: '{count} article', other: '{count} articles' },
+  'count.stories': { one: '{count} story', other: '{count} stories' },
+
+  'related.label': 'Related coverage',
+  'related.story': 'More on this story',
+  'related.stories': 'Related stories',
+  'related.articles': 'Related articles',
+
+  'citations.title': 'Sources',
+  'citations.missing': 'Referenced article not found',
+  'citations.loading': 'Loading…',
+
+  'error.title': 'Error',
+  'error.notFound.title': 'Page not found',
+  'error.notFound.message': 'The page you are looking for does not exist. It may have been mistyped, or the link may be wrong.',
+  'error.gone.title': 'No longer available',
+  'error.gone.message': 'This page has been removed from the archive and is no longer available.',
+  'error.unavailable.title': 'Temporarily unavailable',
+  'error.unavailable.message': 'We could not load this page right now. Please try again in a few minutes.',
+  'error.searchPrompt': 'Try searching for it, or browse the latest news.',
+
+  'archive.title': 'Archive',
+  'archive.titlePage': 'Archive - Page {page}',
+  'archive.description': 'Browse all coverage, newest first.',
+  'archive.position': 'Page {page} of {total}',
+  'archive.newer': '← Newer',
+  'archive.older': 'Older →',
+  'archive.dayTitle': 'News from {day}',
+  'archive.dayDescription': '{stories} and {articles} published on this day.',
+  'archive.navigation': 'Archive navigation',
+  'archive.byDay': 'Browse by day',
+  'archive.empty': 'No coverage for this period.',
+  'archive.topStories': 'Top Stories',
+  'archive.articles': 'Articles',
+
+  'trending.title': 'Trending',
+  'trending.description': 'Topics and stories getting more coverage than usual, as of {date}',
+  'trending.summary': 'Topics and stories getting more coverage than usual',
+  'trending.window.hour': 'Last hour',
+  'trending.window.day': 'Last 24 hours',
+  'trending.window.week': 'Last 7 days',
+  'trending.empty': 'Nothing is rising faster than usual over this period.',
+  'trending.risingTopics': 'Rising topics',
+  'trending.fastGrowing': 'Fast-growing stories',
+  'trending.new': 'New',
+  'trending.newStories': { one: '{count} new story', other: '{count} new stories' },
+  'trending.newArticles': { one: '{count} new article', other: '{count} new articles' },
+  'trending.inTotal': { one: '{count} article in total', other: '{count} articles in total' },
+  'trending.rail': 'Trending',
+  'trending.seeAll': 'See everything trending →',
+
+  'nav.home': 'Home',
+  'nav.tags': 'Tags',
+  'nav.breadcrumb': 'Breadcrumb',
+  'listing.lastUpdated': 'Last updated: {date}',
+
+  'home.title': 'Latest News',
+  'home.subtitle': 'Stay updated with the latest news and articles',
+  'home.categories': 'Categories',
+  'home.topStories': 'Top Stories',
+  'home.latestArticles': 'Latest Articles',
+  'home.archiveLink': 'Browse older news in the archive →',
+
+  'tags.title': 'All Categories',
+  'tags.subtitle': 'Browse news by topic',
+  'tags.description': 'Browse all news categories and topics',
+
+  'tag.summary': 'Latest news about {tag}',
+  'tag.rss': 'RSS feed',
+  'tag.topicsIn': 'Topics in {tag}',
+  'tag.latestNews': 'Latest News',
+  'tag.empty': 'No news found for this tag.',
+
+  'kind.story': 'Story',
+  'kind.article': 'Article',
+
+  'search.noResults': 'No results for “{query}”.',
+  'search.results': { one: '{count} result for “{query}”', other: '{count} results for “{query}”' },
+  'search.unavailable': 'Search is unavailable right now.',
+
+  'offline.save': 'Save for offline',
+  'offline.saved': 'Saved for offline ✓',
+  'offline.failed': 'Could not save, try again',
+  'offline.savedOn': 'Saved {date}',
+  'offline.none': 'No saved pages yet. Use "Save for offline" on an article to read it without a connection.',
+
+  'follow.follow': 'Follow',
+  'follow.following': 'Following',
+  'follow.mute': 'Mute',
+  'follow.muted': 'Muted',
+
+  'myFeed.title': 'My News',
+  'myFeed.description': 'Stories from the topics and outlets you follow. Your choices are stored in this browser only.',
+  'myFeed.notFollowing': 'You are not following anything yet. Use the Follow buttons on <a href="{tagsUrl}">topic</a> and <a href="{sourcesUrl}">source</a> pages, and on stories, to build your feed.',
+  'myFeed.nothingNew': 'Nothing new from what you follow.',
+  'myFeed.stories': 'Stories',
+  'myFeed.articles': 'Articles',
+  'myFeed.preferences': 'Your preferences',
+  'myFeed.followedTopics': 'Topics you follow',
+  'myFeed.followedSources': 'Sources you follow',
+  'myFeed.muted': 'Muted',
+  'myFeed.none': 'None yet.',
+  'myFeed.noMutedTopics': 'No muted topics.',
+  'myFeed.noMutedSources': 'No muted sources.',
+  'myFeed.export': 'Export preferences',
+  'myFeed.import': 'Import preferences',
+  'myFeed.imported': 'Preferences imported.',
+  'myFeed.importFailed': 'Could not import preferences: {error}',
+
+  'bookmark.add': 'Bookmark',
+  'bookmark.added': 'Bookmarked ✓',
+  'bookmark.savedOn': 'Bookmarked {date}',
+  'bookmark.remove': 'Remove',
+  'bookmark.none': 'No bookmarks yet. Use "Bookmark" on an article or story to keep it here.',
+  'history.cleared': 'Reading history cleared',
+  'history.newSinceVisit': { one: '{count} new article since your last visit', other: '{count} new articles since your last visit' },
+};
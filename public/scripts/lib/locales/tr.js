@@ -0,0 +1,138 @@
+/**
+ * Turkish messages
+ */
+export default {
+  'nav.backHome': '← Ana sayfaya dön',
+  'nav.backHomepage': '← Ana sayfaya dön',
+  'nav.search': 'Ara',
+
+  'article.originallyPublished': 'İlk olarak {source} tarafından yayımlandı',
+
+  'cluster.articlesInCluster': 'Bu gruptaki haberler',
+  'cluster.count': { other: 'Bu grupta {count} haber' },
+  'cluster.view.articles': 'Haberler',
+  'cluster.view.timeline': 'Zaman çizelgesi',
+  'cluster.view.compare': 'Yayın organlarını karşılaştır',
+  'cluster.view.origins': 'Ülkelere göre',
+  'cluster.firstReport': 'İlk haber',
+  'cluster.compareLegend': 'Karşılaştırılacak yayın organları',
+  'cluster.singleOutlet': 'Bu haberi şimdilik yalnızca bir yayın organı verdi.',
+  'cluster.unknownOrigin': 'Bilinmeyen ülke',
+
+  'count.articles': { other: '{count} haber' },
+  'count.stories': { other: '{count} olay' },
+
+  'related.label': 'İlgili haberler',
+  'related.story': 'Bu olayla ilgili diğer haberler',
+  'related.stories': 'İlgili olaylar',
+  'related.articles': 'İlgili haberler',
+
+  'citations.title': 'Kaynaklar',
+  'citations.missing': 'Atıf yapılan haber bulunamadı',
+  'citations.loading': 'Yükleniyor…',
+
+  'error.title': 'Hata',
+  'error.notFound.title': 'Sayfa bulunamadı',
+  'error.notFound.message': 'Aradığınız sayfa mevcut değil. Adres yanlış yazılmış ya da bağlantı hatalı olabilir.',
+  'error.gone.title': 'Artık mevcut değil',
+  'error.gone.message': 'Bu sayfa arşivden kaldırıldı ve artık mevcut değil.',
+  'error.unavailable.title': 'Geçici olarak kullanılamıyor',
+  'error.unavailable.message': 'Bu sayfa şu anda yüklenemedi. Lütfen birkaç dakika sonra tekrar deneyin.',
+  'error.searchPrompt': 'Aramayı deneyin ya da son haberlere göz atın.',
+
+  'archive.title': 'Arşiv',
+  'archive.titlePage': 'Arşiv - Sayfa {page}',
+  'archive.description': 'Tüm haberler, en yeniden eskiye.',
+  'archive.position': 'Sayfa {page} / {total}',
+  'archive.newer': '← Daha yeni',
+  'archive.older': 'Daha eski →',
+  'archive.dayTitle': '{day} tarihli haberler',
+  'archive.dayDescription': 'Bu gün {stories} ve {articles} yayımlandı.',
+  'archive.navigation': 'Arşiv gezintisi',
+  'archive.byDay': 'Güne göre göz at',
+  'archive.empty': 'Bu dönem için haber yok.',
+  'archive.topStories': 'Öne çıkan olaylar',
+  'archive.articles': 'Haberler',
+
+  'trending.title': 'Gündem',
+  'trending.description': '{date} itibarıyla her zamankinden fazla haber yapılan konular ve olaylar',
+  'trending.summary': 'Her zamankinden fazla haber yapılan konular ve olaylar',
+  'trending.window.hour': 'Son bir saat',
+  'trending.window.day': 'Son 24 saat',
+  'trending.window.week': 'Son 7 gün',
+  'trending.empty': 'Bu dönemde olağandan hızlı yükselen bir konu yok.',
+  'trending.risingTopics': 'Yükselen konular',
+  'trending.fastGrowing': 'Hızla büyüyen olaylar',
+  'trending.new': 'Yeni',
+  'trending.newStories': { other: '{count} yeni olay' },
+  'trending.newArticles': { other: '{count} yeni haber' },
+  'trending.inTotal': { other: 'toplam {count} haber' },
+  'trending.rail': 'Gündem',
+  'trending.seeAll': 'Tüm gündemi gör →',
+
+  'nav.home': 'Ana sayfa',
+  'nav.tags': 'Konular',
+  'nav.breadcrumb': 'Sayfa yolu',
+  'listing.lastUpdated': 'Son güncelleme: {date}',
+
+  'home.title': 'Güncel Haberler',
+  'home.subtitle': 'En son haberlerden ve makalelerden haberdar olun',
+  'home.categories': 'Kategoriler',
+  'home.topStories': 'Öne Çıkan Olaylar',
+  'home.latestArticles': 'En Yeni Haberler',
+  'home.archiveLink': 'Daha eski haberler için arşive göz atın →',
+
+  'tags.title': 'Tüm Kategoriler',
+  'tags.subtitle': 'Haberlere konuya göre göz atın',
+  'tags.description': 'Tüm haber kategorilerine ve konularına göz atın',
+
+  'tag.summary': '{tag} hakkında son haberler',
+  'tag.rss': 'RSS akışı',
+  'tag.topicsIn': '{tag} altındaki konular',
+  'tag.latestNews': 'Son Haberler',
+  'tag.empty': 'Bu konuda haber bulunamadı.',
+
+  'kind.story': 'Olay',
+  'kind.article': 'Haber',
+
+  'search.noResults': '“{query}” için sonuç yok.',
+  'search.results': { other: '“{query}” için {count} sonuç' },
+  'search.unavailable': 'Arama şu anda kullanılamıyor.',
+
+  'offline.save': 'Çevrimdışı okumak için kaydet',
+  'offline.saved': 'Çevrimdışı için kaydedildi ✓',
+  'offline.failed': 'Kaydedilemedi, tekrar deneyin',
+  'offline.savedOn': 'Kaydedildi: {date}',
+  'offline.none': 'Henüz kaydedilmiş sayfa yok. Bir haberi bağlantı olmadan okumak için "Çevrimdışı okumak için kaydet" düğmesini kullanın.',
+
+  'follow.follow': 'Takip et',
+  'follow.following': 'Takip ediliyor',
+  'follow.mute': 'Sessize al',
+  'follow.muted': 'Sessizde',
+
+  'myFeed.title': 'Haberlerim',
+  'myFeed.description': 'Takip ettiğiniz konulardan ve yayın organlarından haberler. Seçimleriniz yalnızca bu tarayıcıda saklanır.',
+  'myFeed.notFollowing': 'Henüz hiçbir şeyi takip etmiyorsunuz. Akışınızı oluşturmak için <a href="{tagsUrl}">konu</a> ve <a href="{sourcesUrl}">kaynak</a> sayfalarındaki ve haberlerdeki Takip et düğmelerini kullanın.',
+  'myFeed.nothingNew': 'Takip ettiklerinizden yeni bir şey yok.',
+  'myFeed.stories': 'Olaylar',
+  'myFeed.articles': 'Haberler',
+  'myFeed.preferences': 'Tercihleriniz',
+  'myFeed.followedTopics': 'Takip ettiğiniz konular',
+  'myFeed.followedSources': 'Takip ettiğiniz kaynaklar',
+  'myFeed.muted': 'Sessize alınanlar',
+  'myFeed.none': 'Henüz yok.',
+  'myFeed.noMutedTopics': 'Sessize alınmış konu yok.',
+  'myFeed.noMutedSources': 'Sessize alınmış kaynak yok.',
+  'myFeed.export': 'Tercihleri dışa aktar',
+  'myFeed.import': 'Tercihleri içe aktar',
+  'myFeed.imported': 'Tercihler içe aktarıldı.',
+  'myFeed.importFailed': 'Tercihler içe aktarılamadı: {error}',
+
+  'bookmark.add': 'Yer imi ekle',
+  'bookmark.added': 'Yer imlerinde ✓',
+  'bookmark.savedOn': 'Yer imlerine eklendi: {date}',
+  'bookmark.remove': 'Kaldır',
+  'bookmark.none': 'Henüz yer imi yok. Bir haberi veya olayı burada tutmak için "Yer imi ekle" düğmesini kullanın.',
+  'history.cleared': 'Okuma geçmişi temizlendi',
+  'history.newSinceVisit': { other: 'Son ziyaretinizden bu yana {count} yeni haber' },
+};
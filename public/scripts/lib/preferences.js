@@ -0,0 +1,193 @@
+/**
+ * Reader preferences: followed and muted tags and sources, and the "My News" feed
+ *
+ * Preferences only ever live in the reader's browser (scripts/preferences.js
+ * keeps them in localStorage); this module holds the pure parts so the
+ * format and the feed stay independent of storage.
+ *
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {'tag' | 'source'} PreferenceKind
+ * @typedef {'follow' | 'mute' | null} PreferenceState
+ *
+ * @typedef {Object} PreferenceLists
+ * @property {number[]} follow
+ * @property {number[]} mute
+ *
+ * @typedef {Object} Preferences
+ * @property {number} version
+ * @property {PreferenceLists} tags
+ * @property {PreferenceLists} sources
+ *
+ * @typedef {Object} PersonalFeed
+ * @property {NewsRawItem[]} items - Newest first
+ * @property {NewsArticle[]} clusters - Newest first
+ */
+
+import { BATCH_SIZE, getBatchId } from './data-client.js';
+
+export const PREFERENCES_VERSION = 1;
+
+const KEYS = { tag: 'tags', source: 'sources' };
+
+// Newest items per followed tag considered for the feed
+const CANDIDATES_PER_TAG = 50;
+
+/**
+ * @returns {Preferences}
+ */
+export function emptyPreferences() {
+  return {
+    version: PREFERENCES_VERSION,
+    tags: { follow: [], mute: [] },
+    sources: { follow: [], mute: [] },
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} name
+ * @returns {number[]}
+ */
+function idList(value, name) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every((id) => Number.isInteger(id) && id > 0)) {
+    throw new Error(`${name} must be a list of IDs`);
+  }
+  return [...new Set(value)];
+}
+
+/**
+ * Validate stored or imported preferences
+ * Throws an Error describing the first problem found.
+ * @param {unknown} data
+ * @returns {Preferences}
+ */
+export function normalizePreferences(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Preferences must be a JSON object');
+  }
+  if (data.version !== undefined && data.version !== PREFERENCES_VERSION) {
+    throw new Error(`Unsupported preferences version: ${data.version}`);
+  }
+
+  const preferences = emptyPreferences();
+  for (const key of Object.values(KEYS)) {
+    const lists = data[key] ?? {};
+    if (typeof lists !== 'object' || Array.isArray(lists)) {
+      throw new Error(`${key} must be an object with follow and mute lists`);
+    }
+    const follow = idList(lists.follow, `${key}.follow`);
+    // An ID in both lists is followed
+    const mute = idList(lists.mute, `${key}.mute`).filter((id) => !follow.includes(id));
+    preferences[key] = { follow, mute };
+  }
+  return preferences;
+}
+
+/**
+ * @param {Preferences} preferences
+ * @param {PreferenceKind} kind
+ * @param {number} id
+ * @returns {PreferenceState}
+ */
+export function getPreference(preferences, kind, id) {
+  const lists = preferences[KEYS[kind]];
+  if (lists.follow.includes(id)) return 'follow';
+  if (lists.mute.includes(id)) return 'mute';
+  return null;
+}
+
+/**
+ * Follow, mute or clear a tag or source
+ * @param {Preferences} preferences
+ * @param {PreferenceKind} kind
+ * @param {number} id
+ * @param {PreferenceState} state
+ * @returns {Preferences} A new preferences object
+ */
+export function setPreference(preferences, kind, id, state) {
+  const key = KEYS[kind];
+  const lists = preferences[key];
+  const follow = lists.follow.filter((other) => other !== id);
+  const mute = lists.mute.filter((other) => other !== id);
+  if (state === 'follow') follow.push(id);
+  if (state === 'mute') mute.push(id);
+  return { ...preferences, [key]: { follow, mute } };
+}
+
+/**
+ * @param {Preferences} preferences
+ * @returns {boolean}
+ */
+export function hasFollows(preferences) {
+  return preferences.tags.follow.length > 0 || preferences.sources.follow.length > 0;
+}
+
+/**
+ * Whether an item is hidden by a muted tag or source
+ * @param {Preferences} preferences
+ * @param {NewsRawItem} item
+ * @returns {boolean}
+ */
+export function isItemMuted(preferences, item) {
+  return (
+    preferences.sources.mute.includes(parseInt(item.source)) ||
+    (item.cats || []).some((tagId) => preferences.tags.mute.includes(tagId))
+  );
+}
+
+/**
+ * Assemble the feed: items on followed tags (tag_articles.json) and from followed
+ * sources (the latest news_raw batches), and recent clusters on followed tags
+ * @param {DataClient} client
+ * @param {Preferences} preferences
+ * @param {{ limit?: number, clusters?: number, batches?: number }} [options]
+ * @returns {Promise<PersonalFeed>}
+ */
+export async function fetchPersonalFeed(client, preferences, { limit = 40, clusters: clusterLimit = 6, batches = 3 } = {}) {
+  if (!hasFollows(preferences)) return { items: [], clusters: [] };
+
+  const { tags, sources } = preferences;
+  const meta = await client.fetchMeta();
+  const latestRaw = getBatchId(meta.tables.news_raw.latest_id);
+  const latestClusters = getBatchId(meta.tables.news_articles.latest_id);
+
+  const [tagArticles, sourceBatches, clusterBatch] = await Promise.all([
+    tags.follow.length > 0 ? client.fetchTagArticles() : [],
+    sources.follow.length > 0
+      ? Promise.all(
+          Array.from({ length: batches }, (_, i) => latestRaw - i * BATCH_SIZE)
+            .filter((batchId) => batchId >= 0)
+            .map((batchId) => client.fetchNewsRawBatch(batchId).catch(() => []))
+        )
+      : [],
+    tags.follow.length > 0 ? client.fetchNewsArticlesBatch(latestClusters).catch(() => []) : [],
+  ]);
+
+  const tagIds = new Set();
+  for (const mapping of tagArticles) {
+    if (tags.follow.includes(mapping.tag_id)) {
+      mapping.articles.slice(0, CANDIDATES_PER_TAG).forEach((id) => tagIds.add(id));
+    }
+  }
+  const fromSources = sourceBatches.flat().filter((item) => sources.follow.includes(parseInt(item.source)));
+  const sourceIds = new Set(fromSources.map((item) => item.id));
+  const fromTags = await client.fetchNewsRawByIds([...tagIds].filter((id) => !sourceIds.has(id)).sort((a, b) => b - a).slice(0, limit * 2));
+
+  const items = [...fromSources, ...fromTags]
+    .filter((item) => !isItemMuted(preferences, item))
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit);
+
+  const feedClusters = clusterBatch
+    .filter((cluster) => cluster.articles.length > 0)
+    .filter((cluster) => cluster.cats?.some((tagId) => tags.follow.includes(tagId)))
+    .filter((cluster) => !cluster.cats.some((tagId) => tags.mute.includes(tagId)))
+    .sort((a, b) => b.id - a.id)
+    .slice(0, clusterLimit);
+
+  return { items, clusters: feedClusters };
+}
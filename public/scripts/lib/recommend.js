@@ -0,0 +1,217 @@
+/**
+ * Related articles and clusters for article and cluster pages
+ *
+ * Candidates come from the target's tags (tag_articles.json), its cluster and
+ * the clusters published around it. Scoring is deterministic: the same data
+ * always gives the same recommendations, whichever renderer asks (the static
+ * build, the Pages Function or the SPA renderer).
+ *
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {Object} RecommendTarget
+ * @property {number} [id] - ID of a raw item target, left out of the results
+ * @property {number[]} cats
+ * @property {string} created_at
+ * @property {number | null} [clusterId] - Cluster the target belongs to, or is
+ * @property {string} [source] - Source of a raw item
+ *
+ * @typedef {Object} Recommendations
+ * @property {NewsRawItem[]} story - Other items in the target article's cluster
+ * @property {NewsRawItem[]} articles - Related items from other clusters
+ * @property {NewsArticle[]} clusters - Related clusters
+ */
+
+import { BATCH_SIZE, HttpError } from './data-client.js';
+
+export const WEIGHTS = {
+  tags: 4, // × Jaccard similarity of the tag sets
+  cluster: 3, // Same cluster as the target
+  recency: 2, // × 0.5 ^ (hours apart / RECENCY_HALF_LIFE_HOURS)
+  diversity: 1, // Different source than the target
+  repeatSource: 1.5, // Subtracted per item already picked from the same source
+};
+
+export const RECENCY_HALF_LIFE_HOURS = 48;
+
+// Candidate pool per tag, newest first
+const CANDIDATES_PER_TAG = 30;
+
+/**
+ * Jaccard similarity of two tag lists
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0..1
+ */
+export function tagSimilarity(a = [], b = []) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const id of setA) {
+    if (setB.has(id)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Recency factor: 1 for items published together, halving every RECENCY_HALF_LIFE_HOURS apart
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function recencyFactor(a, b) {
+  const hours = Math.abs(Date.parse(a) - Date.parse(b)) / 3600000;
+  return isNaN(hours) ? 0 : Math.pow(0.5, hours / RECENCY_HALF_LIFE_HOURS);
+}
+
+/**
+ * Score a raw item against the target, before source diversification
+ * @param {RecommendTarget} target
+ * @param {NewsRawItem} item
+ * @returns {number}
+ */
+export function scoreArticle(target, item) {
+  return (
+    WEIGHTS.tags * tagSimilarity(target.cats, item.cats) +
+    (target.clusterId && item.cluster_id === target.clusterId ? WEIGHTS.cluster : 0) +
+    WEIGHTS.recency * recencyFactor(target.created_at, item.created_at) +
+    (target.source !== undefined && String(item.source) !== String(target.source) ? WEIGHTS.diversity : 0)
+  );
+}
+
+/**
+ * Score a cluster against the target
+ * @param {RecommendTarget} target
+ * @param {NewsArticle} cluster
+ * @returns {number}
+ */
+export function scoreCluster(target, cluster) {
+  return (
+    WEIGHTS.tags * tagSimilarity(target.cats, cluster.cats) +
+    WEIGHTS.recency * recencyFactor(target.created_at, cluster.created_at)
+  );
+}
+
+/**
+ * Pick the best-scoring items, lowering an item's score for each pick from its source
+ * Ties go to the newer (higher) ID.
+ * @param {RecommendTarget} target
+ * @param {NewsRawItem[]} items
+ * @param {number} limit
+ * @returns {NewsRawItem[]}
+ */
+export function rankArticles(target, items, limit) {
+  const remaining = items.map((item) => ({ item, score: scoreArticle(target, item) }));
+  const picked = [];
+  const perSource = new Map();
+
+  while (picked.length < limit && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    remaining.forEach(({ item, score }, index) => {
+      const adjusted = score - WEIGHTS.repeatSource * (perSource.get(String(item.source)) || 0);
+      if (adjusted > bestScore || (adjusted === bestScore && item.id > remaining[best].item.id)) {
+        best = index;
+        bestScore = adjusted;
+      }
+    });
+
+    const [{ item }] = remaining.splice(best, 1);
+    picked.push(item);
+    perSource.set(String(item.source), (perSource.get(String(item.source)) || 0) + 1);
+  }
+
+  return picked;
+}
+
+/**
+ * Best-scoring clusters; only clusters sharing a tag with the target qualify
+ * @param {RecommendTarget} target
+ * @param {NewsArticle[]} clusters
+ * @param {number} limit
+ * @returns {NewsArticle[]}
+ */
+export function rankClusters(target, clusters, limit) {
+  return clusters
+    .filter((cluster) => tagSimilarity(target.cats, cluster.cats) > 0)
+    .map((cluster) => ({ cluster, score: scoreCluster(target, cluster) }))
+    .sort((a, b) => b.score - a.score || b.cluster.id - a.cluster.id)
+    .slice(0, limit)
+    .map(({ cluster }) => cluster);
+}
+
+/**
+ * Load a clusters batch, treating a missing file as empty
+ * @param {DataClient} client
+ * @param {number} id
+ * @returns {Promise<NewsArticle[]>}
+ */
+async function loadClusters(client, id) {
+  try {
+    return await client.fetchNewsArticlesBatch(id);
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Gather candidates and rank them
+ * @param {DataClient} client
+ * @param {RecommendTarget} target
+ * @param {{ articles?: number, clusters?: number, story?: number }} [limits]
+ * @returns {Promise<Recommendations>}
+ */
+export async function fetchRecommendations(client, target, { articles = 6, clusters = 4, story = 6 } = {}) {
+  const [tagArticles, cluster] = await Promise.all([
+    client.fetchTagArticles(),
+    target.clusterId ? client.fetchClusterById(target.clusterId) : undefined,
+  ]);
+
+  const storyIds = new Set(story > 0 ? cluster?.articles : []);
+  const candidateIds = new Set(storyIds);
+  for (const mapping of tagArticles) {
+    if (target.cats.includes(mapping.tag_id)) {
+      mapping.articles.slice(0, CANDIDATES_PER_TAG).forEach((id) => candidateIds.add(id));
+    }
+  }
+  candidateIds.delete(target.id);
+
+  // Clusters published around the target: its own batch and the one before
+  const anchor = target.clusterId;
+  const [items, ...clusterBatches] = await Promise.all([
+    client.fetchNewsRawByIds([...candidateIds].sort((a, b) => b - a)),
+    ...(anchor ? [loadClusters(client, anchor), loadClusters(client, Math.max(0, anchor - BATCH_SIZE))] : []),
+  ]);
+
+  const storyItems = items.filter((item) => storyIds.has(item.id));
+  const otherItems = items.filter((item) => !storyIds.has(item.id) && item.cluster_id !== target.clusterId);
+  const clusterCandidates = [...new Map(clusterBatches.flat().map((c) => [c.id, c])).values()]
+    .filter((c) => c.id !== target.clusterId && c.articles.length > 0);
+
+  return {
+    story: rankArticles(target, storyItems, story),
+    articles: rankArticles(target, otherItems, articles),
+    clusters: rankClusters(target, clusterCandidates, clusters),
+  };
+}
+
+/**
+ * Recommendation target for a raw item
+ * @param {NewsRawItem} item
+ * @returns {RecommendTarget}
+ */
+export function articleTarget(item) {
+  return { id: item.id, cats: item.cats || [], created_at: item.created_at, clusterId: item.cluster_id || null, source: item.source };
+}
+
+/**
+ * Recommendation target for a cluster
+ * @param {NewsArticle} cluster
+ * @returns {RecommendTarget}
+ */
+export function clusterTarget(cluster) {
+  return { cats: cluster.cats || [], created_at: cluster.created_at, clusterId: cluster.id };
+}
@@ -0,0 +1,263 @@
+/**
+ * Article bodies and cluster summaries as HTML
+ *
+ * The API's text is Markdown (mostly **bold** and paragraphs) with the odd
+ * piece of raw HTML, plus [123] references to other items (citations.js).
+ * Every renderer goes through renderRichText: marked turns the Markdown into
+ * HTML, an allow-list sanitizer keeps only formatting tags and safe
+ * attributes, and references in the remaining text become links. The
+ * sanitizer works on the HTML string rather than a DOM, so the build, the
+ * Pages Function and the browser all produce the same markup.
+ *
+ * Anything not on the lists is removed: unknown tags lose their markup but
+ * keep their text, while script, style, iframe and similar elements are
+ * dropped with their content. Links and images only keep http(s) (and, for
+ * links, mailto) URLs, so `javascript:` and `data:` URLs never survive.
+ * Publisher images load through /img like items' own images (images.js),
+ * which needs the item or cluster the text belongs to (`imageRef`); without
+ * one they are dropped rather than loaded from the publisher.
+ */
+
+import { Marked } from 'marked';
+import { escapeHtml, processArticleContent } from './text.js';
+import { linkCitations } from './citations.js';
+import { responsiveImage } from './images.js';
+
+// Single line breaks are kept, as the text was written with them
+const markdown = new Marked({ gfm: true, breaks: true, async: false });
+
+const INLINE_TAGS = ['a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'sup', 'sub', 'br'];
+const BLOCK_TAGS = [
+  ...INLINE_TAGS,
+  'p', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'img',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+];
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// The page title is the only h1
+const RENAMED_TAGS = { h1: 'h2' };
+
+// Removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template', 'noscript',
+  'noembed', 'noframes', 'textarea', 'select', 'svg', 'math', 'title', 'xmp', 'plaintext',
+]);
+
+// Text inside these is shown as written, without reference links
+const NO_LINK_TAGS = new Set(['a', 'code', 'pre']);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan'],
+};
+
+const URL_SCHEMES = {
+  href: ['http', 'https', 'mailto'],
+  src: ['http', 'https'],
+};
+
+const NUMERIC_ATTRIBUTES = new Set(['width', 'height', 'start', 'colspan', 'rowspan']);
+
+// Comments, doctypes and processing instructions, tags (quoted attribute values may contain `>`), and stray brackets
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[<>]/g;
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+/**
+ * Decode the character references that matter for attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+    if (decimal || hex) {
+      const code = parseInt(decimal || hex, decimal ? 10 : 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * The URL if its scheme is allowed, relative URLs included
+ * @param {string} url - Decoded attribute value
+ * @param {string[]} schemes
+ * @returns {string | undefined}
+ */
+function safeUrl(url, schemes) {
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const scheme = compact.match(/^([a-z][a-z\d+.-]*):/);
+  if (scheme && !schemes.includes(scheme[1])) return undefined;
+  return url.trim();
+}
+
+/**
+ * Allowed attributes of a tag, escaped and ready to append
+ * @param {string} tag
+ * @param {string} source - Everything between the tag name and `>`
+ * @param {string} [imageRef] - The record external images belong to, for /img
+ * @param {string[]} [images] - Collects the publisher image URLs
+ * @returns {string | undefined} undefined if the tag should be left out
+ */
+function sanitizeAttributes(tag, source, imageRef, images) {
+  const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+  const attributes = new Map();
+
+  for (const [, rawName, double, single, unquoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = rawName.toLowerCase();
+    if (!allowed.includes(name) || attributes.has(name)) continue;
+
+    let value = decodeEntities(double ?? single ?? unquoted ?? '');
+    if (URL_SCHEMES[name]) value = safeUrl(value, URL_SCHEMES[name]);
+    else if (NUMERIC_ATTRIBUTES.has(name) && !/^\d{1,5}$/.test(value.trim())) value = undefined;
+    if (value !== undefined) attributes.set(name, value);
+  }
+
+  if (tag === 'a' && /^(https?:)?\/\//i.test(attributes.get('href') || '')) {
+    attributes.set('target', '_blank');
+    attributes.set('rel', 'nofollow noopener noreferrer');
+  }
+  if (tag === 'img') {
+    const src = attributes.get('src');
+    if (!src) return undefined;
+    if (/^(https?:)?\/\//i.test(src)) {
+      if (src.startsWith('//')) return undefined;
+      images?.push(src);
+      if (!imageRef) return undefined;
+      attributes.delete('width');
+      attributes.delete('height');
+      for (const [name, value] of Object.entries(responsiveImage(src, imageRef, 'body'))) attributes.set(name, value);
+      attributes.set('loading', 'lazy');
+      attributes.set('decoding', 'async');
+    }
+  }
+
+  return [...attributes].map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * Reduce HTML to the allowed tags and attributes
+ * @param {string} html
+ * @param {{ inline?: boolean, linkReferences?: boolean, citations?: import('./citations.js').CitationIndex,
+ *   localIds?: Set<number>, locale?: string, imageRef?: string, images?: string[] }} [options] - `inline` allows
+ *   only inline formatting; `linkReferences` turns [123] in text into links: numbered from `citations` when
+ *   given, otherwise bare links, to `#item-{id}` for `localIds`; `imageRef` (e.g. `article:123`) loads
+ *   publisher images through /img; `images` collects their URLs
+ * @returns {string}
+ */
+export function sanitizeHtml(html, { inline = false, linkReferences = false, citations, localIds, locale, imageRef, images } = {}) {
+  const allowed = inline ? INLINE_TAGS : BLOCK_TAGS;
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  const open = [];
+  let output = '';
+  let position = 0;
+
+  const appendText = (text) => {
+    // Keep character references, escape lone ampersands
+    const escaped = text.replace(/&(?!#\d+;|#x[\da-f]+;|[a-z]+;)/gi, '&amp;');
+    const linked = linkReferences && !open.some((tag) => NO_LINK_TAGS.has(tag));
+    if (!linked) output += escaped;
+    else output += citations ? linkCitations(escaped, citations, locale) : processArticleContent(escaped, { localIds });
+  };
+
+  for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+    appendText(html.slice(position, match.index));
+    position = pattern.lastIndex;
+
+    const [token, rawName, attributeSource] = match;
+    if (token === '<' || token === '>') {
+      output += token === '<' ? '&lt;' : '&gt;';
+      continue;
+    }
+    if (!rawName) continue; // comment, doctype
+
+    const name = rawName.toLowerCase();
+    const tag = RENAMED_TAGS[name] || name;
+    const closing = token.startsWith('</');
+
+    if (DROPPED_TAGS.has(name)) {
+      if (closing || /\/\s*$/.test(attributeSource)) continue;
+      const end = new RegExp(`</${name}\\s*>`, 'i').exec(html.slice(position));
+      position = end ? position + end.index + end[0].length : html.length;
+      pattern.lastIndex = position;
+      continue;
+    }
+
+    if (!allowed.includes(tag)) continue;
+
+    if (closing) {
+      if (!open.includes(tag)) continue;
+      while (open.length > 0) {
+        const last = open.pop();
+        output += `</${last}>`;
+        if (last === tag) break;
+      }
+      continue;
+    }
+
+    // Links can't nest
+    if (tag === 'a' && open.includes('a')) continue;
+
+    const attributes = sanitizeAttributes(tag, attributeSource, imageRef, images);
+    if (attributes === undefined) continue;
+    output += `<${tag}${attributes}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  appendText(html.slice(position));
+  while (open.length > 0) output += `</${open.pop()}>`;
+  return output;
+}
+
+/**
+ * Render Markdown text (an article body or cluster summary) as safe HTML with linked references
+ * @param {string | null | undefined} text
+ * @param {{ inline?: boolean, citations?: import('./citations.js').CitationIndex, localIds?: Set<number>, locale?: string,
+ *   imageRef?: string }} [options] - `inline` renders without paragraphs, for excerpts inside other elements.
+ *   References are numbered from `citations` (citations.js) when given; otherwise they link by ID, to
+ *   `#item-{id}` for `localIds`. `imageRef` names the item or cluster the text belongs to, for its images
+ * @returns {string}
+ */
+export function renderRichText(text, { inline = false, citations, localIds, locale, imageRef } = {}) {
+  if (!text) return '';
+  const html = /** @type {string} */ (inline ? markdown.parseInline(text) : markdown.parse(text));
+  return sanitizeHtml(html, { inline, linkReferences: true, citations, localIds, locale, imageRef }).trim();
+}
+
+/**
+ * The URL normalized, or null if it isn't absolute
+ * @param {string} url
+ * @returns {string | null}
+ */
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a record uses an image: as its imgUrl, or as an image its text renders with
+ * The URLs are compared whole, normalized, against the `<img src>` values
+ * renderRichText passes to /img, so nothing but the record's own images
+ * passes the /img route's check.
+ * @param {{ imgUrl?: string, article?: string, short_desc?: string }} record - A raw item or cluster
+ * @param {string} src
+ * @returns {boolean}
+ */
+export function usesImage(record, src) {
+  const target = normalizeUrl(src);
+  if (!target) return false;
+
+  const images = record.imgUrl ? [record.imgUrl] : [];
+  const text = record.article ?? record.short_desc;
+  if (text) sanitizeHtml(/** @type {string} */ (markdown.parse(text)), { images });
+  return images.some((image) => normalizeUrl(image) === target);
+}
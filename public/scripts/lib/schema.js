@@ -0,0 +1,195 @@
+/**
+ * Runtime schemas for the API's JSON files
+ *
+ * src/types/db.ts describes the files but nothing enforces it, so the data
+ * client checks every file it fetches against these schemas, in the build, the
+ * Pages Function and the browser alike. A record that breaks its schema is
+ * dropped and reported, so one bad row can't take down every page built from
+ * its batch. A file that isn't the right shape at all (a batch that isn't an
+ * array, meta without a table) throws a SchemaError instead.
+ *
+ * Checks also normalize: missing text fields become '', missing ID lists
+ * become [], and numeric source IDs become strings like the rest.
+ *
+ * @typedef {Object} SchemaIssue
+ * @property {string} file - File name without extension, e.g. `news_raw.1200`
+ * @property {number} index - Position of the record in the file
+ * @property {number | undefined} id - The record's ID, when it has a usable one
+ * @property {string} field
+ * @property {string} problem - What the field should have been
+ *
+ * @typedef {Object} FieldRule
+ * @property {string} expected
+ * @property {(value: any) => any} normalize - Normalized value, or undefined when invalid
+ */
+
+/**
+ * A file that can't be used at all
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {string} file
+   * @param {string} problem
+   */
+  constructor(file, problem) {
+    super(`Invalid ${file}.json: ${problem}`);
+    this.name = 'SchemaError';
+    this.file = file;
+  }
+}
+
+/**
+ * @param {string} expected
+ * @param {(value: any) => any} normalize
+ * @returns {FieldRule}
+ */
+function rule(expected, normalize) {
+  return { expected, normalize };
+}
+
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+const ID = rule('a positive integer', (value) => (isId(value) ? value : undefined));
+const COUNT = rule('a non-negative integer', (value) => (Number.isInteger(value) && value >= 0 ? value : undefined));
+const NUMBER = rule('a number', (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined));
+const NAME = rule('a non-empty string', (value) => (typeof value === 'string' && value.trim() !== '' ? value : undefined));
+const TEXT = rule('a string', (value) => (value == null ? '' : typeof value === 'string' ? value : undefined));
+const DATE = rule('an ISO date', (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined));
+const IDS = rule('an array of positive integers', (value) =>
+  value == null ? [] : Array.isArray(value) && value.every(isId) ? value : undefined
+);
+// Items refer to their source by ID as a string ("12"), which the site parseInt()s
+const SOURCE_ID = rule('a source ID', (value) =>
+  (typeof value === 'string' || typeof value === 'number') && /^[1-9]\d*$/.test(String(value)) ? String(value) : undefined
+);
+
+/** @type {Record<string, Record<string, FieldRule>>} */
+const RECORD_SCHEMAS = {
+  news_raw: {
+    id: ID,
+    source: SOURCE_ID,
+    title: NAME,
+    article: TEXT,
+    cats: IDS,
+    imgUrl: TEXT,
+    cluster_id: COUNT,
+    created_at: DATE,
+    guid: TEXT,
+    objective: NUMBER,
+  },
+  news_articles: {
+    id: ID,
+    title: NAME,
+    short_desc: TEXT,
+    articles: IDS,
+    created_at: DATE,
+    cats: IDS,
+  },
+  news_sources: {
+    id: ID,
+    title: NAME,
+    link: TEXT,
+    description: TEXT,
+    origin: TEXT,
+  },
+  tags: {
+    id: ID,
+    tag: NAME,
+    desc: TEXT,
+    orderBy: NUMBER,
+    parent: IDS,
+  },
+  tag_articles: {
+    tag_id: ID,
+    articles: IDS,
+    description: TEXT,
+  },
+};
+
+const META_TABLES = ['news_articles', 'news_raw', 'news_sources', 'tag_articles', 'tags'];
+
+/**
+ * Table a file belongs to: `news_raw.1200` → `news_raw`
+ * @param {string} file
+ * @returns {string}
+ */
+export function fileTable(file) {
+  return file.split('.')[0];
+}
+
+/**
+ * @param {string} file
+ * @param {any} data
+ */
+function validateMeta(file, data) {
+  if (!data || typeof data !== 'object' || DATE.normalize(data.generated_at) === undefined) {
+    throw new SchemaError(file, `generated_at should be ${DATE.expected}`);
+  }
+  for (const table of META_TABLES) {
+    if (COUNT.normalize(data.tables?.[table]?.latest_id) === undefined) {
+      throw new SchemaError(file, `tables.${table}.latest_id should be ${COUNT.expected}`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Check a fetched file against its table's schema
+ * Files without a schema are returned unchanged.
+ * @param {string} file - File name without extension, e.g. `news_raw.1200`
+ * @param {any} data - Parsed JSON
+ * @returns {{ value: any, issues: SchemaIssue[] }} The file without its invalid records, and why each was dropped
+ * @throws {SchemaError} When the file as a whole is unusable
+ */
+export function validateFile(file, data) {
+  const table = fileTable(file);
+  if (table === 'meta') return { value: validateMeta(file, data), issues: [] };
+
+  const schema = RECORD_SCHEMAS[table];
+  if (!schema) return { value: data, issues: [] };
+  if (!Array.isArray(data)) throw new SchemaError(file, 'expected an array of records');
+
+  const idField = 'id' in schema ? 'id' : 'tag_id';
+  const seen = new Set();
+  const value = [];
+  const issues = [];
+
+  data.forEach((record, index) => {
+    const id = isId(record?.[idField]) ? record[idField] : undefined;
+    const issue = (field, problem) => issues.push({ file, index, id, field, problem });
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      issue('', 'an object');
+      return;
+    }
+
+    const normalized = { ...record };
+    for (const [field, { expected, normalize }] of Object.entries(schema)) {
+      const fieldValue = normalize(record[field]);
+      if (fieldValue === undefined) {
+        issue(field, expected);
+        return;
+      }
+      normalized[field] = fieldValue;
+    }
+
+    if (seen.has(id)) {
+      issue(idField, 'unique within the file');
+      return;
+    }
+    seen.add(id);
+    value.push(normalized);
+  });
+
+  return { value, issues };
+}
+
+/**
+ * One-line description of an issue, e.g. `#1204 created_at: should be an ISO date`
+ * @param {SchemaIssue} issue
+ * @returns {string}
+ */
+export function formatIssue({ index, id, field, problem }) {
+  const record = id === undefined ? `record ${index}` : `#${id}`;
+  return field ? `${record} ${field}: should be ${problem}` : `${record}: should be ${problem}`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Source (publisher) URLs and statistics
+ *
+ * Source pages live at /source/{id}-{slug}; the ID prefix keeps URLs stable
+ * when a publisher is renamed. Shared by the Astro build, the sitemap script
+ * and the Pages Function, which redirects bare IDs and slugs to that form.
+ *
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ *
+ * @typedef {Object} SourceStats
+ * @property {number} itemCount - Items in the scanned window
+ * @property {string | null} latestAt - created_at of the newest item
+ * @property {NewsRawItem[]} items - Newest first
+ * @property {{ tagId: number, count: number }[]} topTags - Most frequent first
+ * @property {{ clusterId: number, count: number }[]} clusters - Newest cluster first
+ * @property {{ day: string, count: number }[]} volume - One entry per day, oldest first
+ */
+
+import { slugify } from './text.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * URL segment for a source, e.g. `3-bbc-news`
+ * @param {Source} source
+ * @returns {string}
+ */
+export function sourceSlug(source) {
+  const slug = slugify(source.title);
+  return slug ? `${source.id}-${slug}` : String(source.id);
+}
+
+/**
+ * @param {Source} source
+ * @returns {string}
+ */
+export function sourcePath(source) {
+  return `/source/${sourceSlug(source)}`;
+}
+
+/**
+ * Find a source from a URL segment: `3-bbc-news`, `3` or `bbc-news`
+ * @param {Source[]} sources
+ * @param {string} param
+ * @returns {Source | undefined}
+ */
+export function findSourceByParam(sources, param) {
+  const idMatch = param.match(/^(\d+)(?:-|$)/);
+  if (idMatch) {
+    return sources.find((s) => s.id === parseInt(idMatch[1]));
+  }
+  return sources.find((s) => slugify(s.title) === param);
+}
+
+/**
+ * Aggregate per-source statistics over a window of raw items
+ * @param {NewsRawItem[]} items
+ * @param {{ now: string, days?: number }} options - `now` is usually meta.generated_at
+ * @returns {Map<number, SourceStats>}
+ */
+export function computeSourceStats(items, { now, days = 30 }) {
+  const end = Date.parse(now);
+  const firstDay = Date.parse(new Date(end).toISOString().slice(0, 10)) - (days - 1) * DAY_MS;
+
+  /** @type {Map<number, { items: NewsRawItem[], tags: Map<number, number>, clusters: Map<number, number>, volume: number[] }>} */
+  const bySource = new Map();
+
+  for (const item of items) {
+    const sourceId = parseInt(item.source);
+    if (!bySource.has(sourceId)) {
+      bySource.set(sourceId, { items: [], tags: new Map(), clusters: new Map(), volume: new Array(days).fill(0) });
+    }
+    const entry = bySource.get(sourceId);
+
+    entry.items.push(item);
+    for (const tagId of item.cats || []) {
+      entry.tags.set(tagId, (entry.tags.get(tagId) || 0) + 1);
+    }
+    if (item.cluster_id) {
+      entry.clusters.set(item.cluster_id, (entry.clusters.get(item.cluster_id) || 0) + 1);
+    }
+
+    const dayIndex = Math.floor((Date.parse(item.created_at) - firstDay) / DAY_MS);
+    if (dayIndex >= 0 && dayIndex < days) {
+      entry.volume[dayIndex]++;
+    }
+  }
+
+  const stats = new Map();
+  for (const [sourceId, entry] of bySource) {
+    const sorted = entry.items.sort((a, b) => b.id - a.id);
+    stats.set(sourceId, {
+      itemCount: sorted.length,
+      latestAt: sorted[0]?.created_at || null,
+      items: sorted,
+      topTags: [...entry.tags]
+        .map(([tagId, count]) => ({ tagId, count }))
+        .sort((a, b) => b.count - a.count || a.tagId - b.tagId),
+      clusters: [...entry.clusters]
+        .map(([clusterId, count]) => ({ clusterId, count }))
+        .sort((a, b) => b.clusterId - a.clusterId),
+      volume: entry.volume.map((count, i) => ({
+        day: new Date(firstDay + i * DAY_MS).toISOString().slice(0, 10),
+        count,
+      })),
+    });
+  }
+
+  return stats;
+}
@@ -0,0 +1,124 @@
+/**
+ * Tag URL slugs
+ *
+ * A tag's slug is slugify(tag.tag). Tags whose names reduce to the same slug
+ * ("Türkiye" and "Turkiye") are told apart by ID: the lowest ID keeps the
+ * plain slug and the others get `{slug}-{id}`, so the result depends only on
+ * the set of tags, never on the order the API lists them in. Names without
+ * letters or digits fall back to `tag-{id}`.
+ *
+ * Every slug a tag has had is kept in a slug map (scripts/generateTagSlugs.js
+ * publishes it as /tag-slugs.json), which the Pages Function uses to redirect
+ * old URLs after a rename.
+ *
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ *
+ * @typedef {Object} SlugCollision
+ * @property {string} slug - Slug the tags' names reduce to
+ * @property {Tag[]} tags - Colliding tags, lowest ID (the one keeping the slug) first
+ *
+ * @typedef {Object} TagSlugMap
+ * @property {string} generated_at - meta.generated_at of the build that wrote the map
+ * @property {Record<string, string>} current - Tag ID → current slug
+ * @property {Record<string, number>} slugs - Every slug seen, current or retired → tag ID
+ */
+
+import { slugify } from './text.js';
+
+/**
+ * Slug of a tag before collisions are resolved
+ * @param {Tag} tag
+ * @returns {string}
+ */
+function baseTagSlug(tag) {
+  return slugify(tag.tag) || `tag-${tag.id}`;
+}
+
+/**
+ * Give every tag a unique slug
+ * @param {Tag[]} tags
+ * @returns {{ tags: Tag[], collisions: SlugCollision[] }} Copies of the tags with `slug` set, in input order
+ */
+export function assignTagSlugs(tags) {
+  const byBase = new Map();
+  for (const tag of [...tags].sort((a, b) => a.id - b.id)) {
+    const base = baseTagSlug(tag);
+    if (!byBase.has(base)) byBase.set(base, []);
+    byBase.get(base).push(tag);
+  }
+
+  // Plain slugs are claimed first, so a suffixed slug never takes a tag's own name
+  const taken = new Set(byBase.keys());
+  const slugs = new Map();
+
+  for (const [base, group] of byBase) {
+    slugs.set(group[0].id, base);
+    for (const tag of group.slice(1)) {
+      let slug = `${base}-${tag.id}`;
+      while (taken.has(slug)) slug += `-${tag.id}`;
+      taken.add(slug);
+      slugs.set(tag.id, slug);
+    }
+  }
+
+  const slugged = new Map(tags.map((tag) => [tag.id, { ...tag, slug: slugs.get(tag.id) }]));
+
+  return {
+    tags: tags.map((tag) => slugged.get(tag.id)),
+    collisions: [...byBase]
+      .filter(([, group]) => group.length > 1)
+      .map(([slug, group]) => ({ slug, tags: group.map((tag) => slugged.get(tag.id)) })),
+  };
+}
+
+/**
+ * URL of a tag page
+ * @param {Tag} tag - A tag from the data client, which carries its assigned slug
+ * @returns {string}
+ */
+export function tagPath(tag) {
+  return `/tag/${encodeURIComponent(tag.slug ?? baseTagSlug(tag))}`;
+}
+
+/**
+ * Human-readable descriptions of slug collisions, for build logs
+ * @param {SlugCollision[]} collisions
+ * @returns {string[]}
+ */
+export function describeSlugCollisions(collisions) {
+  return collisions.map(({ slug, tags }) =>
+    `Tags ${tags.map((tag) => `${tag.tag} (#${tag.id})`).join(', ')} share the slug "${slug}"; ` +
+    `using ${tags.map((tag) => `"${tag.slug}"`).join(', ')}`
+  );
+}
+
+/**
+ * Record the current slugs in a slug map, keeping retired slugs
+ *
+ * A retired slug that a different tag now uses is handed over to that tag.
+ *
+ * @param {TagSlugMap | null} previous
+ * @param {Tag[]} tags - Tags with assigned slugs
+ * @param {string} generatedAt
+ * @returns {TagSlugMap}
+ */
+export function updateTagSlugMap(previous, tags, generatedAt) {
+  const current = {};
+  const slugs = { ...previous?.slugs };
+  for (const tag of tags) {
+    current[tag.id] = tag.slug;
+    slugs[tag.slug] = tag.id;
+  }
+  return { generated_at: generatedAt, current, slugs };
+}
+
+/**
+ * Current slug for a slug that may have been retired
+ * @param {TagSlugMap} map
+ * @param {string} slug
+ * @returns {string | null} Null when the slug is unknown or its tag no longer exists
+ */
+export function resolveTagSlug(map, slug) {
+  const tagId = map.slugs[slug];
+  return tagId === undefined ? null : map.current[tagId] ?? null;
+}
@@ -0,0 +1,158 @@
+/**
+ * Tag taxonomy built from Tag.parent and Tag.orderBy
+ *
+ * Tags may have several parents. Links to missing parents (orphans) and links
+ * that would close a cycle are dropped, so the result is always a forest that
+ * can be walked without guards.
+ *
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ *
+ * @typedef {Object} Taxonomy
+ * @property {Tag[]} roots - Top-level tags, sorted
+ * @property {Map<number, Tag>} byId
+ * @property {Map<number, Tag[]>} children - Sorted child tags per tag ID
+ * @property {Map<number, Tag[]>} parents - Parents kept after dropping bad links, in Tag.parent order
+ * @property {number[][]} cycles - Tag IDs of each cycle found, in parent order
+ * @property {{ tag: Tag, missing: number[] }[]} orphans - Tags pointing at parents that don't exist
+ */
+
+/**
+ * Sibling order: orderBy, then name
+ * @param {Tag} a
+ * @param {Tag} b
+ * @returns {number}
+ */
+export function compareTags(a, b) {
+  return (a.orderBy ?? 0) - (b.orderBy ?? 0) || a.tag.localeCompare(b.tag);
+}
+
+/**
+ * Build the taxonomy tree
+ * @param {Tag[]} tags
+ * @returns {Taxonomy}
+ */
+export function buildTaxonomy(tags) {
+  const byId = new Map(tags.map((tag) => [tag.id, tag]));
+  const orphans = [];
+
+  // Parent links that point at real tags
+  const links = new Map();
+  for (const tag of tags) {
+    const parentIds = [...new Set(tag.parent || [])].filter((id) => id !== tag.id);
+    const missing = parentIds.filter((id) => !byId.has(id));
+    if (missing.length > 0) orphans.push({ tag, missing });
+    links.set(tag.id, parentIds.filter((id) => byId.has(id)));
+  }
+
+  // Depth-first walk up the parent links; a link back into the current path closes a cycle
+  const cycles = [];
+  const state = new Map(); // 1 = on the current path, 2 = done
+  const path = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    path.push(id);
+    for (const parentId of [...links.get(id)]) {
+      if (state.get(parentId) === 1) {
+        cycles.push(path.slice(path.indexOf(parentId)));
+        links.set(id, links.get(id).filter((pid) => pid !== parentId));
+      } else if (!state.has(parentId)) {
+        visit(parentId);
+      }
+    }
+    path.pop();
+    state.set(id, 2);
+  };
+
+  for (const tag of [...tags].sort((a, b) => a.id - b.id)) {
+    if (!state.has(tag.id)) visit(tag.id);
+  }
+
+  const parents = new Map();
+  const children = new Map(tags.map((tag) => [tag.id, []]));
+  for (const tag of tags) {
+    const parentTags = links.get(tag.id).map((id) => byId.get(id));
+    parents.set(tag.id, parentTags);
+    for (const parent of parentTags) {
+      children.get(parent.id).push(tag);
+    }
+  }
+  for (const list of children.values()) {
+    list.sort(compareTags);
+  }
+
+  const roots = tags.filter((tag) => parents.get(tag.id).length === 0).sort(compareTags);
+
+  return { roots, byId, children, parents, cycles, orphans };
+}
+
+/**
+ * Ancestors of a tag, root first, following each tag's first parent
+ * @param {Taxonomy} taxonomy
+ * @param {number} tagId
+ * @returns {Tag[]}
+ */
+export function getAncestors(taxonomy, tagId) {
+  const ancestors = [];
+  let parent = taxonomy.parents.get(tagId)?.[0];
+  while (parent) {
+    ancestors.unshift(parent);
+    parent = taxonomy.parents.get(parent.id)?.[0];
+  }
+  return ancestors;
+}
+
+/**
+ * All tags below a tag, nearest first
+ * @param {Taxonomy} taxonomy
+ * @param {number} tagId
+ * @returns {Tag[]}
+ */
+export function getDescendants(taxonomy, tagId) {
+  const seen = new Set([tagId]);
+  const descendants = [];
+  const queue = [...(taxonomy.children.get(tagId) || [])];
+
+  while (queue.length > 0) {
+    const tag = queue.shift();
+    if (seen.has(tag.id)) continue;
+    seen.add(tag.id);
+    descendants.push(tag);
+    queue.push(...taxonomy.children.get(tag.id));
+  }
+
+  return descendants;
+}
+
+/**
+ * Every tag once, in tree order (each parent followed by its subtree)
+ * @param {Taxonomy} taxonomy
+ * @returns {Tag[]}
+ */
+export function flattenTaxonomy(taxonomy) {
+  const seen = new Set();
+  const result = [];
+
+  const walk = (tag) => {
+    if (seen.has(tag.id)) return;
+    seen.add(tag.id);
+    result.push(tag);
+    taxonomy.children.get(tag.id).forEach(walk);
+  };
+
+  taxonomy.roots.forEach(walk);
+  return result;
+}
+
+/**
+ * Human-readable descriptions of cycles and orphans, for build logs
+ * @param {Taxonomy} taxonomy
+ * @returns {string[]}
+ */
+export function describeTaxonomyProblems({ byId, cycles, orphans }) {
+  const name = (id) => `${byId.get(id)?.tag ?? '?'} (#${id})`;
+  return [
+    ...cycles.map((cycle) => `Cycle in tag parents: ${[...cycle, cycle[0]].map(name).join(' → ')}`),
+    ...orphans.map(({ tag, missing }) => `Orphan tag ${name(tag.id)} references missing parent(s) ${missing.map((id) => `#${id}`).join(', ')}`),
+  ];
+}
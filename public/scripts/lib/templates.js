@@ -0,0 +1,981 @@
+/**
+ * HTML templates for the article, cluster, archive, trending, "My News" and
+ * error views, and for the Pages Function's home, tags and tag pages
+ *
+ * The static build (src/pages), the Pages Function and the SPA renderer all
+ * render the views through these, so a page looks the same however it was
+ * produced. The build's listing components (NewsCard, ArticleCluster,
+ * TagList, …) render through the card, list and breadcrumb templates below,
+ * which the Function's live home, tags and tag pages share, from the same
+ * data (listings.js). Their styles are global, so either copy is styled.
+ * UI strings come from the message catalogs in i18n.js; templates take a
+ * `locale` (English by default) and link to pages in that locale.
+ *
+ * @typedef {import('../../../src/types/db').Source} Source
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {import('./trending.js').Trending} Trending
+ * @typedef {import('./trending.js').TrendingWindow} TrendingWindow
+ * @typedef {import('./trending.js').TrendingTag} TrendingTag
+ * @typedef {import('./trending.js').TrendingCluster} TrendingCluster
+ * @typedef {import('./preferences.js').Preferences} Preferences
+ * @typedef {import('./preferences.js').PreferenceKind} PreferenceKind
+ * @typedef {import('./citations.js').CitationIndex} CitationIndex
+ * @typedef {import('./taxonomy.js').Taxonomy} Taxonomy
+ * @typedef {import('./listings.js').HomePage} HomePage
+ * @typedef {import('./listings.js').TagPage} TagPage
+ * @typedef {import('../../../src/types/db').Meta} Meta
+ */
+
+import { escapeHtml, formatDate, cleanTitle } from './text.js';
+import { renderRichText } from './rich-text.js';
+import { indexCitations } from './citations.js';
+import { DEFAULT_LOCALE, t, localePath } from './i18n.js';
+import { errorMessageKey } from './errors.js';
+import { sourcePath } from './sources.js';
+import { tagPath } from './tag-slugs.js';
+import { getBatchId } from './data-client.js';
+import { responsiveImage } from './images.js';
+import {
+  buildClusterTimeline,
+  groupClusterBySource,
+  groupClusterByOrigin,
+  formatOrigin,
+  formatTimeUtc,
+  formatOffset,
+} from './cluster.js';
+import { DEFAULT_TRENDING_WINDOW, getTrendingWindow, growthPercent } from './trending.js';
+import { hasFollows } from './preferences.js';
+import { buildTaxonomy, flattenTaxonomy } from './taxonomy.js';
+import { HOME_CLUSTER_ITEMS, tagBreadcrumbs } from './listings.js';
+
+/**
+ * Look up a source by the (string or numeric) ID stored on an item
+ * @param {string | number} sourceId
+ * @param {Map<number, Source>} sourcesMap
+ * @returns {Source | undefined}
+ */
+function findSource(sourceId, sourcesMap) {
+  return sourcesMap.get(typeof sourceId === 'string' ? parseInt(sourceId) : sourceId);
+}
+
+/**
+ * Plain-text opening of an article, cut at a word boundary
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function excerpt(text, length = 280) {
+  const plain = cleanTitle(text || '').replace(/\s+/g, ' ').trim();
+  if (plain.length <= length) return plain;
+  const cut = plain.slice(0, length);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length)}…`;
+}
+
+/**
+ * @param {Tag[]} tags
+ * @param {string} className - Wrapper class
+ * @param {string} locale
+ * @returns {string}
+ */
+function tagLinks(tags, className, locale) {
+  if (tags.length === 0) return '';
+  return `
+    <div class="${className}">
+      ${tags.map((tag) => `<a href="${localePath(tagPath(tag), locale)}" class="tag">${escapeHtml(tag.tag)}</a>`).join('\n      ')}
+    </div>`;
+}
+
+/**
+ * Text cut to a length, with an ellipsis when cut
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return `${text.slice(0, length).trim()}...`;
+}
+
+/**
+ * Date, shown as relative time ("3 hours ago") by scripts/i18n.js
+ * @param {string} dateString
+ * @param {string} className
+ * @param {string} [locale]
+ * @param {Intl.DateTimeFormatOptions} [options] - Overrides for the date shown without scripts
+ * @returns {string}
+ */
+function dateTime(dateString, className, locale = DEFAULT_LOCALE, options) {
+  return `<time class="${className}" datetime="${escapeHtml(dateString)}" data-relative>${formatDate(dateString, locale, options)}</time>`;
+}
+
+/**
+ * Item image resized through /img (images.js)
+ * @param {NewsRawItem} item - The item whose imgUrl to show
+ * @param {keyof typeof import('./images.js').IMAGE_LAYOUTS} layout
+ * @param {{ alt: string, className?: string, lazy?: boolean }} options - `alt` is already escaped
+ * @returns {string}
+ */
+function imageTag(item, layout, { alt, className, lazy = true }) {
+  const attributes = Object.entries(responsiveImage(item.imgUrl, `article:${item.id}`, layout))
+    .map(([name, value]) => ` ${name}="${escapeHtml(String(value))}"`)
+    .join('');
+  return `<img${className ? ` class="${className}"` : ''}${attributes} alt="${alt}"${lazy ? ' loading="lazy"' : ''} decoding="async">`;
+}
+
+/**
+ * "Save for offline" button, revealed and wired up by scripts/offline.js
+ * @param {string[]} files - API files (without .json) the page needs to render offline
+ * @param {string} locale
+ * @returns {string}
+ */
+function saveOfflineButton(files, locale) {
+  return `<button type="button" class="save-offline" data-save-offline="${escapeHtml([...new Set(files)].join(' '))}" hidden>${t(locale, 'offline.save')}</button>`;
+}
+
+/**
+ * Follow and mute buttons for a tag or source, revealed and wired up by scripts/preferences.js
+ * @param {PreferenceKind} kind
+ * @param {number} id
+ * @param {{ label?: string, locale?: string }} [options] - `label` names the tag or source next to the buttons
+ * @returns {string}
+ */
+export function followControlsTemplate(kind, id, { label, locale = DEFAULT_LOCALE } = {}) {
+  return `<span class="follow-controls" data-follow-kind="${kind}" data-follow-id="${id}" hidden>${label ? `
+    <span class="follow-controls__label">${escapeHtml(label)}</span>` : ''}
+    <button type="button" class="follow-controls__button" data-follow-action="follow" aria-pressed="false">${t(locale, 'follow.follow')}</button>
+    <button type="button" class="follow-controls__button follow-controls__button--mute" data-follow-action="mute" aria-pressed="false">${t(locale, 'follow.mute')}</button>
+  </span>`;
+}
+
+/**
+ * Follow controls for each of a page's tags
+ * @param {Tag[]} tags
+ * @param {string} className
+ * @param {string} locale
+ * @returns {string}
+ */
+function followTagsTemplate(tags, className, locale) {
+  if (tags.length === 0) return '';
+  return `
+    <div class="${className}">
+      ${tags.map((tag) => followControlsTemplate('tag', tag.id, { label: tag.tag, locale })).join('\n      ')}
+    </div>`;
+}
+
+/**
+ * Numbered "Sources" list for a text's citations; empty when it cites nothing
+ * @param {CitationIndex | undefined} index
+ * @param {string} className - Wrapper class
+ * @param {string} locale
+ * @returns {string}
+ */
+function citationListTemplate(index, className, locale) {
+  if (!index || index.citations.length === 0) return '';
+  return `
+    <section class="citations ${className}">
+      <h2 class="citations__title">${t(locale, 'citations.title')}</h2>
+      <ol class="citations__list">
+        ${index.citations.map((citation) => `<li class="citations__item" value="${citation.number}">
+          <a href="${citation.href}"${citation.local ? ` class="article-ref--local" data-ref="${citation.id}"` : ''}>${escapeHtml(cleanTitle(citation.item.title))}</a>${citation.source ? `
+          <span class="citations__source">${escapeHtml(citation.source.title)}</span>` : ''}
+        </li>`).join('\n        ')}
+      </ol>
+    </section>`;
+}
+
+/**
+ * API files (without .json) holding the cited items, for "Save for offline"
+ * @param {Map<number, NewsRawItem> | undefined} citedItems
+ * @returns {string[]}
+ */
+function citedFiles(citedItems) {
+  return [...(citedItems?.keys() || [])].map((id) => `news_raw.${getBatchId(id)}`);
+}
+
+/**
+ * Bookmark button, revealed and wired up by scripts/history.js
+ * @param {'article' | 'cluster'} kind
+ * @param {number} id
+ * @param {string} title - Plain-text title shown on /bookmarks
+ * @param {string} locale
+ * @returns {string}
+ */
+function bookmarkButton(kind, id, title, locale) {
+  return `<button type="button" class="save-offline" data-bookmark="${kind}:${id}" data-bookmark-title="${escapeHtml(title)}" aria-pressed="false" hidden>${t(locale, 'bookmark.add')}</button>`;
+}
+
+/**
+ * "N new articles since your last visit", filled in by scripts/history.js
+ * @param {string} className
+ * @returns {string}
+ */
+function newArticlesBadge(className) {
+  return `<span class="${className}" data-new-badge hidden></span>`;
+}
+
+/**
+ * Full article view
+ * @param {{ item: NewsRawItem, sourcesMap: Map<number, Source>, tags: Tag[], citedItems?: Map<number, NewsRawItem>, locale?: string }} data
+ *   `citedItems` are the items the article cites (citations.js fetchCitedItems); without them
+ *   citations are plain links by ID
+ * @returns {string}
+ */
+export function articleTemplate({ item, sourcesMap, tags, citedItems, locale = DEFAULT_LOCALE }) {
+  const citations = citedItems && indexCitations(item.article, { citedItems, sourcesMap, locale });
+  const source = findSource(item.source, sourcesMap);
+  const sourceName = escapeHtml(source?.title || item.source);
+  const title = escapeHtml(cleanTitle(item.title));
+
+  return `<article class="article-full" data-visit="article:${item.id}">
+  <header class="article-full__header">
+    ${source
+      ? `<a href="${sourcePath(source)}" class="article-full__source">${sourceName}</a>
+    ${followControlsTemplate('source', source.id, { locale })}`
+      : `<span class="article-full__source">${sourceName}</span>`}
+    <h1 class="article-full__title">${title}</h1>
+    ${dateTime(item.created_at, 'article-full__date', locale)}${tagLinks(tags, 'article-full__tags', locale)}
+  </header>${item.imgUrl ? `
+  <div class="article-full__image">
+    ${imageTag(item, 'article', { alt: title, lazy: false })}
+  </div>` : ''}
+  <div class="article-full__content">
+    ${renderRichText(item.article, { citations, locale, imageRef: `article:${item.id}` })}
+  </div>${citationListTemplate(citations, 'article-full__citations', locale)}
+  <footer class="article-full__footer">
+    <p>
+      ${t(locale, 'article.originallyPublished', {
+        source: source?.link
+          ? `<a href="${escapeHtml(source.link)}" target="_blank" rel="noopener noreferrer">${sourceName}</a>`
+          : sourceName,
+      })}
+    </p>
+    ${bookmarkButton('article', item.id, cleanTitle(item.title), locale)}
+    ${saveOfflineButton([`news_raw.${getBatchId(item.id)}`, ...citedFiles(citedItems)], locale)}
+  </footer>
+</article>`;
+}
+
+/**
+ * Card linking to one raw article, as listed on a cluster page
+ * @param {NewsRawItem} item
+ * @param {Map<number, Source>} sourcesMap
+ * @param {{ anchor?: boolean, locale?: string }} [options] - `anchor` gives the card the `item-{id}` ID citations link to
+ * @returns {string}
+ */
+export function clusterArticleCardTemplate(item, sourcesMap, { anchor = false, locale = DEFAULT_LOCALE } = {}) {
+  const title = escapeHtml(cleanTitle(item.title));
+
+  return `<a href="${localePath(`/news/${item.id}`, locale)}"${anchor ? ` id="item-${item.id}"` : ''} class="cluster-article-card" data-read="article:${item.id}">${item.imgUrl ? `
+  <div class="cluster-article-card__image">
+    ${imageTag(item, 'card', { alt: title })}
+  </div>` : ''}
+  <div class="cluster-article-card__content">
+    <span class="cluster-article-card__source">${escapeHtml(findSource(item.source, sourcesMap)?.title || item.source)}</span>
+    <h3 class="cluster-article-card__title">${title}</h3>
+    ${dateTime(item.created_at, 'cluster-article-card__date', locale)}
+  </div>
+</a>`;
+}
+
+/**
+ * Source name, linked to its source page when known
+ * @param {Source | undefined} source
+ * @param {string | number} fallback - Raw source value from the item
+ * @param {string} className
+ * @returns {string}
+ */
+function sourceLink(source, fallback, className) {
+  const name = escapeHtml(source?.title || fallback);
+  return source
+    ? `<a href="${sourcePath(source)}" class="${className}">${name}</a>`
+    : `<span class="${className}">${name}</span>`;
+}
+
+/**
+ * Items in publication order, grouped by day
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @param {string} locale
+ * @returns {string}
+ */
+function clusterTimelineTemplate(items, sourcesMap, locale) {
+  return `<ol class="cluster-timeline">
+      ${buildClusterTimeline(items).map(({ day, entries }) => `<li class="cluster-timeline__day">
+        <h3 class="cluster-timeline__date">${formatDate(`${day}T12:00:00Z`, locale)}</h3>
+        <ol class="cluster-timeline__entries">
+          ${entries.map(({ item, offset }) => `<li class="cluster-timeline__entry" data-item-id="${item.id}">
+            <time class="cluster-timeline__time" datetime="${escapeHtml(item.created_at)}">${formatTimeUtc(item.created_at)}</time>
+            <span class="cluster-timeline__offset">${offset > 0 ? formatOffset(offset) : t(locale, 'cluster.firstReport')}</span>
+            ${sourceLink(findSource(item.source, sourcesMap), item.source, 'cluster-timeline__source')}
+            <a href="${localePath(`/news/${item.id}`, locale)}" class="cluster-timeline__title">${escapeHtml(cleanTitle(item.title))}</a>
+          </li>`).join('\n          ')}
+        </ol>
+      </li>`).join('\n      ')}
+    </ol>`;
+}
+
+/**
+ * Outlets side by side, one column each
+ * The picker is revealed by scripts/cluster.js; without it every outlet is shown.
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @param {string} locale
+ * @returns {string}
+ */
+function clusterCompareTemplate(items, sourcesMap, locale) {
+  const coverage = groupClusterBySource(items, sourcesMap);
+
+  return `${coverage.length > 1 ? `<fieldset class="cluster-compare__picker" data-compare-picker hidden>
+      <legend class="cluster-compare__legend">${t(locale, 'cluster.compareLegend')}</legend>
+      ${coverage.map(({ sourceId, source }) => `<label class="cluster-compare__option">
+        <input type="checkbox" value="${escapeHtml(sourceId)}" checked> ${escapeHtml(source?.title || sourceId)}
+      </label>`).join('\n      ')}
+    </fieldset>` : `<p class="cluster-compare__note">${t(locale, 'cluster.singleOutlet')}</p>`}
+    <div class="cluster-compare">
+      ${coverage.map(({ sourceId, source, items: sourceItems }) => `<section class="cluster-compare__column" data-source-id="${escapeHtml(sourceId)}">
+        <header class="cluster-compare__header">
+          ${sourceLink(source, sourceId, 'cluster-compare__source')}
+          <span class="cluster-compare__origin">${escapeHtml(formatOrigin(source?.origin?.trim() || '', locale))} · ${t(locale, 'count.articles', { count: sourceItems.length })}</span>
+        </header>
+        ${sourceItems.map((item) => `<article class="cluster-compare__item">
+          <a href="${localePath(`/news/${item.id}`, locale)}" class="cluster-compare__title">${escapeHtml(cleanTitle(item.title))}</a>
+          ${dateTime(item.created_at, 'cluster-compare__date', locale)}
+          <p class="cluster-compare__excerpt">${renderRichText(excerpt(item.article), { inline: true })}</p>
+        </article>`).join('\n        ')}
+      </section>`).join('\n      ')}
+    </div>`;
+}
+
+/**
+ * Share of the coverage per source origin
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @param {string} locale
+ * @returns {string}
+ */
+function clusterOriginsTemplate(items, sourcesMap, locale) {
+  return `<ul class="cluster-origins">
+      ${groupClusterByOrigin(items, sourcesMap).map(({ origin, sources, itemCount }) => {
+        const share = Math.round((itemCount / items.length) * 100);
+        return `<li class="cluster-origins__group">
+        <div class="cluster-origins__header">
+          <span class="cluster-origins__name">${escapeHtml(formatOrigin(origin, locale))}</span>
+          <span class="cluster-origins__count">${t(locale, 'count.articles', { count: itemCount })} · ${share}%</span>
+        </div>
+        <div class="cluster-origins__bar"><span style="width: ${share}%"></span></div>
+        <ul class="cluster-origins__sources">
+          ${sources.map(({ sourceId, source, items: sourceItems }) => `<li>${sourceLink(source, sourceId, 'cluster-origins__source')} (${sourceItems.length})</li>`).join('\n          ')}
+        </ul>
+      </li>`;
+      }).join('\n      ')}
+    </ul>`;
+}
+
+// Labels are the `cluster.view.{key}` messages
+const CLUSTER_VIEWS = ['articles', 'timeline', 'compare', 'origins'];
+
+/**
+ * Full cluster view
+ *
+ * The articles, timeline, comparison and origin views are switched with radio
+ * buttons, so they work without scripts in static and server-rendered pages.
+ * Citations in the summary that point at the cluster's own items link to their
+ * cards on the page.
+ *
+ * @param {{ cluster: NewsArticle, items: NewsRawItem[], sourcesMap: Map<number, Source>, tags: Tag[], citedItems?: Map<number, NewsRawItem>, locale?: string }} data
+ *   `citedItems` are the items the summary cites (citations.js fetchCitedItems); without them
+ *   citations are plain links by ID
+ * @returns {string}
+ */
+export function clusterTemplate({ cluster, items, sourcesMap, tags, citedItems, locale = DEFAULT_LOCALE }) {
+  const localIds = new Set(items.map((item) => item.id));
+  const citations = citedItems && indexCitations(cluster.short_desc, { citedItems, sourcesMap, localIds, locale });
+  const panels = {
+    articles: `<h2 class="cluster-full__section-title">${t(locale, 'cluster.articlesInCluster')}</h2>
+    <div class="cluster-full__list">
+      ${items.map((item) => clusterArticleCardTemplate(item, sourcesMap, { anchor: true, locale })).join('\n')}
+    </div>`,
+    timeline: clusterTimelineTemplate(items, sourcesMap, locale),
+    compare: clusterCompareTemplate(items, sourcesMap, locale),
+    origins: clusterOriginsTemplate(items, sourcesMap, locale),
+  };
+
+  return `<article class="cluster-full" data-cluster data-visit="cluster:${cluster.id}" data-article-count="${cluster.articles.length}">
+  <header class="cluster-full__header">
+    <h1 class="cluster-full__title">${escapeHtml(cleanTitle(cluster.title))}</h1>${cluster.short_desc ? `
+    <div class="cluster-full__description">${renderRichText(cluster.short_desc, { citations, localIds, locale, imageRef: `cluster:${cluster.id}` })}</div>${citationListTemplate(citations, 'cluster-full__citations', locale)}` : ''}
+    ${dateTime(cluster.created_at, 'cluster-full__date', locale)}
+    <div class="cluster-full__meta">
+      <span class="cluster-full__count">${t(locale, 'cluster.count', { count: cluster.articles.length })}</span>
+      ${newArticlesBadge('cluster-full__new')}
+    </div>${tagLinks(tags, 'cluster-full__tags', locale)}${followTagsTemplate(tags, 'cluster-full__follow', locale)}
+  </header>${items.length > 0 ? `
+  <div class="cluster-views">
+    ${CLUSTER_VIEWS.map((key) => `<input type="radio" name="cluster-view-${cluster.id}" id="cluster-view-${cluster.id}-${key}" class="cluster-views__toggle cluster-views__toggle--${key}" value="${key}"${key === 'articles' ? ' checked' : ''}>
+    <label for="cluster-view-${cluster.id}-${key}" class="cluster-views__tab">${t(locale, `cluster.view.${key}`)}</label>`).join('\n    ')}
+    ${CLUSTER_VIEWS.map((key) => `<section class="cluster-views__panel cluster-views__panel--${key}">
+    ${panels[key]}
+    </section>`).join('\n    ')}
+  </div>` : ''}
+  <footer class="cluster-full__footer">
+    <a href="${localePath('/', locale)}">${t(locale, 'nav.backHome')}</a>
+    ${bookmarkButton('cluster', cluster.id, cleanTitle(cluster.title), locale)}
+    ${saveOfflineButton([
+      `news_articles.${getBatchId(cluster.id)}`,
+      ...cluster.articles.map((id) => `news_raw.${getBatchId(id)}`),
+      ...citedFiles(citedItems),
+    ], locale)}
+  </footer>
+</article>`;
+}
+
+/**
+ * Related coverage below an article or cluster; empty when there is none
+ * @param {{ story?: NewsRawItem[], articles: NewsRawItem[], clusters: NewsArticle[], sourcesMap: Map<number, Source>, locale?: string }} data
+ * @returns {string}
+ */
+export function relatedTemplate({ story = [], articles, clusters, sourcesMap, locale = DEFAULT_LOCALE }) {
+  const cards = (items) => `<div class="cluster-full__list">
+      ${items.map((item) => clusterArticleCardTemplate(item, sourcesMap, { locale })).join('\n')}
+    </div>`;
+  const sections = [
+    story.length > 0 && `<h2 class="related__title">${t(locale, 'related.story')}</h2>
+    ${cards(story)}`,
+    clusters.length > 0 && `<h2 class="related__title">${t(locale, 'related.stories')}</h2>
+    <ol class="archive__clusters">
+      ${clusters.map((cluster) => clusterListItemTemplate(cluster, locale)).join('\n')}
+    </ol>`,
+    articles.length > 0 && `<h2 class="related__title">${t(locale, 'related.articles')}</h2>
+    ${cards(articles)}`,
+  ].filter(Boolean);
+
+  if (sections.length === 0) return '';
+  return `<aside class="related" aria-label="${t(locale, 'related.label')}">
+  ${sections.map((section) => `<section class="related__section">
+    ${section}
+  </section>`).join('\n  ')}
+</aside>`;
+}
+
+/**
+ * Contents of the preview card scripts/citations.js shows for a hovered or focused reference
+ * @param {NewsRawItem} item
+ * @param {Source | undefined} source
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function citationPreviewTemplate(item, source, locale = DEFAULT_LOCALE) {
+  return `${item.imgUrl ? imageTag(item, 'preview', { alt: '', className: 'citation-preview__image' }) : ''}
+  <span class="citation-preview__meta">${escapeHtml(source?.title || item.source)} · ${formatDate(item.created_at, locale)}</span>
+  <strong class="citation-preview__title">${escapeHtml(cleanTitle(item.title))}</strong>
+  <span class="citation-preview__excerpt">${escapeHtml(excerpt(item.article, 160))}</span>`;
+}
+
+/**
+ * Error view
+ * With a `status`, the title and message default to that status's messages
+ * (errors.js), e.g. "No longer available" for a 410.
+ * @param {{ status?: number, title?: string, message?: string, locale?: string }} data
+ * @returns {string}
+ */
+export function errorTemplate({ status, title, message, locale = DEFAULT_LOCALE }) {
+  const key = status ? errorMessageKey(status) : 'error';
+  return `<div class="error"${status ? ` data-status="${status}"` : ''}>${status ? `
+  <p class="error__status">${status}</p>` : ''}
+  <h1>${escapeHtml(title ?? t(locale, `${key}.title`))}</h1>
+  <p>${escapeHtml(message ?? (status ? t(locale, `${key}.message`) : ''))}</p>${status === 404 ? `
+  <p class="error__hint">${t(locale, 'error.searchPrompt')}</p>
+  <a href="/search" class="error__secondary">${t(locale, 'nav.search')}</a>` : ''}
+  <a href="${localePath('/', locale)}">${t(locale, 'nav.backHomepage')}</a>
+</div>`;
+}
+
+/**
+ * Compact cluster entry for listings
+ * @param {NewsArticle} cluster
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function clusterListItemTemplate(cluster, locale = DEFAULT_LOCALE) {
+  return `<li class="archive-cluster" data-read="cluster:${cluster.id}" data-article-count="${cluster.articles.length}">
+  <a href="${localePath(`/articles/${cluster.id}`, locale)}" class="archive-cluster__title">${escapeHtml(cleanTitle(cluster.title))}</a>
+  <span class="archive-cluster__meta">${dateTime(cluster.created_at, 'archive-cluster__date', locale)} · ${t(locale, 'count.articles', { count: cluster.articles.length })}</span>
+  ${newArticlesBadge('read-badge')}
+</li>`;
+}
+
+/**
+ * @param {{ href: string, label: string } | undefined} link
+ * @param {string} rel
+ * @returns {string}
+ */
+function pagerLink(link, rel) {
+  return link
+    ? `<a href="${escapeHtml(link.href)}" rel="${rel}" class="archive__pager-link">${escapeHtml(link.label)}</a>`
+    : '<span></span>';
+}
+
+/**
+ * Archive listing, used for numbered pages and day pages
+ * @param {{
+ *   heading: string,
+ *   description?: string,
+ *   clusters: NewsArticle[],
+ *   news: NewsRawItem[],
+ *   sourcesMap: Map<number, Source>,
+ *   newer?: { href: string, label: string },
+ *   older?: { href: string, label: string },
+ *   position?: string,
+ *   days?: { href: string, label: string }[],
+ *   locale?: string,
+ * }} data
+ * @returns {string}
+ */
+export function archiveTemplate({ heading, description, clusters, news, sourcesMap, newer, older, position, days = [], locale = DEFAULT_LOCALE }) {
+  const pager = `
+  <nav class="archive__pager" aria-label="${t(locale, 'archive.navigation')}">
+    ${pagerLink(newer, 'prev')}
+    <span class="archive__position">${escapeHtml(position || '')}</span>
+    ${pagerLink(older, 'next')}
+  </nav>`;
+
+  return `<section class="archive">
+  <header class="archive__header">
+    <h1 class="archive__title">${escapeHtml(heading)}</h1>${description ? `
+    <p class="archive__description">${escapeHtml(description)}</p>` : ''}${days.length > 0 ? `
+    <nav class="archive__days" aria-label="${t(locale, 'archive.byDay')}">
+      ${days.map((day) => `<a href="${escapeHtml(day.href)}" class="tag">${escapeHtml(day.label)}</a>`).join('\n      ')}
+    </nav>` : ''}
+  </header>${clusters.length === 0 && news.length === 0 ? `
+  <p class="archive__empty">${t(locale, 'archive.empty')}</p>` : ''}${clusters.length > 0 ? `
+  <section class="archive__section">
+    <h2 class="archive__section-title">${t(locale, 'archive.topStories')}</h2>
+    <ol class="archive__clusters">
+      ${clusters.map((cluster) => clusterListItemTemplate(cluster, locale)).join('\n')}
+    </ol>
+  </section>` : ''}${news.length > 0 ? `
+  <section class="archive__section">
+    <h2 class="archive__section-title">${t(locale, 'archive.articles')}</h2>
+    <div class="cluster-full__list">
+      ${news.map((item) => clusterArticleCardTemplate(item, sourcesMap, { locale })).join('\n')}
+    </div>
+  </section>` : ''}${pager}
+</section>`;
+}
+
+/**
+ * Growth over the baseline rate, e.g. `▲ 250%`, or `New` when the baseline was quiet
+ * @param {number} current
+ * @param {number} expected
+ * @param {string} locale
+ * @returns {string}
+ */
+function growthBadge(current, expected, locale) {
+  const growth = growthPercent(current, expected);
+  return `<span class="trending__growth">${growth === null ? t(locale, 'trending.new') : `▲ ${growth}%`}</span>`;
+}
+
+/**
+ * @param {TrendingTag} entry
+ * @param {string} locale
+ * @returns {string}
+ */
+function trendingTagItemTemplate({ tag, items, clusters, current, expected }, locale) {
+  const counts = [t(locale, 'count.articles', { count: items }), clusters > 0 && t(locale, 'trending.newStories', { count: clusters })]
+    .filter(Boolean)
+    .join(', ');
+  return `<li class="trending-tag">
+  <a href="${localePath(tagPath(tag), locale)}" class="trending-tag__link">${escapeHtml(tag.tag)}</a>
+  <span class="trending-tag__meta">${counts} · ${growthBadge(current, expected, locale)}</span>
+</li>`;
+}
+
+/**
+ * @param {TrendingCluster} entry
+ * @param {string} locale
+ * @returns {string}
+ */
+function trendingClusterItemTemplate({ cluster, current, expected }, locale) {
+  return `<li class="archive-cluster" data-read="cluster:${cluster.id}" data-article-count="${cluster.articles.length}">
+  <a href="${localePath(`/articles/${cluster.id}`, locale)}" class="archive-cluster__title">${escapeHtml(cleanTitle(cluster.title))}</a>
+  <span class="archive-cluster__meta">${t(locale, 'trending.newArticles', { count: current })} · ${growthBadge(current, expected, locale)} · ${t(locale, 'trending.inTotal', { count: cluster.articles.length })}</span>
+  ${newArticlesBadge('read-badge')}
+</li>`;
+}
+
+/**
+ * Rising tags and clusters for one window
+ * @param {TrendingWindow} window
+ * @param {string} locale
+ * @returns {string}
+ */
+function trendingWindowTemplate(window, locale) {
+  if (window.tags.length === 0 && window.clusters.length === 0) {
+    return `<p class="archive__empty">${t(locale, 'trending.empty')}</p>`;
+  }
+  return `${window.tags.length > 0 ? `<section class="archive__section">
+      <h2 class="archive__section-title">${t(locale, 'trending.risingTopics')}</h2>
+      <ol class="trending__tags">
+        ${window.tags.map((entry) => trendingTagItemTemplate(entry, locale)).join('\n')}
+      </ol>
+    </section>` : ''}${window.clusters.length > 0 ? `
+    <section class="archive__section">
+      <h2 class="archive__section-title">${t(locale, 'trending.fastGrowing')}</h2>
+      <ol class="archive__clusters">
+        ${window.clusters.map((entry) => trendingClusterItemTemplate(entry, locale)).join('\n')}
+      </ol>
+    </section>` : ''}`;
+}
+
+/**
+ * Trending page: one tab per window, switched with radio buttons like the cluster views
+ * @param {{ trending: Trending, locale?: string }} data
+ * @returns {string}
+ */
+export function trendingTemplate({ trending, locale = DEFAULT_LOCALE }) {
+  return `<section class="archive trending">
+  <header class="archive__header">
+    <h1 class="archive__title">${t(locale, 'trending.title')}</h1>
+    <p class="archive__description">${t(locale, 'trending.description', { date: dateTime(trending.generatedAt, 'trending__date', locale) })}</p>
+  </header>
+  <div class="cluster-views">
+    ${trending.windows.map(({ key }) => `<input type="radio" name="trending-window" id="trending-window-${key}" class="cluster-views__toggle trending__toggle--${key}" value="${key}"${key === DEFAULT_TRENDING_WINDOW ? ' checked' : ''}>
+    <label for="trending-window-${key}" class="cluster-views__tab">${t(locale, `trending.window.${key}`)}</label>`).join('\n    ')}
+    ${trending.windows.map((window) => `<div class="cluster-views__panel trending__panel--${window.key}">
+    ${trendingWindowTemplate(window, locale)}
+    </div>`).join('\n    ')}
+  </div>
+</section>`;
+}
+
+/**
+ * Compact trending rail for the home page; empty when nothing is rising
+ * @param {{ trending: Trending, window?: string, clusters?: number, locale?: string }} data
+ * @returns {string}
+ */
+export function trendingRailTemplate({ trending, window: key = DEFAULT_TRENDING_WINDOW, clusters = 3, locale = DEFAULT_LOCALE }) {
+  const window = getTrendingWindow(trending, key);
+  if (!window || (window.tags.length === 0 && window.clusters.length === 0)) return '';
+
+  return `<section class="trending-rail" aria-labelledby="trending-rail-title">
+  <h2 id="trending-rail-title" class="trending-rail__title">${t(locale, 'trending.rail')} <span class="trending-rail__window">${t(locale, `trending.window.${window.key}`)}</span></h2>${window.tags.length > 0 ? `
+  <ol class="trending-rail__tags">
+    ${window.tags.map(({ tag, current, expected }) => `<li><a href="${localePath(tagPath(tag), locale)}" class="trending-rail__tag">${escapeHtml(tag.tag)} ${growthBadge(current, expected, locale)}</a></li>`).join('\n    ')}
+  </ol>` : ''}${window.clusters.length > 0 ? `
+  <ol class="archive__clusters trending-rail__clusters">
+    ${window.clusters.slice(0, clusters).map((entry) => trendingClusterItemTemplate(entry, locale)).join('\n')}
+  </ol>` : ''}
+  <a href="${localePath('/trending', locale)}" class="trending-rail__more">${t(locale, 'trending.seeAll')}</a>
+</section>`;
+}
+
+/**
+ * Followed and muted tags or sources, each with its follow controls
+ * @param {PreferenceKind} kind
+ * @param {{ id: number, name: string }[]} entries
+ * @param {string} empty - Shown when there are none
+ * @param {string} locale
+ * @returns {string}
+ */
+function preferenceListTemplate(kind, entries, empty, locale) {
+  return entries.length > 0
+    ? `<ul class="my-feed__preferences">
+        ${entries.map(({ id, name }) => `<li>${followControlsTemplate(kind, id, { label: name, locale })}</li>`).join('\n        ')}
+      </ul>`
+    : `<p class="my-feed__none">${empty}</p>`;
+}
+
+/**
+ * "My News": the personal feed and the preferences behind it
+ * @param {{
+ *   items: NewsRawItem[],
+ *   clusters: NewsArticle[],
+ *   preferences: Preferences,
+ *   tags: Tag[],
+ *   sourcesMap: Map<number, Source>,
+ *   locale?: string,
+ * }} data
+ * @returns {string}
+ */
+export function myFeedTemplate({ items, clusters, preferences, tags, sourcesMap, locale = DEFAULT_LOCALE }) {
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.tag]));
+  const named = (ids, names) => ids.map((id) => ({ id, name: names(id) || `#${id}` }));
+  const tagEntries = (ids) => named(ids, (id) => tagNames.get(id));
+  const sourceEntries = (ids) => named(ids, (id) => sourcesMap.get(id)?.title);
+  const following = hasFollows(preferences);
+
+  return `<section class="archive my-feed">
+  <header class="archive__header">
+    <h1 class="archive__title">${t(locale, 'myFeed.title')}</h1>
+    <p class="archive__description">${t(locale, 'myFeed.description')}</p>
+  </header>${!following ? `
+  <p class="archive__empty">${t(locale, 'myFeed.notFollowing', { tagsUrl: localePath('/tags', locale), sourcesUrl: localePath('/sources', locale) })}</p>` : ''}${following && items.length === 0 && clusters.length === 0 ? `
+  <p class="archive__empty">${t(locale, 'myFeed.nothingNew')}</p>` : ''}${clusters.length > 0 ? `
+  <section class="archive__section">
+    <h2 class="archive__section-title">${t(locale, 'myFeed.stories')}</h2>
+    <ol class="archive__clusters">
+      ${clusters.map((cluster) => clusterListItemTemplate(cluster, locale)).join('\n')}
+    </ol>
+  </section>` : ''}${items.length > 0 ? `
+  <section class="archive__section">
+    <h2 class="archive__section-title">${t(locale, 'myFeed.articles')}</h2>
+    <div class="cluster-full__list">
+      ${items.map((item) => clusterArticleCardTemplate(item, sourcesMap, { locale })).join('\n')}
+    </div>
+  </section>` : ''}
+  <section class="archive__section my-feed__settings">
+    <h2 class="archive__section-title">${t(locale, 'myFeed.preferences')}</h2>
+    <h3>${t(locale, 'myFeed.followedTopics')}</h3>
+    ${preferenceListTemplate('tag', tagEntries(preferences.tags.follow), t(locale, 'myFeed.none'), locale)}
+    <h3>${t(locale, 'myFeed.followedSources')}</h3>
+    ${preferenceListTemplate('source', sourceEntries(preferences.sources.follow), t(locale, 'myFeed.none'), locale)}
+    <h3>${t(locale, 'myFeed.muted')}</h3>
+    ${preferenceListTemplate('tag', tagEntries(preferences.tags.mute), t(locale, 'myFeed.noMutedTopics'), locale)}
+    ${preferenceListTemplate('source', sourceEntries(preferences.sources.mute), t(locale, 'myFeed.noMutedSources'), locale)}
+    <div class="my-feed__transfer">
+      <button type="button" class="my-feed__button" data-preferences-export>${t(locale, 'myFeed.export')}</button>
+      <label class="my-feed__button">${t(locale, 'myFeed.import')} <input type="file" accept="application/json,.json" data-preferences-import hidden></label>
+      <p class="my-feed__status" data-preferences-status aria-live="polite"></p>
+    </div>
+  </section>
+</section>`;
+}
+
+/**
+ * News card for the home, tag and source grids (NewsCard.astro)
+ * @param {NewsRawItem} item
+ * @param {Map<number, Source>} sourcesMap
+ * @param {{ showSource?: boolean, showImage?: boolean, locale?: string }} [options]
+ * @returns {string}
+ */
+export function newsCardTemplate(item, sourcesMap, { showSource = true, showImage = true, locale = DEFAULT_LOCALE } = {}) {
+  const source = findSource(item.source, sourcesMap);
+  const title = escapeHtml(cleanTitle(item.title));
+
+  return `<article class="news-card" data-read="article:${item.id}">${showImage && item.imgUrl ? `
+  <div class="news-card__image">
+    ${imageTag(item, 'card', { alt: title })}
+  </div>` : ''}
+  <div class="news-card__content">${showSource ? `
+    ${sourceLink(source, item.source, 'news-card__source')}` : ''}
+    <h3 class="news-card__title"><a href="${localePath(`/news/${item.id}`, locale)}">${title}</a></h3>
+    <p class="news-card__excerpt">${escapeHtml(truncate(item.article || '', 150))}</p>
+    ${dateTime(item.created_at, 'news-card__date', locale, { month: 'short' })}
+  </div>
+</article>`;
+}
+
+/**
+ * Grid of news cards: `columns` wide on desktops, two on tablets, one on phones (NewsGrid.astro)
+ * @param {NewsRawItem[]} items
+ * @param {Map<number, Source>} sourcesMap
+ * @param {{ columns?: number, showSource?: boolean, showImage?: boolean, locale?: string }} [options]
+ * @returns {string}
+ */
+function newsGridTemplate(items, sourcesMap, { columns = 3, ...options } = {}) {
+  return `<div class="news-grid" style="--columns: ${columns}">
+  ${items.map((item) => newsCardTemplate(item, sourcesMap, options)).join('\n')}
+</div>`;
+}
+
+/**
+ * Cluster summary with its first articles, for the home page (ArticleCluster.astro)
+ * @param {NewsArticle} cluster
+ * @param {NewsRawItem[]} items - Articles of this and other clusters; the first `maxItems` of this one are shown
+ * @param {Map<number, Source>} sourcesMap
+ * @param {number} [maxItems]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function clusterCardTemplate(cluster, items, sourcesMap, maxItems = 3, locale = DEFAULT_LOCALE) {
+  const shown = items.filter((item) => cluster.articles.includes(item.id)).slice(0, maxItems);
+  const summary = renderRichText(cluster.short_desc, { imageRef: `cluster:${cluster.id}` });
+
+  return `<div class="article-cluster" data-read="cluster:${cluster.id}" data-article-count="${cluster.articles.length}">
+  <h2 class="article-cluster__title"><a href="${localePath(`/articles/${cluster.id}`, locale)}">${escapeHtml(cleanTitle(cluster.title))}</a></h2>${summary ? `
+  <div class="article-cluster__description">${summary}</div>` : ''}
+  <div class="article-cluster__sources">
+    <span class="article-cluster__count">${t(locale, 'count.articles', { count: cluster.articles.length })}</span>
+    ${newArticlesBadge('article-cluster__new')}
+  </div>
+  <div class="article-cluster__items">
+    ${shown.map((item) => {
+      const title = escapeHtml(cleanTitle(item.title));
+      return `<div class="article-cluster__item" data-read="article:${item.id}">${item.imgUrl ? `
+      <a href="${localePath(`/news/${item.id}`, locale)}" class="article-cluster__item-image" tabindex="-1" aria-hidden="true">
+        ${imageTag(item, 'card', { alt: title })}
+      </a>` : ''}
+      <div class="article-cluster__item-content">
+        ${sourceLink(findSource(item.source, sourcesMap), item.source, 'article-cluster__item-source')}
+        <h3 class="article-cluster__item-title"><a href="${localePath(`/news/${item.id}`, locale)}">${title}</a></h3>
+      </div>
+    </div>`;
+    }).join('\n    ')}
+  </div>
+  ${dateTime(cluster.created_at, 'article-cluster__date', locale)}
+</div>`;
+}
+
+/**
+ * Tags in tree order, each with its parents, e.g. `World › Europe` (TagList.astro)
+ * @param {Taxonomy} taxonomy
+ * @param {{ limit?: number, locale?: string }} [options]
+ * @returns {string}
+ */
+export function tagListItemsTemplate(taxonomy, { limit, locale = DEFAULT_LOCALE } = {}) {
+  const tags = flattenTaxonomy(taxonomy).slice(0, limit);
+
+  return `<ul class="tag-list__items">
+  ${tags.map((tag) => {
+    const parents = taxonomy.parents.get(tag.id) || [];
+    return `<li class="tag-list__item">
+    <a href="${localePath(tagPath(tag), locale)}" class="tag-list__link">${parents.length > 0 ? `<span class="tag-list__parents">${parents.map((parent) => `<span class="tag-list__parent">${escapeHtml(parent.tag)}</span>`).join('')}<span class="tag-list__separator">›</span></span>` : ''}<span class="tag-list__name">${escapeHtml(tag.tag)}</span></a>
+  </li>`;
+  }).join('\n  ')}
+</ul>`;
+}
+
+/**
+ * Tag list: `flat` lists tags with their parents; `tree` nests them in collapsible branches
+ * @param {Taxonomy} taxonomy
+ * @param {{ limit?: number, mode?: 'flat' | 'tree', locale?: string, title?: string }} [options] - An empty `title` leaves the heading out
+ * @returns {string}
+ */
+function tagListTemplate(taxonomy, { limit, mode = 'flat', locale = DEFAULT_LOCALE, title = t(locale, 'home.categories') } = {}) {
+  return `<nav class="tag-list">${title ? `
+  <h2 class="tag-list__title">${escapeHtml(title)}</h2>` : ''}
+  ${mode === 'tree' ? tagTreeTemplate(taxonomy.roots, taxonomy, locale) : tagListItemsTemplate(taxonomy, { limit, locale })}
+</nav>`;
+}
+
+/**
+ * Tags nested in collapsible branches; top-level branches start open (TagTreeBranch.astro)
+ * @param {Tag[]} tags - Siblings, sorted
+ * @param {Taxonomy} taxonomy
+ * @param {string} [locale]
+ * @param {number} [depth]
+ * @returns {string}
+ */
+export function tagTreeTemplate(tags, taxonomy, locale = DEFAULT_LOCALE, depth = 0) {
+  return `<ul class="tag-tree__list${depth === 0 ? ' tag-tree__list--root' : ''}">
+  ${tags.map((tag) => {
+    const children = taxonomy.children.get(tag.id) || [];
+    const link = `<a href="${localePath(tagPath(tag), locale)}" class="tag-tree__link">${escapeHtml(tag.tag)}</a>`;
+    return `<li class="tag-tree__item">${children.length > 0 ? `
+    <details class="tag-tree__branch"${depth === 0 ? ' open' : ''}>
+      <summary class="tag-tree__summary">${link} <span class="tag-tree__count">${children.length}</span></summary>
+      ${tagTreeTemplate(children, taxonomy, locale, depth + 1)}
+    </details>` : link}</li>`;
+  }).join('\n  ')}
+</ul>`;
+}
+
+/**
+ * Breadcrumb trail; the last item is the current page (Breadcrumbs.astro)
+ * @param {{ label: string, href?: string }[]} items
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function breadcrumbsTemplate(items, locale = DEFAULT_LOCALE) {
+  return `<nav class="breadcrumbs" aria-label="${t(locale, 'nav.breadcrumb')}">
+  <ol class="breadcrumbs__list">
+    ${items.map(({ label, href }, index) => `<li class="breadcrumbs__item">${href && index < items.length - 1
+      ? `<a href="${escapeHtml(href)}" class="breadcrumbs__link">${escapeHtml(label)}</a>`
+      : `<span aria-current="page">${escapeHtml(label)}</span>`}</li>`).join('\n    ')}
+  </ol>
+</nav>`;
+}
+
+/**
+ * "Last updated" badge for pages built from the whole data set
+ * @param {string} generatedAt - meta.generated_at
+ * @param {string} locale
+ * @returns {string}
+ */
+function lastUpdated(generatedAt, locale) {
+  return `<time class="last-updated" datetime="${escapeHtml(generatedAt)}">${t(locale, 'listing.lastUpdated', { date: formatDate(generatedAt, locale) })}</time>`;
+}
+
+/**
+ * Home page: trending rail (or categories when nothing is rising), newest clusters and articles
+ * @param {{ page: HomePage, trending?: Trending, locale?: string }} data - Without `trending` the categories are listed
+ * @returns {string}
+ */
+export function homeTemplate({ page, trending, locale = DEFAULT_LOCALE }) {
+  const rail = trending ? trendingRailTemplate({ trending, locale }) : '';
+
+  return `<div class="page-content">
+  <section class="hero">
+    <h1>${t(locale, 'home.title')}</h1>
+    <p>${t(locale, 'home.subtitle')}</p>
+  </section>
+  ${rail || tagListTemplate(buildTaxonomy(page.tags), { limit: 20, locale })}
+  <section class="top-stories">
+    <h2>${t(locale, 'home.topStories')}</h2>
+    <div class="article-clusters">
+      ${page.clusters.map((cluster) => clusterCardTemplate(cluster, page.clusterItems, page.sourcesMap, HOME_CLUSTER_ITEMS, locale)).join('\n')}
+    </div>
+  </section>
+  <section class="latest-news">
+    <h2>${t(locale, 'home.latestArticles')}</h2>
+    ${newsGridTemplate(page.news, page.sourcesMap, { locale })}
+    <a class="archive-link" href="${localePath('/archive', locale)}">${t(locale, 'home.archiveLink')}</a>
+  </section>
+  ${lastUpdated(page.meta.generated_at, locale)}
+</div>`;
+}
+
+/**
+ * All tags as a tree
+ * @param {{ tags: Tag[], meta: Meta, locale?: string }} data
+ * @returns {string}
+ */
+export function tagsTemplate({ tags, meta, locale = DEFAULT_LOCALE }) {
+  const taxonomy = buildTaxonomy(tags);
+
+  return `<div class="page-content">
+  <section class="tags-page">
+    <h1>${t(locale, 'tags.title')}</h1>
+    <p class="tags-page__subtitle">${t(locale, 'tags.subtitle')}</p>
+    ${lastUpdated(meta.generated_at, locale)}
+    <div class="tags-tree">
+      ${tagListTemplate(taxonomy, { mode: 'tree', title: '', locale })}
+    </div>
+  </section>
+</div>`;
+}
+
+/**
+ * One tag: its place in the taxonomy, subtopics and newest articles
+ * @param {{ page: TagPage, locale?: string }} data
+ * @returns {string}
+ */
+export function tagTemplate({ page, locale = DEFAULT_LOCALE }) {
+  const { tag, taxonomy, description, news, sourcesMap, meta } = page;
+  const children = taxonomy.children.get(tag.id) || [];
+  const topicsIn = t(locale, 'tag.topicsIn', { tag: escapeHtml(tag.tag) });
+
+  return `<div class="page-content">
+  ${breadcrumbsTemplate(tagBreadcrumbs(page, locale), locale)}
+  <section class="tag-header">
+    <h1>${escapeHtml(tag.tag)}</h1>${description ? `
+    <p class="tag-description">${escapeHtml(description)}</p>` : ''}
+    ${lastUpdated(meta.generated_at, locale)}
+    <a class="tag-feed" href="${tagPath(tag)}/rss.xml">${t(locale, 'tag.rss')}</a>
+    ${followControlsTemplate('tag', tag.id, { locale })}
+  </section>${children.length > 0 ? `
+  <nav class="tag-children" aria-label="${topicsIn}">
+    <h2>${topicsIn}</h2>
+    <ul class="tag-children__list">
+      ${children.map((child) => `<li><a href="${localePath(tagPath(child), locale)}" class="tag-children__link">${escapeHtml(child.tag)}</a></li>`).join('\n      ')}
+    </ul>
+  </nav>` : ''}
+  <section class="tag-news">
+    <h2>${t(locale, 'tag.latestNews')}</h2>
+    ${newsGridTemplate(news, sourcesMap, { locale })}${news.length === 0 ? `
+    <p class="no-news">${t(locale, 'tag.empty')}</p>` : ''}
+  </section>
+</div>`;
+}
@@ -0,0 +1,89 @@
+/**
+ * Text helpers shared by the Astro build, the Pages Function and the browser
+ */
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {unknown} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Locale-aware; kept here for the modules that import it with the other text helpers
+export { formatDate } from './i18n.js';
+
+/**
+ * Remove markdown bold formatting from titles
+ * @param {string} title
+ * @returns {string}
+ */
+export function cleanTitle(title) {
+  return title.replace(/\*\*/g, '');
+}
+
+// Letters that don't decompose into a Latin base letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', є: 'ye', ж: 'zh', з: 'z',
+  и: 'i', і: 'i', ї: 'yi', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+};
+
+/**
+ * Generate URL-safe slug from tag name
+ *
+ * Accents are dropped and Cyrillic and Greek are transliterated ("Türkiye" and
+ * "Россия" become `turkiye` and `rossiya`). Letters of other scripts are kept
+ * as they are, so names in Arabic or Chinese still get a readable slug.
+ * May return an empty string for names without letters or digits.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    // Accents only; marks that are part of a script (Devanagari vowel signs) stay
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] ?? char)
+    // Recompose scripts such as Hangul that NFKD splits apart
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Process article content to convert [number] references to links
+ * Handles [3333], [3333,3334], and [3333, 3334, 3335] formats
+ * @param {string} content
+ * @param {{ localIds?: Set<number> }} [options] - References to these IDs link to
+ *   `#item-{id}` on the same page instead of /news/{id}
+ * @returns {string}
+ */
+export function processArticleContent(content, { localIds } = {}) {
+  return content.replace(/\[(\d+(?:,\s*\d+)*)\]/g, (_match, idsStr) => {
+    const ids = idsStr.split(',').map((id) => id.trim());
+    const links = ids.map((id) => {
+      if (localIds?.has(parseInt(id))) {
+        return `<a href="#item-${id}" class="article-ref article-ref--local" data-ref="${id}">[${id}]</a>`;
+      }
+      return `<a href="/news/${id}" class="article-ref" data-ref="${id}">[${id}]</a>`;
+    });
+    return links.join(' ');
+  });
+}
@@ -0,0 +1,280 @@
+/**
+ * Trending tags and fast-growing clusters
+ *
+ * Volume in a sliding window (last hour, day, week) is compared against the
+ * rate seen in a longer baseline period just before it. Tag volume counts the
+ * tag's raw items (tag_articles.json) and its new clusters (news_articles);
+ * cluster growth counts the raw items joining each cluster. "Now" is
+ * meta.generated_at, so the static build and the Pages Function agree on the
+ * same data.
+ *
+ * @typedef {import('../../../src/types/db').Tag} Tag
+ * @typedef {import('../../../src/types/db').TagArticles} TagArticles
+ * @typedef {import('../../../src/types/db').NewsArticle} NewsArticle
+ * @typedef {import('../../../src/types/db').NewsRawItem} NewsRawItem
+ * @typedef {ReturnType<typeof import('./data-client.js').createDataClient>} DataClient
+ *
+ * @typedef {Object} TrendingWindowDefinition
+ * @property {string} key - Also names its label, `trending.window.{key}` (locales/*.js)
+ * @property {number} span - Window length in milliseconds
+ * @property {number} baseline - Length of the period before the window it is compared with
+ *
+ * @typedef {Object} TrendingTag
+ * @property {Tag} tag
+ * @property {number} items - Raw items in the window
+ * @property {number} clusters - Clusters created in the window
+ * @property {number} current - Weighted volume in the window
+ * @property {number} expected - Volume the baseline rate predicts for the window
+ * @property {number} score
+ *
+ * @typedef {Object} TrendingCluster
+ * @property {NewsArticle} cluster
+ * @property {number} current - Raw items added in the window
+ * @property {number} expected
+ * @property {number} score
+ *
+ * @typedef {Object} TrendingWindow
+ * @property {string} key
+ * @property {TrendingTag[]} tags - Highest score first
+ * @property {TrendingCluster[]} clusters - Highest score first
+ *
+ * @typedef {Object} Trending
+ * @property {string} generatedAt
+ * @property {TrendingWindow[]} windows
+ */
+
+import { BATCH_CONCURRENCY, BATCH_SIZE, HttpError, getBatchId, recentBatchIds } from './data-client.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** @type {TrendingWindowDefinition[]} */
+export const TRENDING_WINDOWS = [
+  { key: 'hour', span: HOUR_MS, baseline: DAY_MS },
+  { key: 'day', span: DAY_MS, baseline: 7 * DAY_MS },
+  { key: 'week', span: 7 * DAY_MS, baseline: 28 * DAY_MS },
+];
+
+// Window shown on the home page rail
+export const DEFAULT_TRENDING_WINDOW = 'day';
+
+// A new cluster is a new story, worth more than one more article on a tag
+const CLUSTER_VOLUME_WEIGHT = 2;
+// Volume needed in the window to count as trending at all
+const MIN_VOLUME = 2;
+const DEFAULT_MAX_BATCHES = 20;
+
+/**
+ * How far the volume in a window rises above the baseline rate
+ * Scaled like a Poisson z-score, so busy tags need a larger jump than quiet ones.
+ * @param {number} current
+ * @param {number} expected
+ * @returns {number}
+ */
+export function trendScore(current, expected) {
+  return (current - expected) / Math.sqrt(expected + 1);
+}
+
+/**
+ * Percentage growth over the baseline rate, or null when there was no baseline volume
+ * @param {number} current
+ * @param {number} expected
+ * @returns {number | null}
+ */
+export function growthPercent(current, expected) {
+  return expected > 0 ? Math.round((current / expected - 1) * 100) : null;
+}
+
+/**
+ * Count weighted events in a window and its baseline period
+ * @param {{ at: number, weight: number }[]} events
+ * @param {TrendingWindowDefinition} window
+ * @param {number} now
+ * @param {number} coveredFrom - Oldest time the loaded data is complete from
+ * @returns {{ current: number, expected: number }}
+ */
+function measure(events, window, now, coveredFrom) {
+  const start = now - window.span;
+  const baselineStart = Math.max(start - window.baseline, coveredFrom);
+  const baselineSpan = start - baselineStart;
+
+  let current = 0;
+  let previous = 0;
+  for (const { at, weight } of events) {
+    if (at > now) continue;
+    if (at > start) current += weight;
+    else if (at > baselineStart) previous += weight;
+  }
+
+  return { current, expected: baselineSpan > 0 ? (previous * window.span) / baselineSpan : 0 };
+}
+
+/**
+ * Rank measured entries, keeping the rising ones
+ * Ties go to the higher volume, then the lower key.
+ * @template T
+ * @param {{ entry: T, key: number, current: number, expected: number }[]} measured
+ * @param {number} limit
+ */
+function rankRising(measured, limit) {
+  return measured
+    .filter(({ current, expected }) => current >= MIN_VOLUME && current > expected)
+    .map((m) => ({ ...m, score: trendScore(m.current, m.expected) }))
+    .sort((a, b) => b.score - a.score || b.current - a.current || a.key - b.key)
+    .slice(0, limit);
+}
+
+/**
+ * Compute trending tags and clusters from already loaded data
+ * @param {{
+ *   now: string,
+ *   tags: Tag[],
+ *   tagArticles: TagArticles[],
+ *   items: NewsRawItem[],
+ *   clusters: NewsArticle[],
+ *   coveredFrom?: number,
+ *   limits?: { tags?: number, clusters?: number },
+ * }} data
+ * @returns {Trending}
+ */
+export function computeTrending({ now, tags, tagArticles, items, clusters, coveredFrom = -Infinity, limits = {} }) {
+  const { tags: tagLimit = 10, clusters: clusterLimit = 6 } = limits;
+  const end = Date.parse(now);
+
+  const itemTimes = new Map(items.map((item) => [item.id, Date.parse(item.created_at)]));
+  const clustersById = new Map(clusters.map((cluster) => [cluster.id, cluster]));
+
+  /** @type {Map<number, { at: number, weight: number, kind: 'item' | 'cluster' }[]>} */
+  const tagEvents = new Map();
+  const addTagEvent = (tagId, event) => {
+    if (!tagEvents.has(tagId)) tagEvents.set(tagId, []);
+    tagEvents.get(tagId).push(event);
+  };
+  for (const mapping of tagArticles) {
+    for (const id of mapping.articles) {
+      if (itemTimes.has(id)) addTagEvent(mapping.tag_id, { at: itemTimes.get(id), weight: 1, kind: 'item' });
+    }
+  }
+  for (const cluster of clusters) {
+    for (const tagId of cluster.cats || []) {
+      addTagEvent(tagId, { at: Date.parse(cluster.created_at), weight: CLUSTER_VOLUME_WEIGHT, kind: 'cluster' });
+    }
+  }
+
+  /** @type {Map<number, { at: number, weight: number }[]>} */
+  const clusterEvents = new Map();
+  for (const item of items) {
+    if (!item.cluster_id || !clustersById.has(item.cluster_id)) continue;
+    if (!clusterEvents.has(item.cluster_id)) clusterEvents.set(item.cluster_id, []);
+    clusterEvents.get(item.cluster_id).push({ at: itemTimes.get(item.id), weight: 1 });
+  }
+
+  const windows = TRENDING_WINDOWS.map((window) => {
+    const start = end - window.span;
+    const inWindow = ({ at }) => at > start && at <= end;
+
+    const risingTags = rankRising(
+      tags
+        .filter((tag) => tagEvents.has(tag.id))
+        .map((tag) => ({ entry: tag, key: tag.id, ...measure(tagEvents.get(tag.id), window, end, coveredFrom) })),
+      tagLimit
+    ).map(({ entry, current, expected, score }) => {
+      const events = tagEvents.get(entry.id).filter(inWindow);
+      return {
+        tag: entry,
+        items: events.filter((event) => event.kind === 'item').length,
+        clusters: events.filter((event) => event.kind === 'cluster').length,
+        current,
+        expected,
+        score,
+      };
+    });
+
+    const risingClusters = rankRising(
+      [...clusterEvents].map(([id, events]) => ({ entry: clustersById.get(id), key: id, ...measure(events, window, end, coveredFrom) })),
+      clusterLimit
+    ).map(({ entry, current, expected, score }) => ({ cluster: entry, current, expected, score }));
+
+    return { key: window.key, tags: risingTags, clusters: risingClusters };
+  });
+
+  return { generatedAt: now, windows };
+}
+
+/**
+ * Load batches backwards from the newest until they reach `since`
+ * Batches are loaded BATCH_CONCURRENCY at a time; those past the one reaching `since` are ignored.
+ * @param {DataClient} client
+ * @param {'news_raw' | 'news_articles'} table
+ * @param {number} latestId
+ * @param {number} since
+ * @param {number} maxBatches
+ * @returns {Promise<{ records: any[], coveredFrom: number }>}
+ */
+async function fetchBatchesSince(client, table, latestId, since, maxBatches) {
+  const records = [];
+  let oldest = Infinity;
+
+  for (let batchId = getBatchId(latestId), count = 0; batchId >= 0 && count < maxBatches; ) {
+    const batchIds = recentBatchIds(batchId, Math.min(BATCH_CONCURRENCY, maxBatches - count));
+    for (const batch of await client.fetchBatches(table, batchIds)) {
+      if (batch.status === 'rejected') {
+        if (batch.reason instanceof HttpError && batch.reason.status === 404) {
+          return { records, coveredFrom: oldest };
+        }
+        throw batch.reason;
+      }
+
+      records.push(...batch.value);
+      for (const record of batch.value) {
+        oldest = Math.min(oldest, Date.parse(record.created_at));
+      }
+      if (oldest <= since) {
+        return { records, coveredFrom: since };
+      }
+    }
+    batchId -= batchIds.length * BATCH_SIZE;
+    count += batchIds.length;
+  }
+
+  // Ran out of batches: only the loaded span can serve as a baseline
+  return { records, coveredFrom: oldest };
+}
+
+/**
+ * Fetch the data behind the trending windows and compute them
+ * @param {DataClient} client
+ * @param {{ maxBatches?: number, limits?: { tags?: number, clusters?: number } }} [options]
+ * @returns {Promise<Trending>}
+ */
+export async function fetchTrending(client, { maxBatches = DEFAULT_MAX_BATCHES, limits } = {}) {
+  const meta = await client.fetchMeta();
+  const end = Date.parse(meta.generated_at);
+  const since = end - Math.max(...TRENDING_WINDOWS.map((window) => window.span + window.baseline));
+
+  const [tags, tagArticles, raw, clusters] = await Promise.all([
+    client.fetchTags(),
+    client.fetchTagArticles(),
+    fetchBatchesSince(client, 'news_raw', meta.tables.news_raw.latest_id, since, maxBatches),
+    fetchBatchesSince(client, 'news_articles', meta.tables.news_articles.latest_id, since, maxBatches),
+  ]);
+
+  return computeTrending({
+    now: meta.generated_at,
+    tags,
+    tagArticles,
+    items: raw.records,
+    clusters: clusters.records,
+    coveredFrom: Math.max(raw.coveredFrom, clusters.coveredFrom),
+    limits,
+  });
+}
+
+/**
+ * @param {Trending} trending
+ * @param {string} [key]
+ * @returns {TrendingWindow | undefined}
+ */
+export function getTrendingWindow(trending, key = DEFAULT_TRENDING_WINDOW) {
+  return trending.windows.find((window) => window.key === key);
+}
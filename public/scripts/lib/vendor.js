@@ -0,0 +1,25 @@
+/**
+ * Third-party modules used by the shared scripts
+ *
+ * Shared modules import packages by name (`import { Marked } from 'marked'`).
+ * Node and the Pages Function resolve them from node_modules; browsers get an
+ * import map (importMapTag) pointing at copies that
+ * scripts/copyVendorScripts.js puts in /scripts/vendor before the build.
+ */
+
+/**
+ * Package name → file inside node_modules, and the URL it is served from
+ * @type {Record<string, { file: string, url: string }>}
+ */
+export const VENDOR_MODULES = {
+  marked: { file: 'marked/lib/marked.esm.js', url: '/scripts/vendor/marked.esm.js' },
+};
+
+/**
+ * Import map for the vendor modules; must come before the page's first module script
+ * @returns {string}
+ */
+export function importMapTag() {
+  const imports = Object.fromEntries(Object.entries(VENDOR_MODULES).map(([name, { url }]) => [name, url]));
+  return `<script type="importmap">${JSON.stringify({ imports })}</script>`;
+}
@@ -0,0 +1,170 @@
+import { client } from './client-api.js';
+import { escapeHtml, formatDate } from './lib/text.js';
+import { t } from './lib/i18n.js';
+import { getPageLocale } from './i18n.js';
+
+// Shared with sw.js, which serves these entries when the network is down
+const SAVED_CACHE = 'newshelp-saved';
+
+let initialized = false;
+
+/**
+ * Whether pages can be saved in this browser
+ */
+function isSupported() {
+  return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Register the service worker and wire up "Save for offline" buttons
+ */
+export function initOffline() {
+  if (initialized || !isSupported()) return;
+  initialized = true;
+
+  navigator.serviceWorker
+    .register(`/sw.js?api=${encodeURIComponent(client.baseUrl)}`)
+    .catch((error) => console.error('Failed to register service worker:', error));
+
+  document.addEventListener('click', handleSaveClick);
+  updateSaveButtons();
+}
+
+/**
+ * Reveal the save buttons on the current page and show whether it is saved
+ * Called again by the renderer after client-side navigation.
+ */
+export async function updateSaveButtons() {
+  if (!isSupported()) return;
+
+  const buttons = document.querySelectorAll('[data-save-offline]');
+  if (buttons.length === 0) return;
+
+  const saved = await isSaved(location.pathname);
+  buttons.forEach((button) => {
+    setButtonState(button, saved);
+    button.hidden = false;
+  });
+}
+
+function setButtonState(button, saved) {
+  button.textContent = t(getPageLocale(), saved ? 'offline.saved' : 'offline.save');
+  button.setAttribute('aria-pressed', String(saved));
+}
+
+async function handleSaveClick(event) {
+  const button = event.target.closest('[data-save-offline]');
+  if (!button) return;
+
+  const path = location.pathname;
+  const files = button.dataset.saveOffline.split(' ').filter(Boolean);
+
+  button.disabled = true;
+  try {
+    if (await isSaved(path)) {
+      await removePage(path);
+      setButtonState(button, false);
+    } else {
+      await savePage(path, files, document.title);
+      setButtonState(button, true);
+    }
+  } catch (error) {
+    console.error('Failed to update saved page:', error);
+    button.textContent = t(getPageLocale(), 'offline.failed');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function isSaved(path) {
+  const cache = await caches.open(SAVED_CACHE);
+  return Boolean(await cache.match(path));
+}
+
+/**
+ * Store a page and the API files behind it
+ * @param {string} path
+ * @param {string[]} files - API files without the .json extension
+ * @param {string} title
+ */
+export async function savePage(path, files, title) {
+  const cache = await caches.open(SAVED_CACHE);
+  const urls = ['news_sources', 'tags', ...files].map((file) => `${client.baseUrl}/${file}.json`);
+
+  const page = await fetch(path);
+  if (!page.ok) {
+    throw new Error(`HTTP ${page.status} for ${path}`);
+  }
+
+  // Header values must be Latin-1, so the title is stored URI-encoded
+  const headers = new Headers(page.headers);
+  headers.set('X-Saved-Title', encodeURIComponent(title));
+  headers.set('X-Saved-At', new Date().toISOString());
+  headers.set('X-Saved-Files', urls.join(' '));
+
+  await Promise.all(urls.map(async (url) => {
+    const response = await fetch(url);
+    if (response.ok) await cache.put(url, response);
+  }));
+  await cache.put(path, new Response(await page.blob(), { status: page.status, headers }));
+}
+
+/**
+ * Remove a saved page, and the API files no other saved page needs
+ * @param {string} path
+ */
+export async function removePage(path) {
+  const cache = await caches.open(SAVED_CACHE);
+  await cache.delete(path);
+
+  const pages = await listSavedPages();
+  const needed = new Set(pages.flatMap((page) => page.files));
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((request) => new URL(request.url).origin !== location.origin && !needed.has(request.url))
+      .map((request) => cache.delete(request))
+  );
+}
+
+/**
+ * Saved pages, most recently saved first
+ * @returns {Promise<{ path: string, title: string, savedAt: string, files: string[] }[]>}
+ */
+export async function listSavedPages() {
+  if (!('caches' in window)) return [];
+
+  const cache = await caches.open(SAVED_CACHE);
+  const pages = [];
+  for (const request of await cache.keys()) {
+    const url = new URL(request.url);
+    if (url.origin !== location.origin) continue;
+
+    const response = await cache.match(request);
+    pages.push({
+      path: url.pathname,
+      title: decodeURIComponent(response.headers.get('X-Saved-Title') || url.pathname),
+      savedAt: response.headers.get('X-Saved-At') || '',
+      files: (response.headers.get('X-Saved-Files') || '').split(' ').filter(Boolean),
+    });
+  }
+
+  return pages.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Fill a list element with links to the saved pages
+ * @param {HTMLElement} container
+ */
+export async function renderSavedPages(container) {
+  const pages = await listSavedPages();
+  const locale = getPageLocale();
+
+  // Saved paths keep the locale prefix of the page that was saved
+  container.innerHTML = pages.length > 0
+    ? pages.map((page) => `<li class="saved-pages__item">
+  <a href="${escapeHtml(page.path)}">${escapeHtml(page.title)}</a>
+  ${page.savedAt ? `<span class="saved-pages__date">${t(locale, 'offline.savedOn', { date: formatDate(page.savedAt, locale) })}</span>` : ''}
+</li>`).join('\n')
+    : `<li class="saved-pages__empty">${t(locale, 'offline.none')}</li>`;
+}
@@ -0,0 +1,160 @@
+import {
+  emptyPreferences,
+  normalizePreferences,
+  getPreference,
+  setPreference,
+} from './lib/preferences.js';
+import { t } from './lib/i18n.js';
+import { getPageLocale } from './i18n.js';
+
+// Preferences stay in this browser; nothing is sent to the server
+const STORAGE_KEY = 'newshelp-preferences';
+const EXPORT_FILENAME = 'newshelp-preferences.json';
+
+// Message keys for each button, unpressed and pressed
+const LABELS = {
+  follow: ['follow.follow', 'follow.following'],
+  mute: ['follow.mute', 'follow.muted'],
+};
+
+let initialized = false;
+
+/**
+ * Whether localStorage can be used (it throws in some private browsing modes)
+ */
+function isSupported() {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Current preferences; empty when none are stored or the stored copy is unreadable
+ * @returns {import('./lib/preferences.js').Preferences}
+ */
+export function loadPreferences() {
+  if (!isSupported()) return emptyPreferences();
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizePreferences(JSON.parse(stored)) : emptyPreferences();
+  } catch (error) {
+    console.warn('Ignoring unreadable preferences:', error);
+    return emptyPreferences();
+  }
+}
+
+/**
+ * Store preferences and let the page react with a `preferenceschange` event
+ * @param {import('./lib/preferences.js').Preferences} preferences
+ */
+export function savePreferences(preferences) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  window.dispatchEvent(new CustomEvent('preferenceschange', { detail: preferences }));
+}
+
+/**
+ * Wire up follow and mute buttons, and the export and import controls on /my
+ */
+export function initPreferences() {
+  if (initialized || !isSupported()) return;
+  initialized = true;
+
+  document.addEventListener('click', handleClick);
+  document.addEventListener('change', handleImportChange);
+
+  // Changes made in another tab
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    window.dispatchEvent(new CustomEvent('preferenceschange', { detail: loadPreferences() }));
+  });
+  window.addEventListener('preferenceschange', () => updateFollowButtons());
+
+  updateFollowButtons();
+}
+
+/**
+ * Reveal follow controls and show the stored state on their buttons
+ * Called again by the renderer after client-side rendering.
+ * @param {ParentNode} [root]
+ */
+export function updateFollowButtons(root = document) {
+  if (!isSupported()) return;
+
+  const preferences = loadPreferences();
+  const locale = getPageLocale();
+  root.querySelectorAll('[data-follow-kind]').forEach((controls) => {
+    const state = getPreference(preferences, controls.dataset.followKind, parseInt(controls.dataset.followId));
+    controls.querySelectorAll('[data-follow-action]').forEach((button) => {
+      const action = button.dataset.followAction;
+      const pressed = state === action;
+      button.textContent = t(locale, LABELS[action][pressed ? 1 : 0]);
+      button.setAttribute('aria-pressed', String(pressed));
+    });
+    controls.hidden = false;
+  });
+}
+
+function handleClick(event) {
+  const button = event.target.closest('[data-follow-action], [data-preferences-export]');
+  if (!button) return;
+
+  if (button.hasAttribute('data-preferences-export')) {
+    exportPreferences();
+    return;
+  }
+
+  const controls = button.closest('[data-follow-kind]');
+  const kind = controls.dataset.followKind;
+  const id = parseInt(controls.dataset.followId);
+  const action = button.dataset.followAction;
+
+  const preferences = loadPreferences();
+  const state = getPreference(preferences, kind, id) === action ? null : action;
+  savePreferences(setPreference(preferences, kind, id, state));
+}
+
+async function handleImportChange(event) {
+  const input = event.target.closest('[data-preferences-import]');
+  if (!input?.files?.length) return;
+
+  const status = document.querySelector('[data-preferences-status]');
+  try {
+    await importPreferences(input.files[0]);
+    if (status) status.textContent = t(getPageLocale(), 'myFeed.imported');
+  } catch (error) {
+    console.error('Failed to import preferences:', error);
+    if (status) status.textContent = t(getPageLocale(), 'myFeed.importFailed', { error: error.message });
+  } finally {
+    input.value = '';
+  }
+}
+
+/**
+ * Download the preferences as a JSON file
+ */
+export function exportPreferences() {
+  const data = { ...loadPreferences(), exported_at: new Date().toISOString() };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = EXPORT_FILENAME;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Replace the preferences with an exported JSON file
+ * @param {Blob} file
+ */
+export async function importPreferences(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  savePreferences(normalizePreferences(data));
+}
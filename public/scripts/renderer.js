@@ -1,98 +1,24 @@
-import { fetchNewsRawById, fetchClusterById, fetchNewsRawByIds } from './client-api.js';
-
-// Cache for sources and tags
-let sourcesCache = null;
-let tagsCache = null;
-
-/**
- * Fetch sources (cached)
- */
-async function fetchSources() {
-  if (sourcesCache) return sourcesCache;
-
-  try {
-    const response = await fetch('https://api.newshelp.org/news_sources.json');
-    sourcesCache = await response.json();
-    return sourcesCache;
-  } catch (error) {
-    console.error('Failed to fetch sources:', error);
-    return [];
-  }
-}
-
-/**
- * Fetch tags (cached)
- */
-async function fetchTags() {
-  if (tagsCache) return tagsCache;
-
-  try {
-    const response = await fetch('https://api.newshelp.org/tags.json');
-    tagsCache = await response.json();
-    return tagsCache;
-  } catch (error) {
-    console.error('Failed to fetch tags:', error);
-    return [];
-  }
-}
-
-/**
- * Format a date string to a readable format
- */
-function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  });
-}
-
-/**
- * Get source name from sources array
- */
-function getSourceName(sourceId, sources) {
-  const source = sources.find((s) => s.id === parseInt(sourceId));
-  return source?.title || sourceId;
-}
-
-/**
- * Get source link from sources array
- */
-function getSourceLink(sourceId, sources) {
-  const source = sources.find((s) => s.id === parseInt(sourceId));
-  return source?.link || '#';
-}
-
-/**
- * Generate URL-safe slug from tag name
- */
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '');
-}
-
-/**
- * Process article content to convert [number] references to links
- */
-function processArticleContent(content) {
-  return content.replace(/\[(\d+(?:,\s*\d+)*)\]/g, (match, idsStr) => {
-    const ids = idsStr.split(',').map((id) => id.trim());
-    const links = ids.map((id) => {
-      return `<a href="/news/${id}" class="article-ref">[${id}]</a>`;
-    });
-    return links.join(' ');
-  });
-}
-
-/**
- * Remove markdown bold formatting from titles
- */
-function cleanTitle(title) {
-  return title.replace(/\*\*/g, '');
-}
+import {
+  client,
+  fetchNewsRawById,
+  fetchClusterById,
+  fetchNewsRawByIds,
+  fetchSources,
+  fetchTags,
+  fetchRelated,
+  fetchPersonalFeed,
+  fetchCitedItems,
+} from './client-api.js';
+import { cleanTitle } from './lib/text.js';
+import { articleTemplate, clusterTemplate, errorTemplate, relatedTemplate, myFeedTemplate } from './lib/templates.js';
+import { articleTarget, clusterTarget } from './lib/recommend.js';
+import { updateSaveButtons } from './offline.js';
+import { initClusterView } from './cluster.js';
+import { loadPreferences, updateFollowButtons } from './preferences.js';
+import { trackPage, updateReadMarkers } from './history.js';
+import { t, localePath } from './lib/i18n.js';
+import { itemError, toPageError, errorMessageKey } from './lib/errors.js';
+import { getPageLocale, initRelativeTimes } from './i18n.js';
 
 /**
  * Render article page to DOM
@@ -104,71 +30,55 @@ export async function renderArticle(id) {
     const item = await fetchNewsRawById(id);
 
     if (!item) {
-      renderError('Article not found');
+      renderError(await itemError(client, 'news_raw', id));
       return;
     }
 
-    // Fetch sources and tags
-    const [sources, allTags] = await Promise.all([fetchSources(), fetchTags()]);
+    // Fetch sources, tags and cited items
+    const [sources, allTags, citedItems] = await Promise.all([fetchSources(), fetchTags(), fetchCitedItems(item.article)]);
+    const sourcesMap = new Map(sources.map((s) => [s.id, s]));
 
     // Get tags for this article
     const itemTags = allTags.filter((tag) => item.cats?.includes(tag.id));
 
     // Update page title
-    document.title = `${item.title} - News Site`;
+    document.title = `${cleanTitle(item.title)} - News Site`;
 
     // Render content
     const main = document.querySelector('main');
     if (!main) return;
 
-    main.innerHTML = `
-      <article class="article-full">
-        <header class="article-full__header">
-          <span class="article-full__source">${escapeHtml(getSourceName(item.source, sources))}</span>
-          <h1 class="article-full__title">${escapeHtml(item.title)}</h1>
-          <time class="article-full__date" datetime="${item.created_at}">
-            ${formatDate(item.created_at)}
-          </time>
-          ${itemTags.length > 0 ? `
-            <div class="article-full__tags">
-              ${itemTags.map((tag) => `
-                <a href="/tag/${slugify(tag.tag)}" class="tag">${escapeHtml(tag.tag)}</a>
-              `).join('')}
-            </div>
-          ` : ''}
-        </header>
-
-        ${item.imgUrl ? `
-          <div class="article-full__image">
-            <img src="${escapeHtml(item.imgUrl)}" alt="${escapeHtml(item.title)}">
-          </div>
-        ` : ''}
-
-        <div class="article-full__content">
-          ${processArticleContent(item.article)}
-        </div>
-
-        <footer class="article-full__footer">
-          <p>
-            Originally published by{' '}
-            <a href="${escapeHtml(getSourceLink(item.source, sources))}" target="_blank" rel="noopener noreferrer">
-              ${escapeHtml(getSourceName(item.source, sources))}
-            </a>
-          </p>
-        </footer>
-      </article>
-    `;
+    const locale = getPageLocale();
+    main.innerHTML = articleTemplate({ item, sourcesMap, tags: itemTags, citedItems, locale });
+    initRelativeTimes(main);
+    updateSaveButtons();
+    updateFollowButtons(main);
+    trackPage(main);
+    appendRelated(main.firstElementChild, fetchRelated(articleTarget(item)), sourcesMap);
 
     // Update URL
-    history.pushState({ id }, '', `/news/${id}`);
+    history.pushState({ id }, '', localePath(`/news/${id}`, locale));
   } catch (error) {
     console.error('Failed to render article:', error);
-    renderError('Failed to load article');
+    renderError(toPageError(error));
   } finally {
     hideLoading();
   }
 }
 
+/**
+ * Add related coverage after the rendered view once it has loaded, without holding up the view itself
+ * Skipped if the reader has navigated elsewhere in the meantime.
+ */
+async function appendRelated(view, relatedPromise, sourcesMap) {
+  const html = relatedTemplate({ ...(await relatedPromise), sourcesMap, locale: getPageLocale() });
+  if (html && view?.isConnected) {
+    view.insertAdjacentHTML('afterend', html);
+    initRelativeTimes(view.parentElement);
+    updateReadMarkers(view.parentElement);
+  }
+}
+
 /**
  * Show loading indicator
  */
@@ -193,52 +103,16 @@ function hideLoading() {
 }
 
 /**
- * Render error message
+ * Render the error page for a PageError (lib/errors.js): not found, gone or unavailable
+ * @param {import('./lib/errors.js').PageError} error
  */
-function renderError(message) {
+function renderError(error) {
   const main = document.querySelector('main');
   if (!main) return;
 
-  main.innerHTML = `
-    <div class="error">
-      <h1>Error</h1>
-      <p>${escapeHtml(message)}</p>
-      <a href="/">← Back to homepage</a>
-    </div>
-  `;
-}
-
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
-/**
- * Basic HTML sanitization
- */
-function sanitizeHTML(html) {
-  const div = document.createElement('div');
-  div.innerHTML = html;
-
-  // Remove script tags
-  const scripts = div.querySelectorAll('script');
-  scripts.forEach((script) => script.remove());
-
-  // Remove event handlers
-  const all = div.querySelectorAll('*');
-  all.forEach((el) => {
-    Array.from(el.attributes).forEach((attr) => {
-      if (attr.name.startsWith('on')) {
-        el.removeAttribute(attr.name);
-      }
-    });
-  });
-
-  return div.innerHTML;
+  const locale = getPageLocale();
+  document.title = `${t(locale, `${errorMessageKey(error.status)}.title`)} - News Site`;
+  main.innerHTML = errorTemplate({ status: error.status, locale });
 }
 
 /**
@@ -251,23 +125,23 @@ export async function renderCluster(id) {
     const cluster = await fetchClusterById(id);
 
     if (!cluster) {
-      renderError('Cluster not found');
+      renderError(await itemError(client, 'news_articles', id));
       return;
     }
 
-    // Fetch raw items, sources, and tags
-    const [rawItems, sources, allTags] = await Promise.all([
+    // Fetch raw items, sources, tags and cited items
+    const [rawItems, sources, allTags, citedItems] = await Promise.all([
       fetchNewsRawByIds(cluster.articles),
       fetchSources(),
-      fetchTags()
+      fetchTags(),
+      fetchCitedItems(cluster.short_desc)
     ]);
 
+    const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+
     // Get tags for this cluster
     const clusterTags = allTags.filter((tag) => cluster.cats?.includes(tag.id));
 
-    // Process short_desc to convert article references to links
-    const processedShortDesc = cluster.short_desc ? processArticleContent(cluster.short_desc) : '';
-
     // Update page title
     document.title = `${cleanTitle(cluster.title)} - News Cluster`;
 
@@ -275,65 +149,51 @@ export async function renderCluster(id) {
     const main = document.querySelector('main');
     if (!main) return;
 
-    main.innerHTML = `
-      <article class="cluster-full">
-        <header class="cluster-full__header">
-          <h1 class="cluster-full__title">${escapeHtml(cleanTitle(cluster.title))}</h1>
-
-          ${processedShortDesc ? `
-            <p class="cluster-full__description">${processedShortDesc}</p>
-          ` : ''}
+    const locale = getPageLocale();
+    main.innerHTML = clusterTemplate({ cluster, items: rawItems, sourcesMap, tags: clusterTags, citedItems, locale });
+    initClusterView(main);
+    initRelativeTimes(main);
+    updateSaveButtons();
+    updateFollowButtons(main);
+    trackPage(main);
+    appendRelated(main.firstElementChild, fetchRelated(clusterTarget(cluster), { story: 0 }), sourcesMap);
 
-          <time class="cluster-full__date" datetime="${cluster.created_at}">
-            ${formatDate(cluster.created_at)}
-          </time>
+    // Update URL
+    history.pushState({ id, type: 'cluster' }, '', localePath(`/articles/${id}`, locale));
+  } catch (error) {
+    console.error('Failed to render cluster:', error);
+    renderError(toPageError(error));
+  } finally {
+    hideLoading();
+  }
+}
 
-          <div class="cluster-full__meta">
-            <span class="cluster-full__count">${rawItems.length} articles in this cluster</span>
-          </div>
+/**
+ * Render the "My News" feed from the preferences stored in this browser
+ */
+export async function renderMyFeed() {
+  showLoading();
 
-          ${clusterTags.length > 0 ? `
-            <div class="cluster-full__tags">
-              ${clusterTags.map((tag) => `
-                <a href="/tag/${slugify(tag.tag)}" class="tag">${escapeHtml(tag.tag)}</a>
-              `).join('')}
-            </div>
-          ` : ''}
-        </header>
+  try {
+    const preferences = loadPreferences();
+    const [feed, sources, tags] = await Promise.all([
+      fetchPersonalFeed(preferences),
+      fetchSources(),
+      fetchTags()
+    ]);
 
-        <div class="cluster-full__articles">
-          <h2 class="cluster-full__section-title">Articles in this Cluster</h2>
-          <div class="cluster-full__list">
-            ${rawItems.map((item) => `
-              <a href="/news/${item.id}" class="cluster-article-card">
-                ${item.imgUrl ? `
-                  <div class="cluster-article-card__image">
-                    <img src="${escapeHtml(item.imgUrl)}" alt="${escapeHtml(item.title)}" loading="lazy">
-                  </div>
-                ` : ''}
-                <div class="cluster-article-card__content">
-                  <span class="cluster-article-card__source">${escapeHtml(getSourceName(item.source, sources))}</span>
-                  <h3 class="cluster-article-card__title">${escapeHtml(item.title)}</h3>
-                  <time class="cluster-article-card__date" datetime="${item.created_at}">
-                    ${formatDate(item.created_at)}
-                  </time>
-                </div>
-              </a>
-            `).join('')}
-          </div>
-        </div>
+    const sourcesMap = new Map(sources.map((s) => [s.id, s]));
 
-        <footer class="cluster-full__footer">
-          <a href="/">← Back to Home</a>
-        </footer>
-      </article>
-    `;
+    const main = document.querySelector('main');
+    if (!main) return;
 
-    // Update URL
-    history.pushState({ id, type: 'cluster' }, '', `/articles/${id}`);
+    main.innerHTML = myFeedTemplate({ ...feed, preferences, tags, sourcesMap, locale: getPageLocale() });
+    initRelativeTimes(main);
+    updateFollowButtons(main);
+    updateReadMarkers(main);
   } catch (error) {
-    console.error('Failed to render cluster:', error);
-    renderError('Failed to load cluster');
+    console.error('Failed to render personal feed:', error);
+    renderError(toPageError(error));
   } finally {
     hideLoading();
   }
@@ -1,12 +1,23 @@
-import { renderArticle, renderCluster } from './renderer.js';
-
-const articleCache = new Map();
-const clusterCache = new Map();
+/**
+ * Client-side rendering for article, cluster and My News pages
+ *
+ * Pages are served in every locale, unprefixed in English and under a
+ * locale prefix otherwise (/tr/news/1, /ar/articles/2; lib/i18n.js). Routes
+ * are matched on the path without its prefix, and the page's locale comes
+ * from `<html lang>` (getPageLocale), so a prefixed URL renders the same
+ * view in its own language. Pages the build or the Pages Function already
+ * rendered are left as they are; the rest are rendered here from the API.
+ */
+
+import { renderArticle, renderCluster, renderMyFeed } from './renderer.js';
+import { initClusterView } from './cluster.js';
+import { parseLocalePath } from './lib/i18n.js';
 
 export function initRouter() {
   // If page was server-rendered, don't re-render
   if (window.__SERVER_RENDERED__) {
     console.log('Page was server-rendered, skipping initial render');
+    initClusterView();
     // Still set up event listeners for navigation
     document.addEventListener('click', handleLinkClick);
     window.addEventListener('popstate', handlePopState);
@@ -21,7 +32,8 @@ export function initRouter() {
 }
 
 async function handleInitialLoad() {
-  const path = window.location.pathname;
+  // Localized pages (/tr/news/1) render the same views
+  const { path } = parseLocalePath(window.location.pathname);
   const newsMatch = path.match(/^\/news\/(\d+)$/);
   const articleMatch = path.match(/^\/articles\/(\d+)$/);
 
@@ -31,6 +43,10 @@ async function handleInitialLoad() {
   } else if (articleMatch) {
     const id = parseInt(articleMatch[1]);
     await navigateToCluster(id, path);
+  } else if (/^\/my\/?$/.test(path)) {
+    // Follow, mute and import change what the feed shows
+    window.addEventListener('preferenceschange', renderMyFeed);
+    await renderMyFeed();
   }
 }
 
@@ -40,55 +56,41 @@ function handleLinkClick(event) {
   if (!link) return;
 
   const href = link.getAttribute('href');
+  const path = href ? parseLocalePath(href).path : null;
 
-  const newsMatch = href?.match(/^\/news\/(\d+)$/);
+  const newsMatch = path?.match(/^\/news\/(\d+)$/);
 
   if (newsMatch) {
     event.preventDefault();
 
     const id = parseInt(newsMatch[1]);
 
-    if (articleCache.has(id)) {
-      history.pushState({ id, type: 'article' }, '', href);
-      return;
-    }
-
     navigateToArticle(id, href);
     return;
   }
 
-  const articlesMatch = href?.match(/^\/articles\/(\d+)$/);
+  const articlesMatch = path?.match(/^\/articles\/(\d+)$/);
 
   if (articlesMatch) {
     event.preventDefault();
 
     const id = parseInt(articlesMatch[1]);
 
-    if (clusterCache.has(id)) {
-      history.pushState({ id, type: 'cluster' }, '', href);
-      return;
-    }
-
     navigateToCluster(id, href);
   }
 }
 
 
 async function navigateToArticle(id, url) {
-  // With SPA mode, all routes return 200 with index.html
-  // We check __SERVER_RENDERED__ in handleInitialLoad to avoid re-rendering
-  // If we get here, we need to client-side render
+  // Renders in the page's locale; `url` keeps its locale prefix
+  // Visits are recorded in the persistent reading history (history.js) by the renderer
   await renderArticle(id);
-  articleCache.set(id, true);
 }
 
 
 async function navigateToCluster(id, url) {
-  // With SPA mode, all routes return 200 with index.html
-  // We check __SERVER_RENDERED__ in handleInitialLoad to avoid re-rendering
-  // If we get here, we need to client-side render
+  // Renders in the page's locale; `url` keeps its locale prefix
   await renderCluster(id);
-  clusterCache.set(id, true);
 }
 
 function handlePopState(event) {
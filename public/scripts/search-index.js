@@ -0,0 +1,65 @@
+/**
+ * Search index format shared by the build step (scripts/generateSearchIndex.js)
+ * and the client (search.js). Both sides must tokenize identically, so
+ * everything that decides which token lands in which shard lives here.
+ *
+ * Layout under /search-index/:
+ *   manifest.json   - { version, generated_at, docCount, avgLength, chunkSize, shards, docs }
+ *                     docs[i] = [kind, length, sourceId, cats, publishedAt]
+ *   docs.{n}.json   - display data for docs [n * chunkSize, (n + 1) * chunkSize)
+ *   {shard}.json    - { token: [[docIndex, weight], ...] } for tokens sharing a prefix
+ */
+
+export const INDEX_VERSION = 1;
+export const INDEX_PATH = '/search-index';
+export const DOC_CHUNK_SIZE = 250;
+export const TITLE_WEIGHT = 3;
+export const MIN_TOKEN_LENGTH = 2;
+
+export const DOC_KIND_NEWS = 0;
+export const DOC_KIND_CLUSTER = 1;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with',
+]);
+
+/**
+ * Normalize text for indexing: lowercase, strip diacritics and citation markers
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\[(\d+(?:,\s*\d+)*)\]/g, ' ')
+    .replace(/ı/g, 'i')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into index tokens
+ */
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => Array.from(token).length >= MIN_TOKEN_LENGTH && !STOPWORDS.has(token));
+}
+
+/**
+ * Get the shard file name for a token (first two characters, filename-safe)
+ */
+export function shardKey(token) {
+  return Array.from(token)
+    .slice(0, 2)
+    .map((ch) => (/[a-z0-9]/.test(ch) ? ch : `_${ch.codePointAt(0).toString(16)}`))
+    .join('');
+}
+
+/**
+ * Get the docs chunk number for a doc index
+ */
+export function docChunk(docIndex) {
+  return Math.floor(docIndex / DOC_CHUNK_SIZE);
+}
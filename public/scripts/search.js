@@ -0,0 +1,251 @@
+import {
+  INDEX_VERSION,
+  INDEX_PATH,
+  DOC_KIND_CLUSTER,
+  tokenize,
+  shardKey,
+  docChunk,
+} from './search-index.js';
+import { escapeHtml, formatDate } from './lib/text.js';
+import { t, localePath } from './lib/i18n.js';
+import { getPageLocale } from './i18n.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+const MAX_PREFIX_EXPANSIONS = 20;
+const RECENCY_HALF_LIFE_DAYS = 7;
+const DEFAULT_LIMIT = 20;
+
+// Loaded index files, keyed by file name (promises so parallel lookups share a request)
+const fileCache = new Map();
+
+/**
+ * Fetch an index file (cached)
+ */
+function fetchIndexFile(name) {
+  if (fileCache.has(name)) return fileCache.get(name);
+
+  const promise = fetch(`${INDEX_PATH}/${name}.json`)
+    .then((response) => {
+      if (!response.ok) throw new Error(`Failed to fetch ${name}.json: ${response.status}`);
+      return response.json();
+    })
+    .catch((error) => {
+      fileCache.delete(name);
+      throw error;
+    });
+
+  fileCache.set(name, promise);
+  return promise;
+}
+
+/**
+ * Load the index manifest
+ */
+export async function loadManifest() {
+  const manifest = await fetchIndexFile('manifest');
+  if (manifest.version !== INDEX_VERSION) {
+    throw new Error(`Unsupported search index version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+/**
+ * Collect postings for the query tokens, loading only the shards they fall into.
+ * The last token is also matched as a prefix so results update while typing.
+ */
+async function collectPostings(manifest, tokens, matchPrefix) {
+  const available = new Set(manifest.shards);
+  const keys = [...new Set(tokens.map(shardKey))].filter((key) => available.has(key));
+  const shards = new Map(
+    await Promise.all(keys.map(async (key) => [key, await fetchIndexFile(key)]))
+  );
+
+  return tokens.map((token, index) => {
+    const shard = shards.get(shardKey(token)) || {};
+    const terms = shard[token] ? [{ postings: shard[token], weight: 1 }] : [];
+
+    if (matchPrefix && index === tokens.length - 1) {
+      const expansions = Object.keys(shard)
+        .filter((term) => term !== token && term.startsWith(token))
+        .slice(0, MAX_PREFIX_EXPANSIONS);
+      for (const term of expansions) {
+        terms.push({ postings: shard[term], weight: PREFIX_WEIGHT });
+      }
+    }
+
+    return terms;
+  });
+}
+
+/**
+ * Rank documents for a query
+ * Returns doc indexes with scores, best first
+ */
+export async function rankDocuments(query, options = {}) {
+  const { tag, source, matchPrefix = true } = options;
+  const tokens = [...new Set(tokenize(query))];
+  if (tokens.length === 0) return [];
+
+  const manifest = await loadManifest();
+  const termsPerToken = await collectPostings(manifest, tokens, matchPrefix);
+  const now = new Date(manifest.generated_at).getTime() / 1000;
+
+  const scores = new Map();
+  const matched = new Map();
+
+  termsPerToken.forEach((terms, tokenIndex) => {
+    for (const { postings, weight } of terms) {
+      const df = postings.length;
+      const idf = Math.log(1 + (manifest.docCount - df + 0.5) / (df + 0.5));
+
+      for (const [docIndex, tf] of postings) {
+        const length = manifest.docs[docIndex][1];
+        const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / (manifest.avgLength || 1));
+        const score = weight * idf * ((tf * (BM25_K1 + 1)) / norm);
+
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+        if (!matched.has(docIndex)) matched.set(docIndex, new Set());
+        matched.get(docIndex).add(tokenIndex);
+      }
+    }
+  });
+
+  const results = [];
+  for (const [docIndex, score] of scores) {
+    const [, , docSource, docCats, publishedAt] = manifest.docs[docIndex];
+    if (source && docSource !== source) continue;
+    if (tag && !docCats.includes(tag)) continue;
+
+    // Prefer documents matching every token, then fresher ones
+    const coverage = matched.get(docIndex).size / tokens.length;
+    const ageDays = Math.max(0, now - publishedAt) / 86400;
+    const recency = 1 + 0.1 * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+    results.push({ docIndex, score: score * coverage * coverage * recency });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.docIndex - b.docIndex);
+}
+
+/**
+ * Search the index and return displayable results
+ */
+export async function search(query, options = {}) {
+  const { limit = DEFAULT_LIMIT } = options;
+  const ranked = (await rankDocuments(query, options)).slice(0, limit);
+  if (ranked.length === 0) return [];
+
+  const manifest = await loadManifest();
+  const chunkNumbers = [...new Set(ranked.map((r) => docChunk(r.docIndex)))];
+  const chunks = new Map(
+    await Promise.all(chunkNumbers.map(async (n) => [n, await fetchIndexFile(`docs.${n}`)]))
+  );
+
+  return ranked.map(({ docIndex, score }) => {
+    const [kind, , , cats, publishedAt] = manifest.docs[docIndex];
+    const doc = chunks.get(docChunk(docIndex))[docIndex % manifest.chunkSize];
+    const isCluster = kind === DOC_KIND_CLUSTER;
+
+    return {
+      ...doc,
+      type: isCluster ? 'cluster' : 'article',
+      url: isCluster ? `/articles/${doc.id}` : `/news/${doc.id}`,
+      cats,
+      created_at: new Date(publishedAt * 1000).toISOString(),
+      score,
+    };
+  });
+}
+
+/**
+ * Render search results into a container
+ */
+function renderResults(container, query, results) {
+  if (!query.trim()) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const locale = getPageLocale();
+  if (results.length === 0) {
+    container.innerHTML = `<p class="search-results__empty">${t(locale, 'search.noResults', { query: escapeHtml(query) })}</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="search-results__count">${t(locale, 'search.results', { count: results.length, query: escapeHtml(query) })}</p>
+    <ol class="search-results__list">
+      ${results.map((result) => `
+        <li class="search-result search-result--${result.type}">
+          <span class="search-result__label">${result.type === 'cluster' ? t(locale, 'kind.story') : escapeHtml(result.source)}</span>
+          <h3 class="search-result__title"><a href="${localePath(result.url, locale)}">${escapeHtml(result.title)}</a></h3>
+          ${result.snippet ? `<p class="search-result__snippet">${escapeHtml(result.snippet)}</p>` : ''}
+          <time class="search-result__date" datetime="${result.created_at}">${formatDate(result.created_at, locale, { month: 'short' })}</time>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * Wire up the /search page form
+ */
+export function initSearchPage() {
+  const form = document.querySelector('[data-search-form]');
+  const container = document.querySelector('[data-search-results]');
+  if (!form || !container) return;
+
+  const input = form.querySelector('[name="q"]');
+  const tagSelect = form.querySelector('[name="tag"]');
+  const sourceSelect = form.querySelector('[name="source"]');
+
+  // Restore state from the URL (/search?q=...&tag=...&source=...)
+  const params = new URLSearchParams(window.location.search);
+  input.value = params.get('q') || '';
+  if (tagSelect) tagSelect.value = params.get('tag') || '';
+  if (sourceSelect) sourceSelect.value = params.get('source') || '';
+
+  let pending = 0;
+  let debounceId;
+
+  const run = async (matchPrefix) => {
+    const query = input.value;
+    const tag = parseInt(tagSelect?.value) || undefined;
+    const source = parseInt(sourceSelect?.value) || undefined;
+    const requestId = ++pending;
+
+    const nextParams = new URLSearchParams();
+    if (query) nextParams.set('q', query);
+    if (tag) nextParams.set('tag', String(tag));
+    if (source) nextParams.set('source', String(source));
+    const queryString = nextParams.toString();
+    history.replaceState(null, '', queryString ? `/search?${queryString}` : '/search');
+
+    try {
+      const results = await search(query, { tag, source, matchPrefix });
+      if (requestId === pending) renderResults(container, query, results);
+    } catch (error) {
+      console.error('Search failed:', error);
+      if (requestId === pending) {
+        container.innerHTML = `<p class="search-results__empty">${t(getPageLocale(), 'search.unavailable')}</p>`;
+      }
+    }
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    run(false);
+  });
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceId);
+    debounceId = setTimeout(() => run(true), 200);
+  });
+
+  tagSelect?.addEventListener('change', () => run(false));
+  sourceSelect?.addEventListener('change', () => run(false));
+
+  if (input.value) run(false);
+}
@@ -0,0 +1,181 @@
+/**
+ * Service worker: offline reading
+ *
+ * - App shell (scripts, styles, images): stale-while-revalidate, with the
+ *   home page and the offline page cached on install
+ * - news_sources.json, tags.json: stale-while-revalidate
+ * - news_raw / news_articles batches: cache first, keeping the most recently
+ *   used ones; dropped when meta.json's generated_at changes
+ * - Pages: network first, falling back to pages saved with "Save for
+ *   offline" (scripts/offline.js) and then to /offline
+ *
+ * Registered by scripts/offline.js as /sw.js?api={API base URL}. This is a
+ * classic worker, so it can't import the shared modules in scripts/lib.
+ */
+
+// Replaced at build time with a hash of the app shell (astro.config.mjs), so a deploy that
+// changes scripts, styles or images installs fresh caches instead of serving the old ones
+const VERSION = 'dev';
+const SHELL_CACHE = `newshelp-shell-${VERSION}`;
+const DATA_CACHE = `newshelp-data-${VERSION}`;
+const BATCH_CACHE = `newshelp-batches-${VERSION}`;
+// Written by scripts/offline.js; not versioned, saved pages outlive updates
+const SAVED_CACHE = 'newshelp-saved';
+
+// With a trailing slash: /offline redirects there, and a redirected response can't answer a navigation
+const OFFLINE_URL = '/offline/';
+const PRECACHE_URLS = ['/', OFFLINE_URL, '/manifest.webmanifest', '/scripts/main.js', '/scripts/offline.js'];
+
+const MAX_BATCHES = 40;
+const META_CHECK_INTERVAL = 5 * 60 * 1000;
+
+const API_BASE_URL = new URL(self.location.href).searchParams.get('api') || 'https://api.newshelp.org';
+
+let lastMetaCheck = 0;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, BATCH_CACHE, SAVED_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names.filter((name) => name.startsWith('newshelp-') && !current.includes(name)).map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.url.startsWith(`${API_BASE_URL}/`)) {
+    const file = url.pathname.split('/').pop();
+    if (file === 'meta.json') {
+      event.respondWith(fetchMeta(request));
+    } else if (file === 'news_sources.json' || file === 'tags.json') {
+      event.respondWith(staleWhileRevalidate(event, request, DATA_CACHE));
+    } else if (/^news_(raw|articles)\.\d+\.json$/.test(file)) {
+      event.waitUntil(checkMeta());
+      event.respondWith(cacheFirstBatch(request));
+    }
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (/^\/(_astro|scripts|images)\//.test(url.pathname) || url.pathname === '/manifest.webmanifest') {
+    event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Serve from cache and refresh in the background; wait for the network on a miss
+ * Offline, a miss falls back to files saved with a page.
+ */
+async function staleWhileRevalidate(event, request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh.catch(async (error) => (await caches.match(request, { cacheName: SAVED_CACHE })) || Promise.reject(error));
+}
+
+/**
+ * Serve a batch from cache, falling back to batches saved for offline reading
+ */
+async function cacheFirstBatch(request) {
+  const cache = await caches.open(BATCH_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(cache, MAX_BATCHES);
+    }
+    return response;
+  } catch (error) {
+    const saved = await caches.match(request, { cacheName: SAVED_CACHE });
+    if (saved) return saved;
+    throw error;
+  }
+}
+
+/**
+ * Drop the oldest entries (cache keys keep insertion order)
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Fetch meta.json, dropping cached batches when a new build of the data has been published
+ */
+async function fetchMeta(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      lastMetaCheck = Date.now();
+      const meta = await response.clone().json();
+      const previous = cached ? await cached.json() : null;
+      if (previous && previous.generated_at !== meta.generated_at) {
+        await caches.delete(BATCH_CACHE);
+      }
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Check meta.json at most every META_CHECK_INTERVAL while batches are being read
+ */
+async function checkMeta() {
+  if (Date.now() - lastMetaCheck < META_CHECK_INTERVAL) return;
+  lastMetaCheck = Date.now();
+  try {
+    await fetchMeta(new Request(`${API_BASE_URL}/meta.json`));
+  } catch (error) {
+    // Offline; keep the cached batches
+  }
+}
+
+/**
+ * Pages come from the network while online; offline, saved and precached pages are served
+ */
+async function networkFirstPage(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || (await caches.match(OFFLINE_URL)) || Response.error();
+  }
+}
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import { VENDOR_MODULES } from '../public/scripts/lib/vendor.js';
+
+const nodeModulesDir = path.join(process.cwd(), 'node_modules');
+const publicDir = path.join(process.cwd(), 'public');
+
+/**
+ * Copy the browser builds of the vendor modules into public/, where the import map points
+ */
+function copyVendorScripts() {
+  console.log('📦 Copying vendor scripts...');
+
+  try {
+    for (const [name, { file, url }] of Object.entries(VENDOR_MODULES)) {
+      const target = path.join(publicDir, url);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(nodeModulesDir, file), target);
+      console.log(`  ✓ ${name} → ${url}`);
+    }
+
+    console.log('✅ Vendor scripts copied successfully!');
+  } catch (error) {
+    console.error('❌ Error copying vendor scripts:', error);
+    process.exit(1);
+  }
+}
+
+copyVendorScripts();
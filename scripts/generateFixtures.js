@@ -0,0 +1,348 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BATCH_SIZE, getBatchId } from '../public/scripts/lib/data-client.js';
+
+/**
+ * Seeded fixture data for the mock API (scripts/mockApi.js)
+ *
+ * Writes the same files as the real API, shaped like src/types/db.ts, plus the
+ * awkward records the real data has been seen to contain: items without
+ * images, unclustered items, clusters without articles, citations that are
+ * malformed or point at items that don't exist, tags whose slugs collide, and
+ * items from sources missing from news_sources.json. A few records also break
+ * their schema (lib/schema.js) outright, to exercise quarantine. The same seed and
+ * options always give the same files.
+ */
+
+export const FIXTURES_DIR = process.env.MOCK_API_DIR || path.join(process.cwd(), 'node_modules', '.cache', 'mock-api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} FixtureOptions
+ * @property {number} [seed]
+ * @property {number} [items] - Raw news items
+ * @property {number} [clusters]
+ * @property {number} [days] - Days the items are spread over
+ * @property {Date} [now] - Time of the newest item and of meta.generated_at
+ * @property {number} [retention] - Newest news_raw batches kept; older batches are left out, as if expired
+ */
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+// Parents refer to tag IDs, which follow this order starting at 1
+const TAGS = [
+  ['World', []],
+  ['Politics', [1]],
+  ['Elections', [2]],
+  ['Economy', []],
+  ['Markets', [4]],
+  ['Energy', [4]],
+  ['Technology', []],
+  ['Artificial Intelligence', [7]],
+  ['Science', []],
+  ['Climate', [9, 1]],
+  ['Health', []],
+  ['Sports', []],
+  ['Football', [12]],
+  ['Culture', []],
+  ['Türkiye', [1]],
+  // Same slug as Türkiye
+  ['Turkiye', []],
+  ['Россия', [1]],
+  ['Middle East', [1]],
+  // No articles
+  ['Archaeology', [9]],
+];
+
+const SOURCES = [
+  ['Daily Courier', 'US'],
+  ['The Morning Ledger', 'GB'],
+  ['Anadolu Haber', 'TR'],
+  ['Gulf Today Wire', 'QA'],
+  ['Le Quotidien', 'FR'],
+  ['Rhein Zeitung', 'DE'],
+  ['Pacific Observer', 'AU'],
+  ['Nile Post', 'EG'],
+  ['Independent Bulletin', ''],
+  ['Global Newswire', 'International'],
+];
+
+// Items from this source ID reference a source missing from news_sources.json
+const UNKNOWN_SOURCE_ID = 99;
+
+const SUBJECTS = [
+  'Central bank', 'Parliament', 'Energy ministry', 'Researchers', 'Trade unions', 'The health agency',
+  'Regulators', 'Opposition leaders', 'Tech companies', 'Climate scientists', 'The football federation',
+  'City officials', 'Farmers', 'The space agency', 'Investors',
+];
+const ACTIONS = [
+  'announce', 'reject', 'debate', 'delay', 'back', 'warn over', 'investigate', 'unveil', 'criticise',
+  'approve', 'question', 'push for',
+];
+const OBJECTS = [
+  'interest rate cut', 'new budget plan', 'gas pipeline deal', 'AI safety rules', 'heatwave response',
+  'stadium funding', 'vaccine rollout', 'election timetable', 'border agreement', 'rail strike talks',
+  'chip export limits', 'flood defences', 'museum restitution claim', 'fuel price cap',
+];
+const SENTENCES = [
+  'Officials said details would follow later in the week.',
+  'The announcement drew a mixed response from analysts.',
+  'Critics argued the move came too late.',
+  'Supporters described it as a long overdue step.',
+  'Markets reacted cautiously in early trading.',
+  'The decision follows months of negotiations.',
+  'Several regional governments have asked for clarification.',
+  'A spokesperson declined to comment on the timing.',
+  'Independent experts called for more transparency.',
+  'Turnout at the protests was lower than expected.',
+];
+
+/**
+ * @param {ReturnType<typeof createRandom>} random
+ */
+function headline(random) {
+  const title = `${random.pick(SUBJECTS)} ${random.pick(ACTIONS)} ${random.pick(OBJECTS)}`;
+  // Titles from the API sometimes carry markdown bold
+  return random.chance(0.15) ? title.replace(/^(\S+)/, '**$1**') : title;
+}
+
+/**
+ * Citation for an article body: usually valid, sometimes malformed or dangling
+ * @param {ReturnType<typeof createRandom>} random
+ * @param {number} id - The citing item
+ * @param {number} maxId
+ */
+function citation(random, id, maxId) {
+  const earlier = () => random.int(Math.max(1, id - 50), Math.max(1, id - 1));
+  const roll = random.next();
+  if (roll < 0.55) return `[${earlier()}]`;
+  if (roll < 0.75) return `[${earlier()}, ${earlier()}]`;
+  if (roll < 0.8) return `[${maxId + random.int(1000, 9000)}]`; // dangling
+  if (roll < 0.85) return `[${earlier()},]`;
+  if (roll < 0.9) return `[ ${earlier()} ]`;
+  if (roll < 0.95) return `[source]`;
+  return `[${earlier()}`; // unclosed
+}
+
+/**
+ * @param {ReturnType<typeof createRandom>} random
+ * @param {number} id
+ * @param {number} maxId
+ */
+function articleBody(random, id, maxId) {
+  const paragraphs = [];
+  for (let p = random.int(1, 4); p > 0; p--) {
+    const sentences = [];
+    for (let s = random.int(2, 4); s > 0; s--) sentences.push(random.pick(SENTENCES));
+    if (random.chance(0.6)) sentences.push(`Earlier reports ${citation(random, id, maxId)} gave a different account.`);
+    paragraphs.push(sentences.join(' '));
+  }
+  return paragraphs.join('\n\n');
+}
+
+// Ways a record breaks its schema: field → invalid value
+const CORRUPTIONS = [
+  ['source', null],
+  ['created_at', 'yesterday'],
+  ['title', ''],
+  ['cats', '3,4'],
+  ['id', '12'],
+];
+
+/**
+ * Copy of a record with one field broken
+ * @param {ReturnType<typeof createRandom>} random
+ * @param {Object} record
+ */
+function corrupt(random, record) {
+  const [field, value] = random.pick(CORRUPTIONS);
+  return { ...record, [field]: value };
+}
+
+/**
+ * @param {ReturnType<typeof createRandom>} random
+ * @param {number} tagCount
+ */
+function pickTags(random, tagCount) {
+  const cats = new Set();
+  // The last tag never gets articles
+  for (let n = random.int(1, 3); n > 0; n--) cats.add(random.int(1, tagCount - 1));
+  return [...cats];
+}
+
+/**
+ * Build every fixture file
+ * @param {FixtureOptions} [options]
+ * @returns {Map<string, any>} File contents by name (without .json)
+ */
+export function buildFixtures({ seed = 1, items: itemCount = 1500, clusters: clusterCount = 300, days = 14, now = new Date(), retention } = {}) {
+  const random = createRandom(seed);
+  const end = Math.floor(now.getTime() / 60000) * 60000;
+  const spacing = (days * DAY_MS) / itemCount;
+  const iso = (time) => new Date(Math.floor(time / 1000) * 1000).toISOString().replace('.000Z', 'Z');
+
+  const tags = TAGS.map(([tag, parent], index) => ({
+    id: index + 1,
+    tag,
+    desc: `News about ${tag}`,
+    orderBy: index % 5,
+    parent,
+  }));
+
+  const sources = SOURCES.map(([title, origin], index) => ({
+    id: index + 1,
+    title,
+    link: `https://${title.toLowerCase().replace(/[^a-z]+/g, '')}.example`,
+    description: `${title} news coverage`,
+    origin,
+  }));
+
+  // Clusters span the same period; each item joins the newest cluster started before it
+  const clusterStarts = Array.from({ length: clusterCount }, (_, index) => end - days * DAY_MS + ((index + 0.5) * days * DAY_MS) / clusterCount);
+  const rawItems = [];
+  for (let id = 1; id <= itemCount; id++) {
+    const createdAt = end - (itemCount - id) * spacing - random.int(0, Math.floor(spacing / 2));
+    let clusterId = 0;
+    if (random.chance(0.8)) {
+      const latest = clusterStarts.findLastIndex((start) => start <= createdAt);
+      // Stories keep growing for a while: join one of the last few clusters
+      clusterId = latest < 0 ? 0 : Math.max(1, latest + 1 - random.int(0, 3));
+    }
+
+    rawItems.push({
+      id,
+      source: String(random.chance(0.02) ? UNKNOWN_SOURCE_ID : random.int(1, sources.length)),
+      title: random.chance(0.01) ? `Quotes & <tags> in "${headline(random)}"` : headline(random),
+      article: articleBody(random, id, itemCount),
+      cats: pickTags(random, tags.length),
+      imgUrl: random.chance(0.15) ? '' : `https://picsum.photos/seed/newshelp-${id}/800/450`,
+      cluster_id: clusterId,
+      created_at: iso(createdAt),
+      guid: `urn:mock:news:${seed}:${id}`,
+      objective: 7,
+    });
+  }
+
+  const clusters = clusterStarts.map((start, index) => {
+    const id = index + 1;
+    // A few clusters have lost all their articles
+    const articles = random.chance(0.03) ? [] : rawItems.filter((item) => item.cluster_id === id).map((item) => item.id);
+    const cited = articles.length > 0 ? `[${articles.slice(0, 3).join(', ')}]` : `[${itemCount + random.int(1000, 9000)}]`;
+    const cats = new Set(articles.flatMap((itemId) => rawItems[itemId - 1].cats).slice(0, 3));
+    return {
+      id,
+      title: headline(random),
+      short_desc: `${random.pick(SENTENCES)} ${cited} ${random.pick(SENTENCES)}`,
+      articles,
+      created_at: iso(articles.length > 0 ? Date.parse(rawItems[articles[0] - 1].created_at) : start),
+      cats: cats.size > 0 ? [...cats] : pickTags(random, tags.length),
+    };
+  });
+
+  const tagArticles = tags.map((tag) => ({
+    tag_id: tag.id,
+    articles: rawItems.filter((item) => item.cats.includes(tag.id)).map((item) => item.id).reverse(),
+    description: `Latest coverage of ${tag.tag}`,
+  }));
+
+  const files = new Map([
+    ['meta', {
+      generated_at: iso(end),
+      tables: {
+        news_articles: { latest_id: clusterCount },
+        news_raw: { latest_id: itemCount },
+        news_sources: { latest_id: sources.length },
+        tag_articles: { latest_id: tags.length },
+        tags: { latest_id: tags.length },
+      },
+    }],
+    ['tags', tags],
+    ['news_sources', sources],
+    ['tag_articles', tagArticles],
+    // The unbatched file holds the newest clusters
+    ['news_articles', clusters.slice(-BATCH_SIZE).reverse()],
+  ]);
+
+  const oldestKept = retention ? getBatchId(itemCount) - (retention - 1) * BATCH_SIZE : 0;
+  for (let batchId = 0; batchId <= itemCount; batchId += BATCH_SIZE) {
+    if (batchId < oldestKept) continue;
+    const batch = rawItems.filter((item) => getBatchId(item.id) === batchId);
+    files.set(`news_raw.${batchId}`, batch.map((item) => (random.chance(0.01) ? corrupt(random, item) : item)));
+  }
+  for (let batchId = 0; batchId <= clusterCount; batchId += BATCH_SIZE) {
+    files.set(`news_articles.${batchId}`, clusters.filter((cluster) => getBatchId(cluster.id) === batchId));
+  }
+
+  return files;
+}
+
+/**
+ * Write the fixture files, replacing any previous set
+ * @param {string} dir
+ * @param {FixtureOptions} [options]
+ * @returns {number} Files written
+ */
+export function writeFixtures(dir, options) {
+  const files = buildFixtures(options);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, data] of files) {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data));
+  }
+  return files.size;
+}
+
+/**
+ * Fixture options from MOCK_API_* environment variables
+ * @returns {FixtureOptions}
+ */
+export function fixtureOptionsFromEnv() {
+  const number = (name) => (process.env[name] ? parseInt(process.env[name]) : undefined);
+  return {
+    seed: number('MOCK_API_SEED'),
+    items: number('MOCK_API_ITEMS'),
+    clusters: number('MOCK_API_CLUSTERS'),
+    days: number('MOCK_API_DAYS'),
+    now: process.env.MOCK_API_NOW ? new Date(process.env.MOCK_API_NOW) : undefined,
+    retention: number('MOCK_API_RETENTION'),
+  };
+}
+
+function generateFixtures() {
+  console.log('🧪 Generating mock API fixtures...');
+
+  try {
+    const options = fixtureOptionsFromEnv();
+    const count = writeFixtures(FIXTURES_DIR, options);
+    console.log('✅ Fixtures generated successfully!');
+    console.log(`   - ${count} files in ${FIXTURES_DIR}`);
+  } catch (error) {
+    console.error('❌ Error generating fixtures:', error);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generateFixtures();
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+
+// Cloudflare Pages rejects _routes.json with more include + exclude rules than this
+const MAX_RULES = 100;
+
+// Directories whose pre-rendered pages should be served as static assets
+// instead of being rendered on demand by the Pages Function
+const STATIC_PREFIXES = ['archive'];
+
+const distDir = path.join(process.cwd(), 'dist');
+const routesFile = path.join(distDir, '_routes.json');
+
+/**
+ * List the URL paths of every index.html under a dist subdirectory
+ */
+function findPages(dir) {
+  const pages = [];
+  if (!fs.existsSync(dir)) return pages;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      pages.push(...findPages(entryPath));
+    } else if (entry.name === 'index.html') {
+      pages.push('/' + path.relative(distDir, dir).split(path.sep).join('/'));
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Exclude pre-rendered listing pages from the Pages Function
+ */
+function generateRoutes() {
+  console.log('🛣️  Updating _routes.json...');
+
+  try {
+    const routes = JSON.parse(fs.readFileSync(routesFile, 'utf-8'));
+    const exclude = new Set(routes.exclude);
+
+    const pages = STATIC_PREFIXES.flatMap((prefix) => findPages(path.join(distDir, prefix)))
+      // Shallow pages first, so the newest listings win if the rule limit is hit
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b, 'en', { numeric: true }));
+
+    let skipped = 0;
+    for (const page of pages) {
+      if (routes.include.length + exclude.size + 2 > MAX_RULES) {
+        skipped++;
+        continue;
+      }
+      exclude.add(page);
+      exclude.add(`${page}/`);
+    }
+
+    routes.exclude = [...exclude];
+    fs.writeFileSync(routesFile, JSON.stringify(routes, null, 2) + '\n');
+
+    console.log(`  ✓ Excluded ${pages.length - skipped} pre-rendered pages from the function`);
+    if (skipped > 0) {
+      console.warn(`  ⚠️  Rule limit reached, ${skipped} pages will be rendered by the function`);
+    }
+    console.log('✅ _routes.json updated successfully!');
+  } catch (error) {
+    console.error('❌ Error updating _routes.json:', error);
+    process.exit(1);
+  }
+}
+
+generateRoutes();
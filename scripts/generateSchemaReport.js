@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { BATCH_SIZE, HttpError, createDataClient, getBatchId } from '../public/scripts/lib/data-client.js';
+import { SchemaError, formatIssue } from '../public/scripts/lib/schema.js';
+
+// Newest batches of news_raw and news_articles to check; older ones rarely change
+const REPORT_BATCHES = parseInt(process.env.NEWS_SCHEMA_REPORT_BATCHES || '20');
+
+// Kept with the build cache rather than in dist/, so it isn't deployed
+const REPORT_FILE = process.env.SCHEMA_REPORT_FILE || path.join(process.cwd(), 'node_modules', '.cache', 'schema-report.json');
+
+/** @type {Map<string, import('../public/scripts/lib/schema.js').SchemaIssue[]>} */
+const issuesByFile = new Map();
+
+const client = createDataClient({
+  baseUrl: process.env.NEWS_API_BASE_URL || undefined,
+  onInvalid: (file, issues) => issuesByFile.set(file, issues),
+});
+
+/**
+ * Names of the newest batch files of a table
+ * @param {string} table
+ * @param {number} latestId
+ */
+function recentBatches(table, latestId) {
+  const files = [];
+  for (let batchId = getBatchId(latestId), n = 0; batchId >= 0 && n < REPORT_BATCHES; batchId -= BATCH_SIZE, n++) {
+    files.push(`${table}.${batchId}`);
+  }
+  return files;
+}
+
+/**
+ * Fetch a file through the validating client and record what it dropped
+ * @param {string} file
+ */
+async function checkFile(file) {
+  try {
+    const records = await client.fetchFile(file);
+    const issues = issuesByFile.get(file) || [];
+    const kept = Array.isArray(records) ? records.length : 1;
+    return { file, records: kept + issues.length, dropped: issues.length, issues };
+  } catch (error) {
+    if (error instanceof HttpError && error.status === 404) {
+      return { file, missing: true };
+    }
+    if (error instanceof SchemaError) {
+      return { file, unusable: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check the API's files against their schemas and summarise the violations per file
+ */
+async function generateSchemaReport() {
+  console.log('🩺 Checking API files against their schemas...');
+
+  try {
+    const meta = await client.fetchMeta();
+    const files = [
+      'tags',
+      'news_sources',
+      'tag_articles',
+      'news_articles',
+      ...recentBatches('news_articles', meta.tables.news_articles.latest_id),
+      ...recentBatches('news_raw', meta.tables.news_raw.latest_id),
+    ];
+
+    const results = [];
+    for (const file of files) {
+      results.push(await checkFile(file));
+    }
+
+    for (const result of results) {
+      if (result.missing) {
+        console.log(`  → ${result.file}.json not found, skipped`);
+      } else if (result.unusable) {
+        console.warn(`  ❌ ${result.unusable}`);
+      } else if (result.dropped > 0) {
+        const fields = new Map();
+        for (const issue of result.issues) {
+          fields.set(issue.field || 'record', (fields.get(issue.field || 'record') || 0) + 1);
+        }
+        const summary = [...fields].map(([field, count]) => `${field} ×${count}`).join(', ');
+        console.warn(`  ⚠️  ${result.file}.json: dropped ${result.dropped} of ${result.records} records (${summary})`);
+        console.warn(`      e.g. ${formatIssue(result.issues[0])}`);
+      }
+    }
+
+    const checked = results.filter((result) => !result.missing);
+    const dropped = checked.reduce((sum, result) => sum + (result.dropped || 0), 0);
+    const unusable = checked.filter((result) => result.unusable).length;
+
+    fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+    fs.writeFileSync(
+      REPORT_FILE,
+      JSON.stringify({ generated_at: meta.generated_at, base_url: client.baseUrl, files: checked }, null, 2)
+    );
+
+    console.log('✅ Schema report generated successfully!');
+    console.log(`   - ${checked.length} files checked, ${dropped} records dropped, ${unusable} files unusable`);
+    console.log(`   - Report written to ${REPORT_FILE}`);
+  } catch (error) {
+    console.error('❌ Error generating schema report:', error);
+    process.exit(1);
+  }
+}
+
+generateSchemaReport();
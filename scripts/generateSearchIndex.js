@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  INDEX_VERSION,
+  DOC_CHUNK_SIZE,
+  TITLE_WEIGHT,
+  DOC_KIND_NEWS,
+  DOC_KIND_CLUSTER,
+  tokenize,
+  shardKey,
+} from '../public/scripts/search-index.js';
+import { createDataClient, recentBatchIds, HttpError } from '../public/scripts/lib/data-client.js';
+
+const SEARCH_BATCHES = parseInt(process.env.NEWS_SEARCH_BATCHES || '20');
+const SNIPPET_LENGTH = 160;
+
+const client = createDataClient({ baseUrl: process.env.NEWS_API_BASE_URL || undefined });
+
+/**
+ * Fetch the most recent batches of a batched table, newest first
+ * Only batches the API no longer serves (404) are skipped; any other failure
+ * fails the build rather than shipping an index with batches missing.
+ */
+async function fetchRecentBatches(table, latestId) {
+  const batchIds = recentBatchIds(latestId, SEARCH_BATCHES);
+  const items = [];
+
+  for (const [index, batch] of (await client.fetchBatches(table, batchIds)).entries()) {
+    if (batch.status === 'fulfilled') {
+      items.push(...batch.value);
+    } else if (batch.reason instanceof HttpError && batch.reason.status === 404) {
+      console.warn(`    ${table} batch ${batchIds[index]} not found, skipping...`);
+    } else {
+      throw batch.reason;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Strip markdown markers and citations for display snippets
+ */
+function toSnippet(text) {
+  const plain = (text || '')
+    .replace(/\[(\d+(?:,\s*\d+)*)\]/g, '')
+    .replace(/\*\*/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+  return plain.length > SNIPPET_LENGTH ? plain.slice(0, SNIPPET_LENGTH).trim() + '...' : plain;
+}
+
+/**
+ * Count weighted token occurrences for a document
+ */
+function weighTokens(title, body) {
+  const weights = new Map();
+  const titleTokens = tokenize(title);
+  const bodyTokens = tokenize(body);
+
+  for (const token of titleTokens) {
+    weights.set(token, (weights.get(token) || 0) + TITLE_WEIGHT);
+  }
+  for (const token of bodyTokens) {
+    weights.set(token, (weights.get(token) || 0) + 1);
+  }
+
+  return { weights, length: titleTokens.length + bodyTokens.length };
+}
+
+/**
+ * Main function
+ */
+async function generateSearchIndex() {
+  console.log('🔎 Generating search index...');
+
+  try {
+    const [meta, sources] = await Promise.all([client.fetchMeta(), client.fetchSources()]);
+    const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+
+    console.log('  → Fetching news_raw batches...');
+    const newsRaw = await fetchRecentBatches('news_raw', meta.tables.news_raw.latest_id);
+
+    console.log('  → Fetching news_articles batches...');
+    const clusters = await fetchRecentBatches('news_articles', meta.tables.news_articles.latest_id);
+
+    // Newest documents first, so the first docs chunk covers most top results
+    const entries = [
+      ...newsRaw.map((item) => ({
+        kind: DOC_KIND_NEWS,
+        id: item.id,
+        title: item.title,
+        body: item.article,
+        source: parseInt(item.source) || 0,
+        cats: item.cats || [],
+        image: item.imgUrl || '',
+        created_at: item.created_at,
+      })),
+      ...clusters.map((cluster) => ({
+        kind: DOC_KIND_CLUSTER,
+        id: cluster.id,
+        title: cluster.title,
+        body: cluster.short_desc,
+        source: 0,
+        cats: cluster.cats || [],
+        image: '',
+        created_at: cluster.created_at,
+      })),
+    ].sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+
+    const docs = [];
+    const chunks = [];
+    const shards = new Map();
+    let totalLength = 0;
+
+    entries.forEach((entry, docIndex) => {
+      const { weights, length } = weighTokens(entry.title, entry.body);
+      totalLength += length;
+
+      docs.push([
+        entry.kind,
+        length,
+        entry.source,
+        entry.cats,
+        Math.floor(new Date(entry.created_at).getTime() / 1000),
+      ]);
+
+      const chunk = Math.floor(docIndex / DOC_CHUNK_SIZE);
+      if (!chunks[chunk]) chunks[chunk] = [];
+      chunks[chunk].push({
+        id: entry.id,
+        title: entry.title.replace(/\*\*/g, ''),
+        snippet: toSnippet(entry.body),
+        source: sourcesMap.get(entry.source)?.title || '',
+        image: entry.image,
+      });
+
+      for (const [token, weight] of weights) {
+        const key = shardKey(token);
+        if (!shards.has(key)) shards.set(key, {});
+        const shard = shards.get(key);
+        if (!shard[token]) shard[token] = [];
+        shard[token].push([docIndex, weight]);
+      }
+    });
+
+    const manifest = {
+      version: INDEX_VERSION,
+      generated_at: meta.generated_at,
+      docCount: docs.length,
+      avgLength: docs.length ? totalLength / docs.length : 0,
+      chunkSize: DOC_CHUNK_SIZE,
+      shards: [...shards.keys()].sort(),
+      docs,
+    };
+
+    // Write files
+    const indexDir = path.join(process.cwd(), 'dist', 'search-index');
+    fs.rmSync(indexDir, { recursive: true, force: true });
+    fs.mkdirSync(indexDir, { recursive: true });
+
+    fs.writeFileSync(path.join(indexDir, 'manifest.json'), JSON.stringify(manifest));
+    chunks.forEach((chunk, n) => {
+      fs.writeFileSync(path.join(indexDir, `docs.${n}.json`), JSON.stringify(chunk));
+    });
+    for (const [key, shard] of shards) {
+      fs.writeFileSync(path.join(indexDir, `${key}.json`), JSON.stringify(shard));
+    }
+
+    console.log('✅ Search index generated successfully!');
+    console.log(`   - ${docs.length} documents (${newsRaw.length} news, ${clusters.length} clusters)`);
+    console.log(`   - ${shards.size} token shards, ${chunks.length} doc chunks`);
+  } catch (error) {
+    console.error('❌ Error generating search index:', error);
+    process.exit(1);
+  }
+}
+
+generateSearchIndex();
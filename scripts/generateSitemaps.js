@@ -1,19 +1,48 @@
 import  fs from 'fs';
 import path from 'path';
+import { createDataClient, getBatchId, runLimited, BATCH_SIZE, HttpError } from '../public/scripts/lib/data-client.js';
+import { sourcePath } from '../public/scripts/lib/sources.js';
+import { tagPath } from '../public/scripts/lib/tag-slugs.js';
 
-const API_BASE_URL = process.env.NEWS_API_BASE_URL || 'https://api.newshelp.org';
 const SITE_URL = process.env.SITE_URL || 'https://newshelp.org';
-const STATIC_LIMIT = parseInt(process.env.NEWS_STATIC_ARTICLE_LIMIT || '100');
+const SITE_NAME = process.env.SITE_NAME || 'News Help';
+const SITE_LANGUAGE = process.env.SITE_LANGUAGE || 'en';
+const PARALLEL_BATCHES = parseInt(process.env.NEWS_PARALLEL_BATCHES || '5');
+const NEWS_SITEMAP_HOURS = 48;
+const NEWS_SITEMAP_LIMIT = 1000; // Google News sitemaps may list at most 1000 URLs
+
+// Shards from the previous build are kept here so unchanged batches aren't refetched
+const CACHE_DIR = process.env.SITEMAP_CACHE_DIR || path.join(process.cwd(), 'node_modules', '.cache', 'sitemaps');
+const CACHE_MANIFEST = path.join(CACHE_DIR, 'manifest.json');
+
+const distDir = path.join(process.cwd(), 'dist');
+
+// Batches fetched during this run, shared by the shard and news sitemaps
+const batchCache = new Map();
+
+const client = createDataClient({ baseUrl: process.env.NEWS_API_BASE_URL || undefined });
 
 /**
- * Fetch JSON data from API
+ * Fetch a batch file once per run
  */
-async function fetchJSON(file) {
-  const response = await fetch(`${API_BASE_URL}/${file}.json`);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch ${file}.json: ${response.status}`);
+function fetchBatch(table, batchStart) {
+  const key = `${table}.${batchStart}`;
+  if (!batchCache.has(key)) {
+    batchCache.set(key, client.fetchFile(key));
   }
-  return response.json();
+  return batchCache.get(key);
+}
+
+/**
+ * Escape text for XML element content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
 }
 
 /**
@@ -23,7 +52,7 @@ function generateSitemapXML(urls) {
   const urlset = urls
     .map(
       (url) => `  <url>
-    <loc>${url.loc}</loc>
+    <loc>${escapeXml(url.loc)}</loc>
     <lastmod>${url.lastmod}</lastmod>
     <changefreq>${url.changefreq || 'daily'}</changefreq>
     <priority>${url.priority || 0.7}</priority>
@@ -37,6 +66,32 @@ ${urlset}
 </urlset>`;
 }
 
+/**
+ * Generate Google News sitemap XML
+ */
+function generateNewsSitemapXML(items) {
+  const urlset = items
+    .map(
+      (item) => `  <url>
+    <loc>${escapeXml(`${SITE_URL}/news/${item.id}`)}</loc>
+    <news:news>
+      <news:publication>
+        <news:name>${escapeXml(SITE_NAME)}</news:name>
+        <news:language>${SITE_LANGUAGE}</news:language>
+      </news:publication>
+      <news:publication_date>${new Date(item.created_at).toISOString()}</news:publication_date>
+      <news:title>${escapeXml(item.title.replace(/\*\*/g, ''))}</news:title>
+    </news:news>
+  </url>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${urlset}
+</urlset>`;
+}
+
 /**
  * Generate sitemap index XML
  */
@@ -44,7 +99,7 @@ function generateSitemapIndexXML(sitemaps) {
   const sitemapElements = sitemaps
     .map(
       (sm) => `  <sitemap>
-    <loc>${sm.loc}</loc>
+    <loc>${escapeXml(sm.loc)}</loc>
     <lastmod>${sm.lastmod}</lastmod>
   </sitemap>`
     )
@@ -56,6 +111,171 @@ ${sitemapElements}
 </sitemapindex>`;
 }
 
+/**
+ * Read the shard manifest left by the previous build
+ */
+function readCacheManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_MANIFEST, 'utf8'));
+  } catch {
+    return { shards: {} };
+  }
+}
+
+/**
+ * Whether the API still serves a batch
+ * Only a 404 counts as gone; on other errors the batch is assumed to exist,
+ * so an outage doesn't drop shards.
+ */
+async function batchExists(table, batchStart) {
+  try {
+    await fetchBatch(table, batchStart);
+    return true;
+  } catch (err) {
+    return !(err instanceof HttpError && err.status === 404);
+  }
+}
+
+/**
+ * Oldest batch of a table the API still serves
+ *
+ * The API drops batches past its retention window oldest first, so the
+ * batches it serves run without gaps from this one to the newest. A binary
+ * search finds the start of that run.
+ */
+async function findOldestBatch(table, latestId) {
+  let available = getBatchId(latestId);
+  if (await batchExists(table, 0)) return 0;
+
+  let gone = 0;
+  while (available - gone > BATCH_SIZE) {
+    const middle = gone + Math.floor((available - gone) / BATCH_SIZE / 2) * BATCH_SIZE;
+    if (await batchExists(table, middle)) available = middle;
+    else gone = middle;
+  }
+  return available;
+}
+
+/**
+ * Build (or reuse) the sitemap shard for one batch of BATCH_SIZE ids
+ *
+ * A shard is reused when the previous build saw the same meta.generated_at,
+ * or when its batch was already complete (no newer ids can land in it).
+ * Only batches the API still serves get here (buildShards).
+ */
+async function buildShard(kind, batchStart, meta, previous) {
+  const { table, route, changefreq, priority } = kind;
+  const latestId = meta.tables[table].latest_id;
+  const name = `${kind.name}.${batchStart}`;
+  const file = `sitemaps/${name}.xml`;
+  const cached = previous.shards[name];
+  const cachedFile = path.join(CACHE_DIR, file);
+
+  if (
+    cached &&
+    (cached.generated_at === meta.generated_at || cached.complete) &&
+    fs.existsSync(cachedFile)
+  ) {
+    fs.copyFileSync(cachedFile, path.join(distDir, file));
+    return { name, file, ...cached, reused: true };
+  }
+
+  let batch;
+  try {
+    batch = await fetchBatch(table, batchStart);
+  } catch (err) {
+    console.warn(`    ${table} batch ${batchStart} not found, skipping...`);
+    return null;
+  }
+  if (batch.length === 0) return null;
+
+  const urls = batch.map((item) => ({
+    loc: `${SITE_URL}/${route}/${item.id}`,
+    lastmod: item.created_at,
+    changefreq,
+    priority,
+  }));
+  const lastmod = batch.reduce((max, item) => (item.created_at > max ? item.created_at : max), batch[0].created_at);
+  const xml = generateSitemapXML(urls);
+
+  fs.writeFileSync(path.join(distDir, file), xml);
+  fs.mkdirSync(path.dirname(cachedFile), { recursive: true });
+  fs.writeFileSync(cachedFile, xml);
+
+  return {
+    name,
+    file,
+    generated_at: meta.generated_at,
+    complete: latestId >= batchStart + BATCH_SIZE - 1,
+    lastmod,
+    count: urls.length,
+    reused: false,
+  };
+}
+
+/**
+ * Build every shard of a batched table, newest batch first
+ * Shards of batches past the API's retention window are dropped, cached ones included.
+ */
+async function buildShards(kind, meta, previous) {
+  const latestId = meta.tables[kind.table].latest_id;
+  const oldestBatch = await findOldestBatch(kind.table, latestId);
+
+  for (const name of Object.keys(previous.shards)) {
+    const [shardKind, batchStart] = name.split('.');
+    if (shardKind === kind.name && Number(batchStart) < oldestBatch) {
+      fs.rmSync(path.join(CACHE_DIR, `sitemaps/${name}.xml`), { force: true });
+    }
+  }
+
+  const tasks = [];
+  for (let batchStart = getBatchId(latestId); batchStart >= oldestBatch; batchStart -= BATCH_SIZE) {
+    tasks.push(() => buildShard(kind, batchStart, meta, previous));
+  }
+  return (await runLimited(tasks, PARALLEL_BATCHES)).filter(Boolean);
+}
+
+/**
+ * Collect news_raw items published within the Google News window
+ */
+async function collectRecentNews(meta) {
+  const cutoff = Date.now() - NEWS_SITEMAP_HOURS * 60 * 60 * 1000;
+  const items = [];
+
+  for (
+    let batchStart = getBatchId(meta.tables.news_raw.latest_id);
+    batchStart >= 0 && items.length < NEWS_SITEMAP_LIMIT;
+    batchStart -= BATCH_SIZE
+  ) {
+    let batch;
+    try {
+      batch = await fetchBatch('news_raw', batchStart);
+    } catch (err) {
+      continue;
+    }
+
+    const recent = batch.filter((item) => new Date(item.created_at).getTime() >= cutoff);
+    items.push(...recent);
+
+    // Batches are in id order, so once a whole batch is too old the rest are as well
+    if (batch.length > 0 && recent.length === 0) break;
+  }
+
+  return items.sort((a, b) => b.id - a.id).slice(0, NEWS_SITEMAP_LIMIT);
+}
+
+/**
+ * Write robots.txt pointing crawlers at the sitemap index
+ */
+function writeRobots() {
+  const source = path.join(process.cwd(), 'public', 'robots.txt');
+  const rules = fs.existsSync(source)
+    ? fs.readFileSync(source, 'utf8').split('\n').filter((line) => !/^sitemap:/i.test(line)).join('\n').trimEnd()
+    : 'User-agent: *\nAllow: /';
+
+  fs.writeFileSync(path.join(distDir, 'robots.txt'), `${rules}\n\nSitemap: ${SITE_URL}/sitemap-index.xml\n`);
+}
+
 /**
  * Main function
  */
@@ -63,120 +283,97 @@ async function generateSitemaps() {
   console.log('🗺️  Generating sitemaps...');
 
   try {
+    fs.mkdirSync(path.join(distDir, 'sitemaps'), { recursive: true });
+
     // Fetch metadata
-    const meta = await fetchJSON('meta');
+    const meta = await client.fetchMeta();
     const lastmod = meta.generated_at;
+    const previous = readCacheManifest();
 
     // 1. General sitemap (static pages)
     console.log('  → Generating sitemap.xml...');
     const generalUrls = [
       { loc: SITE_URL + '/', lastmod, changefreq: 'hourly', priority: 1.0 },
       { loc: SITE_URL + '/tags', lastmod, changefreq: 'daily', priority: 0.8 },
+      { loc: SITE_URL + '/trending', lastmod, changefreq: 'hourly', priority: 0.7 },
+      { loc: SITE_URL + '/archive', lastmod, changefreq: 'hourly', priority: 0.6 },
+      { loc: SITE_URL + '/sources', lastmod, changefreq: 'daily', priority: 0.6 },
     ];
 
     // Fetch tags
-    const tags = await fetchJSON('tags');
-    // Simple slugify function (copied from utils)
-    const slugifyFn = (text) =>
-      text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const tags = await client.fetchTags();
 
     generalUrls.push(
       ...tags.map((tag) => ({
-        loc: `${SITE_URL}/tag/${slugifyFn(tag.tag)}`,
+        loc: `${SITE_URL}${tagPath(tag)}`,
         lastmod,
         changefreq: 'daily',
         priority: 0.6,
       }))
     );
 
-    const generalSitemap = generateSitemapXML(generalUrls);
-
-    // 2. News articles sitemap (static only)
-    console.log('  → Generating sitemap-newsraw.xml...');
-    const latestNewsRawId = meta.tables.news_raw.latest_id;
-    const newsRawUrls = [];
-
-    // Only fetch the last 2 batches for static pages
-    const latestBatch = Math.floor(latestNewsRawId / 100) * 100;
-    const batchesToFetch = [latestBatch, latestBatch - 100];
-
-    for (const batchStart of batchesToFetch) {
-      if (batchStart < 0) continue;
-      try {
-        const batch = await fetchJSON(`news_raw.${batchStart}`);
-        for (const item of batch) {
-          // Only include items within the static range
-          if (item.id > latestNewsRawId - STATIC_LIMIT && item.id <= latestNewsRawId) {
-            newsRawUrls.push({
-              loc: `${SITE_URL}/news/${item.id}`,
-              lastmod: item.created_at,
-              changefreq: 'monthly',
-              priority: 0.5,
-            });
-          }
-        }
-      } catch (err) {
-        console.warn(`    Batch ${batchStart} not found, skipping...`);
-      }
-    }
+    const sources = await client.fetchSources();
+    generalUrls.push(
+      ...sources.map((source) => ({
+        loc: `${SITE_URL}${sourcePath(source)}`,
+        lastmod,
+        changefreq: 'daily',
+        priority: 0.5,
+      }))
+    );
 
-    const newsRawSitemap = generateSitemapXML(newsRawUrls);
-
-    // 3. Article clusters sitemap (static only)
-    console.log('  → Generating sitemap-articles.xml...');
-    const latestArticlesId = meta.tables.news_articles.latest_id;
-    const articleUrls = [];
-
-    // Only fetch the last 2 batches for static pages
-    const latestArticleBatch = Math.floor(latestArticlesId / 100) * 100;
-    const articleBatchesToFetch = [latestArticleBatch, latestArticleBatch - 100];
-
-    for (const batchStart of articleBatchesToFetch) {
-      if (batchStart < 0) continue;
-      try {
-        const batch = await fetchJSON(`news_articles.${batchStart}`);
-        for (const item of batch) {
-          // Only include items within the static range
-          if (item.id > latestArticlesId - STATIC_LIMIT && item.id <= latestArticlesId) {
-            articleUrls.push({
-              loc: `${SITE_URL}/articles/${item.id}`,
-              lastmod: item.created_at,
-              changefreq: 'weekly',
-              priority: 0.6,
-            });
-          }
-        }
-      } catch (err) {
-        console.warn(`    Articles batch ${batchStart} not found, skipping...`);
-      }
-    }
+    fs.writeFileSync(path.join(distDir, 'sitemap.xml'), generateSitemapXML(generalUrls));
 
-    const articlesSitemap = generateSitemapXML(articleUrls);
+    // 2. Full-archive shards, one per batch
+    console.log('  → Generating news_raw shards...');
+    const newsRawShards = await buildShards(
+      { name: 'newsraw', table: 'news_raw', route: 'news', changefreq: 'monthly', priority: 0.5 },
+      meta,
+      previous
+    );
+
+    console.log('  → Generating news_articles shards...');
+    const articleShards = await buildShards(
+      { name: 'articles', table: 'news_articles', route: 'articles', changefreq: 'weekly', priority: 0.6 },
+      meta,
+      previous
+    );
+
+    // 3. Google News sitemap
+    console.log('  → Generating sitemap-news.xml...');
+    const recentNews = await collectRecentNews(meta);
+    fs.writeFileSync(path.join(distDir, 'sitemap-news.xml'), generateNewsSitemapXML(recentNews));
 
     // 4. Sitemap index
     console.log('  → Generating sitemap-index.xml...');
+    const shards = [...newsRawShards, ...articleShards];
     const sitemapIndex = generateSitemapIndexXML([
       { loc: SITE_URL + '/sitemap.xml', lastmod },
-      { loc: SITE_URL + '/sitemap-newsraw.xml', lastmod },
-      { loc: SITE_URL + '/sitemap-articles.xml', lastmod },
+      { loc: SITE_URL + '/sitemap-news.xml', lastmod },
+      ...shards.map((shard) => ({ loc: `${SITE_URL}/${shard.file}`, lastmod: shard.lastmod })),
     ]);
+    fs.writeFileSync(path.join(distDir, 'sitemap-index.xml'), sitemapIndex);
 
-    // Write files
-    const distDir = path.join(process.cwd(), 'dist');
-    if (!fs.existsSync(distDir)) {
-      fs.mkdirSync(distDir, { recursive: true });
-    }
+    // 5. robots.txt
+    writeRobots();
 
-    fs.writeFileSync(path.join(distDir, 'sitemap.xml'), generalSitemap);
-    fs.writeFileSync(path.join(distDir, 'sitemap-newsraw.xml'), newsRawSitemap);
-    fs.writeFileSync(path.join(distDir, 'sitemap-articles.xml'), articlesSitemap);
-    fs.writeFileSync(path.join(distDir, 'sitemap-index.xml'), sitemapIndex);
+    // Remember shards for the next build
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(
+      CACHE_MANIFEST,
+      JSON.stringify({
+        generated_at: meta.generated_at,
+        shards: Object.fromEntries(shards.map(({ name, file, reused, ...entry }) => [name, entry])),
+      })
+    );
 
+    const reused = shards.filter((shard) => shard.reused).length;
     console.log('✅ Sitemaps generated successfully!');
     console.log(`   - sitemap.xml (${generalUrls.length} URLs)`);
-    console.log(`   - sitemap-newsraw.xml (${newsRawUrls.length} URLs)`);
-    console.log(`   - sitemap-articles.xml (${articleUrls.length} URLs)`);
+    console.log(`   - sitemap-news.xml (${recentNews.length} URLs)`);
+    console.log(`   - ${newsRawShards.length} news_raw shards, ${articleShards.length} news_articles shards (${reused} reused)`);
     console.log(`   - sitemap-index.xml`);
+    console.log(`   - robots.txt`);
   } catch (error) {
     console.error('❌ Error generating sitemaps:', error);
     process.exit(1);
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { createDataClient } from '../public/scripts/lib/data-client.js';
+import { assignTagSlugs, describeSlugCollisions, updateTagSlugMap } from '../public/scripts/lib/tag-slugs.js';
+
+const SITE_URL = process.env.SITE_URL || 'https://newshelp.org';
+
+// Fail the build instead of suffixing colliding slugs with tag IDs
+const STRICT = process.env.TAG_SLUGS_STRICT === 'true';
+
+// The slug map of the previous build is kept here; the live site's copy is used when it's missing
+const CACHE_FILE = process.env.TAG_SLUGS_CACHE_FILE || path.join(process.cwd(), 'node_modules', '.cache', 'tag-slugs.json');
+
+const distDir = path.join(process.cwd(), 'dist');
+const outputFile = path.join(distDir, 'tag-slugs.json');
+
+const client = createDataClient({ baseUrl: process.env.NEWS_API_BASE_URL || undefined });
+
+/**
+ * Slug map of the previous build, from the build cache or the deployed site
+ */
+async function loadPreviousMap() {
+  if (fs.existsSync(CACHE_FILE)) {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+  }
+
+  try {
+    const response = await fetch(`${SITE_URL}/tag-slugs.json`, { signal: AbortSignal.timeout(10000) });
+    if (response.ok) {
+      console.log(`  → No cached slug map, using ${SITE_URL}/tag-slugs.json`);
+      return await response.json();
+    }
+  } catch (error) {
+    // First deploy, or the site is unreachable from the build
+  }
+
+  console.warn('  ⚠️  No previous slug map found, retired tag slugs will not redirect');
+  return null;
+}
+
+/**
+ * Check tag slugs for collisions and publish the slug map used for redirects
+ */
+async function generateTagSlugs() {
+  console.log('🏷️  Generating tag slug map...');
+
+  try {
+    const [meta, rawTags] = await Promise.all([client.fetchMeta(), client.fetchFile('tags')]);
+    const { tags, collisions } = assignTagSlugs(rawTags);
+
+    for (const problem of describeSlugCollisions(collisions)) {
+      console.warn(`  ⚠️  ${problem}`);
+    }
+    if (STRICT && collisions.length > 0) {
+      console.error(`❌ ${collisions.length} tag slug collision(s); rename the tags or unset TAG_SLUGS_STRICT`);
+      process.exit(1);
+    }
+
+    const previous = await loadPreviousMap();
+    const map = updateTagSlugMap(previous, tags, meta.generated_at);
+    const retired = Object.keys(map.slugs).length - tags.length;
+
+    fs.writeFileSync(outputFile, JSON.stringify(map));
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(map));
+
+    console.log('✅ Tag slug map generated successfully!');
+    console.log(`   - ${tags.length} tags, ${collisions.length} collisions, ${retired} retired slugs`);
+  } catch (error) {
+    console.error('❌ Error generating tag slug map:', error);
+    process.exit(1);
+  }
+}
+
+generateTagSlugs();
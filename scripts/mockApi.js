@@ -0,0 +1,88 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { FIXTURES_DIR, fixtureOptionsFromEnv, writeFixtures } from './generateFixtures.js';
+
+/**
+ * Local stand-in for the news API
+ *
+ * Serves the fixture files from scripts/generateFixtures.js the way the API
+ * serves its JSON files, generating them first when the directory is empty.
+ * Point NEWS_API_BASE_URL at it (http://localhost:8787 by default) to build,
+ * preview or run the Pages Function without the real API.
+ */
+
+const PORT = parseInt(process.env.MOCK_API_PORT || '8787');
+
+// Added to every response, in milliseconds
+const LATENCY = parseInt(process.env.MOCK_API_LATENCY || '0');
+
+// Share of requests answered with a 503, to exercise retries and stale fallbacks
+const FAILURE_RATE = parseFloat(process.env.MOCK_API_FAILURE_RATE || '0');
+
+// Same headers as the API: readable from the browser and always revalidated
+const HEADERS = {
+  'Content-Type': 'application/json; charset=utf-8',
+  'Access-Control-Allow-Origin': '*',
+  'Cache-Control': 'no-cache',
+};
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string | Buffer} body
+ */
+function send(res, status, body) {
+  res.writeHead(status, HEADERS);
+  res.end(body);
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const name = pathname.slice(1);
+
+  if (req.method === 'OPTIONS') return send(res, 204, '');
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return send(res, 405, JSON.stringify({ error: 'Method not allowed' }));
+  }
+  if (Math.random() < FAILURE_RATE) {
+    return send(res, 503, JSON.stringify({ error: 'Simulated failure' }));
+  }
+
+  // Only plain file names, so requests can't leave the fixtures directory
+  const file = path.join(FIXTURES_DIR, name);
+  if (!/^[\w.-]+\.json$/.test(name) || !fs.existsSync(file)) {
+    return send(res, 404, JSON.stringify({ error: 'Not found' }));
+  }
+
+  send(res, 200, req.method === 'HEAD' ? '' : fs.readFileSync(file));
+}
+
+function startMockApi() {
+  if (!fs.existsSync(path.join(FIXTURES_DIR, 'meta.json'))) {
+    console.log('🧪 No fixtures found, generating...');
+    const count = writeFixtures(FIXTURES_DIR, fixtureOptionsFromEnv());
+    console.log(`  → ${count} files in ${FIXTURES_DIR}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    res.on('finish', () => console.log(`  ${req.method} ${req.url} → ${res.statusCode}`));
+    setTimeout(() => handleRequest(req, res), LATENCY);
+  });
+
+  server.on('error', (error) => {
+    console.error('❌ Mock API failed to start:', error);
+    process.exit(1);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`🧪 Mock API serving ${FIXTURES_DIR}`);
+    console.log(`✅ Listening on http://localhost:${PORT} (set NEWS_API_BASE_URL to this)`);
+  });
+}
+
+startMockApi();
@@ -1,138 +1,105 @@
 import type { Source, Meta, Tag, NewsArticle, TagArticles, NewsRawItem } from '@/types/db';
-
-const API_BASE_URL = import.meta.env.NEWS_API_BASE_URL || 'https://api.newshelp.org';
-const API_TIMEOUT = parseInt(import.meta.env.NEWS_API_TIMEOUT || '30000');
-
-// Memory cache
-const fileCache = new Map<string, any>();
-const newsArticlesCache = new Map<string, NewsArticle[]>();
-const newsRawBatchCache = new Map<number, NewsRawItem[]>();
-const newsArticleCache = new Map<number, NewsArticle[]>();
+import {
+  createDataClient,
+  createMemoryCache,
+  getBatchId as getSharedBatchId,
+  BATCH_SIZE,
+} from '../../public/scripts/lib/data-client.js';
+import {
+  fetchArchivePage as fetchSharedArchivePage,
+  fetchArchiveDay as fetchSharedArchiveDay,
+} from '../../public/scripts/lib/archive.js';
+import { computeSourceStats, type SourceStats } from '../../public/scripts/lib/sources.js';
+import { buildTaxonomy, describeTaxonomyProblems, type Taxonomy } from '../../public/scripts/lib/taxonomy.js';
+import {
+  fetchRecommendations,
+  articleTarget,
+  clusterTarget,
+  type Recommendations,
+} from '../../public/scripts/lib/recommend.js';
+import { fetchTrending as fetchSharedTrending, type Trending } from '../../public/scripts/lib/trending.js';
+import { citedIds, fetchCitedItems as fetchSharedCitedItems } from '../../public/scripts/lib/citations.js';
+import { setImageResizing } from '../../public/scripts/lib/images.js';
+import {
+  fetchHomePage as fetchSharedHomePage,
+  fetchTagPage as fetchSharedTagPage,
+  type HomePage,
+  type TagPage,
+} from '../../public/scripts/lib/listings.js';
+
+const client = createDataClient({
+  baseUrl: import.meta.env.NEWS_API_BASE_URL || undefined,
+  timeout: parseInt(import.meta.env.NEWS_API_TIMEOUT || '30000'),
+  retries: parseInt(import.meta.env.NEWS_API_RETRIES || '2'),
+  cache: createMemoryCache({ maxEntries: 2000 }),
+  debug: true,
+});
+
+// Without Cloudflare Images, pages link each image once (lib/images.js); Astro hands over "false" as a boolean
+setImageResizing(String(import.meta.env.IMAGE_RESIZING) !== 'false');
 
 /**
- * Generic JSON file fetcher with timeout and caching
+ * API base URL used for this build, exposed to client scripts
  */
-export async function fetchFile<T>(file: string): Promise<T> {
-  // Check cache
-  if (fileCache.has(file)) {
-    console.log(`[API Cache] Hit for ${file}.json`);
-    return fileCache.get(file) as T;
-  }
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
-
-  try {
-    console.log(`[API] Fetching ${file}.json from ${API_BASE_URL}`);
-    const response = await fetch(`${API_BASE_URL}/${file}.json`, {
-      signal: controller.signal,
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch ${file}.json: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    console.log(`[API] Successfully fetched ${file}.json`);
-
-    // Cache the result
-    fileCache.set(file, data);
-
-    return data;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
+export const API_BASE_URL = client.baseUrl;
 
 /**
- * Generic JSON file fetcher WITHOUT caching (for batched operations)
+ * Generic JSON file fetcher with timeout and caching
  */
-export async function fetchFileUncached<T>(file: string): Promise<T> {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
-
-  try {
-    const response = await fetch(`${API_BASE_URL}/${file}.json`, {
-      signal: controller.signal,
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch ${file}.json: ${response.status} ${response.statusText}`);
-    }
-
-    return await response.json();
-  } finally {
-    clearTimeout(timeoutId);
-  }
+export async function fetchFile<T>(file: string): Promise<T> {
+  return client.fetchFile(file);
 }
 
 /**
  * Fetch metadata
  */
 export async function fetchMeta(): Promise<Meta> {
-  return fetchFile<Meta>('meta');
+  return client.fetchMeta();
 }
 
 /**
  * Fetch all news sources
  */
 export async function fetchSources(): Promise<Source[]> {
-  return fetchFile<Source[]>('news_sources');
+  return client.fetchSources();
 }
 
 /**
  * Fetch all tags
  */
 export async function fetchTags(): Promise<Tag[]> {
-  return fetchFile<Tag[]>('tags');
+  return client.fetchTags();
 }
 
 /**
  * Fetch tag-to-article mappings
  */
 export async function fetchTagArticles(): Promise<TagArticles[]> {
-  return fetchFile<TagArticles[]>('tag_articles');
+  return client.fetchTagArticles();
 }
 
 /**
  * Calculate batch ID from item ID
- * Batch size is 100 items per file
+ * Each file holds BATCH_SIZE items
  */
 export function getBatchId(newsId: number): number {
-  return Math.floor(newsId / 100) * 100;
+  return getSharedBatchId(newsId);
 }
 
 /**
  * Fetch news articles with batching support
  */
 export async function fetchNewsArticles(latestId?: number): Promise<NewsArticle[]> {
-
-  const batchStart =  getBatchId(latestId || 100);
-  const cacheKey = `${batchStart || 'base'}`;
-  console.log(`GEtting ${cacheKey} news articles` )
-  // Check cache
-  if (newsArticlesCache.has(cacheKey)) {
-    console.log(`[API Cache] Hit for news_articles: ${cacheKey}`);
-    return newsArticlesCache.get(cacheKey)!;
-  }
-
   // If no latestId provided, fetch base file
   if (!latestId) {
-    const result = await fetchFile<NewsArticle[]>('news_articles');
-    newsArticlesCache.set(cacheKey, result);
-    return result;
+    return client.fetchFile('news_articles');
   }
 
-  const flatResults = await fetchFileUncached<NewsArticle[]>(`news_articles.${batchStart}`)
-        .catch((err) => {
-          console.warn(`[API] Failed to fetch batch ${batchStart}:`, err);
-          return [];
-        })
-
-  console.log(`Getting ${flatResults.length} flats
-     ${flatResults[0].id}  ${flatResults[flatResults.length-1].id}`)
+  const flatResults: NewsArticle[] = await client.fetchNewsArticlesBatch(latestId).catch((err) => {
+    console.warn(`[API] Failed to fetch batch ${getBatchId(latestId)}:`, err);
+    return [];
+  });
 
-  newsArticlesCache.set(cacheKey, flatResults);
   return flatResults;
 }
 
@@ -140,24 +107,8 @@ export async function fetchNewsArticles(latestId?: number): Promise<NewsArticle[
  * Fetch a single news article by ID
  */
 export async function fetchNewsArticleById(id: number): Promise<NewsArticle | undefined> {
-  
-  const batchStart = getBatchId(id);
-
-  if (newsArticleCache.has(batchStart)) {
-    console.log(`[API Cache] Hit for article ${id}`);
-    return newsArticleCache.get(batchStart)?.find(a=>a.id===id);
-  }
-
-
   try {
-    const articles = await fetchFileUncached<NewsArticle[]>(`news_articles.${batchStart}`);
-    const article = articles.find((a) => a.id === id);
-
-    if (article) {
-      newsArticleCache.set(id, articles);
-    }
-
-    return article;
+    return await client.fetchClusterById(id);
   } catch (error) {
     console.warn(`[API] Failed to fetch article ${id}:`, error);
     return undefined;
@@ -168,20 +119,10 @@ export async function fetchNewsArticleById(id: number): Promise<NewsArticle | un
  * Fetch a single batch of raw news items
  */
 export async function fetchNewsRawBatch(startId: number): Promise<NewsRawItem[]> {
-  const batchStart = getBatchId(startId);
-
-  // Check cache
-  if (newsRawBatchCache.has(batchStart)) {
-    console.log(`[API Cache] Hit for news_raw batch ${batchStart}`);
-    return newsRawBatchCache.get(batchStart)!;
-  }
-
   try {
-    const result = await fetchFileUncached<NewsRawItem[]>(`news_raw.${batchStart}`);
-    newsRawBatchCache.set(batchStart, result);
-    return result;
+    return await client.fetchNewsRawBatch(startId);
   } catch (error) {
-    console.warn(`[API] Failed to fetch news_raw batch ${batchStart}:`, error);
+    console.warn(`[API] Failed to fetch news_raw batch ${getBatchId(startId)}:`, error);
     return [];
   }
 }
@@ -190,29 +131,7 @@ export async function fetchNewsRawBatch(startId: number): Promise<NewsRawItem[]>
  * Fetch multiple raw news items by IDs
  */
 export async function fetchNewsRawByIds(ids: number[]): Promise<NewsRawItem[]> {
-  if (ids.length === 0) return [];
-
-  // Group by batch
-  const batchGroups = new Map<number, number[]>();
-  for (const id of ids) {
-    const batchId = getBatchId(id);
-    if (!batchGroups.has(batchId)) {
-      batchGroups.set(batchId, []);
-    }
-    batchGroups.get(batchId)!.push(id);
-  }
-
-  // Fetch each batch
-  const results: NewsRawItem[] = [];
-  for (const [batchId, idsInBatch] of batchGroups) {
-    const batch = await fetchNewsRawBatch(batchId);
-    const items = batch.filter((item) => idsInBatch.includes(item.id));
-    results.push(...items);
-  }
-
-  // Sort by original ID order
-  const idOrder = new Map(ids.map((id, index) => [id, index]));
-  return results.sort((a, b) => (idOrder.get(a.id) || 0) - (idOrder.get(b.id) || 0));
+  return client.fetchNewsRawByIds(ids);
 }
 
 /**
@@ -227,69 +146,150 @@ export async function fetchNewsRawById(id: number): Promise<NewsRawItem | undefi
  * Fetch news items for a specific tag
  */
 export async function fetchNewsByTag(tagId: number, limit: number = 20): Promise<NewsRawItem[]> {
-  const tagArticles = await fetchTagArticles();
-  const tagMapping = tagArticles.find((t) => t.tag_id === tagId);
-
-  if (!tagMapping || tagMapping.articles.length === 0) {
-    return [];
-  }
+  return client.fetchNewsByTag(tagId, limit);
+}
 
-  const articleIds = tagMapping.articles.slice(0, limit);
-  return fetchNewsRawByIds(articleIds);
+/**
+ * Fetch the newest news items tagged with any of several tags
+ */
+export async function fetchNewsByTags(tagIds: number[], limit: number = 20): Promise<NewsRawItem[]> {
+  return client.fetchNewsByTags(tagIds, limit);
 }
 
+let taxonomyPromise: Promise<Taxonomy> | undefined;
+
 /**
- * Search news items (build-time only)
- * Note: This is expensive, use sparingly
+ * Tag taxonomy tree, built once per build
+ * Cycles and orphaned parent links are logged and left out of the tree.
  */
-export async function searchNews(query: string, limit: number = 50): Promise<NewsRawItem[]> {
-  // For build-time search, fetch recent batches and filter
-  const staticLimit = parseInt(import.meta.env.NEWS_STATIC_ARTICLE_LIMIT || '100');
-  const numBatches = Math.ceil(staticLimit / 100);
-
-  const promises: Promise<NewsRawItem[]>[] = [];
-  for (let i = 0; i < numBatches; i++) {
-    promises.push(fetchNewsRawBatch(i * 100));
+export function fetchTaxonomy(): Promise<Taxonomy> {
+  if (!taxonomyPromise) {
+    taxonomyPromise = fetchTags().then((tags) => {
+      const taxonomy = buildTaxonomy(tags);
+      for (const problem of describeTaxonomyProblems(taxonomy)) {
+        console.warn(`[Taxonomy] ${problem}`);
+      }
+      return taxonomy;
+    });
   }
+  return taxonomyPromise;
+}
 
-  const allBatches = await Promise.all(promises);
-  const allItems = allBatches.flat();
-
-  const queryLower = query.toLowerCase();
-  const results = allItems.filter(
-    (item) =>
-      item.title.toLowerCase().includes(queryLower) || item.article.toLowerCase().includes(queryLower)
-  );
+/**
+ * Newest clusters and articles for the home page
+ */
+export function fetchHomePage(): Promise<HomePage> {
+  return fetchSharedHomePage(client);
+}
 
-  return results.slice(0, limit);
+/**
+ * Description and newest articles of a tag page
+ */
+export async function fetchTagPage(tag: Tag): Promise<TagPage> {
+  return fetchSharedTagPage(client, tag, await fetchTaxonomy());
 }
 
 /**
  * Get recent news items
  */
 export async function fetchRecentNews(limit: number = 20): Promise<NewsRawItem[]> {
-  // Fetch metadata to get latest news_raw ID
-  const meta = await fetchMeta();
-  const latestId = meta.tables.news_raw.latest_id;
-
-  // Fetch recent batches to get raw items
-  const batchSize = 100;
-  const numBatches = Math.ceil(limit / batchSize);
-
-  const allRawIds: number[] = [];
-  for (let i = 0; i < numBatches; i++) {
-    const startId = latestId - i * batchSize;
-    allRawIds.push(startId);
+  return client.fetchRecentNews(limit);
+}
+
+/**
+ * Get recent clusters, from as many batches as it takes
+ */
+export async function fetchRecentClusters(limit: number = 20): Promise<NewsArticle[]> {
+  return client.fetchRecentClusters(limit);
+}
+
+/**
+ * Fetch one page of the archive (clusters and raw news, newest first)
+ */
+export async function fetchArchivePage(page: number) {
+  return fetchSharedArchivePage(client, await fetchMeta(), page);
+}
+
+/**
+ * Fetch the clusters and raw news published on a `YYYY-MM-DD` day
+ */
+export async function fetchArchiveDay(day: string) {
+  return fetchSharedArchiveDay(client, await fetchMeta(), day);
+}
+
+let sourceStatsPromise: Promise<Map<number, SourceStats>> | undefined;
+
+/**
+ * Per-source statistics over the most recent raw news batches
+ * Computed once per build and shared by all source pages.
+ */
+export function fetchSourceStats(): Promise<Map<number, SourceStats>> {
+  if (!sourceStatsPromise) {
+    sourceStatsPromise = (async () => {
+      const batches = parseInt(import.meta.env.NEWS_SOURCE_STATS_BATCHES || '20');
+      const [meta, items] = await Promise.all([fetchMeta(), client.fetchRecentNews(batches * BATCH_SIZE)]);
+      return computeSourceStats(items, { now: meta.generated_at });
+    })();
+  }
+  return sourceStatsPromise;
+}
+
+let trendingPromise: Promise<Trending> | undefined;
+
+/**
+ * Trending tags and clusters as of meta.generated_at
+ * Computed once per build and shared by the home page and /trending.
+ */
+export function fetchTrending(): Promise<Trending> {
+  if (!trendingPromise) {
+    trendingPromise = fetchSharedTrending(client, {
+      maxBatches: parseInt(import.meta.env.NEWS_TRENDING_BATCHES || '20'),
+    });
+  }
+  return trendingPromise;
+}
+
+const NO_RECOMMENDATIONS: Recommendations = { story: [], articles: [], clusters: [] };
+
+/**
+ * Related coverage for an article page: the rest of its cluster, related articles and clusters
+ */
+export async function fetchRelatedForArticle(item: NewsRawItem): Promise<Recommendations> {
+  try {
+    return await fetchRecommendations(client, articleTarget(item));
+  } catch (error) {
+    console.warn(`[API] Failed to fetch recommendations for article ${item.id}:`, error);
+    return NO_RECOMMENDATIONS;
   }
+}
 
-  // Fetch items from these batches
-  const results: NewsRawItem[] = [];
-  for (const startId of allRawIds) {
-    const batch = await fetchNewsRawBatch(startId);
-    results.push(...batch);
+/**
+ * Items cited by an article body or cluster summary
+ * Citations of items that don't exist are logged, so they can be fixed upstream.
+ * Undefined when the items can't be fetched; templates then link citations by ID.
+ */
+export async function fetchCitedItems(text: string, citedBy: string): Promise<Map<number, NewsRawItem> | undefined> {
+  try {
+    const citedItems = await fetchSharedCitedItems(client, text);
+    const missing = citedIds(text).filter((id) => !citedItems.has(id));
+    if (missing.length > 0) {
+      console.warn(`[Citations] ${citedBy} cites missing items: ${missing.join(', ')}`);
+    }
+    return citedItems;
+  } catch (error) {
+    console.warn(`[API] Failed to fetch items cited by ${citedBy}:`, error);
+    return undefined;
   }
+}
 
-  // Sort by ID descending (newest first) and limit
-  const sorted = results.sort((a, b) => b.id - a.id);
-  return sorted.slice(0, limit);
+/**
+ * Related articles and clusters for a cluster page
+ */
+export async function fetchRelatedForCluster(cluster: NewsArticle): Promise<Recommendations> {
+  try {
+    return await fetchRecommendations(client, clusterTarget(cluster), { story: 0 });
+  } catch (error) {
+    console.warn(`[API] Failed to fetch recommendations for cluster ${cluster.id}:`, error);
+    return NO_RECOMMENDATIONS;
+  }
 }
@@ -0,0 +1,284 @@
+import type { NewsArticle, NewsRawItem, Source } from '@/types/db';
+import { cleanTitle, getSourceName } from '@/lib/utils';
+
+const SITE_ORIGIN = new URL(import.meta.env.SITE || 'https://newshelp.org').origin;
+const SITE_TITLE = 'News Help';
+const SUMMARY_LENGTH = 300;
+
+export const FEED_FILES = ['rss.xml', 'atom.xml', 'feed.json'] as const;
+export type FeedFile = (typeof FEED_FILES)[number];
+
+const FEED_TYPES: Record<FeedFile, string> = {
+  'rss.xml': 'application/rss+xml',
+  'atom.xml': 'application/atom+xml',
+  'feed.json': 'application/feed+json',
+};
+
+export interface FeedAuthor {
+  name: string;
+  url?: string;
+}
+
+export interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  summary: string;
+  published: string;
+  image?: string;
+  authors: FeedAuthor[];
+}
+
+export interface Feed {
+  title: string;
+  description: string;
+  /** Site path of the HTML page this feed mirrors, e.g. `/tag/economy` */
+  pagePath: string;
+  /** Site path the feed files live under, e.g. `/tag/economy` → `/tag/economy/rss.xml` */
+  feedPath: string;
+  updated: string;
+  items: FeedItem[];
+}
+
+export interface FeedLink {
+  title: string;
+  href: string;
+  type: string;
+}
+
+/**
+ * Site-wide feeds advertised on every page
+ */
+export const SITE_FEEDS = [
+  { title: `${SITE_TITLE} - Latest News`, path: '/feeds/news' },
+  { title: `${SITE_TITLE} - Top Stories`, path: '/feeds/clusters' },
+];
+
+/**
+ * Build `<link rel="alternate">` descriptors for a feed path in every format
+ */
+export function feedLinks(title: string, path: string): FeedLink[] {
+  return FEED_FILES.map((file) => ({
+    title: `${title} (${file === 'feed.json' ? 'JSON Feed' : file === 'atom.xml' ? 'Atom' : 'RSS'})`,
+    href: `${path}/${file}`,
+    type: FEED_TYPES[file],
+  }));
+}
+
+/**
+ * Escape text for XML element content and attributes
+ */
+export function escapeXml(text: string): string {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Guess an image MIME type from its URL
+ */
+function imageType(url: string): string {
+  const extension = url.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+  switch (extension) {
+    case 'png':
+      return 'image/png';
+    case 'gif':
+      return 'image/gif';
+    case 'webp':
+      return 'image/webp';
+    case 'avif':
+      return 'image/avif';
+    default:
+      return 'image/jpeg';
+  }
+}
+
+/**
+ * Strip markdown markers and citations from summaries
+ */
+function toSummary(text: string): string {
+  const plain = cleanTitle(text || '')
+    .replace(/\[(\d+(?:,\s*\d+)*)\]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+  return plain.length > SUMMARY_LENGTH ? plain.slice(0, SUMMARY_LENGTH).trim() + '...' : plain;
+}
+
+/**
+ * Get feed attribution for a raw item's source
+ */
+function sourceAuthor(sourceId: string, sourcesMap: Map<number, Source>): FeedAuthor {
+  const source = sourcesMap.get(parseInt(sourceId));
+  return { name: getSourceName(sourceId, sourcesMap), url: source?.link || undefined };
+}
+
+/**
+ * Convert raw news items to feed items
+ */
+export function newsToFeedItems(items: NewsRawItem[], sourcesMap: Map<number, Source>): FeedItem[] {
+  return items.map((item) => ({
+    id: `${SITE_ORIGIN}/news/${item.id}`,
+    url: `${SITE_ORIGIN}/news/${item.id}`,
+    title: cleanTitle(item.title),
+    summary: toSummary(item.article),
+    published: item.created_at,
+    image: item.imgUrl || undefined,
+    authors: [sourceAuthor(item.source, sourcesMap)],
+  }));
+}
+
+/**
+ * Convert clusters to feed items, attributing every contributing source
+ */
+export function clustersToFeedItems(
+  clusters: NewsArticle[],
+  rawItems: NewsRawItem[],
+  sourcesMap: Map<number, Source>
+): FeedItem[] {
+  const rawMap = new Map(rawItems.map((item) => [item.id, item]));
+
+  return clusters.map((cluster) => {
+    const clusterItems = cluster.articles
+      .map((id) => rawMap.get(id))
+      .filter((item): item is NewsRawItem => Boolean(item));
+    const authors = new Map<string, FeedAuthor>();
+    for (const item of clusterItems) {
+      const author = sourceAuthor(item.source, sourcesMap);
+      authors.set(author.name, author);
+    }
+
+    return {
+      id: `${SITE_ORIGIN}/articles/${cluster.id}`,
+      url: `${SITE_ORIGIN}/articles/${cluster.id}`,
+      title: cleanTitle(cluster.title),
+      summary: toSummary(cluster.short_desc),
+      published: cluster.created_at,
+      image: clusterItems.find((item) => item.imgUrl)?.imgUrl,
+      authors: [...authors.values()],
+    };
+  });
+}
+
+/**
+ * Render an RSS 2.0 document
+ */
+function renderRss(feed: Feed): string {
+  const items = feed.items
+    .map((item) =>
+      [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+        `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        ...item.authors.map((author) => `      <dc:creator>${escapeXml(author.name)}</dc:creator>`),
+        item.image && `      <enclosure url="${escapeXml(item.image)}" type="${imageType(item.image)}" length="0" />`,
+        '    </item>',
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(SITE_ORIGIN + feed.pagePath)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(`${SITE_ORIGIN}${feed.feedPath}/rss.xml`)}" rel="self" type="application/rss+xml" />
+${items}
+  </channel>
+</rss>`;
+}
+
+/**
+ * Render an Atom 1.0 document
+ */
+function renderAtom(feed: Feed): string {
+  const entries = feed.items
+    .map((item) =>
+      [
+        '  <entry>',
+        `    <id>${escapeXml(item.id)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+        item.image && `    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}" />`,
+        `    <published>${new Date(item.published).toISOString()}</published>`,
+        `    <updated>${new Date(item.published).toISOString()}</updated>`,
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        ...item.authors.map(
+          (author) =>
+            `    <author><name>${escapeXml(author.name)}</name>` +
+            `${author.url ? `<uri>${escapeXml(author.url)}</uri>` : ''}</author>`
+        ),
+        '  </entry>',
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${escapeXml(`${SITE_ORIGIN}${feed.feedPath}/atom.xml`)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${SITE_ORIGIN}${feed.feedPath}/atom.xml`)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(SITE_ORIGIN + feed.pagePath)}" />
+  <author>
+    <name>${SITE_TITLE}</name>
+  </author>
+${entries}
+</feed>`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ */
+function renderJsonFeed(feed: Feed): string {
+  return JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: SITE_ORIGIN + feed.pagePath,
+      feed_url: `${SITE_ORIGIN}${feed.feedPath}/feed.json`,
+      description: feed.description,
+      language: 'en',
+      items: feed.items.map((item) => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_text: item.summary,
+        date_published: new Date(item.published).toISOString(),
+        authors: item.authors,
+        ...(item.image && {
+          image: item.image,
+          attachments: [{ url: item.image, mime_type: imageType(item.image) }],
+        }),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Render a feed in the format implied by its file name
+ */
+export function feedResponse(feed: Feed, file: FeedFile): Response {
+  const body = file === 'rss.xml' ? renderRss(feed) : file === 'atom.xml' ? renderAtom(feed) : renderJsonFeed(feed);
+
+  return new Response(body, {
+    headers: { 'Content-Type': `${FEED_TYPES[file]}; charset=utf-8` },
+  });
+}
@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import { fetchMeta, fetchRecentClusters, fetchNewsRawByIds, fetchSources } from '@/lib/api';
+import { FEED_FILES, clustersToFeedItems, feedResponse, type FeedFile } from '@/lib/feeds';
+
+export function getStaticPaths() {
+  return FEED_FILES.map((file) => ({ params: { file } }));
+}
+
+export const GET: APIRoute = async ({ params }) => {
+  const [meta, sources, clusters] = await Promise.all([fetchMeta(), fetchSources(), fetchRecentClusters(30)]);
+  const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+
+  // A handful of raw items per cluster is enough for images and attribution
+  const rawItems = await fetchNewsRawByIds(clusters.flatMap((cluster) => cluster.articles.slice(0, 5)));
+
+  return feedResponse(
+    {
+      title: 'News Help - Top Stories',
+      description: 'The latest stories, each covered by multiple sources',
+      pagePath: '/',
+      feedPath: '/feeds/clusters',
+      updated: meta.generated_at,
+      items: clustersToFeedItems(clusters, rawItems, sourcesMap),
+    },
+    params.file as FeedFile
+  );
+};
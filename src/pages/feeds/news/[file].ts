@@ -0,0 +1,24 @@
+import type { APIRoute } from 'astro';
+import { fetchMeta, fetchRecentNews, fetchSources } from '@/lib/api';
+import { FEED_FILES, feedResponse, newsToFeedItems, type FeedFile } from '@/lib/feeds';
+
+export function getStaticPaths() {
+  return FEED_FILES.map((file) => ({ params: { file } }));
+}
+
+export const GET: APIRoute = async ({ params }) => {
+  const [meta, news, sources] = await Promise.all([fetchMeta(), fetchRecentNews(50), fetchSources()]);
+  const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+
+  return feedResponse(
+    {
+      title: 'News Help - Latest News',
+      description: 'The latest articles from every source',
+      pagePath: '/',
+      feedPath: '/feeds/news',
+      updated: meta.generated_at,
+      items: newsToFeedItems(news, sourcesMap),
+    },
+    params.file as FeedFile
+  );
+};
@@ -0,0 +1,37 @@
+import type { APIRoute } from 'astro';
+import type { Source } from '@/types/db';
+import { fetchMeta, fetchSources, fetchSourceStats } from '@/lib/api';
+import { FEED_FILES, feedResponse, newsToFeedItems, type FeedFile } from '@/lib/feeds';
+import { sourcePath, sourceSlug } from '../../../../public/scripts/lib/sources.js';
+
+export async function getStaticPaths() {
+  const sources = await fetchSources();
+
+  return sources.flatMap((source) =>
+    FEED_FILES.map((file) => ({
+      params: { slug: sourceSlug(source), file },
+      props: { source },
+    }))
+  );
+}
+
+export const GET: APIRoute = async ({ params, props }) => {
+  const { source } = props as { source: Source };
+  const path = sourcePath(source);
+
+  const [meta, sources, stats] = await Promise.all([fetchMeta(), fetchSources(), fetchSourceStats()]);
+  const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+  const items = stats.get(source.id)?.items.slice(0, 50) || [];
+
+  return feedResponse(
+    {
+      title: `News Help - ${source.title}`,
+      description: source.description || `Latest news from ${source.title}`,
+      pagePath: path,
+      feedPath: path,
+      updated: meta.generated_at,
+      items: newsToFeedItems(items, sourcesMap),
+    },
+    params.file as FeedFile
+  );
+};
@@ -0,0 +1,42 @@
+import type { APIRoute } from 'astro';
+import type { Tag } from '@/types/db';
+import { fetchMeta, fetchNewsByTags, fetchSources, fetchTags, fetchTaxonomy } from '@/lib/api';
+import { FEED_FILES, feedResponse, newsToFeedItems, type FeedFile } from '@/lib/feeds';
+import { getDescendants } from '../../../../public/scripts/lib/taxonomy.js';
+import { tagPath } from '../../../../public/scripts/lib/tag-slugs.js';
+
+export async function getStaticPaths() {
+  const tags = await fetchTags();
+
+  return tags.flatMap((tag) =>
+    FEED_FILES.map((file) => ({
+      params: { slug: tag.slug, file },
+      props: { tag },
+    }))
+  );
+}
+
+export const GET: APIRoute = async ({ params, props }) => {
+  const { tag } = props as { tag: Tag };
+  const path = tagPath(tag);
+
+  const descendants = getDescendants(await fetchTaxonomy(), tag.id);
+  const [meta, news, sources] = await Promise.all([
+    fetchMeta(),
+    fetchNewsByTags([tag.id, ...descendants.map((t) => t.id)], 50),
+    fetchSources(),
+  ]);
+  const sourcesMap = new Map(sources.map((s) => [s.id, s]));
+
+  return feedResponse(
+    {
+      title: `News Help - ${tag.tag}`,
+      description: tag.desc || `Latest news about ${tag.tag}`,
+      pagePath: path,
+      feedPath: path,
+      updated: meta.generated_at,
+      items: newsToFeedItems(news, sourcesMap),
+    },
+    params.file as FeedFile
+  );
+};
@@ -1,3 +1,5 @@
+// Shapes of the API's JSON files, checked at runtime by public/scripts/lib/schema.js
+
 // Source: Individual news source
 export interface Source {
   id: number;
@@ -26,6 +28,8 @@ export interface Tag {
   desc: string;
   orderBy: number;
   parent: number[];
+  // Unique URL slug, assigned by the data client (public/scripts/lib/tag-slugs.js)
+  slug?: string;
 }
 
 // NewsArticle: Cluster/aggregated news topic
@@ -56,7 +60,7 @@ export interface NewsRawItem {
   cluster_id: number;
   created_at: string;
   guid: string;
-  objective: 7;
+  objective: number; // 7 for every item so far
 }
 
 // Helper types
@@ -0,0 +1,177 @@
+/**
+ * Tests for the data client's per-file cache lifetimes, its IndexedDB backend and batch
+ * loading (public/scripts/lib/data-client.js); IndexedDB is fake-indexeddb's
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { createDataClient, createIndexedDbCache, isLatestFile, BATCH_CONCURRENCY } from '../public/scripts/lib/data-client.js';
+import { fixtureFiles, fixtureFetch } from './helpers/fixtures.js';
+
+const meta = fixtureFiles().get('meta');
+
+test('meta, unbatched files and the newest batches change with every update', () => {
+  assert.equal(meta.tables.news_raw.latest_id, 450);
+  assert.equal(meta.tables.news_articles.latest_id, 90);
+
+  for (const file of ['meta', 'tags', 'tag_articles', 'news_sources', 'news_articles', 'news_raw.400', 'news_articles.0']) {
+    assert.ok(isLatestFile(file, meta), file);
+  }
+  assert.ok(!isLatestFile('news_raw.300', meta));
+  // Without meta, any batch may be the newest
+  assert.ok(isLatestFile('news_raw.300', undefined));
+});
+
+test('a maxAge function gets each file and the newest meta', async () => {
+  const now = Date.now();
+  const stored = new Map();
+  // Every file was cached 90 seconds ago
+  const cache = {
+    async get(key) {
+      return stored.get(key);
+    },
+    async set(key, value) {
+      stored.set(key, { value, storedAt: now - 90000 });
+    },
+    async delete(key) {
+      stored.delete(key);
+    },
+  };
+  const requested = [];
+  const api = fixtureFetch();
+  const client = createDataClient({
+    cache,
+    retries: 0,
+    maxAge: (file, latest) => (isLatestFile(file, latest) ? 60000 : 600000),
+    fetch: (input, init) => {
+      requested.push(new URL(String(input)).pathname);
+      return api(input, init);
+    },
+  });
+
+  await client.fetchMeta();
+  await client.fetchNewsRawBatch(300);
+  await client.fetchNewsRawBatch(400);
+  requested.length = 0;
+
+  await client.fetchMeta();
+  await client.fetchNewsRawBatch(300);
+  await client.fetchNewsRawBatch(400);
+  assert.deepEqual(requested, ['/meta.json', '/news_raw.400.json']);
+});
+
+test('batches load in parallel, at most BATCH_CONCURRENCY at a time', async () => {
+  const api = fixtureFetch();
+  const requested = [];
+  let inflight = 0;
+  let mostInflight = 0;
+  const client = createDataClient({
+    retries: 0,
+    fetch: async (input, init) => {
+      requested.push(new URL(String(input)).pathname);
+      mostInflight = Math.max(mostInflight, ++inflight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inflight--;
+      return api(input, init);
+    },
+  });
+
+  const news = await client.fetchRecentNews(120);
+  assert.equal(news.length, 120);
+  assert.ok(news.every((item, index) => index === 0 || item.id < news[index - 1].id));
+  // Latest ID 450: the 120 newest span batches 400 and 300, fetched together
+  assert.deepEqual(requested, ['/meta.json', '/news_raw.400.json', '/news_raw.300.json']);
+  assert.equal(mostInflight, 2);
+
+  mostInflight = 0;
+  const ids = Array.from({ length: 10 }, (_, index) => 1000 + index * 100);
+  const batches = await client.fetchBatches('news_raw', ids);
+  assert.ok(batches.every(({ status }) => status === 'rejected'));
+  assert.equal(mostInflight, BATCH_CONCURRENCY);
+});
+
+test('the newest clusters come from as many batches as it takes', async () => {
+  // Only the first item of the newest batch exists, as just after a rollover
+  const files = new Map(fixtureFiles());
+  const meta = files.get('meta');
+  files.set('meta', { ...meta, tables: { ...meta.tables, news_articles: { ...meta.tables.news_articles, latest_id: 100 } } });
+  files.set('news_articles.100', [{ ...files.get('news_articles.0')[0], id: 100 }]);
+
+  const clusters = await createDataClient({ retries: 0, fetch: fixtureFetch(files) }).fetchRecentClusters(30);
+  assert.equal(clusters.length, 30);
+  assert.equal(clusters[0].id, 100);
+  assert.ok(clusters.slice(1).every((cluster) => cluster.id < 100));
+});
+
+/**
+ * Keys left in an IndexedDB cache's store
+ * @param {string} dbName
+ */
+function storedKeys(dbName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName);
+    request.onsuccess = () => {
+      const keys = request.result.transaction('api-files').objectStore('api-files').getAllKeys();
+      keys.onsuccess = () => {
+        request.result.close();
+        resolve(keys.result);
+      };
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('the IndexedDB cache keeps at most maxEntries, dropping the oldest stored', async (t) => {
+  let now = Date.parse('2026-03-05T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const cache = createIndexedDbCache({ dbName: 'max-entries', maxEntries: 3 });
+
+  for (const key of ['a', 'b', 'c', 'd']) {
+    await cache.set(key, key);
+    now += 1000;
+  }
+  // Storing an entry again makes it the newest
+  await cache.set('b', 'b2');
+
+  assert.deepEqual(await storedKeys('max-entries'), ['b', 'c', 'd']);
+  assert.deepEqual(await cache.get('b'), { value: 'b2', storedAt: now });
+  assert.equal(await cache.get('a'), undefined);
+});
+
+test('the IndexedDB cache drops entries older than its ttl', async (t) => {
+  let now = Date.parse('2026-03-05T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const cache = createIndexedDbCache({ dbName: 'ttl', ttl: 60 });
+
+  await cache.set('old', 1);
+  now += 30 * 1000;
+  await cache.set('recent', 2);
+  now += 40 * 1000;
+
+  assert.equal(await cache.get('old'), undefined);
+  assert.equal((await cache.get('recent')).value, 2);
+  await cache.set('new', 3);
+  assert.deepEqual(await storedKeys('ttl'), ['new', 'recent']);
+});
+
+test('an IndexedDB cache from before pruning keeps its entries', async () => {
+  // Version 1 had the store without the storedAt index
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('upgrade', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('api-files').put({ value: 'kept', storedAt: Date.now() }, 'meta');
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve(undefined);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const cache = createIndexedDbCache({ dbName: 'upgrade', maxEntries: 2 });
+  assert.equal((await cache.get('meta')).value, 'kept');
+  await cache.set('tags', []);
+  await cache.set('news_sources', []);
+  assert.deepEqual(await storedKeys('upgrade'), ['news_sources', 'tags']);
+});
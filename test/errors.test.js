@@ -0,0 +1,98 @@
+/**
+ * Tests for the error statuses (public/scripts/lib/errors.js) and how the
+ * Pages Function serves them
+ */
+
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDataClient, HttpError } from '../public/scripts/lib/data-client.js';
+import { PageError, RETRY_AFTER, itemError, toPageError, errorMessageKey } from '../public/scripts/lib/errors.js';
+import { buildFixtures } from '../scripts/generateFixtures.js';
+import { FIXTURE_OPTIONS, fixtureFetch, createEdgeCache, functionContext } from './helpers/fixtures.js';
+
+// Only the two newest of five news_raw batches are served: 300-450
+const files = buildFixtures({ ...FIXTURE_OPTIONS, retention: 2 });
+const LATEST_ID = files.get('meta').tables.news_raw.latest_id;
+
+const networkDown = async () => {
+  throw new TypeError('fetch failed');
+};
+
+/**
+ * @param {typeof fetch} [fetch]
+ */
+function client(fetch = fixtureFetch(files)) {
+  return createDataClient({ fetch, retries: 0 });
+}
+
+test('an ID above the latest is a 404', async () => {
+  const error = await itemError(client(), 'news_raw', LATEST_ID + 1);
+  assert.ok(error instanceof PageError);
+  assert.equal(error.status, 404);
+});
+
+test('an ID missing from a batch that still exists is a 404', async () => {
+  assert.equal((await itemError(client(), 'news_raw', 399)).status, 404);
+});
+
+test('an ID whose batch is past the retention window is a 410', async () => {
+  const dataClient = client();
+  await assert.rejects(dataClient.fetchNewsRawById(150), (error) => error instanceof HttpError && error.status === 404);
+
+  const error = await itemError(dataClient, 'news_raw', 150, new HttpError('news_raw.100.json', 404));
+  assert.equal(error.status, 410);
+  assert.equal((await itemError(dataClient, 'news_raw', 150)).status, 410);
+});
+
+test('an upstream failure is a 503', async () => {
+  assert.equal((await itemError(client(), 'news_raw', 400, new TypeError('fetch failed'))).status, 503);
+  assert.equal((await itemError(client(), 'news_raw', 400, new HttpError('news_raw.400.json', 502))).status, 503);
+  // Without meta there is no telling a missing item from a gone one
+  assert.equal((await itemError(client(networkDown), 'news_raw', 400)).status, 503);
+});
+
+test('an existing PageError is kept and anything else becomes a 503', () => {
+  const gone = new PageError(410);
+  assert.equal(toPageError(gone), gone);
+  assert.equal(toPageError(new Error('boom')).status, 503);
+  assert.equal(errorMessageKey(410), 'error.gone');
+  assert.equal(errorMessageKey(500), 'error.unavailable');
+});
+
+describe('Pages Function', () => {
+  let onRequest;
+  const env = { NEWS_API_RETRIES: '0' };
+
+  before(async () => {
+    globalThis.caches = /** @type {any} */ ({ default: createEdgeCache() });
+    ({ onRequest } = await import('../functions/[[catchall]].js'));
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = fixtureFetch(files);
+  });
+
+  test('an ID above the latest gets a cacheable 404 page', async () => {
+    const response = await onRequest(functionContext(`/news/${LATEST_ID + 1}`, { env }));
+    assert.equal(response.status, 404);
+    assert.match(response.headers.get('Cache-Control'), /^public, max-age=\d+$/);
+    assert.equal(response.headers.get('X-Robots-Tag'), 'noindex, follow');
+    assert.match(await response.text(), /<div class="error" data-status="404">/);
+  });
+
+  test('an expired ID gets a cacheable 410 page', async () => {
+    const response = await onRequest(functionContext('/news/150', { env }));
+    assert.equal(response.status, 410);
+    assert.match(response.headers.get('Cache-Control'), /^public, max-age=\d+$/);
+    assert.equal(response.headers.get('X-Robots-Tag'), 'noindex, follow');
+  });
+
+  test('an upstream outage gets an uncached 503 with Retry-After', async () => {
+    globalThis.fetch = networkDown;
+    // Nothing from the news_raw.400 batch has been cached, so there is no stale copy to fall back on
+    const response = await onRequest(functionContext('/news/420', { env }));
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    assert.equal(response.headers.get('Retry-After'), String(RETRY_AFTER));
+  });
+});
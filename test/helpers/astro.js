@@ -0,0 +1,45 @@
+/**
+ * Astro pages rendered the way the static build renders them, without a build
+ *
+ * A Vite server set up from the project's Astro config loads the .astro
+ * files and Astro's container API renders them. Pages load their data
+ * through src/lib/api.ts, which uses the global `fetch`, so tests answer it
+ * with fixtures (helpers/fixtures.js).
+ */
+
+import { createServer } from 'vite';
+import { getViteConfig } from 'astro/config';
+import { experimental_AstroContainer } from 'astro/container';
+
+/**
+ * Start the loader; `close()` it when done
+ */
+export async function createAstroRenderer() {
+  const config = await getViteConfig(
+    { server: { middlewareMode: true, hmr: false }, appType: 'custom', logLevel: 'error' },
+    { logLevel: 'error', devToolbar: { enabled: false } },
+  )({ command: 'serve', mode: 'test' });
+  const server = await createServer({ ...config, configFile: false });
+  const container = await experimental_AstroContainer.create();
+
+  return {
+    /**
+     * HTML of a page as the build writes it
+     * @param {string} file - From the project root, e.g. `/src/pages/index.astro`
+     * @param {{ props?: Record<string, any>, params?: Record<string, string> }} [options] - What getStaticPaths would pass
+     * @returns {Promise<string>}
+     */
+    async render(file, options) {
+      const { default: page } = await server.ssrLoadModule(file);
+      // src/lib/api.ts logs every file it fetches
+      const { log } = console;
+      console.log = () => {};
+      try {
+        return await container.renderToString(page, options);
+      } finally {
+        console.log = log;
+      }
+    },
+    close: () => server.close(),
+  };
+}
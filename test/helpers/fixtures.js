@@ -0,0 +1,87 @@
+/**
+ * Fixture data for the tests, served the way the news API serves it
+ *
+ * The data comes from the mock API's generator (scripts/generateFixtures.js)
+ * with a fixed seed and clock, so every run renders the same pages.
+ */
+
+import { buildFixtures } from '../../scripts/generateFixtures.js';
+
+export const FIXTURE_OPTIONS = {
+  seed: 7,
+  items: 450,
+  clusters: 90,
+  days: 5,
+  now: new Date('2026-03-05T12:00:00Z'),
+};
+
+let files;
+
+/**
+ * Fixture files by name (without .json), built once per test file
+ * @returns {Map<string, any>}
+ */
+export function fixtureFiles() {
+  if (!files) files = buildFixtures(FIXTURE_OPTIONS);
+  return files;
+}
+
+/**
+ * `fetch` answering API URLs from the fixture files; unknown files get a 404
+ * @param {Map<string, any>} [source]
+ * @returns {typeof fetch}
+ */
+export function fixtureFetch(source = fixtureFiles()) {
+  return async (input) => {
+    const url = new URL(input instanceof Request ? input.url : String(input));
+    const name = url.pathname.slice(1).replace(/\.json$/, '');
+    return source.has(name)
+      ? Response.json(source.get(name))
+      : Response.json({ error: 'Not found' }, { status: 404 });
+  };
+}
+
+/**
+ * In-memory stand-in for the Workers Cache API (`caches.default`)
+ * @returns {Cache}
+ */
+export function createEdgeCache() {
+  const entries = new Map();
+  const key = (request) => (request instanceof Request ? request.url : String(request));
+
+  // Bodies are kept as bytes, so every match gets a fresh Response, however many are read at once
+  return /** @type {Cache} */ (/** @type {unknown} */ ({
+    async match(request) {
+      const entry = entries.get(key(request));
+      return entry && new Response(entry.body, { status: entry.status, headers: entry.headers });
+    },
+    async put(request, response) {
+      entries.set(key(request), {
+        body: await response.arrayBuffer(),
+        status: response.status,
+        headers: [...response.headers],
+      });
+    },
+    async delete(request) {
+      return entries.delete(key(request));
+    },
+  }));
+}
+
+/**
+ * Request context for the Pages Function's `onRequest`
+ * `next()` stands for the static assets and answers with a marker page.
+ * @param {string} path
+ * @param {{ env?: object, init?: RequestInit }} [options]
+ */
+export function functionContext(path, { env = {}, init } = {}) {
+  return {
+    request: new Request(`https://newshelp.org${path}`, init),
+    env: {
+      ASSETS: { fetch: async () => new Response('Not found', { status: 404 }) },
+      ...env,
+    },
+    waitUntil: () => {},
+    next: async () => new Response('static asset', { headers: { 'Content-Type': 'text/html' } }),
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * File snapshots for rendered HTML
+ *
+ * Snapshots live in test/__snapshots__ and are committed. A missing one is
+ * written on the first local run; set UPDATE_SNAPSHOTS=1 to rewrite them
+ * after an intended markup change. On CI a missing snapshot fails the test.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+/**
+ * Contents of a snapshot, writing `actual` as the snapshot when there is none yet
+ * @param {string} name - File name without extension, e.g. `article`
+ * @param {string} actual
+ * @returns {string}
+ */
+export function readSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.html`);
+
+  if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+  }
+  assert.ok(fs.existsSync(file), `Missing snapshot ${name}.html; run the tests locally to write it`);
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Assert that HTML matches its snapshot
+ * @param {string} name
+ * @param {string} actual
+ */
+export function assertSnapshot(name, actual) {
+  assert.equal(actual, readSnapshot(name, actual), `${name}.html changed; run with UPDATE_SNAPSHOTS=1 if that is intended`);
+}
@@ -0,0 +1,201 @@
+/**
+ * Tests for the /img route: which requests it accepts (public/scripts/lib/images.js),
+ * how the Pages Function checks them against the data, and article-body images
+ */
+
+import { describe, test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImageRequest, responsiveImage, setImageResizing } from '../public/scripts/lib/images.js';
+import { renderRichText, usesImage } from '../public/scripts/lib/rich-text.js';
+import { fixtureFiles, fixtureFetch, createEdgeCache, functionContext } from './helpers/fixtures.js';
+
+const SRC = 'https://images.example.com/a.jpg?w=800&h=450';
+
+/**
+ * Parse an /img query on this site
+ * @param {Record<string, string>} params
+ */
+function parse(params) {
+  return parseImageRequest(new URL(`https://newshelp.org/img?${new URLSearchParams(params)}`));
+}
+
+test('a request names a public image, the record using it and a known width', () => {
+  assert.deepEqual(parse({ url: SRC, ref: 'article:12', w: '320' }), {
+    src: SRC,
+    ref: { kind: 'article', id: 12 },
+    width: 320,
+    height: 180,
+    crop: true,
+    placeholder: false,
+  });
+  assert.equal(parse({ url: SRC, ref: 'cluster:3', w: '480', fit: 'scale-down' }).crop, false);
+
+  assert.equal(parse({ url: SRC, w: '320' }), null);
+  assert.equal(parse({ url: SRC, ref: 'article:0', w: '320' }), null);
+  assert.equal(parse({ url: SRC, ref: 'source:1', w: '320' }), null);
+  assert.equal(parse({ url: SRC, ref: 'article:12', w: '321' }), null);
+  assert.equal(parse({ url: SRC, ref: 'article:12', w: '320', fit: 'contain' }), null);
+});
+
+test('IP addresses, local hosts, other ports and this site are never fetched', () => {
+  for (const url of [
+    'http://169.254.169.254/latest',
+    'http://127.0.0.1/a.jpg',
+    'http://2130706433/a.jpg',
+    'http://0x7f000001/a.jpg',
+    'http://[::1]/a.jpg',
+    'http://localhost/a.jpg',
+    'http://metadata.google.internal/a.jpg',
+    'http://printer.local/a.jpg',
+    'https://images.example.com:8443/a.jpg',
+    'https://newshelp.org/images/icon-192.png',
+    'file:///etc/passwd',
+    'ftp://images.example.com/a.jpg',
+  ]) {
+    assert.equal(parse({ url, ref: 'article:12', w: '320' }), null, url);
+  }
+});
+
+test('a record uses its own image and those in its text', () => {
+  assert.ok(usesImage({ imgUrl: SRC }, SRC));
+  assert.ok(usesImage({ article: `<img src="${SRC.replace('&', '&amp;')}">` }, SRC));
+  assert.ok(usesImage({ short_desc: '![x](<https://images.example.com/a b.jpg>)' }, 'https://images.example.com/a%20b.jpg'));
+  assert.ok(!usesImage({ imgUrl: SRC, article: 'No images' }, 'https://images.example.com/b.jpg'));
+});
+
+test('only whole image URLs match, not parts of them or links', () => {
+  const record = { imgUrl: SRC, article: `![Chart](https://images.example.com/chart.png?size=large) See https://images.example.com/b.jpg` };
+  assert.ok(usesImage(record, 'https://images.example.com/chart.png?size=large'));
+  for (const src of [
+    'https://images.example.com/a.jpg',
+    'https://images.example.com/a.jpg?w=800',
+    'https://images.example.com/chart.png',
+    'https://images.example.com/b.jpg',
+    'https://images.example.com/',
+  ]) {
+    assert.ok(!usesImage(record, src), src);
+  }
+});
+
+test('without resizing, images are linked once, without srcset or placeholder', () => {
+  setImageResizing(false);
+  try {
+    assert.deepEqual(responsiveImage(SRC, 'article:12', 'card'), { src: `/img?${new URLSearchParams({ url: SRC, ref: 'article:12', w: '320' })}` });
+    assert.doesNotMatch(renderRichText(`![Chart](${SRC})`, { imageRef: 'article:12' }), /srcset|sizes=/);
+  } finally {
+    setImageResizing(true);
+  }
+});
+
+test('body images load through /img in their own proportions', () => {
+  const html = renderRichText(`![Chart](${SRC})`, { imageRef: 'article:12' });
+  const { src, srcset } = responsiveImage(SRC, 'article:12', 'body');
+
+  assert.ok(src.includes('ref=article%3A12') && src.includes('fit=scale-down'), src);
+  assert.ok(html.includes(`src="${src.replace(/&/g, '&amp;')}"`), html);
+  assert.ok(html.includes(`srcset="${srcset.replace(/&/g, '&amp;')}"`), html);
+  assert.match(html, /alt="Chart"/);
+  assert.match(html, /loading="lazy" decoding="async"/);
+  assert.doesNotMatch(html, /width=|height=|images\.example\.com\/a\.jpg"/);
+});
+
+test('body images without a record are dropped, not loaded from the publisher', () => {
+  assert.equal(renderRichText(`![Chart](${SRC})`), '<p></p>');
+  assert.equal(renderRichText('<img src="//images.example.com/a.jpg">', { imageRef: 'article:12' }), '');
+  assert.equal(renderRichText('<img src="/images/icon-192.png">'), '<img src="/images/icon-192.png">');
+});
+
+describe('Pages Function', () => {
+  let onRequest;
+  let fetched;
+  let files;
+  const item = fixtureFiles().get('news_raw.400').findLast(({ imgUrl }) => imgUrl);
+  const env = { NEWS_API_RETRIES: '0' };
+
+  before(async () => {
+    globalThis.caches = /** @type {any} */ ({ default: createEdgeCache() });
+    ({ onRequest } = await import('../functions/[[catchall]].js'));
+  });
+
+  beforeEach(() => {
+    fetched = [];
+    files = fixtureFiles();
+    globalThis.fetch = async (input, init) => {
+      const url = new URL(input instanceof Request ? input.url : String(input));
+      if (url.href.startsWith('https://picsum.photos/')) {
+        fetched.push(url.href);
+        return new Response(new Uint8Array([1, 2, 3]), { headers: { 'Content-Type': 'image/jpeg' } });
+      }
+      if (url.hostname === 'redirect.example.com') {
+        fetched.push(url.href);
+        return new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/latest' } });
+      }
+      return fixtureFetch(files)(input, init);
+    };
+  });
+
+  /**
+   * @param {Record<string, string>} params
+   */
+  function request(params) {
+    return onRequest(functionContext(`/img?${new URLSearchParams(params)}`, { env }));
+  }
+
+  test('serves an image the named item uses', async () => {
+    const response = await request({ url: item.imgUrl, ref: `article:${item.id}`, w: '320' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'image/jpeg');
+    assert.deepEqual(fetched, [item.imgUrl]);
+  });
+
+  test('revalidates a cached image with its ETag', async () => {
+    const params = new URLSearchParams({ url: item.imgUrl, ref: `article:${item.id}`, w: '320' });
+    const response = await onRequest(functionContext(`/img?${params}`, { env }));
+    const etag = response.headers.get('ETag');
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+    assert.match(response.headers.get('Cache-Control'), /^public, max-age=\d+, s-maxage=\d+/);
+    fetched.length = 0;
+
+    // Answered from the edge cache's copy, which kept the ETag
+    const revalidated = await onRequest(functionContext(`/img?${params}`, { env, init: { headers: { 'If-None-Match': etag } } }));
+    assert.equal(revalidated.status, 304);
+    assert.equal(revalidated.headers.get('ETag'), etag);
+    assert.deepEqual(fetched, []);
+  });
+
+  test('refuses an image the named item doesn\'t use', async () => {
+    const response = await request({ url: 'https://picsum.photos/seed/other/800/450', ref: `article:${item.id}`, w: '320' });
+    assert.equal(response.status, 403);
+    assert.deepEqual(fetched, []);
+  });
+
+  test('refuses internal addresses without loading anything', async () => {
+    const response = await request({ url: 'http://169.254.169.254/latest', ref: `article:${item.id}`, w: '320' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(fetched, []);
+  });
+
+  test('doesn\'t follow redirects to internal addresses', async () => {
+    // An item from a batch no earlier test has loaded, whose image redirects
+    const src = 'https://redirect.example.com/a.jpg';
+    const { id } = fixtureFiles().get('news_raw.300')[0];
+    files = new Map(fixtureFiles());
+    files.set('news_raw.300', files.get('news_raw.300').map((entry) => (entry.id === id ? { ...entry, imgUrl: src } : entry)));
+
+    const response = await request({ url: src, ref: `article:${id}`, w: '480' });
+    assert.equal(response.headers.get('Content-Type'), 'image/svg+xml');
+    assert.deepEqual(fetched, [src]);
+  });
+
+  test('links images once where Cloudflare Images is off', async () => {
+    const response = await onRequest(functionContext(`/news/${item.id}`, { env: { ...env, IMAGE_RESIZING: 'false' } }));
+    const html = await response.text();
+    assert.match(html, /<meta name="news-image-resizing" content="off">/);
+    assert.match(html, /<div class="article-full__image">\s*<img src="\/img\?[^"]*" alt=/);
+    assert.doesNotMatch(html, /srcset=|background: center/);
+
+    const resized = await (await onRequest(functionContext(`/news/${item.id}`, { env }))).text();
+    assert.match(resized, /<meta name="news-image-resizing" content="on">/);
+    assert.match(resized, /srcset=/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Integration test: the data client and the Pages Function against the mock
+ * API (scripts/mockApi.js), with simulated failures and a retention window
+ *
+ * The server runs as a child process on a free port with its own fixtures
+ * directory, failing a share of requests with a 503 and serving only the
+ * newest news_raw batches, as the real API does after retention.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { createDataClient, HttpError, getBatchId, BATCH_SIZE } from '../public/scripts/lib/data-client.js';
+import { itemError } from '../public/scripts/lib/errors.js';
+import { FIXTURE_OPTIONS, createEdgeCache, functionContext } from './helpers/fixtures.js';
+
+const RETENTION = 2;
+const FAILURE_RATE = 0.1;
+// Enough attempts that a file failing every one of them is vanishingly unlikely
+const RETRIES = 4;
+
+/**
+ * A port nothing is listening on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = /** @type {net.AddressInfo} */ (server.address());
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Start the mock API and wait until it listens
+ * @param {Record<string, string>} env
+ * @returns {Promise<import('node:child_process').ChildProcess>}
+ */
+function startMockApi(env) {
+  return new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, ['scripts/mockApi.js'], {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    server.on('error', reject);
+    server.once('exit', (code) => reject(new Error(`Mock API exited with ${code}`)));
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Listening')) resolve(server);
+    });
+  });
+}
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-api-'));
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = await startMockApi({
+    MOCK_API_PORT: String(port),
+    MOCK_API_DIR: dataDir,
+    MOCK_API_SEED: String(FIXTURE_OPTIONS.seed),
+    MOCK_API_ITEMS: String(FIXTURE_OPTIONS.items),
+    MOCK_API_CLUSTERS: String(FIXTURE_OPTIONS.clusters),
+    MOCK_API_DAYS: String(FIXTURE_OPTIONS.days),
+    MOCK_API_NOW: FIXTURE_OPTIONS.now.toISOString(),
+    MOCK_API_RETENTION: String(RETENTION),
+    MOCK_API_FAILURE_RATE: String(FAILURE_RATE),
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const LATEST_ID = FIXTURE_OPTIONS.items;
+const OLDEST_KEPT = getBatchId(LATEST_ID) - (RETENTION - 1) * BATCH_SIZE;
+
+/**
+ * A client that retries quickly
+ */
+function client() {
+  return createDataClient({ baseUrl, retries: RETRIES, retryDelay: 10, onInvalid: () => {} });
+}
+
+describe('data client', () => {
+  test('loads files through the simulated failures', async () => {
+    const dataClient = client();
+    const meta = await dataClient.fetchMeta();
+    assert.equal(meta.tables.news_raw.latest_id, LATEST_ID);
+
+    const news = await dataClient.fetchRecentNews(20);
+    assert.equal(news.length, 20);
+    assert.deepEqual(news.map(({ id }) => id), [...news.map(({ id }) => id)].sort((a, b) => b - a));
+  });
+
+  test('shares one request between concurrent callers', async () => {
+    const dataClient = client();
+    const [a, b] = await Promise.all([dataClient.fetchNewsRawById(LATEST_ID), dataClient.fetchNewsRawById(LATEST_ID - 1)]);
+    assert.equal(a.id, LATEST_ID);
+    assert.equal(b.id, LATEST_ID - 1);
+  });
+
+  test('finds batches past retention gone', async () => {
+    const dataClient = client();
+    const expiredId = OLDEST_KEPT - 1;
+
+    await assert.rejects(dataClient.fetchNewsRawById(expiredId), (error) => error instanceof HttpError && error.status === 404);
+    assert.equal((await itemError(dataClient, 'news_raw', expiredId)).status, 410);
+    assert.equal((await itemError(dataClient, 'news_raw', LATEST_ID + 1)).status, 404);
+  });
+});
+
+describe('Pages Function', () => {
+  let onRequest;
+  const env = () => ({ NEWS_API_BASE_URL: baseUrl, NEWS_API_RETRIES: String(RETRIES), NEWS_API_TIMEOUT: '5000' });
+
+  before(async () => {
+    globalThis.caches = /** @type {any} */ ({ default: createEdgeCache() });
+    ({ onRequest } = await import('../functions/[[catchall]].js'));
+  });
+
+  /**
+   * @param {string} path
+   */
+  function request(path) {
+    return onRequest(functionContext(path, { env: env() }));
+  }
+
+  test('renders article, cluster and listing pages from the mock API', async () => {
+    for (const path of [`/news/${LATEST_ID}`, `/articles/${FIXTURE_OPTIONS.clusters - 1}`, '/', '/tags', '/trending']) {
+      const response = await request(path);
+      assert.equal(response.status, 200, path);
+      assert.match(response.headers.get('Content-Type'), /^text\/html/, path);
+      assert.ok(response.headers.get('ETag'), path);
+    }
+  });
+
+  test('answers IDs past retention with a 410 and unknown IDs with a 404', async () => {
+    assert.equal((await request(`/news/${OLDEST_KEPT - 1}`)).status, 410);
+    assert.equal((await request(`/news/${LATEST_ID + 1}`)).status, 404);
+  });
+
+  test('keeps serving pages from cached files when the API goes down', async () => {
+    assert.equal((await request(`/news/${LATEST_ID}`)).status, 200);
+    server.kill();
+    await new Promise((resolve) => server.once('exit', resolve));
+
+    const response = await request(`/news/${LATEST_ID}`);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), new RegExp(`data-visit="article:${LATEST_ID}"`));
+  });
+});
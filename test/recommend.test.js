@@ -0,0 +1,212 @@
+/**
+ * Tests for the recommendation scoring and ranking (public/scripts/lib/recommend.js)
+ *
+ * The fixtures are small and hand-written so every expected score can be
+ * worked out from WEIGHTS by hand.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDataClient } from '../public/scripts/lib/data-client.js';
+import {
+  WEIGHTS,
+  RECENCY_HALF_LIFE_HOURS,
+  tagSimilarity,
+  recencyFactor,
+  scoreArticle,
+  scoreCluster,
+  rankArticles,
+  rankClusters,
+  fetchRecommendations,
+  articleTarget,
+  clusterTarget,
+} from '../public/scripts/lib/recommend.js';
+import { fixtureFetch } from './helpers/fixtures.js';
+
+const NOW = '2026-03-05T12:00:00Z';
+
+/**
+ * ISO date some hours before NOW
+ * @param {number} hours
+ */
+function hoursAgo(hours) {
+  return new Date(Date.parse(NOW) - hours * 3600000).toISOString();
+}
+
+/**
+ * Raw item with defaults for the fields scoring ignores
+ * @param {number} id
+ * @param {{ source?: string, cats?: number[], cluster_id?: number, created_at?: string }} [fields]
+ */
+function item(id, fields = {}) {
+  return {
+    id,
+    source: '1',
+    title: `Item ${id}`,
+    article: `Body of item ${id}`,
+    cats: [],
+    imgUrl: '',
+    cluster_id: 0,
+    created_at: NOW,
+    guid: `urn:test:${id}`,
+    objective: 7,
+    ...fields,
+  };
+}
+
+/**
+ * @param {number} id
+ * @param {{ articles?: number[], cats?: number[], created_at?: string }} [fields]
+ */
+function cluster(id, fields = {}) {
+  return { id, title: `Cluster ${id}`, short_desc: '', articles: [1], cats: [], created_at: NOW, ...fields };
+}
+
+test('tag similarity is the Jaccard index of the tag sets', () => {
+  assert.equal(tagSimilarity([1, 2], [1, 2]), 1);
+  assert.equal(tagSimilarity([1, 2], [2, 3]), 1 / 3);
+  assert.equal(tagSimilarity([1, 1, 2], [2]), 1 / 2);
+  assert.equal(tagSimilarity([1], [2]), 0);
+  assert.equal(tagSimilarity([], [1]), 0);
+  assert.equal(tagSimilarity(undefined, undefined), 0);
+});
+
+test('recency halves every half-life and ignores direction', () => {
+  assert.equal(recencyFactor(NOW, NOW), 1);
+  assert.equal(recencyFactor(NOW, hoursAgo(RECENCY_HALF_LIFE_HOURS)), 0.5);
+  assert.equal(recencyFactor(hoursAgo(RECENCY_HALF_LIFE_HOURS * 2), NOW), 0.25);
+  assert.equal(recencyFactor(NOW, 'not a date'), 0);
+});
+
+test('article score adds tags, shared cluster, recency and a different source', () => {
+  const target = { id: 1, cats: [1, 2], created_at: NOW, clusterId: 5, source: '1' };
+
+  assert.equal(scoreArticle(target, item(2, { cats: [1, 2], cluster_id: 5 })), WEIGHTS.tags + WEIGHTS.cluster + WEIGHTS.recency);
+  assert.equal(scoreArticle(target, item(3, { cats: [2, 3], source: '2' })), WEIGHTS.tags / 3 + WEIGHTS.recency + WEIGHTS.diversity);
+  assert.equal(
+    scoreArticle(target, item(4, { created_at: hoursAgo(RECENCY_HALF_LIFE_HOURS) })),
+    WEIGHTS.recency / 2
+  );
+  // Cluster targets have no source, so there is nothing to diversify from
+  assert.equal(scoreArticle({ cats: [], created_at: NOW, clusterId: 5 }, item(5, { source: '9' })), WEIGHTS.recency);
+});
+
+test('cluster score adds tags and recency', () => {
+  const target = { cats: [1], created_at: NOW };
+  assert.equal(scoreCluster(target, cluster(1, { cats: [1] })), WEIGHTS.tags + WEIGHTS.recency);
+  assert.equal(scoreCluster(target, cluster(2, { cats: [1, 2], created_at: hoursAgo(RECENCY_HALF_LIFE_HOURS) })), WEIGHTS.tags / 2 + WEIGHTS.recency / 2);
+});
+
+test('ranking orders by score and breaks ties by newer ID', () => {
+  const target = { id: 100, cats: [1], created_at: NOW, source: '9' };
+  const items = [
+    item(1, { cats: [1], source: '1' }),
+    item(3, { cats: [1], source: '2' }),
+    item(2, { cats: [1], source: '3' }),
+    item(4, { cats: [], source: '4' }),
+  ];
+
+  assert.deepEqual(rankArticles(target, items, 10).map(({ id }) => id), [3, 2, 1, 4]);
+  // Input order doesn't matter
+  assert.deepEqual(rankArticles(target, [...items].reverse(), 10).map(({ id }) => id), [3, 2, 1, 4]);
+});
+
+test('ranking spreads picks across sources', () => {
+  const target = { id: 100, cats: [1], created_at: NOW };
+  const items = [
+    item(1, { cats: [1], source: '1' }),
+    item(2, { cats: [1], source: '1' }),
+    item(3, { cats: [1], source: '1' }),
+    // Weaker match, but from another source
+    item(4, { cats: [1, 2], source: '2' }),
+  ];
+
+  // 1-3 score 6 and 4 scores 4; the second pick from source 1 costs 1.5, which still beats 4
+  assert.deepEqual(rankArticles(target, items, 2).map(({ id }) => id), [3, 2]);
+  // The third costs 3, so 4 comes before it
+  assert.deepEqual(rankArticles(target, items, 4).map(({ id }) => id), [3, 2, 4, 1]);
+});
+
+test('ranking stops at the limit', () => {
+  const target = { cats: [1], created_at: NOW };
+  const items = [1, 2, 3, 4, 5].map((id) => item(id, { cats: [1], source: String(id) }));
+
+  assert.equal(rankArticles(target, items, 3).length, 3);
+  assert.deepEqual(rankArticles(target, items, 0), []);
+  assert.deepEqual(rankArticles(target, [], 3), []);
+});
+
+test('cluster ranking needs a shared tag, breaks ties by newer ID and stops at the limit', () => {
+  const target = { cats: [1, 2], created_at: NOW };
+  const clusters = [
+    cluster(1, { cats: [1, 2] }),
+    cluster(2, { cats: [1, 2] }),
+    cluster(3, { cats: [3] }),
+    cluster(4, { cats: [2] }),
+  ];
+
+  assert.deepEqual(rankClusters(target, clusters, 10).map(({ id }) => id), [2, 1, 4]);
+  assert.deepEqual(rankClusters(target, clusters, 1).map(({ id }) => id), [2]);
+});
+
+/**
+ * Data client over a tiny data set: cluster 1 holds items 1-3, cluster 2 holds
+ * item 4, cluster 3 is empty; tag 1 covers everything but item 6
+ */
+function recommendClient() {
+  const items = [
+    item(1, { cats: [1], cluster_id: 1, source: '1' }),
+    item(2, { cats: [1], cluster_id: 1, source: '2' }),
+    item(3, { cats: [1], cluster_id: 1, source: '3' }),
+    item(4, { cats: [1], cluster_id: 2, source: '1' }),
+    item(5, { cats: [1, 2], source: '2' }),
+    item(6, { cats: [3], source: '3' }),
+  ];
+  const clusters = [
+    cluster(1, { articles: [1, 2, 3], cats: [1] }),
+    cluster(2, { articles: [4], cats: [1] }),
+    cluster(3, { articles: [], cats: [1] }),
+    cluster(4, { articles: [6], cats: [3] }),
+  ];
+  const files = new Map([
+    ['meta', { generated_at: NOW, tables: { news_raw: { latest_id: 6 }, news_articles: { latest_id: 4 } } }],
+    ['tag_articles', [
+      { tag_id: 1, articles: [5, 4, 3, 2, 1], description: '' },
+      { tag_id: 2, articles: [5], description: '' },
+      { tag_id: 3, articles: [6], description: '' },
+    ]],
+    ['news_raw.0', items],
+    ['news_articles.0', clusters],
+  ]);
+
+  return { client: createDataClient({ fetch: fixtureFetch(files), retries: 0 }), items, clusters };
+}
+
+test('article recommendations leave out the article itself and keep its cluster to the story', async () => {
+  const { client, items } = recommendClient();
+  const recommendations = await fetchRecommendations(client, articleTarget(items[0]));
+
+  assert.deepEqual(recommendations.story.map(({ id }) => id), [3, 2]);
+  // 4 shares all of the article's tags; 5 shares half, which a different source doesn't make up for
+  assert.deepEqual(recommendations.articles.map(({ id }) => id), [4, 5]);
+  // The article's own cluster is never recommended, nor empty ones or those without a shared tag
+  assert.deepEqual(recommendations.clusters.map(({ id }) => id), [2]);
+});
+
+test('cluster recommendations leave out the cluster and its articles', async () => {
+  const { client, clusters } = recommendClient();
+  const recommendations = await fetchRecommendations(client, clusterTarget(clusters[0]), { story: 0 });
+
+  assert.deepEqual(recommendations.story, []);
+  assert.deepEqual(recommendations.articles.map(({ id }) => id), [4, 5]);
+  assert.deepEqual(recommendations.clusters.map(({ id }) => id), [2]);
+});
+
+test('recommendations honour the limits', async () => {
+  const { client, items } = recommendClient();
+  const recommendations = await fetchRecommendations(client, articleTarget(items[0]), { story: 1, articles: 1, clusters: 0 });
+
+  assert.deepEqual(recommendations.story.map(({ id }) => id), [3]);
+  assert.deepEqual(recommendations.articles.map(({ id }) => id), [4]);
+  assert.deepEqual(recommendations.clusters, []);
+});
@@ -0,0 +1,133 @@
+/**
+ * XSS regression tests for the rich-text pipeline (public/scripts/lib/rich-text.js)
+ *
+ * Every payload is rendered both as a block (article bodies, cluster
+ * summaries) and inline (excerpts), and the output is checked tag by tag:
+ * only allow-listed elements and attributes, and no script URLs.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRichText, sanitizeHtml } from '../public/scripts/lib/rich-text.js';
+
+const PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="jav&#x09;ascript:alert(1)">x</a>',
+  '<a href="&#106;avascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '[x](javascript:alert(1))',
+  '![x](javascript:alert(1))',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg onload=alert(1)>',
+  '<iframe src="https://example.com"></iframe>after',
+  '<p style="color:red">s</p>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<a href="x" title="a\' onmouseover=alert(1)">y</a>',
+  '<a href=x onclick="alert(1)">y</a>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<img src="https://example.com/a.jpg" alt="<script>">',
+  '<style>body{}</style>hi',
+  '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+  '<a href="data:text/html,<script>alert(1)</script>">d</a>',
+  '<img src="data:image/svg+xml,<svg onload=alert(1)>">',
+  '<textarea><img src=x onerror=alert(1)></textarea>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<form action="https://example.com"><input name=q><button>go</button></form>',
+  '<object data="https://example.com/x.swf"></object><embed src="https://example.com/x.swf">',
+  '<base href="https://example.com/">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '```\n<script>alert(1)</script>\n```',
+];
+
+const ALLOWED_TAGS = new Set([
+  'a', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'code', 'sup', 'sub', 'br',
+  'p', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'img',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'href', 'title', 'target', 'rel', 'class', 'data-ref', 'src', 'srcset', 'sizes', 'alt',
+  'width', 'height', 'loading', 'decoding', 'start', 'colspan', 'rowspan',
+]);
+
+/**
+ * Check every tag of rendered HTML against the allow-lists
+ * @param {string} html
+ * @param {string} payload - For the failure message
+ */
+function assertSafe(html, payload) {
+  const message = `${JSON.stringify(payload)} rendered as ${JSON.stringify(html)}`;
+  // Attribute values are always double-quoted and escaped, so `>` ends a tag
+  for (const [, tag, attributes] of html.matchAll(/<\/?([a-zA-Z][\w:-]*)([^>]*)>/g)) {
+    assert.ok(ALLOWED_TAGS.has(tag.toLowerCase()), `<${tag}> kept: ${message}`);
+
+    const rest = attributes.replace(/\s([\w-]+)="([^"]*)"/g, (match, name, value) => {
+      assert.ok(ALLOWED_ATTRIBUTES.has(name), `${name} attribute kept: ${message}`);
+      if (['href', 'src', 'srcset'].includes(name)) {
+        assert.doesNotMatch(value, /^\s*(javascript|data|vbscript):/i, `${name} URL kept: ${message}`);
+      }
+      return '';
+    });
+    assert.match(rest, /^\s*\/?$/, `unquoted attribute kept: ${message}`);
+  }
+  assert.doesNotMatch(html, /<[a-zA-Z][^>]*$/, `unclosed tag: ${message}`);
+}
+
+test('no payload survives block rendering', () => {
+  for (const payload of PAYLOADS) {
+    assertSafe(renderRichText(payload), payload);
+  }
+});
+
+test('no payload survives inline rendering', () => {
+  for (const payload of PAYLOADS) {
+    assertSafe(renderRichText(payload, { inline: true }), payload);
+  }
+});
+
+test('no payload survives the sanitizer on its own', () => {
+  for (const payload of PAYLOADS) {
+    assertSafe(sanitizeHtml(payload), payload);
+    assertSafe(sanitizeHtml(payload, { inline: true }), payload);
+  }
+});
+
+test('dangerous elements are dropped with their content', () => {
+  assert.equal(renderRichText('<iframe src="https://example.com"></iframe>after'), 'after');
+  assert.equal(renderRichText('<style>body{}</style>hi'), 'hi');
+  assert.equal(renderRichText('<textarea><img src=x onerror=alert(1)></textarea>'), '');
+  assert.equal(renderRichText('<!--<img src=x onerror=alert(1)>-->'), '');
+});
+
+test('script URLs are removed but the link text is kept', () => {
+  assert.equal(renderRichText('<a href="javascript:alert(1)">x</a>'), '<p><a>x</a></p>');
+  assert.equal(renderRichText('<a href="jav&#x09;ascript:alert(1)">x</a>'), '<p><a>x</a></p>');
+  assert.equal(renderRichText('[x](javascript:alert(1))'), '<p><a>x</a></p>');
+});
+
+test('quotes in attribute values stay inside the attribute', () => {
+  assert.equal(
+    renderRichText('<a href="x" title="a\' onmouseover=alert(1)">y</a>'),
+    '<p><a href="x" title="a&#039; onmouseover=alert(1)">y</a></p>'
+  );
+});
+
+test('code blocks show markup as text', () => {
+  assert.equal(
+    renderRichText('```\n<script>alert(1)</script>\n```'),
+    '<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;\n</code></pre>'
+  );
+});
+
+test('formatting and references survive', () => {
+  assert.equal(renderRichText('**Bold** and _em_'), '<p><strong>Bold</strong> and <em>em</em></p>');
+  assert.equal(
+    renderRichText('See [123]'),
+    '<p>See <a href="/news/123" class="article-ref" data-ref="123">[123]</a></p>'
+  );
+  assert.equal(
+    renderRichText('<a href="https://example.com">out</a>'),
+    '<p><a href="https://example.com" target="_blank" rel="nofollow noopener noreferrer">out</a></p>'
+  );
+});
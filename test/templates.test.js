@@ -0,0 +1,211 @@
+/**
+ * Snapshot tests for the shared templates (public/scripts/lib/templates.js)
+ *
+ * Each view is rendered the way the static build loads it (src/pages, through
+ * a memory-cached data client like src/lib/api.ts) and compared with its
+ * snapshot; the Pages Function's page for the same route must contain that
+ * exact markup. The home, tags and tag pages, which the build renders with
+ * Astro components, are rendered by Astro itself and compared with the
+ * Function's live copies.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDataClient, createMemoryCache } from '../public/scripts/lib/data-client.js';
+import { fetchCitedItems } from '../public/scripts/lib/citations.js';
+import { articleTemplate, clusterTemplate, errorTemplate, myFeedTemplate } from '../public/scripts/lib/templates.js';
+import { emptyPreferences, setPreference } from '../public/scripts/lib/preferences.js';
+import en from '../public/scripts/lib/locales/en.js';
+import tr from '../public/scripts/lib/locales/tr.js';
+import ar from '../public/scripts/lib/locales/ar.js';
+import { fixtureFetch, createEdgeCache, functionContext } from './helpers/fixtures.js';
+import { assertSnapshot, readSnapshot } from './helpers/snapshot.js';
+import { createAstroRenderer } from './helpers/astro.js';
+
+// An article with an image, tags and citations, and a cluster with several sources
+const ARTICLE_ID = 442;
+const CLUSTER_ID = 87;
+
+let onRequest;
+
+before(async () => {
+  globalThis.caches = /** @type {any} */ ({ default: createEdgeCache() });
+  globalThis.fetch = fixtureFetch();
+  ({ onRequest } = await import('../functions/[[catchall]].js'));
+});
+
+/**
+ * Data client set up like the build's (src/lib/api.ts)
+ */
+function buildClient() {
+  return createDataClient({ cache: createMemoryCache(), fetch: fixtureFetch() });
+}
+
+/**
+ * HTML of the Pages Function's response for a path
+ * @param {string} path
+ * @param {number} [status]
+ */
+async function functionPage(path, status = 200) {
+  const response = await onRequest(functionContext(path));
+  assert.equal(response.status, status);
+  return response.text();
+}
+
+test('article view: build and Pages Function render the same markup', async () => {
+  const client = buildClient();
+  const item = await client.fetchNewsRawById(ARTICLE_ID);
+  const [sources, tags, citedItems] = await Promise.all([
+    client.fetchSources(),
+    client.fetchTags(),
+    fetchCitedItems(client, item.article),
+  ]);
+
+  const html = articleTemplate({
+    item,
+    sourcesMap: new Map(sources.map((source) => [source.id, source])),
+    tags: tags.filter((tag) => item.cats.includes(tag.id)),
+    citedItems,
+  });
+
+  assertSnapshot('article', html);
+  assert.ok((await functionPage(`/news/${ARTICLE_ID}`)).includes(readSnapshot('article', html)));
+});
+
+test('cluster view: build and Pages Function render the same markup', async () => {
+  const client = buildClient();
+  const cluster = await client.fetchClusterById(CLUSTER_ID);
+  const [items, sources, tags, citedItems] = await Promise.all([
+    client.fetchNewsRawByIds(cluster.articles),
+    client.fetchSources(),
+    client.fetchTags(),
+    fetchCitedItems(client, cluster.short_desc),
+  ]);
+
+  const html = clusterTemplate({
+    cluster,
+    items,
+    sourcesMap: new Map(sources.map((source) => [source.id, source])),
+    tags: tags.filter((tag) => cluster.cats.includes(tag.id)),
+    citedItems,
+  });
+
+  assertSnapshot('cluster', html);
+  assert.ok((await functionPage(`/articles/${CLUSTER_ID}`)).includes(readSnapshot('cluster', html)));
+});
+
+/**
+ * A page's content (`<div class="page-content">` and what it holds), without the whitespace between tags
+ * @param {string} html
+ * @returns {string}
+ */
+function pageContent(html) {
+  const start = html.indexOf('<div class="page-content">');
+  assert.notEqual(start, -1, 'No page content');
+  const divs = /<(\/?)div\b/g;
+  divs.lastIndex = start;
+  let depth = 0;
+  for (let match; (match = divs.exec(html));) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return html.slice(start, match.index + '</div>'.length).replace(/\s+/g, ' ').replace(/ ?(<[^>]*>) ?/g, '$1');
+    }
+  }
+  assert.fail('Unclosed page content');
+}
+
+test('home, tags and tag pages: build and Pages Function render the same markup', async () => {
+  const tags = await buildClient().fetchTags();
+  // A subtopic with subtopics of its own: breadcrumbs through its parent, and a list of children
+  const tag = tags.find((entry) => entry.parent.length > 0 && tags.some((other) => other.parent.includes(entry.id)));
+  const astro = await createAstroRenderer();
+
+  try {
+    for (const [path, file, options] of [
+      ['/', '/src/pages/index.astro'],
+      ['/tags', '/src/pages/tags.astro'],
+      [`/tag/${tag.slug}`, '/src/pages/tag/[slug].astro', { props: { tag }, params: { slug: tag.slug } }],
+    ]) {
+      assert.equal(pageContent(await functionPage(path)), pageContent(await astro.render(file, options)), path);
+    }
+  } finally {
+    await astro.close();
+  }
+});
+
+test('error view: the 404 page and the Pages Function render the same markup', async () => {
+  const html = errorTemplate({ status: 404 });
+
+  assertSnapshot('error-404', html);
+  assert.ok((await functionPage('/news/99999', 404)).includes(readSnapshot('error-404', html)));
+});
+
+test('localized views keep the markup and translate the strings', async () => {
+  const html = errorTemplate({ status: 404, locale: 'tr' });
+
+  assertSnapshot('error-404.tr', html);
+  assert.ok((await functionPage('/tr/news/99999', 404)).includes(readSnapshot('error-404.tr', html)));
+});
+
+test('home, tags and tag pages are served in every locale', async () => {
+  const client = buildClient();
+  const [tag] = await client.fetchTags();
+
+  for (const [path, heading] of [['/tr/', 'Güncel Haberler'], ['/tr/tags', 'Tüm Kategoriler'], [`/ar/tag/${tag.slug}`, tag.tag]]) {
+    const html = await functionPage(path);
+    assert.match(html, path.startsWith('/ar/') ? /<html lang="ar" dir="rtl">/ : /<html lang="tr" dir="ltr">/, path);
+    assert.ok(html.includes(`<h1>${heading}</h1>`), path);
+    assert.match(html, new RegExp(`<link rel="canonical" href="https://newshelp.org${path}">`), path);
+    // Tag descriptions come from the data, in English; only the page's own strings are checked
+    assert.doesNotMatch(html, /Last updated|>Latest News<|>Top Stories<|"Breadcrumb"/, path);
+  }
+  assert.match(await functionPage(`/tr/tag/${tag.slug}`), /<nav class="breadcrumbs" aria-label="Sayfa yolu">\s*<ol class="breadcrumbs__list">\s*<li class="breadcrumbs__item"><a href="\/tr\/" class="breadcrumbs__link">Ana sayfa<\/a>/);
+  await functionPage('/tr/tag/no-such-tag', 404);
+  assert.match(await functionPage('/tr/trending'), /<meta name="description" content="Her zamankinden fazla haber yapılan konular ve olaylar">/);
+});
+
+test('a tag slug map that failed to load is fetched again', async () => {
+  const [tag] = await buildClient().fetchTags();
+  const map = { generated_at: '2026-03-05T12:00:00Z', current: { [tag.id]: tag.slug }, slugs: { 'retired-slug': tag.id, [tag.slug]: tag.id } };
+  const assets = (response) => ({
+    ASSETS: { fetch: async (url) => (url.pathname === '/tag-slugs.json' ? response() : new Response('Not found', { status: 404 })) },
+  });
+
+  const missing = await onRequest(functionContext('/tag/retired-slug', { env: assets(() => new Response('Not found', { status: 404 })) }));
+  assert.equal(missing.headers.get('Location'), null);
+
+  const moved = await onRequest(functionContext('/tag/retired-slug', { env: assets(() => Response.json(map)) }));
+  assert.equal(moved.status, 301);
+  assert.equal(moved.headers.get('Location'), `https://newshelp.org/tag/${tag.slug}`);
+});
+
+test('pages link the stylesheets the build emitted for them', async () => {
+  const stylesheets = { default: ['/_astro/site.css'], home: ['/_astro/site.css', '/_astro/home.css'] };
+  const env = { ASSETS: { fetch: async (url) => (url.pathname === '/stylesheets.json' ? Response.json(stylesheets) : new Response('Not found', { status: 404 })) } };
+  const links = async (path) => [...(await (await onRequest(functionContext(path, { env }))).text())
+    .matchAll(/<link rel="stylesheet" href="([^"]+)">/g)].map(([, href]) => href);
+
+  assert.deepEqual(await links('/'), stylesheets.home);
+  assert.deepEqual(await links(`/news/${ARTICLE_ID}`), stylesheets.default);
+  // Pages the build recorded nothing for get the site-wide stylesheets
+  assert.deepEqual(await links('/tags'), stylesheets.default);
+});
+
+test('My News is rendered in the page\'s locale', () => {
+  const feed = { items: [], clusters: [], tags: [], sourcesMap: new Map() };
+  const english = myFeedTemplate({ ...feed, preferences: emptyPreferences() });
+  const turkish = myFeedTemplate({ ...feed, preferences: setPreference(emptyPreferences(), 'tag', 1, 'follow'), locale: 'tr' });
+
+  assert.match(english, /<h1 class="archive__title">My News<\/h1>/);
+  assert.match(english, /<a href="\/tags">topic<\/a>/);
+  assert.match(turkish, /<h1 class="archive__title">Haberlerim<\/h1>/);
+  assert.match(turkish, /Takip ettiklerinizden yeni bir şey yok\./);
+  assert.match(turkish, /data-follow-action="follow" aria-pressed="false">Takip et</);
+  assert.doesNotMatch(turkish, /My News|Your preferences|None yet|Export preferences/);
+});
+
+test('every locale translates every message', () => {
+  for (const [code, messages] of Object.entries({ tr, ar })) {
+    assert.deepEqual(Object.keys(en).filter((key) => !(key in messages)), [], code);
+  }
+});